@@ -0,0 +1,100 @@
+const math = require('mathjs');
+
+// Size of one unit of each mode in radians
+const MODES = {
+    deg: Math.PI / 180,
+    rad: 1,
+    grad: Math.PI / 200
+};
+
+const ALIASES = {
+    deg: 'deg', degree: 'deg', degrees: 'deg',
+    rad: 'rad', radian: 'rad', radians: 'rad',
+    grad: 'grad', grads: 'grad', gradian: 'grad', gradians: 'grad', gon: 'grad'
+};
+
+// Functions that take an angle, and inverses that return one
+const ANGLE_ARGUMENT = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'sinh', 'cosh', 'tanh', 'sech', 'csch', 'coth'];
+const ANGLE_RESULT = ['asin', 'acos', 'atan', 'asec', 'acsc', 'acot', 'asinh', 'acosh', 'atanh', 'asech', 'acsch', 'acoth', 'atan2'];
+
+/**
+ * Angle modes for trigonometry: degrees, radians or gradians.
+ *
+ * Each mode gets its own mathjs instance whose trigonometric and hyperbolic
+ * functions read plain numbers in that unit and whose inverses return it. Values with an explicit angle unit
+ * (sin(30 deg), sin((pi/6) rad)) mean the same thing in every mode.
+ */
+class AngleMode {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.functions] - Extra functions every instance provides (e.g. finance)
+     */
+    constructor(options = {}) {
+        this.instances = {};
+        this.functions = options.functions || {};
+    }
+
+    /**
+     * Canonical mode name ('deg', 'rad' or 'grad') for a mode or unit name
+     */
+    static normalize(mode) {
+        const key = ALIASES[String(mode).trim().toLowerCase()];
+        if (!key) {
+            throw new Error(`Unknown angle mode "${mode}" (use deg, rad or grad)`);
+        }
+        return key;
+    }
+
+    /**
+     * mathjs instance that evaluates trigonometry in the given mode
+     */
+    math(mode = 'rad') {
+        const key = AngleMode.normalize(mode);
+        if (!this.instances[key]) {
+            this.instances[key] = this.createInstance(MODES[key]);
+        }
+        return this.instances[key];
+    }
+
+    createInstance(size) {
+        const instance = math.create(math.all);
+        const { typed } = instance;
+        const overrides = {};
+
+        ANGLE_ARGUMENT.forEach(name => {
+            const original = instance[name];
+            overrides[name] = typed(name, {
+                'number | Complex': x => this.settle(original(instance.multiply(x, size))),
+                // Explicit units are converted as given (hyperbolic functions only take numbers)
+                Unit: x => this.settle(original(x.toNumber('rad')))
+            });
+        });
+
+        // Inverses already answer in radians
+        if (size !== 1) {
+            ANGLE_RESULT.forEach(name => {
+                const original = instance[name];
+                overrides[name] = name === 'atan2'
+                    ? typed(name, { 'number, number': (y, x) => this.settle(original(y, x) / size) })
+                    : typed(name, { 'number | Complex': x => this.settle(instance.divide(original(x), size)) });
+            });
+        }
+
+        instance.import(this.functions);
+        instance.import(overrides, { override: true });
+        return instance;
+    }
+
+    /**
+     * Converting to radians leaves rounding noise of about 1e-16
+     * (sin(30 deg) = 0.49999999999999994, cos(pi/2) = 6e-17); drop it
+     */
+    settle(value) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+        return Math.abs(value) < 1e-15 ? 0 : parseFloat(value.toPrecision(15));
+    }
+}
+
+AngleMode.MODES = Object.keys(MODES);
+
+module.exports = AngleMode;
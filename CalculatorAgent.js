@@ -3,9 +3,60 @@ const natural = require('natural');
 const chalk = require('chalk');
 const fs = require('fs');
 const path = require('path');
+const { MemoryHistoryStore } = require('./HistoryStore');
+const { CalculatorSession } = require('./CalculatorSession');
+const PluginRegistry = require('./PluginRegistry');
+const builtinPlugins = require('./plugins');
+const Explainer = require('./Explainer');
+const NumberWordParser = require('./NumberWordParser');
+const EquationSolver = require('./EquationSolver');
+const Calculus = require('./Calculus');
+const Geometry = require('./Geometry');
+const AngleMode = require('./AngleMode');
+const UnitSystem = require('./UnitSystem');
+const UnitArithmetic = require('./UnitArithmetic');
+const { CurrencyRates } = require('./CurrencyRates');
+const Programmer = require('./Programmer');
+const DateTime = require('./DateTime');
+const Finance = require('./Finance');
+const Statistics = require('./Statistics');
+const Regression = require('./Regression');
+const Probability = require('./Probability');
+const Datasets = require('./Datasets');
+const PlotStyle = require('./PlotStyle');
+const SurfacePlot = require('./SurfacePlot');
+const { clean, formatNumber } = require('./Precision');
+
+// Curve plots: "plot x = cos(t), y = sin(2t) for t from 0 to 2pi", "plot r = 1 + cos(theta)",
+// "plot x^2 + y^2 = 25". A range ends the request; its variable may be left out
+const PLOT_VERB = '(?:plot|graph|draw|show|display|sketch|visualize)\\s+(?:of\\s+)?(?:the\\s+|an?\\s+)?';
+const PLOT_RANGE = variable => `(?:\\s*,?\\s+(?:for\\s+|with\\s+)?(?:${variable}\\s+)?(?:from|between)\\s+(${PlotStyle.BOUND})\\s*(?:to|and|\\.\\.)\\s*(${PlotStyle.BOUND}))?$`;
+const PARAMETRIC_PLOT = new RegExp(`${PLOT_VERB}(?:parametric\\s+(?:curve|plot|graph|equations?)\\s+(?:of\\s+)?)?x\\s*(?:\\(t\\))?\\s*=\\s*(.+?)\\s*(?:,|;|\\band\\b)\\s*(?:and\\s+)?y\\s*(?:\\(t\\))?\\s*=\\s*(.+?)${PLOT_RANGE('t')}`);
+const POLAR_PLOT = new RegExp(`${PLOT_VERB}(?:polar\\s+(?:curve|plot|graph|equation)\\s+(?:of\\s+)?)?r\\s*(?:\\((?:theta|t)\\))?\\s*=\\s*(.+?)${PLOT_RANGE('(?:theta|t)')}`);
+const IMPLICIT_PLOT = new RegExp(`${PLOT_VERB}(?:(?:implicit\\s+)?(?:curve|equation)\\s+(?:of\\s+)?)?([^=<>!]+?)\\s*=\\s*([^=<>!]+?)${PLOT_RANGE('x')}`);
+// "contour plot of", "heatmap of", "3d surface plot of", "surface of" (but not "surface area of")
+const SURFACE_KIND = 'contour(?:\\s+(?:map|plot|lines))?|heat\\s*map|(?:3d\\s+)?surface(?:\\s+plot|(?=\\s+of\\b))|3d\\s+(?:surface|plot)';
+const SURFACE_PLOT = new RegExp(`^(?:${PLOT_VERB})?(?:(${SURFACE_KIND})\\s+(?:of\\s+)?)?((?:z|f\\(x,\\s*y\\))\\s*=\\s*)?(.+?)${PLOT_RANGE('x')}`);
+const SURFACE_AS = new RegExp(`\\s*,?\\s+as\\s+(?:an?\\s+)?(${SURFACE_KIND}|surface)\\b`);
 
 class CalculatorAgent {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.historyStore] - History backend (defaults to in-memory)
+     * @param {number} [options.historyLimit=50] - Entry limit for the default store
+     * @param {Object[]} [options.plugins] - Extra operation plugins to register
+     * @param {string} [options.pluginsDir] - Directory to load extra plugins from
+     * @param {string} [options.angleMode='deg'] - Default angle mode for trigonometry (deg, rad or grad)
+     * @param {string} [options.unitSystem='auto'] - Units results are shown in (auto, metric or imperial)
+     * @param {string} [options.ratesFile] - Exchange rates file for currency conversion
+     * @param {boolean} [options.programmer=false] - Start sessions in programmer mode (integer arithmetic)
+     * @param {number} [options.integerWidth=64] - Integer width for programmer mode (8, 16, 32 or 64)
+     * @param {boolean} [options.signed=true] - Read programmer results as signed integers
+     * @param {string} [options.outputBase='dec'] - Base programmer results are shown in (bin, oct, dec or hex)
+     * @param {Function} [options.clock] - Returns the current Date for today/now (defaults to the system clock)
+     * @param {boolean} [options.datasetFiles=true] - Let sessions load datasets from local files ("load sales.csv as sales")
+     */
+    constructor(options = {}) {
         this.name = "AI Calculator Agent";
         this.version = "1.0.0";
         this.supportedOperations = [
@@ -18,13 +69,32 @@ class CalculatorAgent {
         // Initialize natural language processing
         this.tokenizer = new natural.WordTokenizer();
         this.stemmer = natural.PorterStemmer;
+        this.numberWords = new NumberWordParser();
+        this.calculus = new Calculus();
+        this.geometry = new Geometry();
+        this.finance = new Finance();
+        this.statistics = new Statistics();
+        this.regression = new Regression();
+        this.probability = new Probability();
+        this.datasets = new Datasets();
+        this.plotStyle = new PlotStyle();
+        this.surfaces = new SurfacePlot();
+        this.angles = new AngleMode({
+            functions: { ...this.finance.functions(), ...this.regression.functions(), ...this.probability.functions() }
+        });
+        this.equationSolver = new EquationSolver({ angles: this.angles });
+        this.units = new UnitSystem();
+        this.unitArithmetic = new UnitArithmetic(this.units);
+        this.currency = new CurrencyRates({ filePath: options.ratesFile });
+        this.programmer = new Programmer();
+        this.dates = new DateTime({ now: options.clock });
         
         // Mathematical keywords mapping
         this.mathKeywords = {
             'add': '+', 'plus': '+', 'addition': '+', 'sum': '+',
-            'subtract': '-', 'minus': '-', 'subtraction': '-', 'difference': '-',
-            'multiply': '*', 'times': '*', 'multiplication': '*', 'product': '*',
-            'divide': '/', 'division': '/', 'quotient': '/',
+            'subtract': '-', 'minus': '-', 'subtraction': '-', 'difference': '-', 'negative': '-',
+            'multiply': '*', 'times': '*', 'multiplication': '*', 'product': '*', 'multiplied': '*',
+            'divide': '/', 'division': '/', 'quotient': '/', 'divided': '/',
             'power': '^', 'exponent': '^', 'exponentiation': '^',
             'sqrt': 'sqrt', 'square root': 'sqrt',
             'log': 'log', 'logarithm': 'log',
@@ -32,75 +102,27 @@ class CalculatorAgent {
             'pi': 'pi', 'e': 'e'
         };
         
-        // Statistics functions
+        // Statistics phrases and the Statistics method each names; the longest
+        // phrase wins ("sum of squares" over "sum")
         this.statsKeywords = {
-            'mean': 'mean', 'average': 'mean', 'avg': 'mean',
-            'median': 'median', 'mode': 'mode',
-            'standard deviation': 'std', 'variance': 'var',
-            'sum': 'sum', 'count': 'count'
-        };
-
-        // Unit conversion data
-        this.unitConversions = {
-            // Length
-            'length': {
-                'mm': 0.001, 'millimeter': 0.001, 'millimeters': 0.001,
-                'cm': 0.01, 'centimeter': 0.01, 'centimeters': 0.01,
-                'm': 1, 'meter': 1, 'meters': 1,
-                'km': 1000, 'kilometer': 1000, 'kilometers': 1000,
-                'in': 0.0254, 'inch': 0.0254, 'inches': 0.0254,
-                'ft': 0.3048, 'foot': 0.3048, 'feet': 0.3048,
-                'yd': 0.9144, 'yard': 0.9144, 'yards': 0.9144,
-                'mi': 1609.344, 'mile': 1609.344, 'miles': 1609.344
-            },
-            // Weight/Mass
-            'weight': {
-                'mg': 0.001, 'milligram': 0.001, 'milligrams': 0.001,
-                'g': 1, 'gram': 1, 'grams': 1,
-                'kg': 1000, 'kilogram': 1000, 'kilograms': 1000,
-                'oz': 28.3495, 'ounce': 28.3495, 'ounces': 28.3495,
-                'lb': 453.592, 'pound': 453.592, 'pounds': 453.592,
-                'ton': 1000000, 'metric ton': 1000000, 'tonne': 1000000
-            },
-            // Temperature
-            'temperature': {
-                'c': 'celsius', 'celsius': 'celsius', '°c': 'celsius',
-                'f': 'fahrenheit', 'fahrenheit': 'fahrenheit', '°f': 'fahrenheit',
-                'k': 'kelvin', 'kelvin': 'kelvin'
-            },
-            // Area
-            'area': {
-                'mm²': 0.000001, 'cm²': 0.0001, 'm²': 1, 'km²': 1000000,
-                'in²': 0.00064516, 'ft²': 0.092903, 'yd²': 0.836127,
-                'acre': 4046.86, 'hectare': 10000
-            },
-            // Volume
-            'volume': {
-                'ml': 0.001, 'milliliter': 0.001, 'milliliters': 0.001,
-                'l': 1, 'liter': 1, 'liters': 1,
-                'gal': 3.78541, 'gallon': 3.78541, 'gallons': 3.78541,
-                'qt': 0.946353, 'quart': 0.946353, 'quarts': 0.946353,
-                'pt': 0.473176, 'pint': 0.473176, 'pints': 0.473176,
-                'cup': 0.236588, 'cups': 0.236588,
-                'fl oz': 0.0295735, 'fluid ounce': 0.0295735, 'fluid ounces': 0.0295735
-            },
-            // Time
-            'time': {
-                'ms': 0.001, 'millisecond': 0.001, 'milliseconds': 0.001,
-                's': 1, 'second': 1, 'seconds': 1,
-                'min': 60, 'minute': 60, 'minutes': 60,
-                'h': 3600, 'hour': 3600, 'hours': 3600,
-                'day': 86400, 'days': 86400,
-                'week': 604800, 'weeks': 604800,
-                'month': 2629746, 'months': 2629746,
-                'year': 31556952, 'years': 31556952
-            }
-        };
-
-        // Unit conversion keywords
-        this.unitKeywords = {
-            'convert': 'convert', 'conversion': 'convert', 'to': 'to',
-            'from': 'from', 'in': 'in', 'as': 'as'
+            'mean': 'mean', 'average': 'mean', 'avg': 'mean', 'arithmetic mean': 'mean',
+            'median': 'median', 'mode': 'mode', 'modes': 'mode',
+            'standard deviation': 'std', 'std dev': 'std', 'stdev': 'std', 'std': 'std',
+            'variance': 'variance', 'var': 'variance',
+            'sum': 'sum', 'total': 'sum', 'count': 'count', 'number of values': 'count',
+            'sum of squares': 'sumOfSquares', 'sum of squared deviations': 'squaredDeviations',
+            'range': 'range',
+            'minimum': 'min', 'min': 'min', 'smallest': 'min', 'lowest': 'min',
+            'maximum': 'max', 'max': 'max', 'largest': 'max', 'highest': 'max',
+            'percentile': 'percentile', 'quartiles': 'quartiles',
+            'first quartile': 'q1', 'lower quartile': 'q1', 'q1': 'q1',
+            'third quartile': 'q3', 'upper quartile': 'q3', 'q3': 'q3',
+            'interquartile range': 'iqr', 'iqr': 'iqr',
+            'skewness': 'skewness', 'skew': 'skewness', 'kurtosis': 'kurtosis',
+            'z-score': 'zscore', 'z-scores': 'zscore', 'z score': 'zscore', 'z scores': 'zscore',
+            'standard score': 'zscore', 'standard scores': 'zscore',
+            'summarize': 'summary', 'summarise': 'summary', 'summary': 'summary', 'describe': 'summary',
+            'descriptive statistics': 'summary', 'summary statistics': 'summary', 'statistics': 'summary', 'stats': 'summary'
         };
 
         // Graphing keywords
@@ -108,130 +130,198 @@ class CalculatorAgent {
             'plot': 'plot', 'graph': 'plot', 'chart': 'plot', 'draw': 'plot',
             'visualize': 'plot', 'show': 'plot', 'display': 'plot',
             'function': 'function', 'equation': 'function', 'formula': 'function',
-            'scatter': 'scatter', 'line': 'line', 'bar': 'bar', 'histogram': 'histogram'
+            'scatter': 'scatter', 'line': 'line', 'bar': 'bar', 'histogram': 'histogram',
+            'contour': 'surface', 'heatmap': 'surface', 'heat map': 'surface'
         };
 
         // Initialize plotting capabilities
         this.plotsDir = path.join(process.cwd(), 'plots');
 
-        // In-memory calculation history and memory
-        this.history = [];
-        this.historyLimit = 50;
-        this.lastAnswer = null;
+        // Operation plugins decide how non-arithmetic input is handled
+        this.plugins = new PluginRegistry();
+        builtinPlugins.forEach(plugin => this.use(plugin));
+        (options.plugins || []).forEach(plugin => this.use(plugin));
+        if (options.pluginsDir) {
+            this.loadPlugins(options.pluginsDir);
+        }
+
+        // Builds step-by-step explanations when explain mode is on
+        this.explainer = new Explainer(this);
+
+        // Settings every new session starts from
+        this.defaultSettings = {
+            explain: false,
+            angle: AngleMode.normalize(options.angleMode || 'deg'),
+            units: UnitSystem.normalizePreference(options.unitSystem || 'auto'),
+            programmer: Boolean(options.programmer),
+            width: Programmer.normalizeWidth(options.integerWidth || 64),
+            signed: Programmer.normalizeSigned(options.signed ?? true),
+            base: Programmer.normalizeBase(options.outputBase || 'dec'),
+            datasetFiles: options.datasetFiles ?? true
+        };
+
+        // History, last answer and variables are session state; the agent's own
+        // methods operate on a default session so single-user code keeps working
+        this.historyLimit = options.historyLimit ?? 50;
+        this.defaultSession = this.createSession({
+            id: 'default',
+            historyStore: options.historyStore || new MemoryHistoryStore({ maxEntries: this.historyLimit })
+        });
+    }
+
+    /**
+     * Register an operation plugin (see PluginRegistry for the interface)
+     * @returns {CalculatorAgent} - The agent, for chaining
+     */
+    use(plugin) {
+        this.plugins.register(plugin);
+        return this;
+    }
+
+    /**
+     * Register every plugin found in a directory
+     */
+    loadPlugins(dir) {
+        return this.plugins.loadDirectory(dir, this);
+    }
+
+    /**
+     * Create an independent session (own history, ans, variables and settings)
+     */
+    createSession(options = {}) {
+        return new CalculatorSession(this, options);
+    }
+
+    get historyStore() {
+        return this.defaultSession.historyStore;
+    }
+
+    get history() {
+        return this.defaultSession.historyStore.entries;
+    }
+
+    get lastAnswer() {
+        return this.defaultSession.lastAnswer;
+    }
+
+    set lastAnswer(value) {
+        this.defaultSession.lastAnswer = value;
     }
 
     /**
      * Main method to process calculation requests
      * @param {string} input - Natural language or mathematical expression
+     * @param {Object} [options]
+     * @param {CalculatorSession} [options.session] - Session whose state to use (defaults to the agent's own)
+     * @param {boolean} [options.explain] - Include step-by-step explanation (defaults to the session setting)
+     * @param {string} [options.angle] - Angle mode for this request only (defaults to the session setting)
+     * @param {string} [options.units] - Unit system for results of this request only (defaults to the session setting)
+     * @param {Object} [options.plot] - Plot style for plots this request makes ({ title, xLabel, yLabel, logX, logY, yMin, yMax, grid, legend, theme, colors })
      * @returns {Object} - Result object with answer and metadata
      */
-    async calculate(input) {
+    async calculate(input, options = {}) {
+        const session = options.session || this.defaultSession;
+        const explain = options.explain ?? session.getSetting('explain');
         try {
             console.log(chalk.blue(`🤖 ${this.name} processing: "${input}"`));
+            const angle = options.angle ? AngleMode.normalize(options.angle) : session.getSetting('angle');
+            const units = options.units ? UnitSystem.normalizePreference(options.units) : session.getSetting('units');
+            const plotStyle = options.plot ? this.plotStyle.normalize(options.plot) : {};
             
-            // Clean and normalize input
-            let cleanedInput = this.cleanInput(input);
+            // Clean and normalize input; dataset columns (sales.revenue) become their
+            // values, then number words become numerals ("forty-two" -> 42)
+            const expanded = this.expandDatasetReferences(this.cleanInput(input), session);
+            let cleanedInput = this.numberWords.replace(expanded.input);
 
             // Support 'ans' token to reference last answer
-            if (this.lastAnswer !== null) {
-                cleanedInput = cleanedInput.replace(/\bans\b/g, String(this.lastAnswer));
+            const substitutions = [...expanded.steps];
+            const lastAnswer = session.lastAnswer;
+            if (lastAnswer !== null && /\bans\b/.test(cleanedInput)) {
+                cleanedInput = cleanedInput.replace(/\bans\b/g, String(lastAnswer));
+                substitutions.push({
+                    type: 'substitute',
+                    name: 'ans',
+                    value: lastAnswer,
+                    description: `Replaced ans with the last answer ${lastAnswer}`
+                });
             }
             
+            // Variable assignments and function definitions update the session scope
+            const assignment = this.parseAssignment(cleanedInput);
+            if (assignment) {
+                const body = assignment.source.slice(assignment.source.indexOf('=') + 1).trim();
+                const steps = explain && !assignment.isFunction
+                    ? [...substitutions, ...this.explainer.explainExpression(body, session.variables, angle)]
+                    : [...substitutions];
+                const result = this.defineVariable(session, assignment, angle);
+                steps.push({ type: 'assign', name: assignment.name, description: `Stored ${assignment.source}` });
+
+                return this.recordSuccess(session, {
+                    input: input,
+                    expression: assignment.source,
+                    result: result,
+                    operationType: 'assignment',
+                    variable: assignment.name,
+                    ...(explain ? this.explanationFields(steps) : {})
+                });
+            }
+
             // Determine if it's a natural language request or mathematical expression
-            const isNaturalLanguage = this.isNaturalLanguage(cleanedInput);
-            
-            let expression;
-            let operationType;
+            const isNaturalLanguage = this.isNaturalLanguage(cleanedInput, session.variables);
+            const context = { agent: this, session, scope: session.variables, input, isNaturalLanguage, angle, units, plotStyle };
+
+            // Plugins get the first chance to claim the input; plain arithmetic is the fallback
+            const plugin = this.plugins.find(cleanedInput, context);
             
-            if (isNaturalLanguage) {
-                // Check if it's a graphing request first
-                if (this.containsGraphKeywords(cleanedInput)) {
-                    const parsed = this.parseGraphingRequest(cleanedInput);
-                    expression = parsed; // Keep the entire parsed object for graphing
-                    operationType = parsed.operationType;
-                } else if (this.containsUnitKeywords(cleanedInput)) {
-                    const parsed = this.parseUnitConversion(cleanedInput);
-                    expression = parsed.expression;
-                    operationType = parsed.operationType;
-                } else {
-                    const parsed = this.parseNaturalLanguage(cleanedInput);
-                    expression = parsed.expression;
-                    operationType = parsed.operationType;
-                }
+            let parsed;
+            if (plugin) {
+                parsed = plugin.parse
+                    ? await plugin.parse(cleanedInput, context)
+                    : { expression: cleanedInput, operationType: plugin.name };
+            } else if (isNaturalLanguage) {
+                parsed = this.parseNaturalLanguage(cleanedInput, session.variables);
             } else {
-                expression = cleanedInput;
-                operationType = this.detectOperationType(cleanedInput);
-            }
-            
-            // Validate expression (skip validation for graphing operations)
-            if (operationType !== 'graphing' && !this.isValidExpression(expression)) {
-                throw new Error('Invalid mathematical expression');
+                parsed = {
+                    expression: cleanedInput,
+                    operationType: this.detectOperationType(cleanedInput)
+                };
             }
             
-            // Perform calculation or generate plot
-            let result;
-            let additionalData = {};
-            
-            if (operationType === 'graphing' && typeof expression === 'object') {
-                if (expression.graphType === 'function') {
-                    result = await this.generateFunctionPlot(expression.expression, expression.from, expression.to);
-                    additionalData = {
-                        graphType: expression.graphType,
-                        from: expression.from,
-                        to: expression.to
-                    };
-                } else if (expression.graphType === 'scatter') {
-                    result = await this.generateScatterPlot(expression.x, expression.y);
-                    additionalData = {
-                        graphType: expression.graphType,
-                        points: expression.x.length
-                    };
-                } else if (expression.graphType === 'histogram') {
-                    result = await this.generateHistogram(expression.data);
-                    additionalData = {
-                        graphType: expression.graphType,
-                        dataPoints: expression.data.length
-                    };
-                }
+            // Perform calculation (or whatever the plugin does, e.g. generate a plot)
+            let evaluated;
+            if (plugin && plugin.evaluate) {
+                evaluated = await plugin.evaluate(parsed, context);
             } else {
-                result = this.evaluateExpression(expression);
+                // No plugin knew the units or currencies of "convert abc to def"
+                if (/^(?:convert|change)\b/.test(cleanedInput)) {
+                    throw new Error(`Could not identify what to convert in "${input}"`);
+                }
+                if (!this.isValidExpression(parsed.expression)) {
+                    throw new Error('Invalid mathematical expression');
+                }
+                evaluated = { result: this.evaluateExpression(parsed.expression, session.variables, angle) };
+            }
+            const { result, ...additionalData } = evaluated;
+            if (result === undefined || result === null) {
+                throw new Error(`Could not find a calculation in "${input}"`);
+            }
+            const expression = parsed.expression;
+            const operationType = parsed.operationType || (plugin && plugin.name);
+
+            if (explain) {
+                const steps = this.explainer.explain({ plugin, parsed, result, context, substitutions });
+                Object.assign(additionalData, this.explanationFields(steps));
             }
             
-            const successPayload = {
-                success: true,
+            return this.recordSuccess(session, {
                 input: input,
-                expression: expression.expression || expression,
+                expression: expression,
                 result: result,
                 operationType: operationType,
-                timestamp: new Date().toISOString(),
-                agent: this.name,
+                ...(plugin ? { plugin: plugin.name } : {}),
+                ...this.pickPayloadFields(parsed),
                 ...additionalData
-            };
-
-            // Update memory/history only on successful non-graphing calculations or when graph generated successfully
-            if (successPayload.success) {
-                let numericResult = null;
-                if (typeof successPayload.result === 'number') {
-                    numericResult = successPayload.result;
-                } else if (successPayload.operationType === 'unit conversion' && typeof successPayload.result === 'number') {
-                    numericResult = successPayload.result;
-                }
-
-                if (numericResult !== null) {
-                    this.lastAnswer = numericResult;
-                }
-
-                // Store compact entry
-                this.addHistoryEntry({
-                    input: successPayload.input,
-                    expression: successPayload.expression,
-                    operationType: successPayload.operationType,
-                    result: successPayload.result,
-                    timestamp: successPayload.timestamp
-                });
-            }
-
-            return successPayload;
+            });
             
         } catch (error) {
             return {
@@ -244,6 +334,54 @@ class CalculatorAgent {
         }
     }
 
+    /**
+     * Explanation payload: structured steps plus their rendered text
+     */
+    explanationFields(steps) {
+        return {
+            steps: steps,
+            explanation: this.explainer.render(steps)
+        };
+    }
+
+    /**
+     * Fields a parser reports that belong in the payload (e.g. fromUnit/toUnit)
+     */
+    pickPayloadFields(parsed) {
+        const { expression, operationType, result, ...rest } = parsed;
+        return Object.fromEntries(
+            Object.entries(rest).filter(([, value]) => value === null || typeof value !== 'object')
+        );
+    }
+
+    /**
+     * Build the success payload and update the session's memory/history
+     */
+    recordSuccess(session, data) {
+        const successPayload = {
+            success: true,
+            ...data,
+            timestamp: new Date().toISOString(),
+            agent: this.name
+        };
+
+        // Dates and durations carry forward in their text form ("2025-03-15", "4h 5m")
+        if (typeof successPayload.result === 'number' || successPayload.resultType) {
+            session.lastAnswer = successPayload.result;
+        }
+
+        // Store compact entry
+        session.addHistoryEntry({
+            input: successPayload.input,
+            expression: successPayload.expression,
+            operationType: successPayload.operationType,
+            result: this.toHistoryResult(successPayload.result),
+            timestamp: successPayload.timestamp
+        });
+
+        return successPayload;
+    }
+
     /**
      * Clean and normalize input string
      */
@@ -251,14 +389,77 @@ class CalculatorAgent {
         return input
             .toLowerCase()
             .trim()
-            .replace(/[^\w\s+\-*/().,^√π]/g, '') // Remove special characters except math symbols
+            .replace(/°(?![cfk]\b)/g, ' deg') // 30° is an angle, 30°c a temperature
+            .replace(/²/g, '^2')
+            .replace(/³/g, '^3')
+            .replace(/[·⋅]/g, '*')
+            .replace(/θ/g, 'theta')
+            .replace(/≤/g, '<=')
+            .replace(/≥/g, '>=')
+            .replace(/[^\w\s+\-*/()[\].,:^√π=%°$€£¥₹₽₩₪฿₺ł&|~<>!]/g, '') // Remove special characters except math, lists, bitwise, times, factorial, ° and currency symbols
+            .replace(/(?<![\d)])!(?!=)/g, '') // "5!" is a factorial, "hello!" only punctuation
             .replace(/\s+/g, ' '); // Normalize whitespace
     }
 
+    /**
+     * Replace references to dataset columns (sales.revenue) with their values,
+     * so statistics, plots and expressions handle them like typed lists.
+     * "sales.price vs sales.units" (or "and", "against") becomes x and y lists
+     * for paired data, and a "where" clause filters the rows first
+     * ("mean of sales.revenue where region = west").
+     * @returns {Object} - { input, steps } with a substitute step per reference
+     */
+    expandDatasetReferences(input, session) {
+        const names = Object.keys(session.getDatasetSources());
+        // "load sales.csv as sales" names a file, not a column
+        if (names.length === 0 || /^(?:load|import|open)\s/.test(input)) return { input, steps: [] };
+        const reference = `\\b(${names.join('|')})\\.([a-z_][a-z0-9_]*)\\b`;
+        if (!new RegExp(reference).test(input)) return { input, steps: [] };
+
+        let text = input;
+        let conditions = null;
+        const where = text.match(new RegExp(`\\s+where\\s+(${Datasets.CONDITION})`));
+        if (where) {
+            conditions = this.datasets.parseCondition(where[1]);
+            text = text.slice(0, where.index) + text.slice(where.index + where[0].length);
+        }
+        const filtered = where ? ` (rows where ${where[1]})` : '';
+        const table = (name) => (conditions ? this.datasets.filter(session.dataset(name), conditions, name) : session.dataset(name));
+        const list = (values) => `[${values.join(', ')}]`;
+        const steps = [];
+
+        text = text.replace(new RegExp(`${reference}\\s+(?:vs\\.?|versus|against|and)\\s+${reference}`, 'g'), (match, name, x, other, y) => {
+            if (name !== other) {
+                throw new Error(`Paired columns must come from one dataset (${name}.${x} and ${other}.${y})`);
+            }
+            const pairs = this.datasets.pairs(table(name), x, y, name);
+            if (pairs.x.length === 0) throw new Error(`No rows with both ${name}.${x} and ${name}.${y}${filtered}`);
+            steps.push({
+                type: 'substitute',
+                name: `${name}.${x}, ${name}.${y}`,
+                value: pairs.x.length,
+                description: `Paired ${name}.${x} (x) with ${name}.${y} (y): ${pairs.x.length} rows${filtered}`
+            });
+            return `x = ${list(pairs.x)} and y = ${list(pairs.y)}`;
+        });
+        text = text.replace(new RegExp(reference, 'g'), (match, name, column) => {
+            const values = this.datasets.column(table(name), column, name);
+            if (values.length === 0) throw new Error(`No values in ${match}${filtered}`);
+            steps.push({
+                type: 'substitute',
+                name: match,
+                value: values.length,
+                description: `Replaced ${match} with its ${values.length} values${filtered}`
+            });
+            return list(values);
+        });
+        return { input: text, steps };
+    }
+
     /**
      * Check if input is natural language vs mathematical expression
      */
-    isNaturalLanguage(input) {
+    isNaturalLanguage(input, scope = {}) {
         const mathSymbols = /[+\-*/^√()]/;
         const hasMathSymbols = mathSymbols.test(input);
         const hasWords = /[a-zA-Z]/.test(input);
@@ -267,40 +468,92 @@ class CalculatorAgent {
         if (this.containsGraphKeywords(input)) {
             return true;
         }
+
+        // Input made only of user-defined names (e.g. "rate") is an expression
+        const words = input.match(/[a-z_][a-z0-9_]*/g) || [];
+        if (words.length > 0 && words.every(word => Object.prototype.hasOwnProperty.call(scope, word))) {
+            return false;
+        }
         
         return hasWords && !hasMathSymbols;
     }
 
+    /**
+     * Parse "name = expr" and "f(x, y) = expr" into an assignment descriptor
+     */
+    parseAssignment(input) {
+        const match = input.match(/^([a-z_][a-z0-9_]*)\s*(?:\(\s*([a-z_][a-z0-9_]*(?:\s*,\s*[a-z_][a-z0-9_]*)*)?\s*\))?\s*=(?!=)\s*(.+)$/);
+        if (!match) return null;
+
+        const [, name, params, body] = match;
+        if (this.isReservedName(name)) {
+            throw new Error(`Cannot assign to reserved name "${name}"`);
+        }
+
+        const isFunction = match[0].slice(name.length).trimStart().startsWith('(');
+        const paramList = params ? params.split(',').map(p => p.trim()) : [];
+        return {
+            name,
+            isFunction,
+            source: isFunction ? `${name}(${paramList.join(', ')}) = ${body.trim()}` : `${name} = ${body.trim()}`
+        };
+    }
+
+    /**
+     * Names that cannot be redefined (built-in functions and constants)
+     */
+    isReservedName(name) {
+        return name === 'ans' || math[name] !== undefined
+            || [Finance, Regression, Probability].some(engine => engine.FUNCTIONS.includes(name));
+    }
+
+    /**
+     * Evaluate an assignment in the session scope and remember its definition
+     */
+    defineVariable(session, assignment, angle = session.getSetting('angle')) {
+        const value = this.evaluateExpression(assignment.source, session.variables, angle);
+        if (assignment.isFunction) {
+            session.setDefinition(assignment.name, assignment.source);
+            return assignment.source;
+        }
+        session.setDefinition(assignment.name, `${assignment.name} = ${math.format(value, { precision: 14 })}`);
+        return value;
+    }
+
     /**
      * Parse natural language input into mathematical expression
      */
-    parseNaturalLanguage(input) {
-        const tokens = this.tokenizer.tokenize(input);
+    parseNaturalLanguage(input, scope = {}) {
+        const tokens = this.tokenizeWords(input);
         let expression = '';
         let operationType = 'arithmetic';
         
-        // Handle different types of natural language requests
-        if (this.containsStatsKeywords(input)) {
-            return this.parseStatisticsRequest(input);
-        }
-        
-        if (this.containsTrigKeywords(input)) {
-            return this.parseTrigonometryRequest(input);
-        }
+        // What each token turned into, for explanations (null = ignored)
+        const mapping = [];
         
+        // Statistics, trigonometry etc. are handled by plugins before we get here
         // Basic arithmetic parsing
         for (let i = 0; i < tokens.length; i++) {
             const token = tokens[i];
+            let mapped = null;
             
             if (this.isNumber(token)) {
-                expression += token;
+                mapped = token;
             } else if (this.mathKeywords[token]) {
-                expression += this.mathKeywords[token];
+                mapped = this.mathKeywords[token];
+            } else if (Object.prototype.hasOwnProperty.call(scope, token)) {
+                // User-defined variable
+                mapped = token;
             } else if (token === 'and' || token === 'with') {
                 // Skip connecting words
+                mapping.push({ token, mapped });
                 continue;
             } else if (this.isNumberWord(token)) {
-                expression += this.wordToNumber(token);
+                mapped = String(this.wordToNumber(token));
+            }
+            mapping.push({ token, mapped });
+            if (mapped !== null) {
+                expression += mapped;
             }
             
             // Add spaces for readability
@@ -309,253 +562,235 @@ class CalculatorAgent {
             }
         }
         
-        return { expression, operationType };
+        return { expression, operationType, tokens, mapping };
     }
 
     /**
-     * Parse statistics-related requests
+     * Parse statistics requests: statistic names followed by the values
+     * ("standard deviation of 2, 4, 4, 5", "mean and median of [1, 2, 3]",
+     * "90th percentile of ...", "z-score of 7 in 3, 5, 7, 9", "summarize ...")
+     * @returns {Object|null} - The parsed request, or null when the input is not one
      */
     parseStatisticsRequest(input) {
-        const numbers = this.extractNumbers(input);
-        const statsType = this.detectStatsType(input);
-        
-        let result;
-        switch (statsType) {
-            case 'mean':
-                result = math.mean(numbers);
-                break;
-            case 'median':
-                result = math.median(numbers);
-                break;
-            case 'std':
-                result = math.std(numbers);
-                break;
-            case 'sum':
-                result = math.sum(numbers);
-                break;
-            default:
-                result = math.mean(numbers);
+        const text = input.trim().replace(/[?!.]+$/, '')
+            .replace(/^(?:(?:what|how\s+much)\s+(?:is|are)|whats|find|calculate|compute|get|give\s+me|show(?:\s+me)?|tell\s+me)\s+/, '');
+
+        // The values are the trailing list: "of 3, 5, 7", "of [3, 5, 7]", "3, 5 and 7"
+        const list = text.match(/\[?\s*(-?\d+(?:\.\d+)?(?:\s*(?:,|\band\b|\s)\s*-?\d+(?:\.\d+)?)*)\s*\]?$/);
+        if (!list) return null;
+        const numbers = list[1].match(/-?\d+(?:\.\d+)?/g).map(Number);
+        let head = ` ${text.slice(0, list.index)} `;
+
+        // Parameters: "90th percentile", "percentile 90", "z-score of 7 in"
+        const request = { population: /\bpopulation\b/.test(head) };
+        head = head.replace(/\s(\d+(?:\.\d+)?)(?:st|nd|rd|th)?\s+(?=percentile\b)|(?<=\bpercentile)\s+(\d+(?:\.\d+)?)(?=\s)/, (match, before, after) => {
+            request.percentile = parseFloat(before || after);
+            return ' ';
+        });
+        head = head.replace(/(?<=\bz[- ]?scores?|\bstandard\s+scores?)\s+of\s+(-?\d+(?:\.\d+)?)\s+(?:in|among|within|relative\s+to|from)(?=\s)/, (match, value) => {
+            request.score = parseFloat(value);
+            return ' ';
+        });
+
+        // Everything else must be statistic names and filler words
+        const statistics = this.detectStatsTypes(head);
+        const rest = head
+            .replace(this.statsPattern(), ' ')
+            .replace(/\b(?:the|of|for|in|and|a|an|list|set|data|dataset|values|numbers|these|following|sample|population)\b|[,:&]/g, ' ');
+        if (statistics.length === 0 || rest.trim() !== '') return null;
+
+        if (statistics.includes('percentile') && request.percentile === undefined) {
+            throw new Error('Which percentile? (e.g. 90th percentile of 1, 2, 3)');
         }
-        
+        const args = [numbers.join(', '), ...(request.percentile !== undefined ? [request.percentile] : [])];
         return {
-            expression: `${statsType}(${numbers.join(', ')})`,
+            expression: `${statistics.join(', ')}(${args.join('; ')})`,
             operationType: 'statistics',
-            result: result
+            statistic: statistics.join(', '),
+            statistics,
+            numbers,
+            ...request
         };
     }
 
     /**
-     * Parse trigonometry requests
+     * Parse trigonometry requests ("sine of 30", "cosine of pi/3 radians",
+     * "arcsine of 0.5 in radians", "hyperbolic tangent of 1").
+     * A unit after the angle overrides the angle mode for that value; for
+     * inverse functions it picks the unit of the result instead.
      */
     parseTrigonometryRequest(input) {
-        const angle = this.extractNumbers(input)[0];
         const trigFunction = this.detectTrigFunction(input);
-        
-        let result;
-        switch (trigFunction) {
-            case 'sin':
-                result = math.sin(math.unit(angle, 'deg'));
-                break;
-            case 'cos':
-                result = math.cos(math.unit(angle, 'deg'));
-                break;
-            case 'tan':
-                result = math.tan(math.unit(angle, 'deg'));
-                break;
+        if (!trigFunction) {
+            throw new Error('Could not find a trigonometric function');
         }
-        
+
+        let text = input.slice(trigFunction.end).replace(/^\s*of\b/, '').trim();
+        const unitMatch = text.match(/\s*(?:\bin\s+)?\b(degrees?|deg|radians?|rad|gradians?|grads?|gon)$/);
+        const unit = unitMatch ? AngleMode.normalize(unitMatch[1]) : null;
+        if (unitMatch) {
+            text = text.slice(0, unitMatch.index).trim();
+        }
+
+        let angle = text;
+        if (!angle || !this.isValidExpression(angle)) {
+            const numbers = this.extractNumbers(text);
+            if (numbers.length === 0) {
+                throw new Error(`No value found for ${trigFunction.name}`);
+            }
+            angle = String(numbers[0]);
+        }
+
+        if (trigFunction.inverse) {
+            return {
+                expression: `${trigFunction.name}(${angle})`,
+                operationType: 'trigonometry',
+                trigFunction: trigFunction.name,
+                ...(unit ? { angle: unit } : {})
+            };
+        }
+
+        const value = /^-?[\w.]+$/.test(angle) ? angle : `(${angle})`;
         return {
-            expression: `${trigFunction}(${angle})`,
+            expression: unit ? `${trigFunction.name}(${value} ${unit})` : `${trigFunction.name}(${angle})`,
             operationType: 'trigonometry',
-            result: result
+            trigFunction: trigFunction.name
         };
     }
 
     /**
-     * Parse unit conversion requests
+     * Parse unit conversion requests ("convert 100 km/h to mph", "how many
+     * feet in a mile"); the conversion itself is done by the unit system
+     * @param {string} input - Cleaned input
+     * @param {string} [original] - Raw input, whose capitalization tells MB from mb
      */
-    parseUnitConversion(input) {
-        const numbers = this.extractNumbers(input);
-        if (numbers.length === 0) {
-            throw new Error('No number found for unit conversion');
-        }
-        
-        const value = numbers[0];
-        const { fromUnit, toUnit, category } = this.extractUnits(input);
-        
-        if (!fromUnit || !toUnit) {
+    parseUnitConversion(input, original = input) {
+        const request = this.extractUnits(input);
+        if (!request) {
             throw new Error('Could not identify source and target units');
         }
-        
-        const result = this.convertUnit(value, fromUnit, toUnit, category);
-        
+
+        const source = this.matchCase(request.from, original);
+        const target = this.matchCase(request.to, original, source.end);
+        const fromUnit = source.text;
+        const toUnit = target.text;
+        const conversion = this.units.convert(request.value, fromUnit, toUnit);
+
         return {
-            expression: `${value} ${fromUnit} to ${toUnit}`,
+            expression: `${request.value} ${conversion.from.symbol} to ${conversion.to.symbol}`,
             operationType: 'unit conversion',
-            result: result,
-            fromUnit: fromUnit,
-            toUnit: toUnit,
-            category: category
+            result: conversion.value,
+            value: request.value,
+            fromUnit: conversion.from.symbol,
+            toUnit: conversion.to.symbol,
+            category: conversion.category
         };
     }
 
     /**
-     * Extract units from input text
+     * Find the value and the source/target unit text of a conversion request
+     * @returns {Object|null} - { value, from, to }, or null when both units are not recognized
      */
     extractUnits(input) {
-        const tokens = this.tokenizer.tokenize(input.toLowerCase());
-        let fromUnit = null;
-        let toUnit = null;
-        let category = null;
-        
-        // Find "to" keyword to separate source and target units
-        const toIndex = tokens.findIndex(token => token === 'to' || token === 'in' || token === 'as');
-        
-        if (toIndex === -1) {
-            // Try to find units without explicit "to" keyword
-            for (const [cat, units] of Object.entries(this.unitConversions)) {
-                for (const [unit, _] of Object.entries(units)) {
-                    if (input.toLowerCase().includes(unit)) {
-                        if (!fromUnit) {
-                            fromUnit = unit;
-                            category = cat;
-                        } else if (!toUnit) {
-                            toUnit = unit;
-                            break;
-                        }
-                    }
-                }
-                if (toUnit) break;
-            }
-        } else {
-            // Parse units before and after "to"
-            const beforeTo = tokens.slice(0, toIndex).join(' ');
-            const afterTo = tokens.slice(toIndex + 1).join(' ');
-            
-            // Find source unit
-            for (const [cat, units] of Object.entries(this.unitConversions)) {
-                for (const [unit, _] of Object.entries(units)) {
-                    if (beforeTo.includes(unit)) {
-                        fromUnit = unit;
-                        category = cat;
-                        break;
-                    }
-                }
-                if (fromUnit) break;
+        const value = '(-?\\d+(?:\\.\\d+)?(?:e[+-]?\\d+)?)';
+        const text = input.trim().replace(/[?.]+$/, '');
+        const forms = [
+            // "convert 100 cm to m", "what is 5 miles in km", "100km/h to mph"
+            {
+                pattern: new RegExp(`^(?:(?:please\\s+)?(?:convert|change|express|turn)\\s+|(?:what|how much|how many)\\s+(?:is|are)\\s+)?${value}\\s*(.+?)\\s+(?:to|in|into|as)\\s+(?:an?\\s+)?(.+)$`),
+                build: ([number, from, to]) => ({ value: number, from, to })
+            },
+            // "how many feet in a mile", "how many seconds are in 2 days"
+            {
+                pattern: new RegExp(`^how\\s+many\\s+(.+?)\\s+(?:are\\s+)?(?:in|per)\\s+(?:an?\\s+|one\\s+)?(?:${value}\\s*)?(.+)$`),
+                build: ([to, number, from]) => ({ value: number ?? '1', from, to })
             }
-            
-            // Find target unit
-            for (const [unit, _] of Object.entries(this.unitConversions[category] || {})) {
-                if (afterTo.includes(unit)) {
-                    toUnit = unit;
-                    break;
-                }
+        ];
+
+        for (const form of forms) {
+            const match = text.match(form.pattern);
+            if (!match) continue;
+            const request = form.build(match.slice(1));
+            const units = [request.from, request.to].map(unit => unit.trim());
+            if (units.every(unit => this.isUnit(unit))) {
+                return { value: parseFloat(request.value), from: units[0], to: units[1] };
             }
         }
-        
-        return { fromUnit, toUnit, category };
+        return null;
     }
 
     /**
-     * Convert between units
+     * Check if text is a unit the unit system understands
      */
-    convertUnit(value, fromUnit, toUnit, category) {
-        if (category === 'temperature') {
-            return this.convertTemperature(value, fromUnit, toUnit);
-        }
-        
-        const units = this.unitConversions[category];
-        if (!units || !units[fromUnit] || !units[toUnit]) {
-            throw new Error(`Unsupported unit conversion: ${fromUnit} to ${toUnit}`);
+    isUnit(text) {
+        try {
+            this.units.parse(text);
+            return true;
+        } catch (error) {
+            return false;
         }
-        
-        // Convert to base unit first, then to target unit
-        const baseValue = value * units[fromUnit];
-        const result = baseValue / units[toUnit];
-        
-        return result;
     }
 
     /**
-     * Convert temperature between Celsius, Fahrenheit, and Kelvin
+     * The same text with the capitalization it had in the raw input (searching from `start`)
+     * @returns {Object} - { text, end }
      */
-    convertTemperature(value, fromUnit, toUnit) {
-        const from = fromUnit.toLowerCase();
-        const to = toUnit.toLowerCase();
-        
-        // Convert to Celsius first
-        let celsius;
-        if (from === 'celsius' || from === 'c' || from === '°c') {
-            celsius = value;
-        } else if (from === 'fahrenheit' || from === 'f' || from === '°f') {
-            celsius = (value - 32) * 5/9;
-        } else if (from === 'kelvin' || from === 'k') {
-            celsius = value - 273.15;
-        } else {
-            throw new Error(`Unsupported temperature unit: ${fromUnit}`);
-        }
-        
-        // Convert from Celsius to target unit
-        if (to === 'celsius' || to === 'c' || to === '°c') {
-            return celsius;
-        } else if (to === 'fahrenheit' || to === 'f' || to === '°f') {
-            return (celsius * 9/5) + 32;
-        } else if (to === 'kelvin' || to === 'k') {
-            return celsius + 273.15;
-        } else {
-            throw new Error(`Unsupported temperature unit: ${toUnit}`);
-        }
+    matchCase(text, original, start = 0) {
+        const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = new RegExp(`(?<![a-z])${escaped}(?![a-z])`, 'i').exec(original.slice(start));
+        if (!match) return { text, end: start };
+        return { text: match[0], end: start + match.index + match[0].length };
     }
 
     /**
-     * Check if input contains unit conversion keywords
+     * Check if input is a unit conversion request
      */
     containsUnitKeywords(input) {
-        return Object.keys(this.unitKeywords).some(keyword => 
-            input.includes(keyword)
-        ) || this.containsUnitNames(input);
+        return this.extractUnits(input) !== null;
     }
 
     /**
-     * Check if input contains unit names
+     * Parse graphing requests; styling clauses ("titled ...", "log y axis",
+     * "dark theme") are read first and come back as `style`
+     * @param {string} [original] - The request as typed, for quoted titles and labels
      */
-    containsUnitNames(input) {
-        for (const [category, units] of Object.entries(this.unitConversions)) {
-            for (const unit of Object.keys(units)) {
-                if (input.toLowerCase().includes(unit)) {
-                    return true;
-                }
-            }
-        }
-        return false;
-    }
-
-    /**
-     * Parse graphing requests
-     */
-    parseGraphingRequest(input) {
-        const numbers = this.extractNumbers(input);
-        const graphType = this.detectGraphType(input);
+    parseGraphingRequest(input, original = input) {
+        const { text, style } = this.plotStyle.parse(input, original, value => this.numberWords.replace(this.cleanInput(value)));
+        const graphType = this.detectGraphType(text);
         
+        let parsed;
         if (graphType === 'function') {
-            return this.parseFunctionPlot(input);
+            parsed = this.parseFunctionPlot(text);
         } else if (graphType === 'scatter') {
-            return this.parseScatterPlot(input);
+            parsed = this.parseScatterPlot(text);
         } else if (graphType === 'histogram') {
-            return this.parseHistogram(input);
+            parsed = this.parseHistogram(text);
+        } else if (graphType === 'parametric' || graphType === 'polar' || graphType === 'implicit') {
+            parsed = this.parseCurvePlot(text, graphType);
+        } else if (graphType === 'surface') {
+            parsed = this.parseSurfacePlot(text);
         } else {
             throw new Error('Unsupported graph type');
         }
+        return { ...parsed, style };
     }
 
     /**
      * Detect graph type from input
      */
     detectGraphType(input) {
-        if (input.includes('scatter') || input.includes('points')) {
+        if (input.includes('scatter') || input.includes('points') || this.parseFitClause(input)) {
             return 'scatter';
         } else if (input.includes('histogram') || input.includes('distribution')) {
             return 'histogram';
+        } else if (this.matchSurfacePlot(input)) {
+            return 'surface';
+        } else if (PARAMETRIC_PLOT.test(input)) {
+            return 'parametric';
+        } else if (POLAR_PLOT.test(input)) {
+            return 'polar';
+        } else if (this.isImplicitCurve(input)) {
+            return 'implicit';
         } else if (input.includes('function') || input.includes('equation') || input.includes('formula')) {
             return 'function';
         } else {
@@ -564,54 +799,248 @@ class CalculatorAgent {
     }
 
     /**
-     * Parse function plotting requests
+     * Parse function plotting requests: one or more functions ("plot sin(x),
+     * cos(x) and x/2"), each optionally in a color ("sin(x) in red")
      */
     parseFunctionPlot(input) {
         // Extract function expression - more flexible regex
-        const functionMatch = input.match(/(?:plot|graph|draw|show|display)\s+(.+?)(?:\s+from\s+(-?\d+(?:\.\d+)?))?(?:\s+to\s+(-?\d+(?:\.\d+)?))?$/i);
+        const functionMatch = input.match(new RegExp(`(?:plot|graph|draw|show|display)\\s+(.+?)(?:\\s+from\\s+(${PlotStyle.BOUND}))?(?:\\s+to\\s+(${PlotStyle.BOUND}))?$`, 'i'));
         
         if (!functionMatch) {
             throw new Error('Could not extract function expression');
         }
         
-        const expression = functionMatch[1].trim();
-        const from = functionMatch[2] ? parseFloat(functionMatch[2]) : -10;
-        const to = functionMatch[3] ? parseFloat(functionMatch[3]) : 10;
+        // "plot x^2 with its derivative" adds f'(x) to the same chart
+        const derivativePattern = /\s+(?:with|and|along with)\s+(?:its|their|the)\s+derivatives?$/;
+        const withDerivative = derivativePattern.test(functionMatch[1].trim());
+        const functions = this.splitPlotFunctions(functionMatch[1].trim().replace(derivativePattern, ''));
+        const from = functionMatch[2] ? PlotStyle.bound(functionMatch[2]) : -10;
+        const to = functionMatch[3] ? PlotStyle.bound(functionMatch[3]) : 10;
+        if (from >= to) {
+            throw new Error('The plot range must go from a lower to a higher x value');
+        }
         
         return {
-            expression: expression,
+            expression: functions.map(fn => fn.expression).join(', '),
             operationType: 'graphing',
             graphType: 'function',
+            functions: functions,
             from: from,
             to: to,
+            withDerivative: withDerivative,
             result: null // Will be generated during plotting
         };
     }
 
+    /**
+     * Functions of a plot request, split on top-level commas and "and"
+     * @returns {Object[]} - [{ expression, color }] (color is null unless given)
+     */
+    splitPlotFunctions(text) {
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+            if (depth > 0) continue;
+            const separator = char === ',' ? char : (text.slice(i).match(/^\s+and\s+/) || [])[0];
+            if (separator) {
+                parts.push(text.slice(start, i));
+                start = i + separator.length;
+                i = start - 1;
+            }
+        }
+        parts.push(text.slice(start));
+
+        const colored = new RegExp(`^(.+?)\\s+in\\s+(${PlotStyle.COLOR})$`);
+        return parts.map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(colored);
+            return match
+                ? { expression: match[1].trim(), color: this.plotStyle.color(match[2]) }
+                : { expression: part, color: null };
+        });
+    }
+
+    /**
+     * An equation in x and y to plot as a curve ("x^2 + y^2 = 25"), rather
+     * than a function written as "y = ..." or "f(x) = ..."
+     */
+    isImplicitCurve(input) {
+        const match = input.match(IMPLICIT_PLOT);
+        if (!match) return false;
+        const [, left, right] = match;
+        return !(/^(?:y|[a-z]\(x\))$/.test(left.trim()) && !/\by\b/.test(right));
+    }
+
+    /**
+     * Parse parametric ("x = cos(t), y = sin(2t) for t from 0 to 2pi"), polar
+     * ("r = 1 + cos(theta)") and implicit ("x^2 + y^2 = 25 from -6 to 6")
+     * curve requests. Parametric and polar curves default to one turn
+     * (0 to 2π); implicit curves to x and y from -10 to 10
+     */
+    parseCurvePlot(input, graphType) {
+        const pattern = { parametric: PARAMETRIC_PLOT, polar: POLAR_PLOT, implicit: IMPLICIT_PLOT }[graphType];
+        const match = input.match(pattern);
+        if (!match) {
+            throw new Error(`Could not read the ${graphType} curve`);
+        }
+        const [low, high] = match.slice(-2);
+        const from = low !== undefined ? PlotStyle.bound(low) : (graphType === 'implicit' ? -10 : 0);
+        const to = high !== undefined ? PlotStyle.bound(high) : (graphType === 'implicit' ? 10 : 2 * Math.PI);
+        if (from >= to) {
+            throw new Error('The plot range must go from a lower to a higher value');
+        }
+
+        const curve = {
+            parametric: () => ({ xExpression: match[1].trim(), yExpression: match[2].trim(), expression: `x = ${match[1].trim()}, y = ${match[2].trim()}` }),
+            polar: () => ({ rExpression: match[1].trim(), expression: `r = ${match[1].trim()}` }),
+            implicit: () => ({ left: match[1].trim(), right: match[2].trim(), expression: `${match[1].trim()} = ${match[2].trim()}` })
+        }[graphType]();
+
+        return {
+            operationType: 'graphing',
+            graphType: graphType,
+            ...curve,
+            // t for parametric curves, theta for polar curves, x for implicit curves
+            variable: { parametric: 't', polar: 'theta', implicit: 'x' }[graphType],
+            from: from,
+            to: to,
+            result: null
+        };
+    }
+
+    /**
+     * A two-variable function request ("plot z = sin(x) * cos(y)", "heatmap
+     * of x*y", "plot f(x, y) = x^2 - y^2 as a surface"), or null. Without
+     * "z =" or "f(x, y) =" the kind of plot has to be named
+     * @returns {Object|null} - { view, expression, low, high }
+     */
+    matchSurfacePlot(input) {
+        let named = null;
+        const text = input.replace(SURFACE_AS, (_, kind) => {
+            named = kind;
+            return '';
+        });
+        const match = text.match(SURFACE_PLOT);
+        if (!match) return null;
+        const [, prefix, assignment, expression, low, high] = match;
+        const kind = named || prefix;
+        if (!kind && !assignment) return null;
+        const view = !kind || kind.startsWith('contour') ? 'contour' : (/heat/.test(kind) ? 'heatmap' : 'surface');
+        return { view, expression: expression.trim(), low, high };
+    }
+
+    /**
+     * Parse two-variable function requests, drawn as a contour map (the
+     * default), a heatmap or a 3D surface. x defaults to -5 to 5; the y range
+     * is the style's ("y from -3 to 3") or the same as x
+     */
+    parseSurfacePlot(input) {
+        const match = this.matchSurfacePlot(input);
+        if (!match) {
+            throw new Error('Could not read the function of x and y');
+        }
+        const from = match.low !== undefined ? PlotStyle.bound(match.low) : -5;
+        const to = match.high !== undefined ? PlotStyle.bound(match.high) : 5;
+        if (from >= to) {
+            throw new Error('The plot range must go from a lower to a higher value');
+        }
+        return {
+            expression: `z = ${match.expression}`,
+            operationType: 'graphing',
+            graphType: 'surface',
+            view: match.view,
+            zExpression: match.expression,
+            variable: 'x',
+            from: from,
+            to: to,
+            result: null
+        };
+    }
+
     /**
      * Parse scatter plot requests
      */
     parseScatterPlot(input) {
-        const numbers = this.extractNumbers(input);
+        // "... with a quadratic fit" overlays a fitted curve
+        const fit = this.parseFitClause(input);
+        const data = fit ? input.slice(0, fit.index) + input.slice(fit.index + fit.length) : input;
+        const { x, y } = this.extractPairs(data);
         
-        if (numbers.length < 4) {
+        if (x.length < 2) {
             throw new Error('Scatter plot requires at least 2 data points (4 numbers)');
         }
         
-        // Split numbers into x and y coordinates
-        const x = numbers.filter((_, index) => index % 2 === 0);
-        const y = numbers.filter((_, index) => index % 2 === 1);
-        
         return {
-            expression: `scatter plot with ${x.length} points`,
+            expression: `scatter plot with ${x.length} points${fit ? ` and a ${fit.degree > 1 ? `degree ${fit.degree} ` : ''}${fit.type} fit` : ''}`,
             operationType: 'graphing',
             graphType: 'scatter',
             x: x,
             y: y,
+            fit: fit ? { type: fit.type, degree: fit.degree } : null,
             result: null
         };
     }
 
+    /**
+     * Paired data: "x = 1, 2, 3 and y = 2, 4, 6", two lists "1, 2, 3 and
+     * 2, 4, 6" (or "vs"), "(1, 2), (2, 4)" or, as a single list, alternating
+     * numbers "1 2 2 4 3 6"
+     * @returns {Object} - { x, y }
+     */
+    extractPairs(text) {
+        const list = '\\[?\\s*(-?\\d+(?:\\.\\d+)?(?:\\s*[,\\s]\\s*-?\\d+(?:\\.\\d+)?)*)\\s*\\]?';
+        const lists = text.match(new RegExp(`\\bx(?:\\s+values)?\\s*[=:]?\\s*${list}[\\s,;]*(?:and\\s+)?\\by(?:\\s+values)?\\s*[=:]?\\s*${list}`));
+        if (lists) {
+            const [x, y] = [lists[1], lists[2]].map(values => this.extractNumbers(values));
+            if (x.length !== y.length) {
+                throw new Error(`Every x value needs a y value (got ${x.length} x and ${y.length} y values)`);
+            }
+            return { x, y };
+        }
+
+        const points = [...text.matchAll(/\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)/g)];
+        if (points.length > 0) {
+            return { x: points.map(point => Number(point[1])), y: points.map(point => Number(point[2])) };
+        }
+
+        // Unlabeled lists are x and y only when there are exactly two of the same length
+        const unlabeled = text.split(/\s+(?:and|vs\.?|versus|against)\s+|\s*;\s*/)
+            .map(part => this.extractNumbers(part))
+            .filter(values => values.length > 0);
+        if (unlabeled.length > 2) {
+            throw new Error(`Found ${unlabeled.length} lists of numbers; give x and y lists (x = 1, 2, 3 and y = 2, 4, 6) or (x, y) points`);
+        }
+        if (unlabeled.length === 2) {
+            const [x, y] = unlabeled;
+            if (x.length !== y.length) {
+                throw new Error(`Two lists of different lengths (${x.length} and ${y.length}); label them (x = 1, 2, 3 and y = 2, 4, 6) or give (x, y) points`);
+            }
+            return { x, y };
+        }
+
+        const numbers = unlabeled.length ? unlabeled[0] : [];
+        if (numbers.length % 2 === 1) {
+            throw new Error('Paired data needs an even count of numbers (x1, y1, x2, y2, ...)');
+        }
+        return {
+            x: numbers.filter((_, index) => index % 2 === 0),
+            y: numbers.filter((_, index) => index % 2 === 1)
+        };
+    }
+
+    /**
+     * "with a linear fit", "with a trend line", "and a quadratic regression"
+     * @returns {Object|null} - { type, degree, index, length } of the clause
+     */
+    parseFitClause(input) {
+        const match = input.match(/\s*\b(?:with|and|plus)\s+(?:an?\s+|the\s+|its\s+)?(?:(linear|quadratic|cubic|quartic|exponential|logarithmic|log|power|polynomial)(?:\s+(?:of\s+)?degree\s+(\d+))?\s+)?(?:fit(?:ted)?(?:\s+(?:curve|line))?|trend\s*line|regression(?:\s+line)?|best[\s-]fit(?:\s+line)?|line\s+of\s+best\s+fit)\b/);
+        if (!match) return null;
+        return { ...Regression.model(match[1], match[2]), index: match.index, length: match[0].length };
+    }
+
     /**
      * Parse histogram requests
      */
@@ -642,18 +1071,20 @@ class CalculatorAgent {
 
     /**
      * Generate plot data for a function
+     * @param {Object} [options] - { log }: space the x values evenly on a log scale
      */
-    generateFunctionData(expression, from, to, points = 100) {
+    generateFunctionData(expression, from, to, points = 100, scope = {}, options = {}) {
         const x = [];
         const y = [];
-        const step = (to - from) / points;
+        const step = options.log ? Math.log(to / from) / points : (to - from) / points;
+        // The agent's functions (normal_pdf, pmt, ...) are available in plots too
+        const compiled = this.angles.math('rad').compile(expression);
         
         for (let i = 0; i <= points; i++) {
-            const xVal = from + i * step;
+            const xVal = options.log ? from * Math.exp(i * step) : from + i * step;
             try {
-                // Replace 'x' with the actual value in the expression
-                const evalExpression = expression.replace(/x/g, `(${xVal})`);
-                const yVal = math.evaluate(evalExpression);
+                // Evaluate with x bound on top of the user's variables and functions
+                const yVal = compiled.evaluate({ ...scope, x: xVal });
                 if (isFinite(yVal)) {
                     x.push(xVal);
                     y.push(yVal);
@@ -672,30 +1103,39 @@ class CalculatorAgent {
      */
     async createPlot(plotData, filename = 'plot.html') {
         try {
-            // Create plots directory if it doesn't exist
-            if (!fs.existsSync(this.plotsDir)) {
-                fs.mkdirSync(this.plotsDir, { recursive: true });
-            }
-            
-            const filepath = path.join(this.plotsDir, filename);
-            
             // Generate HTML content with Chart.js
             const htmlContent = this.generateHTMLPlot(plotData);
             
-            // Write HTML file
-            fs.writeFileSync(filepath, htmlContent, 'utf8');
-            
-            return filepath;
+            return this.writePlotFile(filename, htmlContent);
         } catch (error) {
             throw new Error(`Failed to create plot: ${error.message}`);
         }
     }
 
+    /**
+     * Save a file (a plot page or its data) in the plots directory
+     * @returns {string} - The file's path
+     */
+    writePlotFile(filename, content) {
+        // Create plots directory if it doesn't exist
+        if (!fs.existsSync(this.plotsDir)) {
+            fs.mkdirSync(this.plotsDir, { recursive: true });
+        }
+        
+        const filepath = path.join(this.plotsDir, filename);
+        fs.writeFileSync(filepath, content, 'utf8');
+        
+        return filepath;
+    }
+
     /**
      * Generate HTML content for plotting
      */
     generateHTMLPlot(plotData) {
-        const { x, y, type, name, color = 'blue' } = plotData;
+        const { x, y, type, name } = plotData;
+        // Colors are hex codes so the fills can add transparency ("#1f77b420")
+        const color = this.plotStyle.color(plotData.color || 'blue');
+        const paint = series => this.plotStyle.color(series.color);
         
         if (!x || !y) {
             throw new Error('Invalid plot data: missing x or y values');
@@ -704,19 +1144,30 @@ class CalculatorAgent {
         let chartConfig;
         
         if (type === 'scatter' && plotData.mode === 'lines') {
-            // Function plot
+            // Function plot: functions are drawn over numeric x values (each
+            // series has its own), other line charts over labels
+            const points = (xs, ys) => xs.map((xVal, i) => ({ x: xVal, y: ys[i] }));
             chartConfig = {
                 type: 'line',
                 data: {
-                    labels: x.map(val => val.toFixed(2)),
+                    ...(plotData.numericX ? {} : { labels: plotData.labels || x.map(val => val.toFixed(2)) }),
                     datasets: [{
-                        label: name || 'Function',
-                        data: y,
+                        label: plotData.label || name || 'Function',
+                        data: plotData.numericX ? points(x, y) : y,
                         borderColor: color,
                         backgroundColor: color + '20',
                         fill: false,
-                        tension: 0.1
-                    }]
+                        tension: 0.1,
+                        ...(plotData.numericX ? { pointRadius: 0 } : {})
+                    }, ...(plotData.series || []).map(series => ({
+                        label: series.name,
+                        data: plotData.numericX ? points(series.x || x, series.y) : series.y,
+                        borderColor: paint(series),
+                        backgroundColor: paint(series) + '20',
+                        fill: false,
+                        tension: 0.1,
+                        ...(plotData.numericX ? { pointRadius: 0 } : {})
+                    }))]
                 },
                 options: {
                     responsive: true,
@@ -728,15 +1179,16 @@ class CalculatorAgent {
                     },
                     scales: {
                         x: {
+                            ...(plotData.numericX ? { type: 'linear' } : {}),
                             title: {
                                 display: true,
-                                text: 'X'
+                                text: plotData.xTitle || 'X'
                             }
                         },
                         y: {
                             title: {
                                 display: true,
-                                text: 'Y'
+                                text: plotData.yTitle || 'Y'
                             }
                         }
                     }
@@ -748,11 +1200,19 @@ class CalculatorAgent {
                 type: 'scatter',
                 data: {
                     datasets: [{
-                        label: name || 'Data Points',
+                        label: 'Data Points',
                         data: x.map((xVal, i) => ({ x: xVal, y: y[i] })),
                         backgroundColor: color,
                         borderColor: color
-                    }]
+                    }, ...(plotData.series || []).map(series => ({
+                        label: series.name,
+                        data: series.x.map((xVal, i) => ({ x: xVal, y: series.y[i] })),
+                        borderColor: paint(series),
+                        backgroundColor: paint(series),
+                        showLine: true,
+                        pointRadius: 0,
+                        fill: false
+                    }))]
                 },
                 options: {
                     responsive: true,
@@ -778,6 +1238,55 @@ class CalculatorAgent {
                     }
                 }
             };
+        } else if (type === 'scatter' && plotData.mode === 'curve') {
+            // Parametric, polar or implicit curve: a connected path (null points
+            // break it) with one unit as long on the x axis as on the y axis
+            const { bounds } = plotData;
+            chartConfig = {
+                type: 'scatter',
+                data: {
+                    datasets: [{
+                        label: name,
+                        data: x.map((xVal, i) => ({ x: xVal, y: y[i] })),
+                        borderColor: color,
+                        backgroundColor: color,
+                        showLine: true,
+                        spanGaps: false,
+                        pointRadius: 0,
+                        borderWidth: 2,
+                        fill: false
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    aspectRatio: (bounds.xMax - bounds.xMin) / (bounds.yMax - bounds.yMin),
+                    plugins: {
+                        title: {
+                            display: true,
+                            text: name
+                        }
+                    },
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            min: bounds.xMin,
+                            max: bounds.xMax,
+                            title: {
+                                display: true,
+                                text: 'X'
+                            }
+                        },
+                        y: {
+                            min: bounds.yMin,
+                            max: bounds.yMax,
+                            title: {
+                                display: true,
+                                text: 'Y'
+                            }
+                        }
+                    }
+                }
+            };
         } else if (type === 'histogram') {
             // Histogram
             chartConfig = {
@@ -818,26 +1327,29 @@ class CalculatorAgent {
             };
         }
         
+        const theme = this.plotStyle.apply(chartConfig, plotData.style);
+        const heading = escapeHTML((plotData.style && plotData.style.title) || 'Mathematical Plot');
+        
         return `
 <!DOCTYPE html>
 <html>
 <head>
-    <title>Mathematical Plot</title>
+    <title>${heading}</title>
     <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
     <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
+        body { font-family: Arial, sans-serif; margin: 20px; background: ${theme.background}; color: ${theme.text}; }
         .container { max-width: 800px; margin: 0 auto; }
         canvas { max-width: 100%; height: auto; }
     </style>
 </head>
 <body>
     <div class="container">
-        <h2>Mathematical Plot</h2>
+        <h2>${heading}</h2>
         <canvas id="plotChart"></canvas>
     </div>
     <script>
         const ctx = document.getElementById('plotChart').getContext('2d');
-        const chartConfig = ${JSON.stringify(chartConfig, null, 2)};
+        const chartConfig = ${JSON.stringify(chartConfig, null, 2).replace(/</g, '\\u003c')};
         const chart = new Chart(ctx, chartConfig);
     </script>
 </body>
@@ -845,18 +1357,58 @@ class CalculatorAgent {
     }
 
     /**
-     * Generate plot for a function
+     * Generate plot for one or more functions
+     * @param {string|Object[]} expression - A function, or [{ expression, color }] to draw together
+     * @param {Object} [options] - { derivative, points, style } (points defaults to 100 steps; style from PlotStyle)
      */
-    async generateFunctionPlot(expression, from, to) {
-        const { x, y } = this.generateFunctionData(expression, from, to);
-        
+    async generateFunctionPlot(expression, from, to, scope = {}, options = {}) {
+        const style = options.style || {};
+        const functions = Array.isArray(expression) ? expression : [{ expression: expression, color: null }];
+        if (style.logX && from <= 0) {
+            throw new Error('A log x axis needs a range above 0 (e.g. from 0.1 to 100)');
+        }
+
+        const series = [];
+        const derivatives = [];
+        functions.forEach(fn => {
+            const { x, y } = this.generateFunctionData(fn.expression, from, to, options.points || 100, scope, { log: style.logX });
+            series.push({ name: `y = ${fn.expression}`, color: fn.color, x: x, y: y });
+
+            // Optional derivative, sampled at the same x values
+            if (options.derivative) {
+                const derivative = this.calculus.derivative(fn.expression, 'x').toString();
+                const compiled = math.compile(derivative);
+                derivatives.push(derivative);
+                series.push({
+                    name: `y' = ${derivative}`,
+                    x: x,
+                    y: x.map(xVal => {
+                        try {
+                            const yVal = compiled.evaluate({ ...scope, x: xVal });
+                            return isFinite(yVal) ? yVal : null;
+                        } catch (error) {
+                            return null;
+                        }
+                    })
+                });
+            }
+        });
+        series.forEach((line, i) => {
+            line.color = this.plotStyle.seriesColor(style, i, line.color);
+        });
+
+        const [main, ...rest] = series;
         const plotData = {
-            x: x,
-            y: y,
+            x: main.x,
+            y: main.y,
             type: 'scatter',
             mode: 'lines',
-            name: `y = ${expression}`,
-            line: { color: 'blue' }
+            numericX: true,
+            name: functions.length === 1 ? main.name : `y = ${functions.map(fn => fn.expression).join(', ')}`,
+            label: main.name,
+            color: main.color,
+            series: rest,
+            style: style
         };
         
         const filename = `function_${Date.now()}.html`;
@@ -865,25 +1417,316 @@ class CalculatorAgent {
         return {
             success: true,
             filepath: filepath,
-            expression: expression,
+            expression: functions.map(fn => fn.expression).join(', '),
             from: from,
             to: to,
-            points: x.length
+            points: main.x.length,
+            ...(functions.length > 1 ? { series: functions.length } : {}),
+            ...(derivatives.length ? { derivative: derivatives.join(', ') } : {})
+        };
+    }
+
+    /**
+     * Points of a parametric curve (x(t), y(t)); a null point breaks the line
+     * where the curve is undefined
+     */
+    generateParametricData(xExpression, yExpression, from, to, points = 1000, scope = {}) {
+        const fx = this.angles.math('rad').compile(xExpression);
+        const fy = this.angles.math('rad').compile(yExpression);
+        return this.sampleCurve(from, to, points, t => [fx.evaluate({ ...scope, t }), fy.evaluate({ ...scope, t })]);
+    }
+
+    /**
+     * Points of a polar curve r(θ), as x = r·cos θ and y = r·sin θ
+     */
+    generatePolarData(rExpression, from, to, points = 720, scope = {}) {
+        const fr = this.angles.math('rad').compile(rExpression);
+        return this.sampleCurve(from, to, points, theta => {
+            const r = fr.evaluate({ ...scope, theta, t: theta });
+            return [r * Math.cos(theta), r * Math.sin(theta)];
+        });
+    }
+
+    /**
+     * Sample a curve given as an [x, y] point for each parameter value
+     */
+    sampleCurve(from, to, points, point) {
+        const x = [];
+        const y = [];
+        for (let i = 0; i <= points; i++) {
+            let values;
+            try {
+                values = point(from + (to - from) * i / points);
+            } catch (error) {
+                values = null;
+            }
+            if (values && values.every(value => typeof value === 'number' && isFinite(value))) {
+                x.push(values[0]);
+                y.push(values[1]);
+            } else if (x.length > 0 && x[x.length - 1] !== null) {
+                x.push(null);
+                y.push(null);
+            }
+        }
+        return { x, y };
+    }
+
+    /**
+     * Line segments where left = right, traced over a grid of x and y values
+     * (marching squares); a null point separates the segments
+     * @param {number[]} xRange - [from, to]
+     * @param {number[]} yRange - [from, to]
+     */
+    generateImplicitData(left, right, xRange, yRange, resolution = 200, scope = {}) {
+        const compiled = this.angles.math('rad').compile(`(${left}) - (${right})`);
+        const xs = SurfacePlot.steps(xRange, resolution);
+        const ys = SurfacePlot.steps(yRange, resolution);
+        const values = ys.map(yVal => xs.map(xVal => {
+            try {
+                const value = compiled.evaluate({ ...scope, x: xVal, y: yVal });
+                return typeof value === 'number' ? value : NaN;
+            } catch (error) {
+                return NaN;
+            }
+        }));
+
+        const x = [];
+        const y = [];
+        SurfacePlot.contourSegments(xs, ys, values, 0).forEach(([[x1, y1], [x2, y2]]) => {
+            x.push(x1, x2, null);
+            y.push(y1, y2, null);
+        });
+        return { x, y };
+    }
+
+    /**
+     * Generate a parametric, polar or implicit curve plot, drawn with equal
+     * axis scales so circles look like circles
+     * @param {Object} curve - A parsed curve request (see parseCurvePlot)
+     * @param {Object} [options] - { points, resolution, style } (resolution is the implicit grid size)
+     */
+    async generateCurvePlot(curve, scope = {}, options = {}) {
+        const style = options.style || {};
+        if (style.logX || style.logY) {
+            throw new Error('Log axes are only available for function and scatter plots');
+        }
+
+        let data;
+        let bounds;
+        if (curve.graphType === 'implicit') {
+            const yRange = [style.yMin ?? curve.from, style.yMax ?? curve.to];
+            data = this.generateImplicitData(curve.left, curve.right, [curve.from, curve.to], yRange, options.resolution || 200, scope);
+            bounds = { xMin: curve.from, xMax: curve.to, yMin: yRange[0], yMax: yRange[1] };
+        } else {
+            data = curve.graphType === 'parametric'
+                ? this.generateParametricData(curve.xExpression, curve.yExpression, curve.from, curve.to, options.points || 1000, scope)
+                : this.generatePolarData(curve.rExpression, curve.from, curve.to, options.points || 720, scope);
+            bounds = squareBounds(data.x, data.y);
+        }
+
+        const points = data.x.filter(value => value !== null).length;
+        if (points === 0) {
+            throw new Error(curve.graphType === 'implicit'
+                ? `No points where ${curve.expression} for x from ${curve.from} to ${curve.to}`
+                : `Could not evaluate ${curve.expression} for ${curve.variable} from ${curve.from} to ${curve.to}`);
+        }
+
+        const plotData = {
+            x: data.x,
+            y: data.y,
+            type: 'scatter',
+            mode: 'curve',
+            name: curve.expression,
+            color: this.plotStyle.seriesColor(style, 0),
+            bounds: bounds,
+            style: style
+        };
+
+        const filename = `${curve.graphType}_${Date.now()}.html`;
+        const filepath = await this.createPlot(plotData, filename);
+
+        return {
+            success: true,
+            filepath: filepath,
+            expression: curve.expression,
+            from: curve.from,
+            to: curve.to,
+            points: points
+        };
+    }
+
+    /**
+     * Generate a contour map, heatmap or rotatable 3D surface of z = f(x, y).
+     * With the style's export option the grid is also saved as CSV next to
+     * the page
+     * @param {Object} surface - A parsed surface request (see parseSurfacePlot)
+     * @param {Object} [options] - { style }; style.resolution is the grid size per axis
+     */
+    async generateSurfacePlot(surface, scope = {}, options = {}) {
+        const style = options.style || {};
+        if (style.logX || style.logY) {
+            throw new Error('Log axes are only available for function and scatter plots');
+        }
+
+        const compiled = this.angles.math('rad').compile(surface.zExpression);
+        const f = (x, y) => compiled.evaluate({ ...scope, x, y });
+        const xRange = [surface.from, surface.to];
+        const yRange = [style.yMin ?? surface.from, style.yMax ?? surface.to];
+        try {
+            f((xRange[0] + xRange[1]) / 2, (yRange[0] + yRange[1]) / 2);
+        } catch (error) {
+            // Unknown names fail everywhere; other errors only leave a point undefined
+            if (/Undefined (?:symbol|function)/.test(error.message)) throw error;
+        }
+        const resolution = this.surfaces.resolution(surface.view, style.resolution);
+        const grid = this.surfaces.sample(f, xRange, yRange, resolution);
+        if (grid.zMin === null) {
+            throw new Error(`Could not evaluate ${surface.zExpression} for x from ${xRange[0]} to ${xRange[1]}, y from ${yRange[0]} to ${yRange[1]}`);
+        }
+
+        const name = `${surface.view}_${Date.now()}`;
+        const filepath = this.writePlotFile(`${name}.html`, this.generateSurfaceHTML({
+            ...grid,
+            view: surface.view,
+            expression: surface.expression,
+            contours: surface.view === 'contour' ? this.surfaces.contours(grid) : [],
+            style: style
+        }));
+        const dataFile = style.export ? this.writePlotFile(`${name}.csv`, this.surfaces.csv(grid)) : null;
+
+        return {
+            success: true,
+            filepath: filepath,
+            expression: surface.expression,
+            view: surface.view,
+            from: xRange[0],
+            to: xRange[1],
+            yFrom: yRange[0],
+            yTo: yRange[1],
+            resolution: resolution,
+            zMin: grid.zMin,
+            zMax: grid.zMax,
+            points: grid.z.reduce((count, row) => count + row.filter(value => value !== null).length, 0),
+            ...(dataFile ? { dataFile } : {})
+        };
+    }
+
+    /**
+     * Page of a surface plot: the grid and its drawing code are inline, so
+     * unlike the Chart.js pages it opens without a network connection
+     */
+    generateSurfaceHTML(plot) {
+        const style = plot.style || {};
+        const theme = this.plotStyle.theme(style);
+        const heading = escapeHTML(style.title || plot.expression);
+        const data = {
+            view: plot.view,
+            xs: plot.xs,
+            ys: plot.ys,
+            z: plot.z,
+            zMin: plot.zMin,
+            zMax: plot.zMax,
+            contours: plot.contours,
+            scale: this.surfaces.scale(style.colors),
+            theme: theme,
+            xLabel: style.xLabel || 'x',
+            yLabel: style.yLabel || 'y',
+            zLabel: 'z',
+            grid: style.grid ?? true,
+            legend: style.legend ?? true
+        };
+
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${heading}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; background: ${theme.background}; color: ${theme.text}; }
+        .container { max-width: 800px; margin: 0 auto; }
+        canvas { max-width: 100%; height: auto; display: block; }
+        a { color: ${theme.text}; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h2>${heading}</h2>
+        <canvas id="plot" width="800" height="640"></canvas>
+        <p><a id="export" href="#" download="${plot.view}.csv">Download data (CSV)</a>${plot.view === 'surface' ? ' · Drag to rotate' : ''}</p>
+    </div>
+    <script>
+        const plot = ${JSON.stringify(data).replace(/</g, '\\u003c')};
+        (${this.surfaces.script()})(plot);
+    </script>
+</body>
+</html>`;
+    }
+
+    /**
+     * Line chart of several series over shared x values (e.g. an amortization schedule)
+     * @param {Object[]} series - [{ name, y, color }], the first one drawn as the main line
+     * @param {Object} [options] - { title, xTitle, yTitle, labels, filePrefix }
+     * @returns {Object} - { success, filepath, points, series }
+     */
+    async generateLinePlot(x, series, options = {}) {
+        const [main, ...rest] = series;
+        const plotData = {
+            x: x,
+            y: main.y,
+            type: 'scatter',
+            mode: 'lines',
+            name: options.title || main.name,
+            label: main.name,
+            color: main.color || 'blue',
+            labels: options.labels,
+            xTitle: options.xTitle,
+            yTitle: options.yTitle,
+            series: rest
+        };
+
+        const filename = `${options.filePrefix || 'line'}_${Date.now()}.html`;
+        const filepath = await this.createPlot(plotData, filename);
+
+        return {
+            success: true,
+            filepath: filepath,
+            points: x.length,
+            series: series.length
         };
     }
 
     /**
      * Generate scatter plot
+     * @param {Object} [options] - { style } (from PlotStyle)
      */
-    async generateScatterPlot(x, y) {
+    async generateScatterPlot(x, y, fit = null, options = {}) {
+        const style = options.style || {};
         const plotData = {
             x: x,
             y: y,
             type: 'scatter',
             mode: 'markers',
             name: 'Data Points',
-            marker: { color: 'red', size: 8 }
+            color: this.plotStyle.seriesColor(style, 0),
+            style: style
         };
+
+        // Optional fitted curve, sampled across the data and named by its equation
+        let model;
+        if (fit) {
+            model = this.regression.fit(fit.type, x, y, fit.degree);
+            const low = Math.min(...x);
+            const high = Math.max(...x);
+            const curve = Array.from({ length: 101 }, (_, i) => low + (high - low) * i / 100);
+            plotData.name = `${model.equation} (R² = ${model.r2.toFixed(4)})`;
+            plotData.series = [{
+                name: model.equation,
+                color: this.plotStyle.seriesColor(style, 1),
+                x: curve,
+                y: curve.map(xVal => this.regression.predict(model, xVal))
+            }];
+        }
         
         const filename = `scatter_${Date.now()}.html`;
         const filepath = await this.createPlot(plotData, filename);
@@ -891,23 +1734,27 @@ class CalculatorAgent {
         return {
             success: true,
             filepath: filepath,
-            points: x.length
+            points: x.length,
+            ...(model ? { equation: model.equation, r2: model.r2 } : {})
         };
     }
 
     /**
      * Generate histogram
+     * @param {Object} [options] - { style } (from PlotStyle)
      */
-    async generateHistogram(data) {
+    async generateHistogram(data, options = {}) {
         // Create histogram bins
         const bins = this.createHistogramBins(data);
+        const style = options.style || {};
         
         const plotData = {
             x: bins.labels,
             y: bins.counts,
             type: 'histogram',
             name: 'Distribution',
-            color: 'green'
+            color: this.plotStyle.seriesColor(style, 0, style.colors ? null : 'green'),
+            style: style
         };
         
         const filename = `histogram_${Date.now()}.html`;
@@ -956,33 +1803,46 @@ class CalculatorAgent {
      * History helpers
      */
     addHistoryEntry(entry) {
-        this.history.push(entry);
-        if (this.history.length > this.historyLimit) {
-            this.history.shift();
-        }
+        this.defaultSession.addHistoryEntry(entry);
     }
 
     getHistory(limit = 10) {
-        if (limit <= 0) return [];
-        return this.history.slice(-limit).reverse();
+        return this.defaultSession.getHistory(limit);
     }
 
     clearHistory() {
-        this.history = [];
-        this.lastAnswer = null;
+        this.defaultSession.clearHistory();
+    }
+
+    /**
+     * Reduce a result to something the history store can serialize
+     */
+    toHistoryResult(result) {
+        if (result === null || result === undefined) return null;
+        if (['number', 'string', 'boolean'].includes(typeof result)) return result;
+        if (result.filepath) return result;
+        return math.format(result, { precision: 14 });
     }
 
     getLastAnswer() {
-        return this.lastAnswer;
+        return this.defaultSession.getLastAnswer();
     }
 
     /**
-     * Check if string contains statistics keywords
+     * Check if string contains statistics keywords (whole words)
      */
     containsStatsKeywords(input) {
-        return Object.keys(this.statsKeywords).some(keyword => 
-            input.includes(keyword)
-        );
+        return this.statsPattern().test(input);
+    }
+
+    /**
+     * Statistics phrases as one pattern, longest first
+     */
+    statsPattern() {
+        const phrases = Object.keys(this.statsKeywords)
+            .sort((a, b) => b.length - a.length)
+            .map(phrase => phrase.replace(/\s/g, '\\s+'));
+        return new RegExp(`\\b(?:${phrases.join('|')})\\b`, 'g');
     }
 
     /**
@@ -995,25 +1855,34 @@ class CalculatorAgent {
     }
 
     /**
-     * Detect statistics operation type
+     * Statistics named in the input, in order and without repeats
      */
-    detectStatsType(input) {
-        for (const [keyword, operation] of Object.entries(this.statsKeywords)) {
-            if (input.includes(keyword)) {
-                return operation;
-            }
-        }
-        return 'mean';
+    detectStatsTypes(input) {
+        const found = (input.match(this.statsPattern()) || [])
+            .map(phrase => this.statsKeywords[phrase.replace(/\s+/g, ' ')]);
+        return [...new Set(found)];
     }
 
     /**
-     * Detect trigonometry function
+     * Detect trigonometry function, including inverse ("arcsine", "inverse
+     * cosine", "atan") and hyperbolic ("hyperbolic sine", "sinh") forms
+     * @returns {Object|null} - { name, inverse, end } where end is the index just past the function name
      */
     detectTrigFunction(input) {
-        if (input.includes('sin') || input.includes('sine')) return 'sin';
-        if (input.includes('cos') || input.includes('cosine')) return 'cos';
-        if (input.includes('tan') || input.includes('tangent')) return 'tan';
-        return 'sin';
+        const names = {
+            cosecant: 'csc', cotangent: 'cot', cosine: 'cos', secant: 'sec', tangent: 'tan', sine: 'sin',
+            csc: 'csc', cot: 'cot', cos: 'cos', sec: 'sec', sin: 'sin', tan: 'tan'
+        };
+        const match = input.match(/\b(arc\s*|inverse\s+|a(?=sin|cos|tan|sec|csc|cot))?(hyperbolic\s+)?(cosecant|cotangent|cosine|secant|tangent|sine|csc|cot|cos|sec|sin|tan)(h)?\b/);
+        if (!match) return null;
+
+        const inverse = Boolean(match[1]);
+        const hyperbolic = Boolean(match[2] || match[4]);
+        return {
+            name: `${inverse ? 'a' : ''}${names[match[3]]}${hyperbolic ? 'h' : ''}`,
+            inverse,
+            end: match.index + match[0].length
+        };
     }
 
     /**
@@ -1027,34 +1896,42 @@ class CalculatorAgent {
      * Check if token is a number word
      */
     isNumberWord(token) {
-        const numberWords = {
-            'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4,
-            'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9,
-            'ten': 10, 'eleven': 11, 'twelve': 12, 'thirteen': 13,
-            'fourteen': 14, 'fifteen': 15, 'sixteen': 16, 'seventeen': 17,
-            'eighteen': 18, 'nineteen': 19, 'twenty': 20
-        };
-        return numberWords.hasOwnProperty(token);
+        return this.numberWords.toNumber(token) !== null;
     }
 
     /**
      * Convert number word to number
      */
     wordToNumber(word) {
-        const numberWords = {
-            'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4,
-            'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9,
-            'ten': 10, 'eleven': 11, 'twelve': 12, 'thirteen': 13,
-            'fourteen': 14, 'fifteen': 15, 'sixteen': 16, 'seventeen': 17,
-            'eighteen': 18, 'nineteen': 19, 'twenty': 20
-        };
-        return numberWords[word] || word;
+        const value = this.numberWords.toNumber(word);
+        return value === null ? word : value;
+    }
+
+    /**
+     * Split text into words and numbers, keeping decimals ("2.5") and
+     * exponents ("2e3") intact
+     */
+    tokenizeWords(input) {
+        return input.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|[a-z_][a-z0-9_]*/gi) || [];
     }
 
     /**
      * Detect operation type from expression
      */
     detectOperationType(expression) {
+        if (new RegExp(`\\b(?:${Finance.FUNCTIONS.join('|')})\\s*\\(`).test(expression)) {
+            return 'finance';
+        }
+        if (new RegExp(`\\b(?:${Regression.FUNCTIONS.join('|')})\\s*\\(`).test(expression)) {
+            return 'regression';
+        }
+        if (new RegExp(`\\b(?:${Probability.FUNCTIONS.join('|')})\\s*\\(`).test(expression)) {
+            return 'probability';
+        }
+        // "15%" is a percentage; "10 % 3" is modulo
+        if (/\d\s*%(?!\s*[\d(a-z])/.test(expression)) {
+            return 'percentage';
+        }
         if (expression.includes('sin') || expression.includes('cos') || expression.includes('tan')) {
             return 'trigonometry';
         }
@@ -1089,11 +1966,12 @@ class CalculatorAgent {
     }
 
     /**
-     * Evaluate mathematical expression
+     * Evaluate mathematical expression (trigonometry in the given angle mode);
+     * numeric results are rounded like every other result
      */
-    evaluateExpression(expression) {
+    evaluateExpression(expression, scope = {}, angle = this.defaultSettings.angle) {
         try {
-            return math.evaluate(expression);
+            return clean(this.angles.math(angle).evaluate(expression, scope));
         } catch (error) {
             throw new Error(`Calculation error: ${error.message}`);
         }
@@ -1103,17 +1981,24 @@ class CalculatorAgent {
      * Get agent information
      */
     getInfo() {
+        const plugins = this.plugins.list();
+        const pluginInfo = plugins.map(plugin => plugin.info || {});
+        const supportedOperations = [...new Set([
+            ...this.supportedOperations,
+            ...pluginInfo.flatMap(info => info.operations || [])
+        ])];
+
         return {
             name: this.name,
             version: this.version,
-            supportedOperations: this.supportedOperations,
+            supportedOperations: supportedOperations,
+            plugins: plugins.map(plugin => ({ name: plugin.name, priority: plugin.priority || 0 })),
             capabilities: [
                 'Basic arithmetic (+, -, *, /)',
                 'Advanced math (^, sqrt, log, sin, cos, tan)',
-                'Statistics (mean, median, std, variance)',
-                'Unit conversion (length, weight, temperature, area, volume, time)',
-                'Graphing and visualization (function plots, scatter plots, histograms)',
+                ...pluginInfo.flatMap(info => info.capabilities || []),
                 'Memory of previous calculations (history, ans token)',
+                'User-defined variables and functions (rate = 0.07, f(x) = x^2 + 3x)',
                 'Natural language processing',
                 'Expression validation',
                 'Error handling'
@@ -1129,25 +2014,66 @@ class CalculatorAgent {
             return chalk.red(`❌ Error: ${result.error}`);
         }
         
-        // Special formatting for graphing operations
-        if (result.operationType === 'graphing' && result.result && result.result.filepath) {
-            return chalk.green(`📊 Plot generated successfully!\n   File: ${result.result.filepath}\n   Type: ${result.graphType}\n   Open in browser to view the plot`);
+        // Plugins may render their own results (plots, conversions, ...)
+        const plugin = result.plugin && this.plugins.get(result.plugin);
+        if (plugin && plugin.format) {
+            const formatted = plugin.format(result);
+            if (formatted !== undefined) {
+                return formatted + this.formatExplanation(result);
+            }
         }
         
-        // Special formatting for unit conversions
-        if (result.operationType === 'unit conversion' && result.fromUnit && result.toUnit) {
-            const formattedResult = typeof result.result === 'number' 
-                ? result.result.toFixed(6).replace(/\.?0+$/, '')
-                : result.result.toString();
-            return chalk.green(`✅ Result: ${formattedResult} ${result.toUnit}`);
+        let formattedResult;
+        if (result.resultType) {
+            formattedResult = this.formatTypedResult(result);
+        } else {
+            formattedResult = formatNumber(result.result);
         }
-        
-        const formattedResult = typeof result.result === 'number' 
-            ? result.result.toFixed(6).replace(/\.?0+$/, '')
-            : result.result.toString();
             
-        return chalk.green(`✅ Result: ${formattedResult}`);
+        return chalk.green(`✅ Result: ${formattedResult}`) + this.formatExplanation(result);
     }
+
+    /**
+     * Dates and durations: their text form plus the weekday, UTC offset or total length
+     */
+    formatTypedResult(result) {
+        if (result.resultType === 'date') {
+            return `${result.result} (${result.weekday}${result.utcOffset ? `, UTC${result.utcOffset}` : ''})`;
+        }
+        if (result.resultType === 'duration' && result.total) {
+            return `${result.result} (${result.total})`;
+        }
+        return String(result.result);
+    }
+
+    /**
+     * Rendered steps appended to formatted results in explain mode
+     */
+    formatExplanation(result) {
+        if (!result.explanation) return '';
+        const lines = result.explanation.split('\n').map(line => `   ${line}`);
+        return '\n' + chalk.gray(['   Steps:', ...lines].join('\n'));
+    }
+}
+
+/**
+ * Square axis ranges around points (ignoring nulls), with a margin
+ * @returns {Object} - { xMin, xMax, yMin, yMax }
+ */
+function squareBounds(xs, ys) {
+    const x = xs.filter(value => value !== null);
+    const y = ys.filter(value => value !== null);
+    const [xLow, xHigh, yLow, yHigh] = [Math.min(...x), Math.max(...x), Math.min(...y), Math.max(...y)];
+    const half = (Math.max(xHigh - xLow, yHigh - yLow) * 1.1 || 2) / 2;
+    const [cx, cy] = [(xLow + xHigh) / 2, (yLow + yHigh) / 2];
+    return { xMin: cx - half, xMax: cx + half, yMin: cy - half, yMax: cy + half };
+}
+
+/**
+ * Text safe to put in HTML (plot titles come from the user)
+ */
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
 }
 
 module.exports = CalculatorAgent;
@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MemoryHistoryStore, JsonFileHistoryStore } = require('./HistoryStore');
+const AngleMode = require('./AngleMode');
+const UnitSystem = require('./UnitSystem');
+const Programmer = require('./Programmer');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DATASET_NAME_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * Independent conversation with an agent: its own history, last answer,
+ * variables and settings. The agent itself stays stateless, so any number
+ * of sessions can run calculate() concurrently in one process.
+ */
+class CalculatorSession {
+    /**
+     * @param {CalculatorAgent} agent - Agent that performs the calculations
+     * @param {Object} [options]
+     * @param {string} [options.id] - Session id (random when omitted)
+     * @param {Object} [options.historyStore] - History backend (defaults to in-memory)
+     * @param {Object} [options.settings] - Overrides for the agent's default settings
+     */
+    constructor(agent, options = {}) {
+        this.agent = agent;
+        this.id = options.id || crypto.randomUUID();
+        this.historyStore = options.historyStore || new MemoryHistoryStore({ maxEntries: agent.historyLimit });
+        this.settings = { ...agent.defaultSettings, ...options.settings };
+        this.variables = {};
+        // Parsed dataset tables by name, rebuilt when their file changes
+        this.datasetCache = new Map();
+        this.createdAt = Date.now();
+        this.lastUsed = this.createdAt;
+        this.restoreVariables();
+    }
+
+    get lastAnswer() {
+        return this.historyStore.getState('lastAnswer') ?? null;
+    }
+
+    set lastAnswer(value) {
+        this.historyStore.setState('lastAnswer', value);
+    }
+
+    /**
+     * Most recent regression model, for "predict y at x = 12" follow-ups
+     */
+    get lastFit() {
+        return this.historyStore.getState('lastFit') ?? null;
+    }
+
+    set lastFit(model) {
+        this.historyStore.setState('lastFit', model);
+    }
+
+    /**
+     * Definitions stored by the last solved equation ("x1 = 2", "x2 = 3"),
+     * removed when the next one is solved
+     */
+    get solutionDefinitions() {
+        return this.historyStore.getState('solutions') || [];
+    }
+
+    set solutionDefinitions(sources) {
+        this.historyStore.setState('solutions', sources.length ? sources : null);
+    }
+
+    /**
+     * Run a calculation against this session's state
+     */
+    calculate(input, options = {}) {
+        this.touch();
+        return this.agent.calculate(input, { ...options, session: this });
+    }
+
+    addHistoryEntry(entry) {
+        this.historyStore.add(entry);
+    }
+
+    getHistory(limit = 10) {
+        this.touch();
+        return this.historyStore.list(limit);
+    }
+
+    clearHistory() {
+        this.touch();
+        this.historyStore.clear({ preserve: ['definitions', 'datasets', 'solutions'] });
+    }
+
+    /**
+     * Definitions are kept as source text ("rate = 0.07", "f(x) = x^2") in the
+     * history store so they can be replayed into the scope on the next run
+     */
+    getDefinitions() {
+        return this.historyStore.getState('definitions') || {};
+    }
+
+    setDefinition(name, source) {
+        const definitions = { ...this.getDefinitions() };
+        delete definitions[name];
+        definitions[name] = source;
+        this.historyStore.setState('definitions', definitions);
+    }
+
+    restoreVariables() {
+        this.variables = {};
+        for (const source of Object.values(this.getDefinitions())) {
+            try {
+                this.agent.evaluateExpression(source, this.variables, this.settings.angle);
+            } catch (error) {
+                // Skip definitions that no longer evaluate
+            }
+        }
+    }
+
+    /**
+     * List user-defined variables and functions in definition order
+     */
+    listVariables() {
+        return Object.entries(this.getDefinitions()).map(([name, source]) => {
+            const value = this.variables[name];
+            if (typeof value === 'function') {
+                return { name, type: 'function', definition: source };
+            }
+            return { name, type: 'variable', definition: source, value: this.agent.toHistoryResult(value) };
+        });
+    }
+
+    deleteVariable(name) {
+        const definitions = { ...this.getDefinitions() };
+        if (!Object.prototype.hasOwnProperty.call(definitions, name)) {
+            return false;
+        }
+        delete definitions[name];
+        this.historyStore.setState('definitions', Object.keys(definitions).length ? definitions : null);
+        delete this.variables[name];
+        return true;
+    }
+
+    resetVariables() {
+        this.historyStore.setState('definitions', null);
+        this.variables = {};
+    }
+
+    /**
+     * Datasets are kept as where their rows come from ({ file }, { content,
+     * format } for uploads, or { from, where } for filtered rows of another
+     * dataset) in the history store, and parsed again on the next run
+     */
+    getDatasetSources() {
+        return this.historyStore.getState('datasets') || {};
+    }
+
+    /**
+     * Add or replace a dataset
+     * @returns {Object} - Its table (see Datasets)
+     */
+    setDataset(name, source) {
+        if (!DATASET_NAME_PATTERN.test(name) || this.agent.isReservedName(name)) {
+            throw new Error(`"${name}" cannot be a dataset name (use letters, digits and _, not a built-in name)`);
+        }
+        this.datasetCache.delete(name);
+        const table = this.buildDataset(name, source);
+        const sources = { ...this.getDatasetSources() };
+        delete sources[name];
+        sources[name] = source;
+        this.historyStore.setState('datasets', sources);
+        return table;
+    }
+
+    /**
+     * Table of a loaded dataset
+     */
+    dataset(name, seen = []) {
+        const source = this.getDatasetSources()[name];
+        if (!source) {
+            const names = Object.keys(this.getDatasetSources());
+            throw new Error(`No dataset named ${name}${names.length ? ` (loaded: ${names.join(', ')})` : '; load one with "load <file> as <name>"'}`);
+        }
+        return this.buildDataset(name, source, seen);
+    }
+
+    buildDataset(name, source, seen = []) {
+        const datasets = this.agent.datasets;
+        if (seen.includes(name)) {
+            throw new Error(`A dataset cannot be filtered from itself (${[...seen, name].join(' → ')})`);
+        }
+        if (source.from) {
+            const rows = this.dataset(source.from, [...seen, name]);
+            return datasets.filter(rows, datasets.parseCondition(source.where), source.from);
+        }
+
+        const cached = this.datasetCache.get(name);
+        if (source.file) {
+            const modified = datasets.modified(source.file);
+            if (cached && cached.file === source.file && cached.modified === modified) return cached.table;
+            const { text, format } = datasets.read(source.file);
+            const table = datasets.parse(text, format);
+            this.datasetCache.set(name, { file: source.file, modified, table });
+            return table;
+        }
+        if (cached && cached.content === source.content) return cached.table;
+        const table = datasets.parse(source.content, source.format);
+        this.datasetCache.set(name, { content: source.content, table });
+        return table;
+    }
+
+    /**
+     * Name, origin and size of every dataset, in load order
+     */
+    listDatasets() {
+        return Object.entries(this.getDatasetSources()).map(([name, source]) => {
+            const origin = source.file || (source.from ? `${source.from} where ${source.where}` : `uploaded ${source.format || 'data'}`);
+            try {
+                const table = this.dataset(name);
+                return { name, source: origin, rows: table.rows.length, columns: table.columns };
+            } catch (error) {
+                return { name, source: origin, error: error.message };
+            }
+        });
+    }
+
+    deleteDataset(name) {
+        const sources = { ...this.getDatasetSources() };
+        if (!Object.prototype.hasOwnProperty.call(sources, name)) {
+            return false;
+        }
+        delete sources[name];
+        this.historyStore.setState('datasets', Object.keys(sources).length ? sources : null);
+        this.datasetCache.delete(name);
+        return true;
+    }
+
+    getLastAnswer() {
+        return this.lastAnswer;
+    }
+
+    getSetting(key) {
+        return this.settings[key];
+    }
+
+    setSetting(key, value) {
+        if (!Object.prototype.hasOwnProperty.call(this.agent.defaultSettings, key)) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+        if (key === 'angle') {
+            this.settings.angle = AngleMode.normalize(value);
+            // Functions are compiled for one angle mode; rebuild them for the new one
+            this.restoreVariables();
+            return;
+        }
+        if (key === 'units') {
+            this.settings.units = UnitSystem.normalizePreference(value);
+            return;
+        }
+        if (key === 'width') {
+            this.settings.width = Programmer.normalizeWidth(value);
+            return;
+        }
+        if (key === 'signed') {
+            this.settings.signed = Programmer.normalizeSigned(value);
+            return;
+        }
+        if (key === 'base') {
+            this.settings.base = Programmer.normalizeBase(value);
+            return;
+        }
+        this.settings[key] = value;
+    }
+
+    touch() {
+        this.lastUsed = Date.now();
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            createdAt: new Date(this.createdAt).toISOString(),
+            lastUsed: new Date(this.lastUsed).toISOString(),
+            settings: this.settings,
+            variables: Object.keys(this.getDefinitions()),
+            datasets: Object.keys(this.getDatasetSources()),
+            historySize: this.historyStore.entries.length
+        };
+    }
+}
+
+/**
+ * Keeps track of live sessions and expires the ones that sit idle.
+ * When a history directory is given, each session's history is written to
+ * `<historyDir>/<id>.json` so a session survives a server restart.
+ */
+class SessionManager {
+    /**
+     * @param {CalculatorAgent} agent
+     * @param {Object} [options]
+     * @param {number} [options.idleTimeoutMs=1800000] - Expire sessions idle this long
+     * @param {string} [options.historyDir] - Persist session history under this directory
+     * @param {Object} [options.settings] - Settings every session starts with (overriding the agent's defaults)
+     */
+    constructor(agent, options = {}) {
+        this.agent = agent;
+        this.idleTimeoutMs = options.idleTimeoutMs ?? 30 * 60 * 1000;
+        this.historyDir = options.historyDir || null;
+        this.settings = options.settings || {};
+        this.sessions = new Map();
+    }
+
+    create(options = {}) {
+        const id = options.id || crypto.randomUUID();
+        if (!SESSION_ID_PATTERN.test(id)) {
+            throw new Error('Invalid session id');
+        }
+        const session = this.agent.createSession({
+            ...options,
+            settings: { ...this.settings, ...options.settings },
+            id,
+            historyStore: this.createHistoryStore(id)
+        });
+        this.sessions.set(id, session);
+        return session;
+    }
+
+    /**
+     * A session that is neither kept nor written to disk: what a client
+     * without a session sees until it changes something
+     */
+    blank() {
+        return this.agent.createSession({ settings: { ...this.settings } });
+    }
+
+    /**
+     * Look up a live session, restoring it from disk when possible.
+     * Returns null for unknown or expired ids.
+     */
+    get(id) {
+        if (!id || !SESSION_ID_PATTERN.test(id)) return null;
+        this.sweep();
+
+        let session = this.sessions.get(id);
+        if (!session && this.isRestorable(id)) {
+            session = this.create({ id });
+        }
+        if (session) session.touch();
+        return session || null;
+    }
+
+    delete(id) {
+        const existed = this.sessions.delete(id);
+        const filePath = this.getHistoryPath(id);
+        if (filePath && fs.existsSync(filePath)) {
+            fs.rmSync(filePath, { force: true });
+            return true;
+        }
+        return existed;
+    }
+
+    /**
+     * Drop sessions that have been idle longer than the timeout
+     */
+    sweep(now = Date.now()) {
+        for (const [id, session] of this.sessions) {
+            if (now - session.lastUsed > this.idleTimeoutMs) {
+                this.delete(id);
+            }
+        }
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    createHistoryStore(id) {
+        const filePath = this.getHistoryPath(id);
+        if (!filePath) {
+            return new MemoryHistoryStore({ maxEntries: this.agent.historyLimit });
+        }
+        return new JsonFileHistoryStore({ filePath, maxEntries: this.agent.historyLimit });
+    }
+
+    getHistoryPath(id) {
+        if (!this.historyDir || !SESSION_ID_PATTERN.test(id)) return null;
+        return path.join(this.historyDir, `${id}.json`);
+    }
+
+    isRestorable(id) {
+        const filePath = this.getHistoryPath(id);
+        if (!filePath || !fs.existsSync(filePath)) return false;
+        const idleFor = Date.now() - fs.statSync(filePath).mtimeMs;
+        if (idleFor > this.idleTimeoutMs) {
+            fs.rmSync(filePath, { force: true });
+            return false;
+        }
+        return true;
+    }
+}
+
+module.exports = {
+    CalculatorSession,
+    SessionManager
+};
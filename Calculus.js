@@ -0,0 +1,190 @@
+const math = require('mathjs');
+const { clean } = require('./Precision');
+
+// Adaptive Simpson settings
+const INTEGRATION_TOLERANCE = 1e-10;
+const MAX_DEPTH = 50;
+// Sampled limits only agree to about this many digits
+const LIMIT_DIGITS = 10;
+
+/**
+ * Derivatives, definite integrals and limits.
+ *
+ * Derivatives are symbolic (mathjs derivative + simplify). Integrals are
+ * numeric (adaptive Simpson's rule) and report an error estimate. Limits are
+ * numeric: the function is sampled ever closer to the point (or further out
+ * for limits at infinity) from each side until the values settle.
+ */
+class Calculus {
+    /**
+     * Symbolic derivative of `expression` with respect to `variable`
+     * @returns {math.Node} - Simplified derivative
+     */
+    derivative(expression, variable = 'x', order = 1) {
+        let node = this.toNode(expression);
+        for (let i = 0; i < order; i++) {
+            node = math.simplify(math.derivative(node, variable));
+        }
+        return node;
+    }
+
+    /**
+     * Value of the derivative at a point
+     */
+    derivativeAt(expression, variable, point, scope = {}, order = 1) {
+        const value = this.derivative(expression, variable, order).evaluate({ ...scope, [variable]: point });
+        return clean(value);
+    }
+
+    /**
+     * Definite integral over [from, to]
+     * @returns {Object} - { value, errorEstimate, evaluations, method }
+     */
+    integrate(expression, variable, from, to, scope = {}) {
+        if (!Number.isFinite(from) || !Number.isFinite(to)) {
+            throw new Error('Integration bounds must be finite numbers');
+        }
+        if (from === to) {
+            return { value: 0, errorEstimate: 0, evaluations: 0, method: "adaptive Simpson's rule" };
+        }
+
+        const code = this.toNode(expression).compile();
+        let evaluations = 0;
+        const f = (x) => {
+            evaluations += 1;
+            const y = this.realValue(code.evaluate({ ...scope, [variable]: x }));
+            if (y === null) {
+                throw new Error(`The integrand is not finite at ${variable} = ${clean(x)}`);
+            }
+            return y;
+        };
+
+        const [a, b, sign] = from < to ? [from, to, 1] : [to, from, -1];
+        const fa = f(a);
+        const fb = f(b);
+        const m = (a + b) / 2;
+        const fm = f(m);
+        const whole = (b - a) / 6 * (fa + 4 * fm + fb);
+
+        let errorEstimate = 0;
+        const simpson = (a, b, fa, fm, fb, whole, tolerance, depth) => {
+            const m = (a + b) / 2;
+            const lm = (a + m) / 2;
+            const rm = (m + b) / 2;
+            const flm = f(lm);
+            const frm = f(rm);
+            const left = (m - a) / 6 * (fa + 4 * flm + fm);
+            const right = (b - m) / 6 * (fm + 4 * frm + fb);
+            const delta = left + right - whole;
+            if (depth >= MAX_DEPTH || Math.abs(delta) <= 15 * tolerance) {
+                errorEstimate += Math.abs(delta) / 15;
+                return left + right + delta / 15;
+            }
+            return simpson(a, m, fa, flm, fm, left, tolerance / 2, depth + 1)
+                + simpson(m, b, fm, frm, fb, right, tolerance / 2, depth + 1);
+        };
+
+        const value = sign * simpson(a, b, fa, fm, fb, whole, INTEGRATION_TOLERANCE, 0);
+        return {
+            value: clean(value),
+            errorEstimate: parseFloat(errorEstimate.toPrecision(3)),
+            evaluations,
+            method: "adaptive Simpson's rule"
+        };
+    }
+
+    /**
+     * Limit as `variable` approaches `point` (a number or ±Infinity)
+     * @param {string} [direction='both'] - 'left', 'right' or 'both'
+     * @returns {Object} - { value, left, right, method }; value is null when the limit does not exist
+     */
+    limit(expression, variable, point, direction = 'both', scope = {}) {
+        const code = this.toNode(expression).compile();
+        const f = (x) => {
+            try {
+                return this.realValue(code.evaluate({ ...scope, [variable]: x }));
+            } catch (error) {
+                return null;
+            }
+        };
+
+        if (point === Infinity || point === -Infinity) {
+            const sign = Math.sign(point);
+            const value = this.settle(k => f(sign * Math.pow(10, k)));
+            return { value, left: sign > 0 ? value : undefined, right: sign < 0 ? value : undefined, method: 'numeric sampling' };
+        }
+
+        const side = (sign) => this.settle(k => f(point + sign * Math.pow(10, -k)));
+        const left = direction === 'right' ? undefined : side(-1);
+        const right = direction === 'left' ? undefined : side(1);
+
+        let value;
+        if (direction === 'left') {
+            value = left;
+        } else if (direction === 'right') {
+            value = right;
+        } else {
+            value = left !== null && right !== null && this.close(left, right) ? right : null;
+        }
+
+        // A continuous function's limit is its value; prefer the exact one
+        const direct = f(point);
+        if (value !== null && direct !== null && Number.isFinite(value) && this.close(direct, value)) {
+            return { value: clean(direct), left, right, method: 'direct substitution' };
+        }
+        return { value, left, right, method: 'numeric sampling' };
+    }
+
+    /**
+     * Value a sequence sample(1), sample(2), ... converges to, ±Infinity when
+     * it grows without bound, or null when it does not settle
+     */
+    settle(sample) {
+        const values = [];
+        for (let k = 1; k <= 12; k++) {
+            values.push(sample(k));
+        }
+        const finite = values.filter(value => value !== null);
+        if (finite.length < 3) return null;
+
+        const tail = finite.slice(-4);
+        if (tail.every(value => Math.abs(value) > 1e6) && tail.every((value, i) => i === 0 || Math.abs(value) > Math.abs(tail[i - 1]))
+            && tail.every(value => Math.sign(value) === Math.sign(tail[0]))) {
+            return Math.sign(tail[0]) * Infinity;
+        }
+
+        // Rounding error grows as the samples approach the point, so take the
+        // pair of consecutive samples that agree best
+        let best = null;
+        for (let i = 1; i < finite.length; i++) {
+            const difference = Math.abs(finite[i] - finite[i - 1]);
+            if (best === null || difference < best.difference) {
+                best = { difference, value: finite[i] };
+            }
+        }
+        if (best.difference > 1e-6 * Math.max(1, Math.abs(best.value))) return null;
+        // Samples shrinking towards zero (1/x at infinity) never reach it exactly
+        return Math.abs(best.value) < 1e-9 ? 0 : parseFloat(best.value.toPrecision(LIMIT_DIGITS));
+    }
+
+    close(a, b) {
+        if (!Number.isFinite(a) || !Number.isFinite(b)) return a === b;
+        return Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+    }
+
+    toNode(expression) {
+        return typeof expression === 'string' ? math.parse(expression) : expression;
+    }
+
+    /**
+     * Finite real value of an evaluation, or null
+     */
+    realValue(value) {
+        if (math.isComplex(value)) {
+            return Math.abs(value.im) < 1e-12 ? value.re : null;
+        }
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+}
+
+module.exports = Calculus;
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { clean } = require('./Precision');
+const DateTime = require('./DateTime');
+
+const DEFAULT_RATES_FILE = path.join(os.homedir(), '.ai-calculator', 'rates.json');
+
+// Prototype-free lookup tables, so `word in TABLE` never matches "constructor" etc.
+const dictionary = (entries) => Object.assign(Object.create(null), entries);
+
+/**
+ * ISO 4217 codes with the names and symbols people type. Names get an "s"
+ * plural automatically; irregular plurals are listed.
+ */
+const CURRENCIES = {
+    USD: { names: ['dollar', 'us dollar', 'american dollar', 'buck'], symbols: ['$', 'us$'] },
+    EUR: { names: ['euro'], symbols: ['€'] },
+    GBP: { names: ['pound', 'british pound', 'pound sterling', 'sterling', 'quid'], symbols: ['£'] },
+    JPY: { names: ['yen', 'japanese yen'], symbols: ['¥'] },
+    CNY: { names: ['yuan', 'chinese yuan', 'renminbi', 'rmb'], symbols: [] },
+    INR: { names: ['rupee', 'indian rupee'], symbols: ['₹'] },
+    CHF: { names: ['swiss franc', 'franc'], symbols: [] },
+    CAD: { names: ['canadian dollar'], symbols: ['c$'] },
+    AUD: { names: ['australian dollar'], symbols: ['a$'] },
+    NZD: { names: ['new zealand dollar'], symbols: ['nz$'] },
+    SEK: { names: ['swedish krona', 'swedish kronor', 'krona', 'kronor'], symbols: [] },
+    NOK: { names: ['norwegian krone', 'norwegian kroner'], symbols: [] },
+    DKK: { names: ['danish krone', 'danish kroner'], symbols: [] },
+    PLN: { names: ['zloty', 'polish zloty'], symbols: ['zł'] },
+    CZK: { names: ['czech koruna', 'koruna'], symbols: [] },
+    HUF: { names: ['forint', 'hungarian forint'], symbols: [] },
+    RUB: { names: ['ruble', 'rouble', 'russian ruble'], symbols: ['₽'] },
+    TRY: { names: ['turkish lira', 'lira'], symbols: ['₺'] },
+    MXN: { names: ['mexican peso', 'peso'], symbols: [] },
+    BRL: { names: ['brazilian real', 'real', 'reais', 'brazilian reais'], symbols: ['r$'] },
+    ZAR: { names: ['rand', 'south african rand'], symbols: [] },
+    KRW: { names: ['won', 'korean won', 'south korean won'], symbols: ['₩'] },
+    SGD: { names: ['singapore dollar'], symbols: ['s$'] },
+    HKD: { names: ['hong kong dollar'], symbols: ['hk$'] },
+    ILS: { names: ['shekel', 'israeli shekel', 'new shekel'], symbols: ['₪'] },
+    AED: { names: ['dirham', 'uae dirham'], symbols: [] },
+    SAR: { names: ['riyal', 'saudi riyal'], symbols: [] },
+    THB: { names: ['baht', 'thai baht'], symbols: ['฿'] }
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Offline exchange rates. Rates live in a local JSON file as tables by date,
+ * each quoting currencies against its own base currency:
+ *
+ *     { "tables": { "2025-03-01": { "base": "EUR", "rates": { "USD": 1.04, "GBP": 0.83 } } } }
+ *
+ * Conversions use the latest table on or before the requested date and go
+ * through the base currency (cross rates). The file is re-read when it
+ * changes, so rates imported by another process are picked up.
+ */
+class CurrencyRates {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - Rates file; without one, rates only come from import()/setRates()
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+        this.tables = {};
+        this.loadedAt = null;
+        this.names = dictionary({});
+        Object.entries(CURRENCIES).forEach(([code, { names, symbols }]) => {
+            names.forEach(name => {
+                this.names[name] = code;
+                if (!/s$/.test(name)) this.names[`${name}s`] = code;
+            });
+            symbols.forEach(symbol => { this.names[symbol] = code; });
+        });
+    }
+
+    /**
+     * Re-read the rates file if it changed since the last read
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return this.tables;
+        const modified = fs.statSync(this.filePath).mtimeMs;
+        if (modified === this.loadedAt) return this.tables;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.tables = this.normalizeJSON(data);
+            this.loadedAt = modified;
+        } catch (error) {
+            throw new Error(`Failed to read rates file ${this.filePath}: ${error.message}`);
+        }
+        return this.tables;
+    }
+
+    save() {
+        if (!this.filePath) return;
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, tables: this.tables }, null, 2), 'utf8');
+            fs.renameSync(tmpPath, this.filePath);
+            this.loadedAt = fs.statSync(this.filePath).mtimeMs;
+        } catch (error) {
+            throw new Error(`Failed to write rates file ${this.filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * ISO code for a code, name or symbol ("usd", "euros", "£"), or null
+     */
+    resolve(text) {
+        const word = String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+        if (word in this.names) return this.names[word];
+        const code = word.toUpperCase();
+        if (!/^[A-Z]{3}$/.test(code)) return null;
+        if (code in CURRENCIES) return code;
+        // Any other ISO code the rates file quotes
+        const tables = Object.values(this.load());
+        return tables.some(table => table.base === code || code in table.rates) ? code : null;
+    }
+
+    /**
+     * The rate table in effect on a date (the latest one when no date is given)
+     * @returns {Object} - { date, base, rates }
+     */
+    table(date = null) {
+        const dates = Object.keys(this.load()).sort();
+        if (dates.length === 0) {
+            throw new Error('No exchange rates loaded; import a rates file with "ai-calculator import-rates <file>"');
+        }
+        if (date && !isDate(date)) {
+            throw new Error(`Invalid date "${date}" (use YYYY-MM-DD)`);
+        }
+        const effective = date ? dates.filter(d => d <= date).pop() : dates[dates.length - 1];
+        if (!effective) {
+            throw new Error(`No exchange rates on or before ${date} (earliest is ${dates[0]})`);
+        }
+        return { date: effective, ...this.tables[effective] };
+    }
+
+    /**
+     * Convert an amount between currencies through the table's base currency
+     * @returns {Object} - { value, rate, from, to, date, base, fromRate, toRate }
+     */
+    convert(amount, from, to, date = null) {
+        const table = this.table(date);
+        const quote = (code) => {
+            if (code === table.base) return 1;
+            if (!(code in table.rates)) {
+                throw new Error(`No exchange rate for ${code} in the rates of ${table.date}`);
+            }
+            return table.rates[code];
+        };
+        // Rates are units of the currency per 1 base unit
+        const rate = quote(to) / quote(from);
+        return {
+            value: clean(amount * rate),
+            rate: parseFloat(rate.toPrecision(10)),
+            from,
+            to,
+            date: table.date,
+            base: table.base,
+            fromRate: quote(from),
+            toRate: quote(to)
+        };
+    }
+
+    /**
+     * Replace or add the table for one date (in memory; save() writes the file)
+     */
+    setRates(date, base, rates) {
+        if (!isDate(date)) throw new Error(`Invalid date "${date}" (use YYYY-MM-DD)`);
+        this.load();
+        this.tables[date] = this.normalizeTable(base, rates, date);
+    }
+
+    /**
+     * Merge a JSON or CSV rates file into the rates file
+     * @param {string} source - File to import
+     * @param {Object} [options] - { base, date } for files that do not say
+     * @returns {Object[]} - Summary of the imported tables
+     */
+    import(source, options = {}) {
+        let text;
+        try {
+            text = fs.readFileSync(source, 'utf8');
+        } catch (error) {
+            throw new Error(`Failed to read ${source}: ${error.message}`);
+        }
+        const imported = /^\s*[{[]/.test(text)
+            ? this.normalizeJSON(JSON.parse(text), options)
+            : this.parseCSV(text, options);
+        if (Object.keys(imported).length === 0) {
+            throw new Error(`No rates found in ${source}`);
+        }
+
+        this.load();
+        Object.assign(this.tables, imported);
+        this.save();
+        return this.summary(Object.keys(imported));
+    }
+
+    /**
+     * Dates, base currencies and currency counts of the loaded tables
+     */
+    summary(dates = Object.keys(this.load())) {
+        return dates.sort().map(date => ({
+            date,
+            base: this.tables[date].base,
+            currencies: Object.keys(this.tables[date].rates).length + 1
+        }));
+    }
+
+    /**
+     * Accepts the rates file itself, { base, date, rates: { USD: 1.08 } }
+     * or { base, rates: { "2025-03-01": { USD: 1.08 } } }
+     */
+    normalizeJSON(data, { base, date } = {}) {
+        if (data.tables && typeof data.tables === 'object') {
+            return Object.fromEntries(Object.entries(data.tables)
+                .map(([day, table]) => [this.checkDate(day), this.normalizeTable(table.base, table.rates, day)]));
+        }
+        const tableBase = data.base || base;
+        const rates = data.rates || {};
+        const values = Object.values(rates);
+        if (values.length && values.every(value => value && typeof value === 'object')) {
+            return Object.fromEntries(Object.entries(rates)
+                .map(([day, table]) => [this.checkDate(day), this.normalizeTable(tableBase, table, day)]));
+        }
+        const day = this.checkDate(data.date || date || today());
+        return { [day]: this.normalizeTable(tableBase, rates, day) };
+    }
+
+    /**
+     * CSV with a header row: currency (or code) and rate columns, optionally date and base
+     */
+    parseCSV(text, { base, date } = {}) {
+        const rows = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+            .map(line => line.split(',').map(cell => cell.trim()));
+        const header = (rows.shift() || []).map(cell => cell.toLowerCase());
+        const column = (...names) => header.findIndex(cell => names.includes(cell));
+        const columns = {
+            date: column('date'),
+            base: column('base'),
+            currency: column('currency', 'code'),
+            rate: column('rate')
+        };
+        if (columns.currency < 0 || columns.rate < 0) {
+            throw new Error('Rates CSV needs a header with currency and rate columns');
+        }
+
+        const grouped = {};
+        rows.forEach((row, i) => {
+            const day = this.checkDate(columns.date >= 0 ? row[columns.date] : (date || today()));
+            const rowBase = columns.base >= 0 ? row[columns.base] : base;
+            const rate = parseFloat(row[columns.rate]);
+            if (isNaN(rate)) throw new Error(`Invalid rate on line ${i + 2}`);
+            grouped[day] = grouped[day] || { base: rowBase, rates: {} };
+            grouped[day].rates[row[columns.currency]] = rate;
+        });
+        return Object.fromEntries(Object.entries(grouped)
+            .map(([day, table]) => [day, this.normalizeTable(table.base, table.rates, day)]));
+    }
+
+    normalizeTable(base, rates, date) {
+        if (!base) throw new Error(`Missing base currency for the rates of ${date} (use --base)`);
+        const code = String(base).trim().toUpperCase();
+        const normalized = {};
+        Object.entries(rates || {}).forEach(([currency, rate]) => {
+            const value = Number(rate);
+            if (!(value > 0)) throw new Error(`Invalid rate for ${currency} on ${date}`);
+            if (currency.toUpperCase() !== code) normalized[currency.trim().toUpperCase()] = value;
+        });
+        return { base: code, rates: normalized };
+    }
+
+    checkDate(date) {
+        if (!isDate(String(date))) throw new Error(`Invalid date "${date}" (use YYYY-MM-DD)`);
+        return String(date);
+    }
+}
+
+/**
+ * A YYYY-MM-DD date that is on the calendar (not 2025-02-30)
+ */
+function isDate(text) {
+    if (!DATE.test(text)) return false;
+    const [year, month, day] = text.split('-').map(Number);
+    return DateTime.isCalendarDate(year, month, day);
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+CurrencyRates.CURRENCIES = Object.keys(CURRENCIES);
+
+module.exports = { CurrencyRates, DEFAULT_RATES_FILE };
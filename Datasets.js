@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { clean } = require('./Precision');
+
+const NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i;
+const FORMATS = { '.csv': 'csv', '.tsv': 'tsv', '.txt': 'csv', '.json': 'json' };
+
+// One comparison of a filter: "revenue > 100", "region = west", "region is not east"
+const FIELD = '[a-z_][a-z0-9_]*';
+const OPERATOR = '==|=|!=|<>|<=|>=|<|>|\\bis\\s+not\\b|\\bis\\b|\\bequals\\b';
+const VALUE = '-?\\d+(?:\\.\\d+)?(?![\\w.:/-])|[a-z0-9_][\\w:/.-]*';
+const COMPARISON = `${FIELD}\\s*(?:${OPERATOR})\\s*(?:${VALUE})`;
+
+/**
+ * Tables of data read from CSV or JSON (files or uploaded text) whose
+ * columns can be used in calculations as name.column.
+ *
+ * A table is plain data: { columns, labels, rows }. columns are the names
+ * used in calculations, lowercase identifiers ("Unit Price" is unit_price);
+ * labels are the headers as written; rows are arrays of cells in column
+ * order, each a number, a string or null when missing.
+ */
+class Datasets {
+    /**
+     * Identifier for a header or file name: "Unit Price" -> unit_price
+     */
+    static identifier(text) {
+        const name = String(text).trim().toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+        return /^[0-9]/.test(name) ? `_${name}` : name;
+    }
+
+    /**
+     * Format of a file from its extension (csv, tsv or json), or null
+     */
+    static format(file) {
+        return FORMATS[path.extname(String(file)).toLowerCase()] || null;
+    }
+
+    /**
+     * Read a CSV, TSV or JSON file
+     * @returns {Object} - { text, format }
+     */
+    read(file) {
+        const format = Datasets.format(file);
+        if (!format) {
+            throw new Error(`Cannot load ${path.basename(file)}: use a .csv, .tsv or .json file`);
+        }
+        try {
+            return { text: fs.readFileSync(file, 'utf8'), format };
+        } catch (error) {
+            throw new Error(`Failed to read ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * When a file last changed, so parsed tables can be reused until it does
+     */
+    modified(file) {
+        try {
+            return fs.statSync(file).mtimeMs;
+        } catch (error) {
+            throw new Error(`Failed to read ${file}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Table from CSV/TSV text or JSON (an array of row objects, or an object
+     * of equally long column arrays)
+     * @param {string} format - 'csv', 'tsv' or 'json' (guessed from the text when omitted)
+     */
+    parse(text, format) {
+        const kind = format || (/^\s*[[{]/.test(text) ? 'json' : 'csv');
+        const table = kind === 'json' ? this.parseJSON(text) : this.parseCSV(text, kind === 'tsv' ? '\t' : null);
+        if (table.columns.length === 0) {
+            throw new Error('The data has no columns');
+        }
+        return table;
+    }
+
+    /**
+     * CSV with a header row. The delimiter (comma, semicolon or tab) is the
+     * one the header uses most; quoted cells may contain delimiters and ""
+     */
+    parseCSV(text, delimiter = null) {
+        const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length === 0) throw new Error('The data is empty');
+        const separator = delimiter || [',', ';', '\t']
+            .map(candidate => [candidate, lines[0].split(candidate).length])
+            .sort((a, b) => b[1] - a[1])[0][0];
+        const [header, ...records] = lines.map(line => splitLine(line, separator));
+        const rows = records.map((record, i) => {
+            if (record.length > header.length) {
+                throw new Error(`Line ${i + 2} has ${record.length} cells but the header has ${header.length}`);
+            }
+            return header.map((_, j) => cell(record[j]));
+        });
+        return this.table(header, rows);
+    }
+
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+        if (data && !Array.isArray(data) && Array.isArray(data.rows || data.data)) {
+            data = data.rows || data.data;
+        }
+        if (Array.isArray(data)) {
+            if (!data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+                throw new Error('JSON data must be an array of objects (one per row)');
+            }
+            const header = [...new Set(data.flatMap(row => Object.keys(row)))];
+            return this.table(header, data.map(row => header.map(key => cell(row[key]))));
+        }
+        if (data && typeof data === 'object') {
+            const header = Object.keys(data);
+            if (!header.every(key => Array.isArray(data[key]))) {
+                throw new Error('JSON data must be an array of row objects or an object of column arrays');
+            }
+            const length = Math.max(0, ...header.map(key => data[key].length));
+            return this.table(header, Array.from({ length }, (_, i) => header.map(key => cell(data[key][i]))));
+        }
+        throw new Error('JSON data must be an array of row objects or an object of column arrays');
+    }
+
+    /**
+     * Table from headers and rows, with calculation names for the headers
+     */
+    table(labels, rows) {
+        const columns = [];
+        labels.forEach((label, i) => {
+            let name = Datasets.identifier(label) || `column_${i + 1}`;
+            // Headers that normalize alike get a suffix: price, price_2
+            for (let n = 2; columns.includes(name); n++) name = `${Datasets.identifier(label) || 'column'}_${n}`;
+            columns.push(name);
+        });
+        return { columns, labels: labels.map(String), rows };
+    }
+
+    /**
+     * Position of a column, by calculation name or header
+     */
+    columnIndex(table, column, dataset = 'the dataset') {
+        const name = Datasets.identifier(column);
+        const index = table.columns.indexOf(name);
+        if (index < 0) {
+            throw new Error(`${dataset} has no column "${column}" (columns: ${table.columns.join(', ')})`);
+        }
+        return index;
+    }
+
+    /**
+     * Numbers of a column, skipping missing cells
+     */
+    column(table, column, dataset = 'the dataset') {
+        const index = this.columnIndex(table, column, dataset);
+        const values = table.rows.map(row => row[index]).filter(value => value !== null);
+        const text = values.find(value => typeof value !== 'number');
+        if (text !== undefined) {
+            throw new Error(`${dataset}.${table.columns[index]} has text values ("${text}"); only numeric columns can be used in calculations`);
+        }
+        return values;
+    }
+
+    /**
+     * Two numeric columns as x and y values, skipping rows that miss either
+     * @returns {Object} - { x, y }
+     */
+    pairs(table, xColumn, yColumn, dataset = 'the dataset') {
+        // column() rejects text columns
+        this.column(table, xColumn, dataset);
+        this.column(table, yColumn, dataset);
+        const xIndex = this.columnIndex(table, xColumn, dataset);
+        const yIndex = this.columnIndex(table, yColumn, dataset);
+        const rows = table.rows.filter(row => row[xIndex] !== null && row[yIndex] !== null);
+        return { x: rows.map(row => row[xIndex]), y: rows.map(row => row[yIndex]) };
+    }
+
+    /**
+     * Read a filter: comparisons joined by "and" / "or" ("and" binds first)
+     * @returns {Object[][]} - Groups of { column, operator, value }; a row matches when every comparison of some group does
+     */
+    parseCondition(text) {
+        const comparison = new RegExp(`^(${FIELD})\\s*(${OPERATOR})\\s*(${VALUE})$`);
+        return text.trim().split(/\s+or\s+/).map(group => group.split(/\s+and\s+/).map(part => {
+            const match = part.trim().match(comparison);
+            if (!match) {
+                throw new Error(`Could not read the filter "${part.trim()}" (e.g. revenue > 100, region = west)`);
+            }
+            const operator = { '==': '=', equals: '=', is: '=', '<>': '!=' }[match[2]] || (match[2].startsWith('is') ? '!=' : match[2]);
+            return { column: match[1], operator, value: cell(match[3]) };
+        }));
+    }
+
+    /**
+     * Rows of a table that match a filter (from parseCondition)
+     */
+    filter(table, groups, dataset = 'the dataset') {
+        const tests = groups.map(group => group.map(({ column, operator, value }) => {
+            const index = this.columnIndex(table, column, dataset);
+            return (row) => compare(row[index], operator, value);
+        }));
+        return { ...table, rows: table.rows.filter(row => tests.some(group => group.every(test => test(row)))) };
+    }
+
+    /**
+     * Summary of every column: its type, how many values it has and their
+     * range (numbers) or most common value (text)
+     * @returns {Object[]} - { column, label, type, count, missing, min, mean, max, distinct, top }
+     */
+    describe(table) {
+        return table.columns.map((column, i) => {
+            const values = table.rows.map(row => row[i]).filter(value => value !== null);
+            const summary = { column, label: table.labels[i], count: values.length, missing: table.rows.length - values.length };
+            if (values.length > 0 && values.every(value => typeof value === 'number')) {
+                const total = values.reduce((sum, value) => sum + value, 0);
+                return {
+                    ...summary,
+                    type: 'number',
+                    min: Math.min(...values),
+                    mean: clean(total / values.length),
+                    max: Math.max(...values)
+                };
+            }
+            const counts = new Map();
+            values.forEach(value => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+            const top = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+            return { ...summary, type: 'text', distinct: counts.size, top: top ? top[0] : null };
+        });
+    }
+}
+
+/**
+ * Cells of one CSV line, honouring quotes
+ */
+function splitLine(line, separator) {
+    const cells = [];
+    let current = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"' && current.trim() === '') {
+            quoted = true;
+            current = '';
+        } else if (char === separator) {
+            cells.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current);
+    return cells.map(value => value.trim());
+}
+
+/**
+ * A cell as a number, text or null (missing)
+ */
+function cell(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    const text = String(value).trim();
+    if (text === '' || /^(?:na|n\/a|nan|null)$/i.test(text)) return null;
+    return NUMBER.test(text) ? Number(text) : text;
+}
+
+/**
+ * Compare a cell with a filter value; text compares case-insensitively
+ */
+function compare(cellValue, operator, value) {
+    if (cellValue === null) return operator === '!=';
+    const numeric = typeof cellValue === 'number' && typeof value === 'number';
+    const a = numeric ? cellValue : String(cellValue).toLowerCase();
+    const b = numeric ? value : String(value).toLowerCase();
+    switch (operator) {
+        case '=': return a === b;
+        case '!=': return a !== b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        default: return a >= b;
+    }
+}
+
+Datasets.CONDITION = `${COMPARISON}(?:\\s+(?:and|or)\\s+${COMPARISON})*`;
+
+module.exports = Datasets;
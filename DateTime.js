@@ -0,0 +1,763 @@
+const { clean } = require('./Precision');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STEPS = 100000;
+
+// Prototype-free lookup tables, so `word in TABLE` never matches "constructor" etc.
+const dictionary = (entries) => Object.assign(Object.create(null), entries);
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MONTH_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?![a-z])';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Duration units: calendar parts (months, days, business days) move dates on
+ * the calendar, seconds move the clock
+ */
+const DURATION_UNITS = dictionary({
+    s: { seconds: 1 }, sec: { seconds: 1 }, secs: { seconds: 1 }, second: { seconds: 1 }, seconds: { seconds: 1 },
+    m: { seconds: 60 }, min: { seconds: 60 }, mins: { seconds: 60 }, minute: { seconds: 60 }, minutes: { seconds: 60 },
+    h: { seconds: 3600 }, hr: { seconds: 3600 }, hrs: { seconds: 3600 }, hour: { seconds: 3600 }, hours: { seconds: 3600 },
+    d: { days: 1 }, day: { days: 1 }, days: { days: 1 },
+    w: { days: 7 }, wk: { days: 7 }, wks: { days: 7 }, week: { days: 7 }, weeks: { days: 7 },
+    fortnight: { days: 14 }, fortnights: { days: 14 },
+    mo: { months: 1 }, month: { months: 1 }, months: { months: 1 },
+    y: { months: 12 }, yr: { months: 12 }, yrs: { months: 12 }, year: { months: 12 }, years: { months: 12 },
+    'business day': { businessDays: 1 }, 'business days': { businessDays: 1 },
+    'working day': { businessDays: 1 }, 'working days': { businessDays: 1 },
+    weekday: { businessDays: 1 }, weekdays: { businessDays: 1 }
+});
+
+const UNIT_PATTERN = Object.keys(DURATION_UNITS)
+    .sort((a, b) => b.length - a.length)
+    .map(unit => unit.replace(/ /g, '\\s+'))
+    .join('|');
+
+// Fixed-offset abbreviations, in minutes east of UTC
+const ZONE_ABBREVIATIONS = dictionary({
+    utc: 0, gmt: 0, z: 0,
+    est: -300, edt: -240, cst: -360, cdt: -300, mst: -420, mdt: -360, pst: -480, pdt: -420,
+    akst: -540, akdt: -480, hst: -600,
+    bst: 60, cet: 60, cest: 120, eet: 120, eest: 180, msk: 180,
+    ist: 330, pkt: 300, ict: 420, wib: 420, hkt: 480, sgt: 480, awst: 480,
+    jst: 540, kst: 540, acst: 570, aest: 600, aedt: 660, nzst: 720, nzdt: 780
+});
+
+// Cities people name instead of zones, with their IANA zone (daylight saving applies)
+const CITY_ZONES = dictionary({
+    'new york': 'America/New_York', nyc: 'America/New_York', boston: 'America/New_York', miami: 'America/New_York',
+    toronto: 'America/Toronto', chicago: 'America/Chicago', houston: 'America/Chicago', dallas: 'America/Chicago',
+    denver: 'America/Denver', phoenix: 'America/Phoenix', 'los angeles': 'America/Los_Angeles',
+    'san francisco': 'America/Los_Angeles', seattle: 'America/Los_Angeles', vancouver: 'America/Vancouver',
+    anchorage: 'America/Anchorage', honolulu: 'Pacific/Honolulu', 'mexico city': 'America/Mexico_City',
+    'sao paulo': 'America/Sao_Paulo', 'buenos aires': 'America/Argentina/Buenos_Aires',
+    london: 'Europe/London', dublin: 'Europe/Dublin', lisbon: 'Europe/Lisbon', paris: 'Europe/Paris',
+    berlin: 'Europe/Berlin', madrid: 'Europe/Madrid', rome: 'Europe/Rome', amsterdam: 'Europe/Amsterdam',
+    zurich: 'Europe/Zurich', stockholm: 'Europe/Stockholm', warsaw: 'Europe/Warsaw', athens: 'Europe/Athens',
+    istanbul: 'Europe/Istanbul', moscow: 'Europe/Moscow', cairo: 'Africa/Cairo', lagos: 'Africa/Lagos',
+    johannesburg: 'Africa/Johannesburg', nairobi: 'Africa/Nairobi', dubai: 'Asia/Dubai',
+    karachi: 'Asia/Karachi', mumbai: 'Asia/Kolkata', delhi: 'Asia/Kolkata', 'new delhi': 'Asia/Kolkata',
+    bangalore: 'Asia/Kolkata', kolkata: 'Asia/Kolkata', bangkok: 'Asia/Bangkok', jakarta: 'Asia/Jakarta',
+    singapore: 'Asia/Singapore', 'hong kong': 'Asia/Hong_Kong', shanghai: 'Asia/Shanghai', beijing: 'Asia/Shanghai',
+    taipei: 'Asia/Taipei', manila: 'Asia/Manila', seoul: 'Asia/Seoul', tokyo: 'Asia/Tokyo',
+    perth: 'Australia/Perth', adelaide: 'Australia/Adelaide', brisbane: 'Australia/Brisbane',
+    sydney: 'Australia/Sydney', melbourne: 'Australia/Melbourne', auckland: 'Pacific/Auckland'
+});
+
+const ZONE_NAMES = [...Object.keys(CITY_ZONES), ...Object.keys(ZONE_ABBREVIATIONS)]
+    .sort((a, b) => b.length - a.length)
+    .join('|');
+
+const TIME_PATTERN = '(?:(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\s*(am|pm))?|(\\d{1,2})\\s*(am|pm)|(noon|midnight))(?![a-z\\d])';
+
+const TOKENS = [
+    { type: 'iso', pattern: /\s*(\d{4})-(\d{1,2})-(\d{1,2})(?![\d])/iy },
+    { type: 'named', pattern: new RegExp(`\\s*${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?(?![\\d:])`, 'iy'), order: ['month', 'day', 'year'] },
+    { type: 'named', pattern: new RegExp(`\\s*(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?(?![\\d])`, 'iy'), order: ['day', 'month', 'year'] },
+    { type: 'relative', pattern: /\s*(today|tomorrow|yesterday|now)(?![a-z])/iy },
+    { type: 'time', pattern: new RegExp(`\\s*(?:at\\s+)?${TIME_PATTERN}`, 'iy') },
+    { type: 'duration', pattern: new RegExp(`\\s*(\\d+(?:\\.\\d+)?|\\.\\d+)\\s*(${UNIT_PATTERN})(?![a-z])`, 'iy') },
+    { type: 'number', pattern: /\s*(\d+(?:\.\d+)?|\.\d+)(?![\d.a-z])/iy },
+    { type: 'operator', pattern: /\s*([+\-*/()])/y }
+];
+
+// A time after a date ("2025-03-01 09:30", "march 1 at 9am")
+const ATTACHED_TIME = new RegExp(`(?:\\s*t|\\s+at|\\s)\\s*${TIME_PATTERN}`, 'iy');
+const ZONE_OFFSET = /\s+(?:utc|gmt)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?(?![\d])/iy;
+const ZONE_NAME = new RegExp(`\\s+(${ZONE_NAMES})(?![a-z/])`, 'iy');
+const ZONE_IANA = /\s+([a-z]+(?:\/[a-z_+-]+){1,2})/iy;
+
+/**
+ * Calendar and clock arithmetic: dates (2025-03-15, "march 15 2025", today),
+ * times with zones (14:30 utc, 9am in tokyo), durations (3h 20m, 2 weeks,
+ * 10 business days) and the differences between them. Dates without a time
+ * are calendar days; values with a time are instants shown in their zone
+ * (the system zone when none is given).
+ */
+class DateTime {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.now] - Clock for today/now (defaults to the system clock)
+     */
+    constructor(options = {}) {
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Parse a date/duration expression with an optional "in <unit|zone>" target
+     * @returns {Object} - { tree, target, dates, durations, ambiguous }; `ambiguous`
+     * marks a bare "m", which is only minutes next to other time values
+     */
+    parse(text) {
+        const { body, target } = this.splitTarget(text);
+        const state = { tokens: this.tokenize(body), position: 0 };
+        if (state.tokens.length === 0) throw new Error('Empty expression');
+
+        const tree = this.parseSum(state);
+        if (state.position < state.tokens.length) {
+            throw new Error(`Unexpected "${state.tokens[state.position].text}"`);
+        }
+        const count = (type) => state.tokens.filter(token => token.type === type).length;
+        const units = state.tokens.filter(token => token.type === 'duration').map(token => token.unit);
+        return {
+            tree,
+            target,
+            dates: count('date'),
+            durations: count('duration'),
+            operations: state.tokens.filter(token => token.type === 'operator' && !'()'.includes(token.text)).length,
+            ambiguous: units.includes('m') && count('date') === 0 && units.every(unit => unit === 'm' || unit === 's')
+        };
+    }
+
+    /**
+     * Split off a trailing "in/to <duration unit or zone>"
+     */
+    splitTarget(text) {
+        const pattern = /\s+(?:in|to|into|as)(?=\s)/g;
+        const splits = [...text.matchAll(pattern)].reverse();
+        for (const match of splits) {
+            const target = text.slice(match.index + match[0].length).trim();
+            if (target in DURATION_UNITS && !['m', 's', 'd', 'w', 'h', 'y'].includes(target)) {
+                return { body: text.slice(0, match.index), target: { unit: target, ...DURATION_UNITS[target] } };
+            }
+            const zone = this.zone(target);
+            if (zone) {
+                return { body: text.slice(0, match.index), target: { zone } };
+            }
+        }
+        return { body: text, target: null };
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        let position = 0;
+        while (position < text.length) {
+            if (/^\s*$/.test(text.slice(position))) break;
+            const token = this.readToken(text, position);
+            if (!token) {
+                throw new Error(`Unexpected "${text.slice(position).trim().split(/\s+/)[0]}"`);
+            }
+            tokens.push(token);
+            position = token.end;
+        }
+        return tokens;
+    }
+
+    readToken(text, position) {
+        for (const { type, pattern, order } of TOKENS) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (!match) continue;
+            const end = pattern.lastIndex;
+            const raw = match[0].trim();
+
+            if (type === 'operator') return { type, text: match[1], end };
+            if (type === 'number') return { type, text: raw, value: parseFloat(match[1]), end };
+            if (type === 'duration') {
+                const unit = match[2].toLowerCase().replace(/\s+/g, ' ');
+                return { type, text: raw, value: parseFloat(match[1]), unit, parts: DURATION_UNITS[unit], end };
+            }
+
+            let token;
+            if (type === 'iso') {
+                token = { date: this.civil(+match[1], +match[2], +match[3], raw) };
+            } else if (type === 'named') {
+                const fields = Object.fromEntries(order.map((name, i) => [name, match[i + 1]]));
+                const month = MONTHS.indexOf(fields.month.toLowerCase().slice(0, 3)) + 1;
+                const year = fields.year ? +fields.year : this.today().year;
+                token = { date: this.civil(year, month, +fields.day, raw) };
+            } else if (type === 'relative') {
+                token = { relative: match[1].toLowerCase() };
+            } else {
+                token = { relative: 'today', time: this.clock(match.slice(1), raw) };
+            }
+
+            // A date may carry a time, and a time or "now" a zone
+            let end2 = end;
+            if (token.date) {
+                ATTACHED_TIME.lastIndex = end2;
+                const time = ATTACHED_TIME.exec(text);
+                if (time) {
+                    token.time = this.clock(time.slice(1), time[0].trim());
+                    end2 = ATTACHED_TIME.lastIndex;
+                }
+            }
+            if (token.time || token.relative === 'now') {
+                const zone = this.readZone(text, end2);
+                if (zone) {
+                    token.zone = zone.zone;
+                    end2 = zone.end;
+                }
+            }
+            return { type: 'date', text: text.slice(position, end2).trim(), ...token, end: end2 };
+        }
+        return null;
+    }
+
+    readZone(text, position) {
+        for (const pattern of [ZONE_OFFSET, ZONE_NAME, ZONE_IANA]) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(text);
+            if (!match) continue;
+            const zone = this.zone(match[0].trim());
+            if (zone) return { zone, end: pattern.lastIndex };
+        }
+        return null;
+    }
+
+    /**
+     * A time zone from an abbreviation (utc, est), an offset (utc+5:30),
+     * a city (tokyo) or an IANA name (europe/paris); null if unknown
+     */
+    zone(text) {
+        const name = String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+        const offset = name.match(/^(?:utc|gmt)\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?$/);
+        if (offset) {
+            const minutes = (offset[1] === '-' ? -1 : 1) * (+offset[2] * 60 + +(offset[3] || 0));
+            if (Math.abs(minutes) > 14 * 60) return null;
+            return { label: `UTC${this.formatOffset(minutes)}`, offset: minutes };
+        }
+        if (name in ZONE_ABBREVIATIONS) {
+            return { label: name.toUpperCase(), offset: ZONE_ABBREVIATIONS[name] };
+        }
+        // Typed IANA names keep their spelling; ICU would resolve some to old aliases
+        const iana = CITY_ZONES[name] || (name.includes('/')
+            ? name.replace(/(^|[/_-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase())
+            : null);
+        if (!iana) return null;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: iana });
+            return { label: iana, iana };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether the day exists in the month: 2025-02-28 does, 2025-02-30 does not
+     */
+    static isCalendarDate(year, month, day) {
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return month >= 1 && month <= 12 && date.getUTCDate() === day;
+    }
+
+    civil(year, month, day, text) {
+        if (!DateTime.isCalendarDate(year, month, day)) {
+            // Marked so requests with an impossible date fail instead of being read as arithmetic
+            const error = new Error(`Invalid date "${text}"`);
+            error.invalidDate = true;
+            throw error;
+        }
+        return { year, month, day };
+    }
+
+    clock([hours, minutes, seconds, meridiem, bareHours, bareMeridiem, word], text) {
+        if (word) return { hours: word.toLowerCase() === 'noon' ? 12 : 0, minutes: 0, seconds: 0 };
+        let h = +(hours ?? bareHours);
+        const m = +(minutes || 0);
+        const s = +(seconds || 0);
+        const half = (meridiem || bareMeridiem || '').toLowerCase();
+        if (half) {
+            if (h < 1 || h > 12) throw new Error(`Invalid time "${text}"`);
+            h = (h % 12) + (half === 'pm' ? 12 : 0);
+        }
+        if (h > 23 || m > 59 || s > 59) throw new Error(`Invalid time "${text}"`);
+        return { hours: h, minutes: m, seconds: s };
+    }
+
+    parseSum(state) {
+        let node = this.parseProduct(state);
+        while (this.peek(state, '+') || this.peek(state, '-')) {
+            const op = state.tokens[state.position++].text;
+            node = { type: 'binary', op, left: node, right: this.parseProduct(state) };
+        }
+        return node;
+    }
+
+    parseProduct(state) {
+        let node = this.parseUnary(state);
+        while (this.peek(state, '*') || this.peek(state, '/')) {
+            const op = state.tokens[state.position++].text;
+            node = { type: 'binary', op, left: node, right: this.parseUnary(state) };
+        }
+        return node;
+    }
+
+    parseUnary(state) {
+        if (this.peek(state, '-')) {
+            state.position++;
+            return { type: 'negate', value: this.parseUnary(state) };
+        }
+        if (this.peek(state, '+')) {
+            state.position++;
+            return this.parseUnary(state);
+        }
+        return this.parsePrimary(state);
+    }
+
+    parsePrimary(state) {
+        const token = state.tokens[state.position];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (this.peek(state, '(')) {
+            state.position++;
+            const node = this.parseSum(state);
+            if (!this.peek(state, ')')) throw new Error('Missing closing parenthesis');
+            state.position++;
+            return node;
+        }
+        state.position++;
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.type === 'date') {
+            const { type, end, ...date } = token;
+            return { type: 'date', ...date };
+        }
+        if (token.type !== 'duration') throw new Error(`Unexpected "${token.text}"`);
+
+        // "3h 20m": durations side by side are one value
+        const terms = [token];
+        while (state.tokens[state.position] && state.tokens[state.position].type === 'duration') {
+            terms.push(state.tokens[state.position++]);
+        }
+        const parts = terms.reduce((sum, term) => this.add(sum, this.scale(term.parts, term.value)), this.duration());
+        return { type: 'duration', parts, text: terms.map(term => term.text).join(' ') };
+    }
+
+    peek(state, text) {
+        const token = state.tokens[state.position];
+        return Boolean(token && token.type === 'operator' && token.text === text);
+    }
+
+    /**
+     * Evaluate a parsed tree
+     * @returns {Object} - { value, trace }; value is { kind: 'date' | 'duration' | 'number', ... }
+     */
+    evaluate(tree) {
+        const trace = [];
+        const value = this.evaluateNode(tree, trace);
+        return { value, trace };
+    }
+
+    evaluateNode(node, trace) {
+        if (node.type === 'number') return { kind: 'number', value: node.value };
+        if (node.type === 'duration') return { kind: 'duration', ...node.parts };
+        if (node.type === 'date') {
+            const value = this.dateValue(node);
+            const text = this.format(value);
+            if ((node.relative || node.zone) && node.text.toLowerCase() !== text.toLowerCase()) {
+                trace.push({ type: 'substitute', description: `${node.text} is ${text}` });
+            }
+            return value;
+        }
+        if (node.type === 'negate') {
+            const value = this.evaluateNode(node.value, trace);
+            if (value.kind === 'date') throw new Error('Cannot negate a date');
+            return value.kind === 'number' ? { kind: 'number', value: -value.value } : { kind: 'duration', ...this.scale(value, -1) };
+        }
+
+        const left = this.evaluateNode(node.left, trace);
+        const right = this.evaluateNode(node.right, trace);
+        const value = this.apply(node.op, left, right);
+        const symbol = { '*': '×', '/': '÷' }[node.op] || node.op;
+        trace.push({
+            type: 'evaluate',
+            description: `${this.format(left)} ${symbol} ${this.format(right)} = ${this.format(value)}`
+        });
+        return value;
+    }
+
+    apply(op, left, right) {
+        const kinds = `${left.kind} ${op} ${right.kind}`;
+        const number = (value) => ({ kind: 'number', value });
+        const duration = (parts) => ({ kind: 'duration', ...parts });
+
+        switch (kinds) {
+            case 'number + number': return number(left.value + right.value);
+            case 'number - number': return number(left.value - right.value);
+            case 'number * number': return number(left.value * right.value);
+            case 'number / number':
+                if (right.value === 0) throw new Error('Division by zero');
+                return number(left.value / right.value);
+            // A plain number next to a date counts days
+            case 'date + number': return this.shift(left, this.duration({ days: right.value }));
+            case 'number + date': return this.shift(right, this.duration({ days: left.value }));
+            case 'date - number': return this.shift(left, this.duration({ days: -right.value }));
+            case 'date + duration': return this.shift(left, right);
+            case 'duration + date': return this.shift(right, left);
+            case 'date - duration': return this.shift(left, this.scale(right, -1));
+            case 'date - date': return duration(this.difference(right, left));
+            case 'duration + duration': return duration(this.add(left, right));
+            case 'duration - duration': return duration(this.add(left, this.scale(right, -1)));
+            case 'duration * number': return duration(this.scale(left, right.value));
+            case 'number * duration': return duration(this.scale(right, left.value));
+            case 'duration / number':
+                if (right.value === 0) throw new Error('Division by zero');
+                return duration(this.scale(left, 1 / right.value));
+            case 'duration / duration': return number(this.ratio(left, right));
+            default: {
+                const names = { date: 'a date', duration: 'a duration', number: 'a number' };
+                const verbs = { '+': 'add', '-': 'subtract', '*': 'multiply', '/': 'divide' };
+                throw new Error(`Cannot ${verbs[op]} ${names[left.kind]} and ${names[right.kind]}`);
+            }
+        }
+    }
+
+    /**
+     * Date value of a date token: calendar days are UTC midnights; with a
+     * time the value is an instant (ms) shown in its zone
+     */
+    dateValue(node) {
+        const zone = node.zone || null;
+        if (node.relative === 'now') return { kind: 'date', ms: this.now().getTime(), hasTime: true, zone };
+
+        let day = node.date;
+        if (node.relative) {
+            const offset = { today: 0, tomorrow: 1, yesterday: -1 }[node.relative];
+            day = this.fields(this.calendar(this.today()) + offset * DAY_MS);
+            // "14:30 utc" is today in that zone
+            if (node.zone && node.time) day = this.wallClock(this.now().getTime(), zone);
+        }
+        if (!node.time) return { kind: 'date', ms: this.calendar(day), hasTime: false, zone: null };
+        return { kind: 'date', ms: this.instant({ ...day, ...node.time }, zone), hasTime: true, zone };
+    }
+
+    /**
+     * Move a date by a duration: months and days on the calendar, business
+     * days skipping weekends, then seconds on the clock
+     */
+    shift(date, parts) {
+        const { months, days, businessDays, seconds } = parts;
+        if (!Number.isInteger(months) || !Number.isInteger(businessDays)) {
+            throw new Error('Months, years and business days must be whole numbers to move a date');
+        }
+        // Whole days stay on the calendar, fractions become clock time
+        const wholeDays = Math.trunc(days);
+        const clockSeconds = seconds + (days - wholeDays) * 86400;
+
+        const wall = date.hasTime ? this.wallClock(date.ms, date.zone) : { ...this.fields(date.ms), hours: 0, minutes: 0, seconds: 0 };
+        let day = this.addMonths(wall, months);
+        day = this.fields(this.calendar(day) + wholeDays * DAY_MS);
+        day = this.addBusinessDays(day, businessDays);
+
+        if (!date.hasTime && clockSeconds === 0) {
+            return { kind: 'date', ms: this.calendar(day), hasTime: false, zone: null };
+        }
+        const ms = this.instant({ ...wall, ...day }, date.zone) + clockSeconds * 1000;
+        return { kind: 'date', ms, hasTime: true, zone: date.zone };
+    }
+
+    /**
+     * Duration from one date to another: whole days between calendar dates,
+     * seconds when either has a time
+     */
+    difference(from, to) {
+        if (!from.hasTime && !to.hasTime) {
+            return this.duration({ days: Math.round((to.ms - from.ms) / DAY_MS) });
+        }
+        const ms = (date) => (date.hasTime ? date.ms : this.instant({ ...this.fields(date.ms), hours: 0, minutes: 0, seconds: 0 }, null));
+        return this.duration({ seconds: (ms(to) - ms(from)) / 1000 });
+    }
+
+    /**
+     * Count of a unit between two dates; months and years count whole ones
+     * and business days count weekdays from the first date up to the second
+     */
+    between(from, to, unit) {
+        if (/^(?:business|working|weekday)/.test(unit)) {
+            return this.businessDaysBetween(this.fields(this.dayOf(from)), this.fields(this.dayOf(to)));
+        }
+        if (/^(?:month|year)/.test(unit)) {
+            const months = this.wholeMonths(this.wallOf(from), this.wallOf(to));
+            return /^year/.test(unit) ? Math.trunc(months / 12) : months;
+        }
+        const { days, seconds } = this.difference(from, to);
+        const total = days * 86400 + seconds;
+        const size = { second: 1, minute: 60, hour: 3600, day: 86400, week: 604800 }[unit.replace(/s$/, '')];
+        return clean(total / size);
+    }
+
+    /**
+     * Age in whole years, months and days on a date
+     */
+    age(birth, on) {
+        const start = this.fields(this.dayOf(birth));
+        const end = this.fields(this.dayOf(on));
+        if (this.calendar(end) < this.calendar(start)) {
+            throw new Error('The birth date is after the date of the age');
+        }
+        const months = this.wholeMonths(start, end);
+        const anchor = this.addMonths(start, months);
+        return {
+            years: Math.trunc(months / 12),
+            months: months % 12,
+            days: Math.round((this.calendar(end) - this.calendar(anchor)) / DAY_MS)
+        };
+    }
+
+    weekday(date) {
+        const day = date.hasTime ? this.calendar(this.wallClock(date.ms, date.zone)) : date.ms;
+        return WEEKDAYS[new Date(day).getUTCDay()];
+    }
+
+    /**
+     * Show an instant in another zone
+     */
+    inZone(date, zone) {
+        if (!date.hasTime) throw new Error('Give a time to convert between time zones (e.g. 14:30 utc in tokyo)');
+        return { ...date, zone };
+    }
+
+    /**
+     * Offset of a zone from UTC in minutes, at an instant (daylight saving applies)
+     */
+    offset(zone, ms = this.now().getTime()) {
+        if (!zone) return -new Date(ms).getTimezoneOffset();
+        if (zone.offset !== undefined) return zone.offset;
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone.iana, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(new Date(ms));
+        const get = (type) => +parts.find(part => part.type === type).value;
+        const wall = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+        return Math.round((wall - Math.floor(ms / 1000) * 1000) / 60000);
+    }
+
+    /**
+     * Calendar fields and clock time of an instant in a zone
+     */
+    wallClock(ms, zone) {
+        const local = new Date(ms + this.offset(zone, ms) * 60000);
+        return {
+            year: local.getUTCFullYear(), month: local.getUTCMonth() + 1, day: local.getUTCDate(),
+            hours: local.getUTCHours(), minutes: local.getUTCMinutes(), seconds: local.getUTCSeconds() + local.getUTCMilliseconds() / 1000
+        };
+    }
+
+    /**
+     * Instant of a wall-clock time in a zone
+     */
+    instant({ year, month, day, hours = 0, minutes = 0, seconds = 0 }, zone) {
+        const wall = Date.UTC(year, month - 1, day, hours, minutes) + seconds * 1000;
+        let ms = wall - this.offset(zone, wall) * 60000;
+        // Near a daylight saving change the first guess picks the other offset
+        const corrected = wall - this.offset(zone, ms) * 60000;
+        if (corrected !== ms) ms = corrected;
+        return ms;
+    }
+
+    today() {
+        const { year, month, day } = this.wallClock(this.now().getTime(), null);
+        return { year, month, day };
+    }
+
+    calendar({ year, month, day }) {
+        return Date.UTC(year, month - 1, day);
+    }
+
+    fields(ms) {
+        const date = new Date(ms);
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    dayOf(date) {
+        return date.hasTime ? this.calendar(this.wallClock(date.ms, date.zone)) : date.ms;
+    }
+
+    wallOf(date) {
+        return date.hasTime ? this.wallClock(date.ms, date.zone) : this.fields(date.ms);
+    }
+
+    /**
+     * Add calendar months; the 31st becomes the last day of shorter months
+     */
+    addMonths(wall, months) {
+        const { year, month, day } = wall;
+        const index = year * 12 + (month - 1) + months;
+        const target = { year: Math.floor(index / 12), month: (index % 12 + 12) % 12 + 1 };
+        const length = new Date(Date.UTC(target.year, target.month, 0)).getUTCDate();
+        return { ...wall, ...target, day: Math.min(day, length) };
+    }
+
+    wholeMonths(from, to) {
+        const sign = this.compare(to, from) < 0 ? -1 : 1;
+        const [start, end] = sign > 0 ? [from, to] : [to, from];
+        let months = (end.year - start.year) * 12 + (end.month - start.month);
+        if (this.compare(this.addMonths(start, months), end) > 0) months--;
+        return sign * months;
+    }
+
+    // Order of two wall times, by calendar day and then clock time
+    compare(a, b) {
+        const key = (t) => [t.year, t.month, t.day, t.hours || 0, t.minutes || 0, t.seconds || 0];
+        const [x, y] = [key(a), key(b)];
+        const i = x.findIndex((value, index) => value !== y[index]);
+        return i < 0 ? 0 : Math.sign(x[i] - y[i]);
+    }
+
+    addBusinessDays(day, count) {
+        if (Math.abs(count) > MAX_STEPS) throw new Error('Too many business days');
+        let ms = this.calendar(day);
+        const step = Math.sign(count) * DAY_MS;
+        for (let left = Math.abs(count); left > 0;) {
+            ms += step;
+            const weekday = new Date(ms).getUTCDay();
+            if (weekday !== 0 && weekday !== 6) left--;
+        }
+        return this.fields(ms);
+    }
+
+    businessDaysBetween(from, to) {
+        const start = this.calendar(from);
+        const end = this.calendar(to);
+        const sign = end < start ? -1 : 1;
+        const [low, high] = sign > 0 ? [start, end] : [end, start];
+        const days = Math.round((high - low) / DAY_MS);
+        // Whole weeks hold five weekdays; walk the rest
+        let count = Math.floor(days / 7) * 5;
+        for (let ms = low + Math.floor(days / 7) * 7 * DAY_MS; ms < high; ms += DAY_MS) {
+            const weekday = new Date(ms).getUTCDay();
+            if (weekday !== 0 && weekday !== 6) count++;
+        }
+        return sign * count;
+    }
+
+    duration(parts = {}) {
+        return { months: 0, days: 0, businessDays: 0, seconds: 0, ...parts };
+    }
+
+    add(a, b) {
+        return this.duration({
+            months: a.months + b.months,
+            days: a.days + b.days,
+            businessDays: a.businessDays + b.businessDays,
+            seconds: a.seconds + b.seconds
+        });
+    }
+
+    scale(parts, factor) {
+        const { months = 0, days = 0, businessDays = 0, seconds = 0 } = parts;
+        return this.duration({
+            months: clean(months * factor),
+            days: clean(days * factor),
+            businessDays: clean(businessDays * factor),
+            seconds: clean(seconds * factor)
+        });
+    }
+
+    ratio(a, b) {
+        if (a.months || b.months || a.businessDays || b.businessDays) {
+            if (a.days || a.seconds || b.days || b.seconds) {
+                throw new Error('Cannot compare months or business days with days and hours');
+            }
+            return clean((a.months + a.businessDays) / (b.months + b.businessDays));
+        }
+        const total = (parts) => parts.days * 86400 + parts.seconds;
+        if (total(b) === 0) throw new Error('Division by zero');
+        return clean(total(a) / total(b));
+    }
+
+    /**
+     * A duration in one unit ("in minutes")
+     */
+    toUnit(parts, target) {
+        if (target.months) {
+            if (parts.days || parts.seconds || parts.businessDays) {
+                throw new Error(`Cannot express days and hours in ${target.unit} exactly`);
+            }
+            return clean(parts.months / target.months);
+        }
+        if (parts.months) throw new Error(`Months and years have no fixed length in ${target.unit}`);
+        if (target.businessDays || parts.businessDays) {
+            throw new Error('Business days depend on the dates; count them between two dates instead');
+        }
+        const size = (target.days || 0) * 86400 + (target.seconds || 0);
+        return clean((parts.days * 86400 + parts.seconds) / size);
+    }
+
+    /**
+     * Text form of a value; dates and durations read back into parse()
+     */
+    format(value) {
+        if (value.kind === 'number') return String(clean(value.value));
+        if (value.kind === 'duration') return this.formatDuration(value);
+
+        const pad = (n) => String(n).padStart(2, '0');
+        if (!value.hasTime) {
+            const { year, month, day } = this.fields(value.ms);
+            return `${year}-${pad(month)}-${pad(day)}`;
+        }
+        const t = this.wallClock(value.ms, value.zone);
+        const seconds = Math.round(t.seconds);
+        return `${t.year}-${pad(t.month)}-${pad(t.day)} ${pad(t.hours)}:${pad(t.minutes)}` +
+            (seconds ? `:${pad(seconds)}` : '') +
+            (value.zone ? ` ${value.zone.label}` : '');
+    }
+
+    /**
+     * Compact duration text: "1y 2mo 3d 4h 5m 6s", "10 business days"
+     */
+    formatDuration(parts) {
+        const sign = [parts.months, parts.days, parts.businessDays, parts.seconds].some(v => v < 0)
+            && [parts.months, parts.days, parts.businessDays, parts.seconds].every(v => v <= 0) ? -1 : 1;
+        const p = this.scale(parts, sign);
+        const pieces = [];
+        if (p.months >= 12) pieces.push(`${Math.trunc(p.months / 12)}y`);
+        if (p.months % 12) pieces.push(`${clean(p.months % 12)}mo`);
+        if (p.days) pieces.push(`${p.days}d`);
+        if (p.businessDays) pieces.push(`${p.businessDays} business day${p.businessDays === 1 ? '' : 's'}`);
+        let seconds = p.seconds;
+        if (seconds) {
+            const hours = Math.trunc(seconds / 3600);
+            const minutes = Math.trunc((seconds - hours * 3600) / 60);
+            seconds = clean(seconds - hours * 3600 - minutes * 60);
+            if (hours) pieces.push(`${hours}h`);
+            if (minutes) pieces.push(`${minutes}m`);
+            if (seconds) pieces.push(`${seconds}s`);
+        }
+        const text = pieces.join(' ') || '0s';
+        return sign < 0 ? `-${pieces.length > 1 ? `(${text})` : text}` : text;
+    }
+
+    /**
+     * Total length of a fixed duration in its largest fitting unit ("245 minutes"), or null
+     */
+    total(parts) {
+        if (parts.months || parts.businessDays) return null;
+        const seconds = parts.days * 86400 + parts.seconds;
+        const unit = [['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]]
+            .find(([, size]) => Math.abs(seconds) >= size && Number.isInteger(seconds / size)) || ['second', 1];
+        const value = clean(seconds / unit[1]);
+        return `${value} ${unit[0]}${Math.abs(value) === 1 ? '' : 's'}`;
+    }
+
+    formatOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const abs = Math.abs(minutes);
+        return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+    }
+}
+
+DateTime.UNITS = Object.keys(DURATION_UNITS);
+
+module.exports = DateTime;
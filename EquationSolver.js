@@ -0,0 +1,477 @@
+const math = require('mathjs');
+const { clean } = require('./Precision');
+
+// Residuals and imaginary parts below this count as zero
+const TOLERANCE = 1e-9;
+
+// Range scanned for roots of non-polynomial equations unless one is given
+const DEFAULT_RANGE = [-100, 100];
+const SCAN_STEPS = 2000;
+// Roots count as periodic when they repeat this often in the range, with at most MAX_PERIOD_ROOTS per period
+const PERIODIC_REPEATS = 3;
+const MAX_PERIOD_ROOTS = 10;
+
+/**
+ * Solves equations and systems of equations.
+ *
+ * Every equation "lhs = rhs" is rewritten as f = (lhs) - (rhs) = 0. A single
+ * polynomial equation is solved exactly (linear, quadratic and cubic
+ * formulas) or with Durand–Kerner iteration for higher degrees; other single
+ * equations are solved numerically by bisection over a range. Linear systems
+ * use LU decomposition and non-linear systems Newton's method.
+ *
+ * solve() returns { unknowns, method, solutions, complexSolutions, identity }
+ * where solutions is a list of { name: value } objects with real values.
+ * Numeric roots that repeat at a fixed period (sin(x) = 0.5) come back as
+ * the roots of one period, from 0 up to `period`.
+ */
+class EquationSolver {
+    /**
+     * @param {Object} [options]
+     * @param {AngleMode} [options.angles] - Angle modes for trigonometry (radians without it)
+     */
+    constructor(options = {}) {
+        this.angles = options.angles || null;
+    }
+
+    /**
+     * @param {string[]} equations - Equations such as "2x + 3 = 11" (no "=" means "= 0")
+     * @param {Object} [options]
+     * @param {Object} [options.scope] - Known variables and functions
+     * @param {string[]} [options.unknowns] - Variables to solve for (detected when omitted)
+     * @param {number[]} [options.range] - [from, to] scanned by the numeric solver
+     * @param {string} [options.angle] - Angle mode of trigonometric functions ('deg', 'rad' or 'grad')
+     */
+    solve(equations, options = {}) {
+        const scope = options.scope || {};
+        // Equations parsed by a mode's mathjs instance evaluate trigonometry in that mode
+        const instance = this.angles ? this.angles.math(options.angle) : math;
+        const functions = equations.map(equation => this.toFunction(equation, instance));
+        const unknowns = options.unknowns && options.unknowns.length
+            ? options.unknowns
+            : this.detectUnknowns(functions.map(f => f.node), scope, equations.length);
+
+        if (unknowns.length === 0) {
+            throw new Error('Nothing to solve for: the equation has no unknowns');
+        }
+        if (unknowns.length > equations.length) {
+            throw new Error(`Need ${unknowns.length} equations to solve for ${unknowns.join(', ')}`);
+        }
+
+        const missing = this.freeSymbols(functions.map(f => f.node), scope)
+            .filter(name => !unknowns.includes(name) && !Object.prototype.hasOwnProperty.call(scope, name));
+        if (missing.length > 0) {
+            throw new Error(`Unknown value "${missing[0]}"`);
+        }
+
+        const known = { ...scope };
+        unknowns.forEach(name => delete known[name]);
+
+        if (equations.length === 1) {
+            return { unknowns, equations: functions.map(f => f.source), ...this.solveSingle(functions[0], unknowns[0], known, options) };
+        }
+        return { unknowns, equations: functions.map(f => f.source), ...this.solveSystem(functions, unknowns, known) };
+    }
+
+    /**
+     * Parse "lhs = rhs" into the node of (lhs) - (rhs)
+     */
+    toFunction(equation, instance = math) {
+        const sides = equation.split(/(?<![<>!=])=(?!=)/);
+        if (sides.length > 2) {
+            throw new Error(`"${equation}" has more than one "="`);
+        }
+        const [lhs, rhs = '0'] = sides.map(side => side.trim());
+        if (!lhs || !rhs) {
+            throw new Error(`"${equation}" is missing a side`);
+        }
+        let node;
+        try {
+            node = instance.parse(`(${lhs}) - (${rhs})`);
+        } catch (error) {
+            throw new Error(`Could not parse equation "${equation}": ${error.message}`);
+        }
+        return { source: `${lhs} = ${rhs}`, lhs, rhs, node };
+    }
+
+    /**
+     * Free symbols of the equations, in order of appearance. Names that are
+     * already defined only count when there are not enough other unknowns.
+     */
+    detectUnknowns(nodes, scope, equationCount) {
+        const symbols = this.freeSymbols(nodes, scope);
+        if (symbols.length <= equationCount) return symbols;
+        const undefinedSymbols = symbols.filter(name => !Object.prototype.hasOwnProperty.call(scope, name));
+        return undefinedSymbols.length > 0 ? undefinedSymbols : symbols;
+    }
+
+    /**
+     * Variable names used by the equations (not built-ins or user functions)
+     */
+    freeSymbols(nodes, scope) {
+        const symbols = [];
+        nodes.forEach(node => node.traverse((child, path, parent) => {
+            if (!child.isSymbolNode || (parent && parent.isFunctionNode && path === 'fn')) return;
+            if (math[child.name] !== undefined || symbols.includes(child.name)) return;
+            if (typeof scope[child.name] === 'function') return;
+            symbols.push(child.name);
+        }));
+        return symbols;
+    }
+
+    solveSingle(f, unknown, known, options) {
+        const polynomial = this.polynomialCoefficients(f.node, known);
+        const evaluate = this.compile(f.node, known, [unknown]);
+
+        if (!polynomial) {
+            const range = options.range || DEFAULT_RANGE;
+            const roots = this.bisectionRoots(x => evaluate([x]), range[0], range[1]);
+            const periodic = this.periodicRoots(roots, range);
+            return {
+                method: 'bisection',
+                range,
+                ...(periodic ? { period: periodic.period } : {}),
+                solutions: (periodic ? periodic.roots : roots).map(root => ({ [unknown]: root })),
+                complexSolutions: []
+            };
+        }
+
+        const { coefficients, denominator } = polynomial;
+        const degree = coefficients.length - 1;
+        if (degree === 0) {
+            // No unknown left after simplifying: either always or never true
+            const identity = Math.abs(coefficients[0]) < TOLERANCE;
+            return { method: identity ? 'identity' : 'contradiction', identity, solutions: [], complexSolutions: [], degree };
+        }
+
+        const roots = this.polynomialRoots(coefficients)
+            .filter(root => !denominator || math.abs(denominator.evaluate({ ...known, [unknown]: root })) > TOLERANCE);
+        const real = roots.filter(root => typeof root === 'number').sort((a, b) => a - b);
+        const complex = roots.filter(root => typeof root !== 'number');
+
+        return {
+            method: this.polynomialMethod(degree),
+            degree,
+            coefficients,
+            discriminant: degree === 2 ? this.discriminant(coefficients) : undefined,
+            solutions: real.map(root => ({ [unknown]: root })),
+            complexSolutions: complex.map(root => ({ [unknown]: root }))
+        };
+    }
+
+    solveSystem(functions, unknowns, known) {
+        if (functions.length > unknowns.length) {
+            throw new Error(`Too many equations: ${functions.length} equations for ${unknowns.length} unknowns`);
+        }
+        const evaluators = functions.map(f => this.compile(f.node, known, unknowns));
+
+        const linear = this.linearCoefficients(evaluators, unknowns.length);
+        if (linear) {
+            if (Math.abs(math.det(linear.matrix)) < TOLERANCE) {
+                throw new Error('The system has no unique solution');
+            }
+            const column = math.lusolve(linear.matrix, linear.constants);
+            const values = math.flatten(math.matrix(column)).toArray().map(value => this.clean(value));
+            return {
+                method: 'LU decomposition',
+                solutions: [this.toSolution(unknowns, values)],
+                complexSolutions: []
+            };
+        }
+
+        const solutions = [];
+        for (const start of [1, -1, 2, -2, 0.5, 10, -10]) {
+            const values = this.newton(evaluators, unknowns.length, start);
+            if (values && !solutions.some(s => unknowns.every((name, i) => Math.abs(s[name] - values[i]) < 1e-6))) {
+                solutions.push(this.toSolution(unknowns, values));
+            }
+        }
+        if (solutions.length === 0) {
+            throw new Error('No solution found for the system');
+        }
+        return { method: "Newton's method", solutions, complexSolutions: [] };
+    }
+
+    /**
+     * Coefficients (constant term first) when f is a polynomial in one
+     * unknown after substituting the known values, otherwise null
+     */
+    polynomialCoefficients(node, known) {
+        const numeric = Object.fromEntries(Object.entries(known).filter(([, value]) => typeof value === 'number'));
+        let rationalized;
+        try {
+            rationalized = math.rationalize(node, numeric, true);
+        } catch (error) {
+            return null;
+        }
+        if (rationalized.variables.length > 1 || !rationalized.coefficients.length) {
+            return rationalized.variables.length === 0
+                ? { coefficients: [rationalized.expression.evaluate()], denominator: null }
+                : null;
+        }
+
+        const coefficients = [...rationalized.coefficients];
+        while (coefficients.length > 1 && Math.abs(coefficients[coefficients.length - 1]) < TOLERANCE) {
+            coefficients.pop();
+        }
+        return {
+            coefficients,
+            denominator: rationalized.denominator ? rationalized.denominator.compile() : null
+        };
+    }
+
+    polynomialMethod(degree) {
+        if (degree === 1) return 'linear equation';
+        if (degree === 2) return 'quadratic formula';
+        if (degree === 3) return 'cubic formula';
+        return 'Durand-Kerner iteration';
+    }
+
+    discriminant([c, b, a]) {
+        return b * b - 4 * a * c;
+    }
+
+    /**
+     * Roots of the polynomial with the given coefficients (constant first);
+     * real roots are numbers, the others mathjs Complex values
+     */
+    polynomialRoots(coefficients) {
+        const degree = coefficients.length - 1;
+        let roots;
+        if (degree === 1) {
+            roots = [-coefficients[0] / coefficients[1]];
+        } else if (degree === 2) {
+            const [c, b, a] = coefficients;
+            const root = math.sqrt(this.discriminant(coefficients));
+            roots = [
+                math.divide(math.add(-b, root), 2 * a),
+                math.divide(math.subtract(-b, root), 2 * a)
+            ];
+        } else if (degree === 3) {
+            roots = math.polynomialRoot(...coefficients);
+        } else {
+            roots = this.durandKerner(coefficients);
+        }
+
+        const unique = [];
+        roots.map(root => this.clean(root)).forEach(root => {
+            if (!unique.some(other => math.abs(math.subtract(other, root)) < 1e-7)) {
+                unique.push(root);
+            }
+        });
+        return unique;
+    }
+
+    /**
+     * All complex roots of a polynomial at once (Weierstrass / Durand–Kerner)
+     */
+    durandKerner(coefficients) {
+        const degree = coefficients.length - 1;
+        const lead = coefficients[degree];
+        const monic = coefficients.map(c => c / lead);
+        const evaluate = (z) => monic.reduceRight((sum, c) => sum.mul(z).add(c), math.complex(0, 0));
+
+        let roots = Array.from({ length: degree }, (_, k) => math.complex(0.4, 0.9).pow(k));
+        for (let iteration = 0; iteration < 500; iteration++) {
+            let change = 0;
+            roots = roots.map((root, i) => {
+                const denominator = roots.reduce((product, other, j) => (i === j ? product : product.mul(root.sub(other))), math.complex(1, 0));
+                const next = root.sub(evaluate(root).div(denominator));
+                change = Math.max(change, next.sub(root).abs());
+                return next;
+            });
+            if (change < 1e-14) break;
+        }
+        return roots;
+    }
+
+    /**
+     * Sign changes of f on [from, to], refined by bisection. Sign changes
+     * across a discontinuity (tan, 1/x) are discarded.
+     */
+    bisectionRoots(f, from, to) {
+        const roots = [];
+        const step = (to - from) / SCAN_STEPS;
+        const add = (root) => {
+            const value = this.clean(root);
+            if (!roots.some(other => Math.abs(other - value) < 1e-7)) roots.push(value);
+        };
+
+        let x0 = from;
+        let y0 = this.realValue(f(x0));
+        for (let i = 1; i <= SCAN_STEPS; i++) {
+            const x1 = from + i * step;
+            const y1 = this.realValue(f(x1));
+            if (y0 === 0) {
+                add(x0);
+            } else if (y0 !== null && y1 !== null && y1 !== 0 && Math.sign(y0) !== Math.sign(y1)) {
+                let [a, b, fa] = [x0, x1, y0];
+                for (let k = 0; k < 100; k++) {
+                    const mid = (a + b) / 2;
+                    const fm = this.realValue(f(mid));
+                    if (fm === null) break;
+                    if (Math.sign(fm) === Math.sign(fa)) {
+                        [a, fa] = [mid, fm];
+                    } else {
+                        b = mid;
+                    }
+                }
+                const root = (a + b) / 2;
+                const residual = this.realValue(f(root));
+                if (residual !== null && Math.abs(residual) < 1e-6) add(root);
+            }
+            [x0, y0] = [x1, y1];
+        }
+        if (y0 === 0) add(x0);
+        return roots.sort((a, b) => a - b);
+    }
+
+    /**
+     * The roots of one period when the roots repeat at a fixed period at
+     * least PERIODIC_REPEATS times across the range, otherwise null
+     * @returns {Object|null} - { period, roots }: roots from 0 up to the period
+     */
+    periodicRoots(roots, [from, to]) {
+        // Each period holds at most MAX_PERIOD_ROOTS roots, so the period is one of the first differences
+        for (let j = 1; j <= MAX_PERIOD_ROOTS && j < roots.length; j++) {
+            let period = roots[j] - roots[0];
+            if ((to - from) / period < PERIODIC_REPEATS) break;
+            const tolerance = 1e-6 * Math.max(1, period);
+            // The root at value (binary search), or null
+            const find = (value) => {
+                let low = 0;
+                let high = roots.length - 1;
+                while (low <= high) {
+                    const mid = (low + high) >> 1;
+                    if (Math.abs(roots[mid] - value) < tolerance) return roots[mid];
+                    if (roots[mid] < value) low = mid + 1;
+                    else high = mid - 1;
+                }
+                return null;
+            };
+            const has = value => find(value) !== null;
+            // Every root has its neighbours one period away, unless they fall outside the range
+            const repeats = roots.every(root => (root + period > to - tolerance || has(root + period))
+                && (root - period < from + tolerance || has(root - period)));
+            if (!repeats) continue;
+
+            // Measured across every repeat rather than one gap
+            const count = Math.round((roots[roots.length - 1] - roots[0]) / period);
+            const last = find(roots[0] + count * period);
+            if (last !== null) period = (last - roots[0]) / count;
+
+            // Shifted into [0, period), preferring the root found there over the shifted value
+            const base = roots.filter(root => root < roots[0] + period - tolerance).map(root => {
+                let value = ((root % period) + period) % period;
+                if (Math.abs(value - period) < tolerance) value = 0;
+                return find(value) ?? this.clean(value);
+            });
+            return { period: this.clean(period), roots: base.sort((a, b) => a - b) };
+        }
+        return null;
+    }
+
+    /**
+     * Coefficient matrix and constants when every function is affine in the
+     * unknowns (checked at a couple of extra points), otherwise null
+     */
+    linearCoefficients(evaluators, size) {
+        const zero = new Array(size).fill(0);
+        const rows = [];
+        const constants = [];
+
+        for (const f of evaluators) {
+            const c = this.realValue(f(zero));
+            if (c === null) return null;
+            const row = zero.map((_, j) => {
+                const unit = zero.map((__, k) => (k === j ? 1 : 0));
+                return this.realValue(f(unit)) - c;
+            });
+            if (row.some(Number.isNaN)) return null;
+
+            for (const point of [zero.map((_, k) => k + 2), zero.map((_, k) => -3.5 + k)]) {
+                const expected = c + row.reduce((sum, a, k) => sum + a * point[k], 0);
+                const actual = this.realValue(f(point));
+                if (actual === null || Math.abs(actual - expected) > 1e-9 * Math.max(1, Math.abs(expected))) return null;
+            }
+            rows.push(row);
+            constants.push(-c);
+        }
+        return { matrix: rows, constants };
+    }
+
+    /**
+     * Newton's method with a finite-difference Jacobian; null when it
+     * does not converge from `start`
+     */
+    newton(evaluators, size, start) {
+        let x = new Array(size).fill(0).map((_, i) => start + i * 0.1);
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const fx = evaluators.map(f => this.realValue(f(x)));
+            if (fx.some(value => value === null)) return null;
+            if (fx.every(value => Math.abs(value) < 1e-12)) break;
+
+            const jacobian = evaluators.map((f, i) => x.map((_, j) => {
+                const h = 1e-7 * Math.max(1, Math.abs(x[j]));
+                const shifted = x.map((value, k) => (k === j ? value + h : value));
+                return (this.realValue(f(shifted)) - fx[i]) / h;
+            }));
+            let delta;
+            try {
+                delta = math.flatten(math.matrix(math.lusolve(jacobian, fx.map(v => -v)))).toArray();
+            } catch (error) {
+                return null;
+            }
+            x = x.map((value, i) => value + delta[i]);
+        }
+        const converged = evaluators.every(f => {
+            const value = this.realValue(f(x));
+            return value !== null && Math.abs(value) < 1e-8;
+        });
+        return converged ? x.map(value => this.clean(value)) : null;
+    }
+
+    /**
+     * Evaluator for a node with the unknowns bound positionally
+     */
+    compile(node, known, unknowns) {
+        const code = node.compile();
+        return (values) => {
+            const scope = { ...known };
+            unknowns.forEach((name, i) => { scope[name] = values[i]; });
+            try {
+                return code.evaluate(scope);
+            } catch (error) {
+                return NaN;
+            }
+        };
+    }
+
+    /**
+     * Finite real value of an evaluation, or null
+     */
+    realValue(value) {
+        if (math.isComplex(value)) {
+            return Math.abs(value.im) < TOLERANCE ? value.re : null;
+        }
+        return typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Round away floating point noise; complex values with no imaginary
+     * part become numbers
+     */
+    clean(value) {
+        if (math.isComplex(value)) {
+            if (Math.abs(value.im) < TOLERANCE * Math.max(1, Math.abs(value.re))) return clean(value.re);
+            return math.complex(clean(value.re), clean(value.im));
+        }
+        return clean(value);
+    }
+
+    toSolution(unknowns, values) {
+        return Object.fromEntries(unknowns.map((name, i) => [name, values[i]]));
+    }
+}
+
+module.exports = EquationSolver;
@@ -0,0 +1,204 @@
+const math = require('mathjs');
+
+/**
+ * Builds step-by-step explanations for calculation results.
+ *
+ * Every step is a plain object with at least { type, description }, where
+ * type is one of: 'substitute', 'tokenize', 'map', 'parse', 'evaluate',
+ * 'convert' or 'assign'. Additional fields depend on the type (tokens,
+ * expression, value, ...). render() turns the list into numbered text.
+ */
+class Explainer {
+    constructor(agent) {
+        this.agent = agent;
+    }
+
+    /**
+     * Steps for a whole calculate() request
+     * @param {Object} request - { plugin, parsed, cleanedInput, isNaturalLanguage, result, context, substitutions }
+     */
+    explain(request) {
+        const { plugin, parsed, result, context } = request;
+        const steps = [...(request.substitutions || [])];
+
+        if (plugin && plugin.explain) {
+            steps.push(...plugin.explain(parsed, { ...context, result }));
+            return steps;
+        }
+
+        if (plugin) {
+            steps.push({
+                type: 'parse',
+                plugin: plugin.name,
+                expression: typeof parsed.expression === 'string' ? parsed.expression : undefined,
+                description: `Handled by the ${plugin.name} plugin`
+            });
+        } else if (parsed.tokens) {
+            steps.push(...this.explainNaturalLanguage(parsed));
+        }
+
+        if (!plugin || !plugin.evaluate) {
+            steps.push(...this.explainExpression(parsed.expression, context.scope, context.angle));
+        }
+        return steps;
+    }
+
+    /**
+     * Tokenization and keyword mapping done by parseNaturalLanguage()
+     */
+    explainNaturalLanguage(parsed) {
+        const mapped = parsed.mapping.filter(m => m.mapped !== null);
+        const ignored = parsed.mapping.filter(m => m.mapped === null).map(m => m.token);
+
+        const steps = [{
+            type: 'tokenize',
+            tokens: parsed.tokens,
+            description: `Tokenized input into [${parsed.tokens.join(', ')}]`
+        }, {
+            type: 'map',
+            mapping: parsed.mapping,
+            description: `Mapped ${mapped.map(m => `"${m.token}" → ${m.mapped}`).join(', ') || 'nothing'}`
+                + (ignored.length ? ` (ignored: ${ignored.join(', ')})` : '')
+        }, {
+            type: 'parse',
+            expression: parsed.expression,
+            description: `Built expression ${parsed.expression.trim()}`
+        }];
+        return steps;
+    }
+
+    /**
+     * One 'evaluate' step per operator/function node of the mathjs parse
+     * tree, in the order mathjs evaluates them (innermost first, which
+     * follows operator precedence). Trigonometry uses the given angle mode.
+     */
+    explainExpression(expression, scope = {}, angle = this.agent.defaultSettings.angle) {
+        if (typeof expression !== 'string' || expression.trim() === '') return [];
+
+        const steps = [];
+        let root;
+        try {
+            root = this.agent.angles.math(angle).parse(expression);
+        } catch (error) {
+            return [];
+        }
+
+        const visit = (node) => {
+            switch (node.type) {
+                case 'ParenthesisNode':
+                    return visit(node.content);
+
+                case 'ConstantNode':
+                    return node.value;
+
+                case 'SymbolNode': {
+                    const value = node.compile().evaluate(scope);
+                    if (Object.prototype.hasOwnProperty.call(scope, node.name) && typeof value !== 'function') {
+                        steps.push({
+                            type: 'substitute',
+                            name: node.name,
+                            value,
+                            description: `Substituted ${node.name} = ${this.formatValue(value)}`
+                        });
+                    }
+                    return value;
+                }
+
+                case 'OperatorNode':
+                case 'FunctionNode': {
+                    const args = node.args.map(visit);
+                    const value = node.compile().evaluate(scope);
+                    const isLiteral = node.type === 'OperatorNode' && node.args.length === 1 && node.args[0].type === 'ConstantNode';
+                    if (!isLiteral) {
+                        const shown = this.renderWithValues(node, args);
+                        steps.push({
+                            type: 'evaluate',
+                            expression: shown,
+                            value,
+                            description: `${shown} = ${this.formatValue(value)}`
+                        });
+                    }
+                    return value;
+                }
+
+                default:
+                    return node.compile().evaluate(scope);
+            }
+        };
+
+        visit(root);
+        return steps;
+    }
+
+    /**
+     * Unit conversion through the SI unit of the category (K for temperatures)
+     */
+    explainUnitConversion(value, fromUnit, toUnit, category) {
+        const conversion = this.agent.units.convert(value, fromUnit, toUnit);
+        const { from, to, base } = conversion;
+        const steps = [{
+            type: 'parse',
+            value,
+            fromUnit,
+            toUnit,
+            category,
+            description: `Recognized ${category || 'unit'} conversion of ${value} ${fromUnit} to ${toUnit}`
+        }];
+
+        const toBase = from.offset
+            ? `(${value} + ${this.formatValue(from.offset)}) × ${this.formatValue(from.factor)}`
+            : `${value} ${fromUnit} × ${this.formatValue(from.factor)}`;
+        steps.push({
+            type: 'convert',
+            value: base.value,
+            unit: base.unit,
+            description: `Convert to the base unit: ${toBase} = ${this.formatValue(base.value)} ${base.unit}`
+        });
+
+        if (conversion.reciprocal) {
+            // Fuel economy and fuel consumption are reciprocals of each other
+            steps.push({
+                type: 'convert',
+                value: conversion.value,
+                unit: toUnit,
+                description: `Take the reciprocal and convert: 1 ÷ ${this.formatValue(base.value)} ${base.unit} ÷ ${this.formatValue(to.factor)} = ${this.formatValue(conversion.value)} ${toUnit}`
+            });
+            return steps;
+        }
+
+        const fromBase = to.offset
+            ? `${this.formatValue(base.value)} ${base.unit} ÷ ${this.formatValue(to.factor)} − ${this.formatValue(to.offset)}`
+            : `${this.formatValue(base.value)} ${base.unit} ÷ ${this.formatValue(to.factor)}`;
+        steps.push({
+            type: 'convert',
+            value: conversion.value,
+            unit: toUnit,
+            description: `Convert from the base unit: ${fromBase} = ${this.formatValue(conversion.value)} ${toUnit}`
+        });
+        return steps;
+    }
+
+    /**
+     * Numbered, human-readable rendering of the steps
+     */
+    render(steps) {
+        return steps.map((step, i) => `${i + 1}. ${step.description}`).join('\n');
+    }
+
+    renderWithValues(node, values) {
+        const args = values.map(value => typeof value === 'number'
+            ? new math.ConstantNode(value)
+            : new math.SymbolNode(this.formatValue(value)));
+        const replaced = node.type === 'OperatorNode'
+            ? new math.OperatorNode(node.op, node.fn, args, node.implicit)
+            : new math.FunctionNode(node.fn, args);
+        return replaced.toString();
+    }
+
+    formatValue(value) {
+        if (typeof value === 'function') return value.syntax || 'function';
+        return math.format(value, { precision: 10 });
+    }
+}
+
+module.exports = Explainer;
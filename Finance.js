@@ -0,0 +1,240 @@
+const { clean } = require('./Precision');
+
+// Payments or compounding periods per year
+const FREQUENCIES = {
+    daily: 365,
+    weekly: 52,
+    biweekly: 26, fortnightly: 26,
+    semimonthly: 24,
+    monthly: 12,
+    quarterly: 4,
+    semiannually: 2, semiannual: 2, biannually: 2,
+    annually: 1, annual: 1, yearly: 1,
+    continuously: Infinity, continuous: Infinity
+};
+
+// "per month", "a week", "each quarter"
+const PERIOD_NAMES = { day: 'daily', week: 'weekly', fortnight: 'fortnightly', month: 'monthly', quarter: 'quarterly', year: 'annually' };
+
+const IRR_TOLERANCE = 1e-10;
+const IRR_ITERATIONS = 100;
+
+/**
+ * Time value of money: loan payments, amortization, simple and compound
+ * interest, future and present value, NPV, IRR, ROI and CAGR.
+ *
+ * payment(), futureValue() and presentValue() follow the spreadsheet
+ * conventions of PMT, FV and PV: rates are per period, and money paid out is
+ * negative (a 300000 loan has a negative payment). npv() discounts the first
+ * cash flow as time 0, the usual textbook definition.
+ */
+class Finance {
+    /**
+     * Periods per year for a frequency word ("monthly", "quarter", "continuously")
+     */
+    static periodsPerYear(frequency) {
+        const word = String(frequency).trim().toLowerCase().replace(/[\s-]+/g, '');
+        const key = FREQUENCIES[word] !== undefined ? word : PERIOD_NAMES[word.replace(/s$/, '')];
+        if (key === undefined) {
+            throw new Error(`Unknown frequency "${frequency}" (use daily, weekly, monthly, quarterly or annually)`);
+        }
+        return FREQUENCIES[key];
+    }
+
+    /**
+     * Payment per period (PMT)
+     * @param {boolean} [due=false] - Payments at the start of each period
+     */
+    payment(rate, periods, presentValue, futureValue = 0, due = false) {
+        this.checkPeriods(periods);
+        if (rate === 0) return -(presentValue + futureValue) / periods;
+        const growth = (1 + rate) ** periods;
+        return -rate * (futureValue + presentValue * growth) / ((1 + rate * (due ? 1 : 0)) * (growth - 1));
+    }
+
+    /**
+     * Value after `periods` periods of payments (FV)
+     */
+    futureValue(rate, periods, payment, presentValue = 0, due = false) {
+        this.checkPeriods(periods);
+        if (rate === 0) return -(presentValue + payment * periods);
+        const growth = (1 + rate) ** periods;
+        return -(presentValue * growth + payment * (1 + rate * (due ? 1 : 0)) * (growth - 1) / rate);
+    }
+
+    /**
+     * Value today of future payments and a final amount (PV)
+     */
+    presentValue(rate, periods, payment, futureValue = 0, due = false) {
+        this.checkPeriods(periods);
+        if (rate === 0) return -(futureValue + payment * periods);
+        const growth = (1 + rate) ** periods;
+        return -(futureValue + payment * (1 + rate * (due ? 1 : 0)) * (growth - 1) / rate) / growth;
+    }
+
+    /**
+     * Net present value; cashFlows[0] happens now, cashFlows[i] after i periods
+     */
+    npv(rate, cashFlows) {
+        if (rate <= -1) throw new Error('The discount rate must be greater than -100%');
+        return cashFlows.reduce((total, flow, i) => total + flow / (1 + rate) ** i, 0);
+    }
+
+    /**
+     * Internal rate of return: the rate at which npv() is zero.
+     * Newton's method from the guess, then bisection if that does not settle.
+     */
+    irr(cashFlows, guess = 0.1) {
+        if (!cashFlows.some(flow => flow < 0) || !cashFlows.some(flow => flow > 0)) {
+            throw new Error('IRR needs at least one negative and one positive cash flow');
+        }
+        const slope = (rate) => cashFlows.reduce((total, flow, i) => total - i * flow / (1 + rate) ** (i + 1), 0);
+
+        let rate = guess;
+        for (let i = 0; i < IRR_ITERATIONS; i++) {
+            const value = this.npv(rate, cashFlows);
+            const derivative = slope(rate);
+            if (!Number.isFinite(value) || derivative === 0) break;
+            const next = rate - value / derivative;
+            if (next <= -1 || !Number.isFinite(next)) break;
+            if (Math.abs(next - rate) < IRR_TOLERANCE) return clean(next);
+            rate = next;
+        }
+
+        // Bisection over (-100%, 1000%) when the sign changes there
+        let low = -0.999999;
+        let high = 10;
+        if (Math.sign(this.npv(low, cashFlows)) === Math.sign(this.npv(high, cashFlows))) {
+            throw new Error('Could not find an internal rate of return for these cash flows');
+        }
+        for (let i = 0; i < 200 && high - low > IRR_TOLERANCE; i++) {
+            const middle = (low + high) / 2;
+            if (Math.sign(this.npv(middle, cashFlows)) === Math.sign(this.npv(low, cashFlows))) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return clean((low + high) / 2);
+    }
+
+    /**
+     * Return on investment as a fraction: (final value − cost) / cost.
+     * Like cagr(), the starting amount comes first.
+     */
+    roi(cost, finalValue) {
+        if (cost === 0) throw new Error('ROI needs a non-zero cost');
+        return (finalValue - cost) / Math.abs(cost);
+    }
+
+    /**
+     * Compound annual growth rate as a fraction
+     */
+    cagr(start, end, years) {
+        if (start <= 0 || end < 0) throw new Error('CAGR needs a positive starting value and a non-negative final value');
+        if (years <= 0) throw new Error('CAGR needs a positive number of years');
+        return (end / start) ** (1 / years) - 1;
+    }
+
+    /**
+     * Simple interest earned: principal × annual rate × years
+     */
+    simpleInterest(principal, rate, years) {
+        return principal * rate * years;
+    }
+
+    /**
+     * Compound growth of a principal at an annual rate
+     * @param {number} [perYear=1] - Compounding periods per year (Infinity for continuous)
+     * @returns {Object} - { amount, interest }
+     */
+    compound(principal, rate, years, perYear = 1) {
+        const amount = perYear === Infinity
+            ? principal * Math.exp(rate * years)
+            : principal * (1 + rate / perYear) ** (perYear * years);
+        return { amount, interest: amount - principal };
+    }
+
+    /**
+     * Amortization schedule of a loan, one row per payment, rounded to cents
+     * @returns {Object[]} - [{ period, payment, interest, principal, balance }]
+     */
+    amortize(principal, rate, periods) {
+        this.checkPeriods(periods);
+        if (!Number.isInteger(periods)) throw new Error('An amortization schedule needs a whole number of payments');
+        if (periods > 1200) throw new Error('An amortization schedule is limited to 1200 payments');
+        const payment = -this.payment(rate, periods, principal);
+        const rows = [];
+        let balance = principal;
+        for (let period = 1; period <= periods; period++) {
+            const interest = balance * rate;
+            // The last payment clears what rounding left over
+            const repaid = period === periods ? balance : payment - interest;
+            balance -= repaid;
+            rows.push({
+                period,
+                payment: cents(repaid + interest),
+                interest: cents(interest),
+                principal: cents(repaid),
+                balance: cents(Math.abs(balance) < 0.005 ? 0 : balance)
+            });
+        }
+        return rows;
+    }
+
+    /**
+     * Schedule rows summed per year (balance at the end of each year)
+     */
+    yearly(rows, perYear) {
+        const years = [];
+        rows.forEach((row, i) => {
+            const index = Math.floor(i / perYear);
+            if (!years[index]) {
+                years[index] = { period: index + 1, payment: 0, interest: 0, principal: 0, balance: 0 };
+            }
+            const year = years[index];
+            year.payment = cents(year.payment + row.payment);
+            year.interest = cents(year.interest + row.interest);
+            year.principal = cents(year.principal + row.principal);
+            year.balance = row.balance;
+        });
+        return years;
+    }
+
+    /**
+     * Functions added to expressions; rates are fractions per period (6.5%/12),
+     * rates of return come back in percent like "irr of ..." (irr(...)% is the fraction)
+     */
+    functions() {
+        const numbers = (args) => args.flatMap(arg => (arg && typeof arg.toArray === 'function' ? arg.toArray() : arg)).flat(Infinity);
+        return {
+            pmt: (rate, periods, pv, fv = 0, type = 0) => this.payment(rate, periods, pv, fv, Boolean(type)),
+            fv: (rate, periods, payment, pv = 0, type = 0) => this.futureValue(rate, periods, payment, pv, Boolean(type)),
+            pv: (rate, periods, payment, fv = 0, type = 0) => this.presentValue(rate, periods, payment, fv, Boolean(type)),
+            npv: (rate, ...cashFlows) => this.npv(rate, numbers(cashFlows)),
+            irr: (...cashFlows) => percent(this.irr(numbers(cashFlows))),
+            roi: (cost, finalValue) => percent(this.roi(cost, finalValue)),
+            cagr: (start, end, years) => percent(this.cagr(start, end, years)),
+            simple_interest: (principal, rate, years) => this.simpleInterest(principal, rate, years),
+            compound_interest: (principal, rate, years, perYear = 1) => this.compound(principal, rate, years, perYear).interest
+        };
+    }
+
+    checkPeriods(periods) {
+        if (!(periods > 0) || !Number.isFinite(periods)) {
+            throw new Error('The number of periods must be a positive number');
+        }
+    }
+}
+
+function cents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function percent(ratio) {
+    return clean(ratio * 100);
+}
+
+Finance.FUNCTIONS = Object.keys(new Finance().functions());
+
+module.exports = Finance;
@@ -0,0 +1,404 @@
+const { clean } = require('./Precision');
+
+const DEG = Math.PI / 180;
+
+/**
+ * Shape formulas. `params` lists what each shape needs (after aliases such
+ * as diameter -> radius are resolved); every quantity is a function of them.
+ */
+const SHAPES = {
+    circle: {
+        params: ['radius'],
+        area: ({ radius }) => Math.PI * radius ** 2,
+        perimeter: ({ radius }) => 2 * Math.PI * radius
+    },
+    square: {
+        params: ['side'],
+        area: ({ side }) => side ** 2,
+        perimeter: ({ side }) => 4 * side
+    },
+    rectangle: {
+        params: ['length', 'width'],
+        area: ({ length, width }) => length * width,
+        perimeter: ({ length, width }) => 2 * (length + width)
+    },
+    triangle: {
+        params: ['base', 'height'],
+        area: ({ base, height, sides }) => (sides ? heron(sides) : base * height / 2),
+        perimeter: ({ sides }) => {
+            if (!sides) throw new Error('The perimeter of a triangle needs its three sides');
+            return sides[0] + sides[1] + sides[2];
+        }
+    },
+    parallelogram: {
+        params: ['base', 'height'],
+        area: ({ base, height }) => base * height,
+        perimeter: ({ base, side }) => {
+            if (side === undefined) throw new Error('The perimeter of a parallelogram needs its base and side');
+            return 2 * (base + side);
+        }
+    },
+    trapezoid: {
+        params: ['bases', 'height'],
+        area: ({ bases, height }) => (bases[0] + bases[1]) / 2 * height
+    },
+    ellipse: {
+        params: ['axes'],
+        area: ({ axes: [a, b] }) => Math.PI * a * b,
+        // Ramanujan's approximation
+        perimeter: ({ axes: [a, b] }) => Math.PI * (3 * (a + b) - Math.sqrt((3 * a + b) * (a + 3 * b)))
+    },
+    'regular polygon': {
+        params: ['count', 'side'],
+        area: ({ count, side }) => count * side ** 2 / (4 * Math.tan(Math.PI / count)),
+        perimeter: ({ count, side }) => count * side
+    },
+    sphere: {
+        params: ['radius'],
+        volume: ({ radius }) => 4 / 3 * Math.PI * radius ** 3,
+        surface: ({ radius }) => 4 * Math.PI * radius ** 2
+    },
+    cube: {
+        params: ['side'],
+        volume: ({ side }) => side ** 3,
+        surface: ({ side }) => 6 * side ** 2
+    },
+    cylinder: {
+        params: ['radius', 'height'],
+        volume: ({ radius, height }) => Math.PI * radius ** 2 * height,
+        surface: ({ radius, height }) => 2 * Math.PI * radius * (radius + height)
+    },
+    cone: {
+        params: ['radius', 'height'],
+        volume: ({ radius, height }) => Math.PI * radius ** 2 * height / 3,
+        surface: ({ radius, height }) => Math.PI * radius * (radius + Math.hypot(radius, height))
+    },
+    box: {
+        params: ['length', 'width', 'height'],
+        volume: ({ length, width, height }) => length * width * height,
+        surface: ({ length, width, height }) => 2 * (length * width + length * height + width * height)
+    },
+    pyramid: {
+        // Square base
+        params: ['side', 'height'],
+        volume: ({ side, height }) => side ** 2 * height / 3,
+        surface: ({ side, height }) => side ** 2 + 2 * side * Math.hypot(side / 2, height)
+    }
+};
+
+// Other names for shapes; regular polygons carry their side count
+const SHAPE_ALIASES = {
+    'circle': ['circle'], 'disc': ['circle'], 'disk': ['circle'],
+    'square': ['square'], 'rectangle': ['rectangle'], 'triangle': ['triangle'],
+    'parallelogram': ['parallelogram'], 'trapezoid': ['trapezoid'], 'trapezium': ['trapezoid'],
+    'ellipse': ['ellipse'], 'oval': ['ellipse'],
+    'regular polygon': ['regular polygon'], 'polygon': ['regular polygon'],
+    'pentagon': ['regular polygon', 5], 'hexagon': ['regular polygon', 6],
+    'heptagon': ['regular polygon', 7], 'octagon': ['regular polygon', 8],
+    'decagon': ['regular polygon', 10],
+    'sphere': ['sphere'], 'ball': ['sphere'], 'cube': ['cube'],
+    'cylinder': ['cylinder'], 'cone': ['cone'],
+    'box': ['box'], 'cuboid': ['box'], 'rectangular prism': ['box'], 'rectangular box': ['box'],
+    'pyramid': ['pyramid'], 'square pyramid': ['pyramid']
+};
+
+// Quantities and the words that ask for them
+const QUANTITIES = {
+    'area': 'area', 'perimeter': 'perimeter', 'circumference': 'perimeter',
+    'volume': 'volume', 'surface area': 'surface', 'surface': 'surface'
+};
+
+// What each quantity measures, for units (length^dimension)
+const DIMENSIONS = { area: 2, perimeter: 1, volume: 3, surface: 2 };
+
+/**
+ * Geometry: areas and perimeters of plane shapes, volumes and surface areas
+ * of solids, triangle solving (law of sines/cosines) and coordinate geometry.
+ * Angles are in degrees; lengths are plain numbers in one common unit (the
+ * geometry plugin takes care of units).
+ */
+class Geometry {
+    get shapes() {
+        return SHAPES;
+    }
+
+    get shapeAliases() {
+        return SHAPE_ALIASES;
+    }
+
+    get quantities() {
+        return QUANTITIES;
+    }
+
+    /**
+     * Power of the length unit a quantity is measured in (area -> 2)
+     */
+    dimension(quantity) {
+        return DIMENSIONS[quantity];
+    }
+
+    /**
+     * Area, perimeter, volume or surface area of a shape
+     * @param {string} shape - Shape name or alias ("circle", "hexagon", "cuboid")
+     * @param {string} quantity - 'area', 'perimeter', 'volume' or 'surface'
+     * @param {Object} params - Dimensions (radius, diameter, side, length, width, height, base, bases, sides, axes, count)
+     */
+    measure(shape, quantity, params) {
+        const [name, count] = SHAPE_ALIASES[shape] || [];
+        const definition = SHAPES[name];
+        if (!definition) {
+            throw new Error(`Unknown shape "${shape}"`);
+        }
+        const formula = definition[quantity];
+        if (!formula) {
+            const available = Object.keys(definition).filter(key => key !== 'params');
+            throw new Error(`A ${name} has no ${quantity} (try ${available.join(' or ')})`);
+        }
+
+        const values = this.resolveParams(name, { ...(count ? { count } : {}), ...params });
+        return formula(values);
+    }
+
+    /**
+     * Apply aliases (diameter, edge, ...) and check every required dimension is there
+     */
+    resolveParams(shape, params) {
+        const values = { ...params };
+        if (values.diameter !== undefined && values.radius === undefined) values.radius = values.diameter / 2;
+        if (values.edge !== undefined && values.side === undefined) values.side = values.edge;
+        if (values.depth !== undefined && values.height === undefined) values.height = values.depth;
+        if (values.sides && values.sides.length === 1 && values.side === undefined) values.side = values.sides[0];
+        if (shape === 'square' || shape === 'cube') {
+            if (values.side === undefined) values.side = values.length ?? values.width;
+        }
+        if (shape === 'rectangle' || shape === 'box') {
+            values.length = values.length ?? values.sides?.[0];
+            values.width = values.width ?? values.sides?.[1];
+            if (shape === 'box') values.height = values.height ?? values.sides?.[2];
+        }
+        if (shape === 'triangle' && values.sides && values.sides.length !== 3) {
+            throw new Error('A triangle needs three sides');
+        }
+        if (shape === 'trapezoid' && !values.bases && values.base !== undefined && values.top !== undefined) {
+            values.bases = [values.base, values.top];
+        }
+        if (shape === 'ellipse' && !values.axes && values.sides) values.axes = values.sides;
+
+        const needed = shape === 'triangle' && values.sides ? [] : SHAPES[shape].params;
+        const missing = needed.filter(param => values[param] === undefined
+            || (['bases', 'axes'].includes(param) && values[param].length !== 2));
+        if (missing.length > 0) {
+            throw new Error(`A ${shape} needs its ${missing.join(' and ')}`);
+        }
+        return values;
+    }
+
+    /**
+     * Solve a triangle from any three values that include a side.
+     * Sides are a, b, c and the angles opposite them A, B, C (degrees).
+     * @returns {Object} - { case, solutions: [{ a, b, c, A, B, C, area, perimeter }] }
+     *   (the ambiguous SSA case can have two solutions)
+     */
+    solveTriangle(known) {
+        const sides = ['a', 'b', 'c'].filter(key => known[key] !== undefined);
+        const angles = ['A', 'B', 'C'].filter(key => known[key] !== undefined);
+        if (sides.length + angles.length < 3 || sides.length === 0) {
+            throw new Error('A triangle needs three values including at least one side');
+        }
+        [...sides, ...angles].forEach(key => {
+            if (!(known[key] > 0)) throw new Error(`${key} must be positive`);
+        });
+
+        const opposite = { a: 'A', b: 'B', c: 'C', A: 'a', B: 'b', C: 'c' };
+        const t = { ...known };
+        let triangleCase;
+        let solutions;
+
+        // A third angle follows from the other two
+        if (angles.length === 2) {
+            const missing = ['A', 'B', 'C'].find(key => t[key] === undefined);
+            t[missing] = 180 - angles.reduce((sum, key) => sum + t[key], 0);
+            if (t[missing] <= 0) throw new Error('The angles of a triangle must add up to less than 180°');
+        }
+        const angleCount = ['A', 'B', 'C'].filter(key => t[key] !== undefined).length;
+
+        if (sides.length === 3) {
+            triangleCase = 'SSS';
+            const [a, b, c] = [t.a, t.b, t.c];
+            if (a + b <= c || a + c <= b || b + c <= a) {
+                throw new Error('These sides do not form a triangle');
+            }
+            t.A = this.lawOfCosinesAngle(a, b, c);
+            t.B = this.lawOfCosinesAngle(b, a, c);
+            t.C = 180 - t.A - t.B;
+            solutions = [t];
+        } else if (angleCount === 3) {
+            // ASA or AAS: law of sines from the known side
+            triangleCase = angles.length === 3 ? 'AAA' : this.isIncluded(sides[0], angles) ? 'ASA' : 'AAS';
+            const side = sides[0];
+            const ratio = t[side] / Math.sin(t[opposite[side]] * DEG);
+            ['a', 'b', 'c'].forEach(key => {
+                if (t[key] === undefined) t[key] = ratio * Math.sin(t[opposite[key]] * DEG);
+            });
+            solutions = [t];
+        } else if (sides.length === 2 && t[opposite[['a', 'b', 'c'].find(key => !sides.includes(key))]] !== undefined) {
+            // SAS: the angle between the two known sides, law of cosines for the third side
+            triangleCase = 'SAS';
+            const third = ['a', 'b', 'c'].find(key => !sides.includes(key));
+            const [p, q] = sides.map(key => t[key]);
+            t[third] = Math.sqrt(p ** 2 + q ** 2 - 2 * p * q * Math.cos(t[opposite[third]] * DEG));
+            const [first, second] = ['A', 'B', 'C'].filter(key => t[key] === undefined);
+            const [p2, q2] = ['a', 'b', 'c'].filter(key => key !== opposite[first]).map(key => t[key]);
+            t[first] = this.lawOfCosinesAngle(t[opposite[first]], p2, q2);
+            t[second] = 180 - t[first] - t[opposite[third]];
+            solutions = [t];
+        } else if (sides.length === 2) {
+            // SSA: the known angle is opposite one of the known sides; may have 0, 1 or 2 solutions
+            triangleCase = 'SSA';
+            const angle = angles[0];
+            const facing = opposite[angle];
+            const other = sides.find(key => key !== facing);
+            const sine = t[other] * Math.sin(t[angle] * DEG) / t[facing];
+            if (sine > 1 + 1e-12) {
+                throw new Error('No triangle has these measurements');
+            }
+            const first = Math.asin(Math.min(1, sine)) / DEG;
+            const candidates = [first, 180 - first].filter((value, i) => i === 0 || Math.abs(value - first) > 1e-9);
+            solutions = candidates
+                .filter(value => value + t[angle] < 180 - 1e-9)
+                .map(value => {
+                    const s = { ...t, [opposite[other]]: value };
+                    const lastAngle = ['A', 'B', 'C'].find(key => s[key] === undefined);
+                    s[lastAngle] = 180 - s[angle] - value;
+                    s[opposite[lastAngle]] = t[facing] * Math.sin(s[lastAngle] * DEG) / Math.sin(t[angle] * DEG);
+                    return s;
+                });
+            if (solutions.length === 0) {
+                throw new Error('No triangle has these measurements');
+            }
+        } else {
+            throw new Error('Not enough information to solve the triangle');
+        }
+
+        if (triangleCase === 'AAA') {
+            throw new Error('Three angles fix the shape but not the size: give at least one side');
+        }
+        return {
+            case: triangleCase,
+            solutions: solutions.map(s => this.completeTriangle(s))
+        };
+    }
+
+    /**
+     * Angle opposite side `a` from three sides (degrees)
+     */
+    lawOfCosinesAngle(a, b, c) {
+        const cosine = (b ** 2 + c ** 2 - a ** 2) / (2 * b * c);
+        return Math.acos(Math.max(-1, Math.min(1, cosine))) / DEG;
+    }
+
+    /**
+     * True when `side` lies between the two known angles (ASA)
+     */
+    isIncluded(side, angles) {
+        const opposite = { a: 'A', b: 'B', c: 'C' }[side];
+        return !angles.includes(opposite);
+    }
+
+    completeTriangle(t) {
+        const solved = {};
+        ['a', 'b', 'c', 'A', 'B', 'C'].forEach(key => { solved[key] = clean(t[key]); });
+        solved.perimeter = clean(t.a + t.b + t.c);
+        solved.area = clean(t.a * t.b * Math.sin(t.C * DEG) / 2);
+        return solved;
+    }
+
+    distance([x1, y1], [x2, y2]) {
+        return Math.hypot(x2 - x1, y2 - y1);
+    }
+
+    midpoint([x1, y1], [x2, y2]) {
+        return [(x1 + x2) / 2, (y1 + y2) / 2];
+    }
+
+    /**
+     * Slope of the line through two points (Infinity for a vertical line)
+     */
+    slope([x1, y1], [x2, y2]) {
+        if (x1 === x2) {
+            if (y1 === y2) throw new Error('The two points are the same');
+            return Infinity;
+        }
+        return (y2 - y1) / (x2 - x1);
+    }
+
+    /**
+     * Line through two points: { slope, intercept, equation }
+     */
+    line(p, q) {
+        const slope = this.slope(p, q);
+        if (slope === Infinity) {
+            return { slope, intercept: null, equation: `x = ${clean(p[0])}` };
+        }
+        const intercept = clean(p[1] - slope * p[0]);
+        const m = clean(slope);
+        let equation = m === 0 ? '' : `${m === 1 ? '' : m === -1 ? '-' : m}x`;
+        if (intercept !== 0 || m === 0) {
+            equation += equation ? ` ${intercept < 0 ? '-' : '+'} ${Math.abs(intercept)}` : `${intercept}`;
+        }
+        return { slope: m, intercept, equation: `y = ${equation}` };
+    }
+
+    /**
+     * Functions for expressions: circle_area(5), triangle_sss(3, 4, 5), midpoint(1, 2, 3, 4), ...
+     */
+    functions() {
+        const fns = {};
+        const shapeFunctions = {
+            circle: ['radius'], square: ['side'], rectangle: ['length', 'width'],
+            ellipse: ['a', 'b'], sphere: ['radius'], cube: ['side'],
+            cylinder: ['radius', 'height'], cone: ['radius', 'height'],
+            box: ['length', 'width', 'height'], pyramid: ['side', 'height']
+        };
+        Object.entries(shapeFunctions).forEach(([shape, args]) => {
+            Object.keys(SHAPES[shape]).filter(key => key !== 'params').forEach(quantity => {
+                const name = `${shape}_${quantity === 'perimeter' && shape === 'circle' ? 'circumference' : quantity}`;
+                fns[name] = (...values) => {
+                    const params = shape === 'ellipse' ? { axes: values } : Object.fromEntries(args.map((arg, i) => [arg, values[i]]));
+                    return this.measure(shape, quantity, params);
+                };
+            });
+        });
+        fns.triangle_area = (base, height) => this.measure('triangle', 'area', { base, height });
+        fns.heron = (a, b, c) => this.measure('triangle', 'area', { sides: [a, b, c] });
+        fns.trapezoid_area = (a, b, height) => this.measure('trapezoid', 'area', { bases: [a, b], height });
+        fns.polygon_area = (count, side) => this.measure('regular polygon', 'area', { count, side });
+        fns.polygon_perimeter = (count, side) => this.measure('regular polygon', 'perimeter', { count, side });
+
+        // Triangle solving; each returns the first solution as an object
+        fns.triangle_sss = (a, b, c) => this.solveTriangle({ a, b, c }).solutions[0];
+        fns.triangle_sas = (b, A, c) => this.solveTriangle({ b, A, c }).solutions[0];
+        fns.triangle_asa = (B, a, C) => this.solveTriangle({ B, a, C }).solutions[0];
+        fns.triangle_aas = (A, B, a) => this.solveTriangle({ A, B, a }).solutions[0];
+        fns.triangle_ssa = (a, b, A) => this.solveTriangle({ a, b, A }).solutions[0];
+
+        // Coordinate geometry on x1, y1, x2, y2
+        fns.midpoint = (x1, y1, x2, y2) => this.midpoint([x1, y1], [x2, y2]);
+        fns.slope = (x1, y1, x2, y2) => this.slope([x1, y1], [x2, y2]);
+        fns.line_through = (x1, y1, x2, y2) => this.line([x1, y1], [x2, y2]).equation;
+        return fns;
+    }
+}
+
+/**
+ * Triangle area from three sides
+ */
+function heron([a, b, c]) {
+    if (a + b <= c || a + c <= b || b + c <= a) {
+        throw new Error('These sides do not form a triangle');
+    }
+    const s = (a + b + c) / 2;
+    return Math.sqrt(s * (s - a) * (s - b) * (s - c));
+}
+
+module.exports = Geometry;
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_HISTORY_FILE = path.join(os.homedir(), '.ai-calculator', 'history.json');
+
+/**
+ * In-memory history backend. Nothing survives the process, which makes it
+ * the default for programmatic use and the store used by the tests.
+ */
+class MemoryHistoryStore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxEntries=50] - Keep at most this many entries
+     * @param {number} [options.maxAgeMs] - Drop entries older than this
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries ?? 50;
+        this.maxAgeMs = options.maxAgeMs ?? null;
+        this.entries = [];
+        this.state = {};
+    }
+
+    /**
+     * Append an entry and apply retention
+     */
+    add(entry) {
+        this.entries.push(entry);
+        this.prune();
+        this.save();
+    }
+
+    /**
+     * Most recent entries first
+     */
+    list(limit = 10) {
+        this.prune();
+        if (limit <= 0) return [];
+        return this.entries.slice(-limit).reverse();
+    }
+
+    /**
+     * Remove all entries and state, except the state keys listed in `preserve`
+     */
+    clear(options = {}) {
+        const kept = {};
+        (options.preserve || []).forEach(key => {
+            if (this.state[key] !== undefined) kept[key] = this.state[key];
+        });
+        this.entries = [];
+        this.state = kept;
+        this.save();
+    }
+
+    /**
+     * Small key/value state kept next to the entries (e.g. the last answer)
+     */
+    getState(key) {
+        return this.state[key];
+    }
+
+    setState(key, value) {
+        if (value === undefined || value === null) {
+            delete this.state[key];
+        } else {
+            this.state[key] = value;
+        }
+        this.save();
+    }
+
+    /**
+     * Enforce size and age retention
+     */
+    prune() {
+        if (this.maxAgeMs) {
+            const cutoff = Date.now() - this.maxAgeMs;
+            this.entries = this.entries.filter(e => Date.parse(e.timestamp) >= cutoff);
+        }
+        if (this.maxEntries > 0 && this.entries.length > this.maxEntries) {
+            this.entries = this.entries.slice(-this.maxEntries);
+        }
+    }
+
+    save() {
+        // Nothing to persist for the in-memory backend
+    }
+}
+
+/**
+ * JSON-file history backend. The file is re-read before every write so that
+ * separate CLI invocations see each other's entries, and written atomically
+ * (temp file + rename) so a crash never leaves a half-written history.
+ */
+class JsonFileHistoryStore extends MemoryHistoryStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - Location of the history file
+     */
+    constructor(options = {}) {
+        super(options);
+        this.filePath = path.resolve(options.filePath || DEFAULT_HISTORY_FILE);
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            this.entries = [];
+            this.state = {};
+            return;
+        }
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.entries = Array.isArray(data.entries) ? data.entries : [];
+            this.state = data.state && typeof data.state === 'object' ? data.state : {};
+        } catch (error) {
+            throw new Error(`Failed to read history file ${this.filePath}: ${error.message}`);
+        }
+        super.prune();
+    }
+
+    add(entry) {
+        this.load();
+        super.add(entry);
+    }
+
+    setState(key, value) {
+        this.load();
+        super.setState(key, value);
+    }
+
+    clear(options = {}) {
+        this.load();
+        super.clear(options);
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            const content = JSON.stringify({ version: 1, entries: this.entries, state: this.state }, null, 2);
+            fs.writeFileSync(tmpPath, content, 'utf8');
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            throw new Error(`Failed to write history file ${this.filePath}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    MemoryHistoryStore,
+    JsonFileHistoryStore,
+    DEFAULT_HISTORY_FILE
+};
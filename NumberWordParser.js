@@ -0,0 +1,273 @@
+// Prototype-free lookup tables, so `word in TABLE` never matches "constructor" etc.
+const dictionary = (entries) => Object.freeze(Object.assign(Object.create(null), entries));
+
+const SMALL = dictionary({
+    'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4,
+    'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9,
+    'ten': 10, 'eleven': 11, 'twelve': 12, 'thirteen': 13,
+    'fourteen': 14, 'fifteen': 15, 'sixteen': 16, 'seventeen': 17,
+    'eighteen': 18, 'nineteen': 19
+});
+
+const TENS = dictionary({
+    'twenty': 20, 'thirty': 30, 'forty': 40, 'fifty': 50,
+    'sixty': 60, 'seventy': 70, 'eighty': 80, 'ninety': 90
+});
+
+const SCALES = dictionary({
+    'thousand': 1e3, 'million': 1e6, 'billion': 1e9, 'trillion': 1e12
+});
+
+const ORDINALS = dictionary({
+    'first': 1, 'second': 2, 'third': 3, 'fourth': 4, 'fifth': 5,
+    'sixth': 6, 'seventh': 7, 'eighth': 8, 'ninth': 9, 'tenth': 10,
+    'eleventh': 11, 'twelfth': 12, 'thirteenth': 13, 'fourteenth': 14,
+    'fifteenth': 15, 'sixteenth': 16, 'seventeenth': 17, 'eighteenth': 18,
+    'nineteenth': 19, 'twentieth': 20, 'thirtieth': 30, 'fortieth': 40,
+    'fiftieth': 50, 'sixtieth': 60, 'seventieth': 70, 'eightieth': 80,
+    'ninetieth': 90, 'hundredth': 100, 'thousandth': 1000, 'millionth': 1e6
+});
+
+// Words that name a fraction's denominator ("three quarters", "two thirds")
+const DENOMINATORS = dictionary({
+    'half': 2, 'halves': 2, 'third': 3, 'thirds': 3, 'quarter': 4, 'quarters': 4,
+    'fourth': 4, 'fourths': 4, 'fifth': 5, 'fifths': 5, 'sixth': 6, 'sixths': 6,
+    'seventh': 7, 'sevenths': 7, 'eighth': 8, 'eighths': 8, 'ninth': 9, 'ninths': 9,
+    'tenth': 10, 'tenths': 10, 'twelfth': 12, 'twelfths': 12,
+    'hundredth': 100, 'hundredths': 100, 'thousandth': 1000, 'thousandths': 1000
+});
+
+// "first" and "second" are too ambiguous on their own (time units, "first step")
+const STANDALONE_ORDINAL_EXCLUSIONS = ['first', 'second'];
+
+/**
+ * Turns English number phrases into numerals:
+ *   "three hundred forty-two" -> 342, "one thousand" -> 1000,
+ *   "three point one four" -> 3.14, "two and a half" -> 2.5,
+ *   "three quarters" -> 0.75, "a dozen" -> 12, "twenty-first" -> 21,
+ *   "1.5 million" -> 1500000, "2k" -> 2000, "half of 10" -> "0.5 times 10",
+ *   "one third of 9" -> "1 divided by 3 times 9"
+ */
+class NumberWordParser {
+    /**
+     * Replace every number phrase in `text` with its numeric value
+     */
+    replace(text) {
+        const expanded = text
+            // ... but "300k to celsius" is kelvin
+            .replace(/\b(\d+(?:\.\d+)?)k\b(?!\s+(?:to|in|into|as)\s)/g, (_, n) => this.formatNumber(parseFloat(n) * 1e3))
+            .replace(/\b([a-z]+)-([a-z]+)\b/g, (match, a, b) => (this.isWord(a) && this.isWord(b) ? `${a} ${b}` : match));
+
+        // Odd entries are words/numerals, even entries the separators between them
+        const pieces = expanded.split(/([a-z]+|\d+(?:\.\d+)?)/);
+        const words = pieces.filter((_, i) => i % 2 === 1);
+        const separators = pieces.filter((_, i) => i % 2 === 0);
+        // Expressions with symbols are evaluated as they are; word inputs are read as natural language
+        const symbolic = /[+\-*/^()]/.test(expanded);
+        let out = separators[0];
+
+        for (let i = 0; i < words.length;) {
+            // A phrase may only span words separated by whitespace
+            let runEnd = i + 1;
+            while (runEnd < words.length && /^\s+$/.test(separators[runEnd])) {
+                runEnd += 1;
+            }
+
+            const parsed = this.parseAt(words.slice(i, runEnd), 0);
+            if (parsed && parsed.fraction && words[i + parsed.end] === 'of' && /^\s+$/.test(separators[i + parsed.end])) {
+                // "three quarters of 100" is a product; a plain fraction stays exact (1 / 3, not 0.333...)
+                const [numerator, denominator] = parsed.ratio || [parsed.value, 1];
+                const factor = denominator === 1
+                    ? this.formatNumber(numerator)
+                    : symbolic ? `(${numerator} / ${denominator})` : `${numerator} divided by ${denominator}`;
+                out += `${factor}${symbolic ? ' *' : ' times'}`;
+                i += parsed.end + 1;
+            } else if (parsed) {
+                out += this.formatNumber(parsed.value);
+                i += parsed.end;
+            } else {
+                out += words[i];
+                i += 1;
+            }
+            out += separators[i];
+        }
+        return out;
+    }
+
+    /**
+     * Numeric value of a whole phrase, or null when it is not a number
+     */
+    toNumber(phrase) {
+        const words = String(phrase).toLowerCase().trim().replace(/-/g, ' ').split(/\s+/);
+        const parsed = this.parseAt(words, 0);
+        return parsed && parsed.end === words.length ? parsed.value : null;
+    }
+
+    /**
+     * True when a single word can be part of a number phrase
+     */
+    isWord(word) {
+        return word in SMALL || word in TENS || word in SCALES || word in ORDINALS
+            || word in DENOMINATORS || word === 'hundred' || word === 'dozen';
+    }
+
+    /**
+     * Try to read a number phrase starting at words[start].
+     * Returns { value, end, fraction, ratio } (end is exclusive; fraction when
+     * the phrase ends in a fraction, "two thirds", with ratio [2, 3] when it
+     * is nothing but the fraction) or null.
+     */
+    parseAt(words, start) {
+        let i = start;
+        let value = null;
+        let fraction = false;
+        let ratio = null;
+
+        // "a half", "a quarter", "a dozen", "half a dozen", "half of"
+        if ((words[i] === 'a' || words[i] === 'an') && words[i + 1] in DENOMINATORS) {
+            value = 1 / DENOMINATORS[words[i + 1]];
+            fraction = true;
+            ratio = [1, DENOMINATORS[words[i + 1]]];
+            i += 2;
+        } else if ((words[i] === 'half' || words[i] === 'quarter') && words[i + 1] === 'of') {
+            return { value: 1 / DENOMINATORS[words[i]], end: i + 1, fraction: true, ratio: [1, DENOMINATORS[words[i]]] };
+        } else if ((words[i] === 'a' || words[i] === 'an') && words[i + 1] === 'dozen') {
+            value = 12;
+            i += 2;
+        } else if (words[i] === 'half' && words[i + 1] === 'a' && words[i + 2] === 'dozen') {
+            return { value: 6, end: i + 3 };
+        } else {
+            const cardinal = this.readCardinal(words, i);
+            if (cardinal) {
+                value = cardinal.value;
+                i = cardinal.end;
+            }
+        }
+
+        if (value === null) {
+            // Ordinal on its own ("the fifth")
+            const word = words[i];
+            if (word in ORDINALS && !STANDALONE_ORDINAL_EXCLUSIONS.includes(word)) {
+                return { value: ORDINALS[word], end: i + 1 };
+            }
+            return null;
+        }
+
+        const startedWithWord = !this.isNumeral(words[start]);
+
+        // Decimals: "three point one four"
+        if (words[i] === 'point' && this.digitValue(words[i + 1]) !== null && startedWithWord) {
+            let digits = '';
+            i += 1;
+            while (i < words.length && this.digitValue(words[i]) !== null) {
+                digits += this.digitValue(words[i]);
+                i += 1;
+            }
+            value = parseFloat(`${Math.trunc(value)}.${digits}`);
+        }
+
+        // Fractions: "three quarters", "two thirds"
+        if (words[i] in DENOMINATORS && startedWithWord) {
+            const numerator = value;
+            value = numerator / DENOMINATORS[words[i]];
+            fraction = true;
+            ratio = [numerator, DENOMINATORS[words[i]]];
+            i += 1;
+        }
+
+        // Mixed numbers: "two and a half", "three and three quarters"
+        if (words[i] === 'and') {
+            const part = this.parseAt(words, i + 1);
+            if (part && part.value < 1 && part.value > 0) {
+                value += part.value;
+                fraction = part.fraction;
+                ratio = null;
+                i = part.end;
+            }
+        }
+
+        // "two dozen"
+        if (words[i] === 'dozen') {
+            value *= 12;
+            fraction = false;
+            ratio = null;
+            i += 1;
+        }
+
+        // Plain numerals with nothing attached are left alone
+        if (i === start + 1 && !startedWithWord) {
+            return null;
+        }
+        return { value, end: i, fraction, ratio };
+    }
+
+    /**
+     * Cardinal number: words ("three hundred and forty two thousand"),
+     * or a numeral followed by a scale ("1.5 million")
+     */
+    readCardinal(words, start) {
+        let i = start;
+        let total = 0;
+        let current = 0;
+        let consumed = false;
+
+        if (this.isNumeral(words[i])) {
+            const number = parseFloat(words[i]);
+            i += 1;
+            if (words[i] === 'hundred' || words[i] in SCALES) {
+                const scale = words[i] === 'hundred' ? 100 : SCALES[words[i]];
+                return { value: number * scale, end: i + 1 };
+            }
+            return { value: number, end: i };
+        }
+
+        while (i < words.length) {
+            const word = words[i];
+            if (word in SMALL) {
+                current += SMALL[word];
+            } else if (word in TENS) {
+                current += TENS[word];
+            } else if (word === 'hundred' && consumed) {
+                current = (current || 1) * 100;
+            } else if (word in SCALES && consumed) {
+                total += (current || 1) * SCALES[word];
+                current = 0;
+            } else if (word in ORDINALS && consumed && this.takesOrdinal(words[i - 1])) {
+                // Compound ordinal: "twenty first", "one hundred third" (but "one third" is a fraction)
+                return { value: total + current + ORDINALS[word], end: i + 1 };
+            } else if (word === 'and' && consumed && this.isCardinalWord(words[i + 1])
+                && (words[i - 1] === 'hundred' || words[i - 1] in SCALES)) {
+                // "three hundred and forty"
+            } else {
+                break;
+            }
+            consumed = true;
+            i += 1;
+        }
+
+        return consumed ? { value: total + current, end: i } : null;
+    }
+
+    isCardinalWord(word) {
+        return word in SMALL || word in TENS;
+    }
+
+    takesOrdinal(previous) {
+        return previous in TENS || previous in SCALES || previous === 'hundred';
+    }
+
+    isNumeral(word) {
+        return /^-?\d+(?:\.\d+)?$/.test(word || '');
+    }
+
+    digitValue(word) {
+        if (/^\d$/.test(word || '')) return word;
+        return word in SMALL && SMALL[word] < 10 ? String(SMALL[word]) : null;
+    }
+
+    formatNumber(value) {
+        return String(parseFloat(value.toPrecision(15)));
+    }
+}
+
+module.exports = NumberWordParser;
@@ -0,0 +1,297 @@
+const math = require('mathjs');
+
+// Series without a color of their own take these in turn (blue, red, green, ...)
+const PALETTE = ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e', '#9467bd', '#8c564b', '#e377c2', '#17becf'];
+const COLORS = {
+    blue: '#1f77b4', red: '#d62728', green: '#2ca02c', orange: '#ff7f0e', purple: '#9467bd',
+    brown: '#8c564b', pink: '#e377c2', gray: '#7f7f7f', grey: '#7f7f7f', olive: '#bcbd22',
+    cyan: '#17becf', teal: '#008080', navy: '#000080', maroon: '#800000', magenta: '#ff00ff',
+    yellow: '#e6c619', gold: '#daa520', lime: '#32cd32', black: '#000000', white: '#ffffff'
+};
+const THEMES = {
+    light: { background: '#ffffff', text: '#333333', grid: 'rgba(0, 0, 0, 0.1)' },
+    dark: { background: '#1e1e1e', text: '#e0e0e0', grid: 'rgba(255, 255, 255, 0.15)' }
+};
+const OPTIONS = ['title', 'xLabel', 'yLabel', 'logX', 'logY', 'yMin', 'yMax', 'grid', 'legend', 'theme', 'colors', 'resolution', 'export'];
+// Grid points per axis for two-variable functions
+const RESOLUTION = { min: 10, max: 300 };
+
+const COLOR = `(?:${Object.keys(COLORS).join('|')})`;
+// An axis bound: 2, -1.5, pi, -pi/2, 2pi, e
+const BOUND = '-?(?:\\d+(?:\\.\\d+)?(?:\\s*\\*?\\s*(?:pi|π|tau))?|pi|π|tau|e)(?:\\s*/\\s*\\d+(?:\\.\\d+)?)?';
+// Title and label text: a quoted string (a "n" placeholder) or words up to the next clause
+const TEXT = '(?:"(\\d+)"|([^",]+?))(?=\\s*(?:,|$|\\s(?:from|to|with|without|on|in|using|and|x|y)\\b))';
+const LEAD = '\\s*,?\\s*\\b';
+const ARTICLE = '(?:an?\\s+|the\\s+)?';
+
+/**
+ * Styling clauses of a plot request, tried in order; each sets part of the
+ * style from its match and is removed from the request
+ */
+const CLAUSES = [
+    // "titled "Waves"", "with the title Waves"
+    {
+        pattern: new RegExp(`${LEAD}(?:with\\s+${ARTICLE}title|titled|title)\\s*:?\\s+${TEXT}`),
+        apply: (style, [quoted, words], text) => { style.title = text(quoted, words); }
+    },
+    // "x label "Time (s)"", "with the y axis labelled Amplitude"
+    {
+        pattern: new RegExp(`${LEAD}(?:(?:with|and)\\s+)?${ARTICLE}(x|y)[\\s-]?(?:axis\\s+)?(?:label(?:l?ed)?|title[sd]?)\\s*:?\\s+(?:as\\s+)?${TEXT}`),
+        apply: (style, [axis, quoted, words], text) => { style[`${axis}Label`] = text(quoted, words); }
+    },
+    // "on a log-log scale"
+    {
+        pattern: new RegExp(`${LEAD}(?:(?:on|with|using|in)\\s+)?${ARTICLE}log[\\s-]log(?:\\s+(?:scales?|axes|plot))?\\b`),
+        apply: (style) => { style.logX = true; style.logY = true; }
+    },
+    // "with a log x axis", "y axis on a log scale", "x on a log scale"
+    {
+        pattern: new RegExp(`${LEAD}(?:(?:on|with|using|in)\\s+)?${ARTICLE}(?:log(?:arithmic)?\\s+(x|y)(?:[\\s-]?axis(?:\\s+scale)?|\\s+scale)|(x|y)(?:[\\s-]?axis\\s+(?:on\\s+${ARTICLE})?|\\s+on\\s+${ARTICLE})log(?:arithmic)?(?:\\s+scale)?)\\b`),
+        apply: (style, [first, second]) => { style[(first || second) === 'x' ? 'logX' : 'logY'] = true; }
+    },
+    // "on a log scale" (the y axis)
+    {
+        pattern: new RegExp(`${LEAD}(?:(?:on|with|using|in)\\s+)?${ARTICLE}log(?:arithmic)?\\s+scale\\b`),
+        apply: (style) => { style.logY = true; }
+    },
+    // "y from -2 to 2", "with y between 0 and 10", "clamp y to -5..5"
+    {
+        pattern: new RegExp(`${LEAD}(?:(?:with\\s+)?(?:the\\s+)?y(?:[\\s-]?axis)?\\s+(?:range\\s+(?:from\\s+)?|from\\s+|between\\s+|(?:limited|clamped|clipped)\\s+to\\s+)|clamp(?:ed)?\\s+(?:the\\s+)?y(?:[\\s-]?axis)?\\s+to\\s+)(${BOUND})\\s*(?:to|and|\\.\\.)\\s*(${BOUND})`),
+        apply: (style, [low, high]) => {
+            style.yMin = PlotStyle.bound(low);
+            style.yMax = PlotStyle.bound(high);
+        }
+    },
+    // "with resolution 80", "on a 60x60 grid"
+    {
+        pattern: new RegExp(`${LEAD}(?:(?:with|at|using)\\s+${ARTICLE}(?:grid\\s+)?resolution\\s+(?:of\\s+)?(\\d+)|(?:on|with|using)\\s+${ARTICLE}(\\d+)\\s*(?:x|by)\\s*\\d+\\s+grid)\\b`),
+        apply: (style, [resolution, grid]) => { style.resolution = PlotStyle.resolution(resolution || grid); }
+    },
+    // "and export the data", "with a data export"
+    {
+        pattern: new RegExp(`${LEAD}(?:and\\s+export\\s+(?:the\\s+)?data|(?:with|and)\\s+${ARTICLE}(?:data\\s+export|csv(?:\\s+export)?))\\b`),
+        apply: (style) => { style.export = true; }
+    },
+    // "with gridlines", "without grid", "no grid lines"
+    {
+        pattern: new RegExp(`${LEAD}(with(?:out)?|no)\\s+(?:the\\s+)?grid(?:\\s*lines)?\\b`),
+        apply: (style, [word]) => { style.grid = word === 'with'; }
+    },
+    // "with a legend", "no legend"
+    {
+        pattern: new RegExp(`${LEAD}(with(?:out)?|no)\\s+${ARTICLE}legend\\b`),
+        apply: (style, [word]) => { style.legend = word === 'with'; }
+    },
+    // "in dark mode", "with a light theme"
+    {
+        pattern: new RegExp(`${LEAD}(?:(?:in|with|using|on)\\s+)?${ARTICLE}(dark|light)\\s+(?:theme|mode|background)\\b`),
+        apply: (style, [theme]) => { style.theme = theme; }
+    },
+    // "with colors red, green and blue"
+    {
+        pattern: new RegExp(`${LEAD}(?:(?:with|using|in)\\s+)?(?:the\\s+)?colou?rs?\\s*:?\\s+(${COLOR}(?:\\s*(?:,|and)\\s*${COLOR})*)\\b`),
+        apply: (style, [list]) => { style.colors = list.split(/\s*(?:,|\band\b)\s*/).filter(Boolean).map(name => COLORS[name]); }
+    }
+];
+
+/**
+ * Look of a plot: title, axis labels, log axes, y range, gridlines, legend,
+ * theme and series colors, plus the grid resolution and data export of
+ * two-variable function plots.
+ *
+ * A style is plain data ({ title, xLabel, yLabel, logX, logY, yMin, yMax,
+ * grid, legend, theme, colors, resolution, export }); anything left out
+ * keeps the chart's default. Styles come from plain English in the request
+ * ("titled "Waves", log y axis, dark theme") or from options (CLI flags and
+ * the API), and are applied to a Chart.js configuration when the plot is
+ * written.
+ */
+class PlotStyle {
+    /**
+     * Value of an axis bound or range end: 2, -1.5, pi, -pi/2, 2pi
+     */
+    static bound(text) {
+        let value;
+        try {
+            value = math.evaluate(String(text).replace(/π/g, 'pi'));
+        } catch (error) {
+            value = NaN;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Could not read the range value "${text}"`);
+        }
+        return value;
+    }
+
+    /**
+     * Grid resolution of a two-variable function plot: a whole number of points per axis
+     */
+    static resolution(value) {
+        const resolution = Number(value);
+        if (!Number.isInteger(resolution) || resolution < RESOLUTION.min || resolution > RESOLUTION.max) {
+            throw new Error(`The resolution must be a whole number from ${RESOLUTION.min} to ${RESOLUTION.max}`);
+        }
+        return resolution;
+    }
+
+    /**
+     * Hex code for a color name or hex code ("red", "#2ca02c")
+     */
+    color(name) {
+        const text = String(name).trim().toLowerCase();
+        if (/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/.test(text)) return text;
+        if (COLORS[text]) return COLORS[text];
+        throw new Error(`Unknown color "${name}" (use a name like ${Object.keys(COLORS).slice(0, 5).join(', ')} or a hex code)`);
+    }
+
+    /**
+     * Color of the nth series: the style's own colors first, then the palette
+     */
+    seriesColor(style, index, own = null) {
+        return own || (style.colors && style.colors[index]) || PALETTE[index % PALETTE.length];
+    }
+
+    /**
+     * Read the styling clauses of a plot request
+     * @param {string} text - The cleaned request
+     * @param {string} [original] - The request as typed, for quoted text and capitalization
+     * @param {Function} [clean] - Cleans text the way the request was cleaned, to find quoted text in it
+     * @returns {Object} - { text, style }: the request without its styling clauses, and the style
+     */
+    parse(text, original = text, clean = value => value) {
+        // Quoted text becomes a "n" placeholder so its words are not read as clauses
+        const quoted = [];
+        let rest = text;
+        for (const match of original.matchAll(/"([^"]*)"|“([^”]*)”/g)) {
+            const value = (match[1] ?? match[2]).trim();
+            const cleaned = clean(value).trim();
+            const index = cleaned ? rest.indexOf(cleaned) : -1;
+            if (index < 0) continue;
+            rest = `${rest.slice(0, index)}"${quoted.length}"${rest.slice(index + cleaned.length)}`;
+            quoted.push({ value, cleaned });
+        }
+        const textOf = (index, words) => (index !== undefined ? quoted[index].value : typed(words.trim(), original));
+
+        const style = {};
+        for (const clause of CLAUSES) {
+            const pattern = new RegExp(clause.pattern.source, 'g');
+            rest = rest.replace(pattern, (...match) => {
+                clause.apply(style, match.slice(1, -2), textOf);
+                return '';
+            });
+        }
+        rest = rest.replace(/"(\d+)"/g, (_, index) => quoted[index].cleaned).replace(/\s+/g, ' ').trim();
+        return { text: rest, style };
+    }
+
+    /**
+     * Check a style given as options (CLI flags or an API request)
+     * @returns {Object} - The style, with colors as hex codes and ranges as numbers
+     */
+    normalize(options = {}) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error('Plot options must be an object');
+        }
+        const style = {};
+        for (const [key, value] of Object.entries(options)) {
+            if (value === undefined || value === null) continue;
+            if (!OPTIONS.includes(key)) {
+                throw new Error(`Unknown plot option: ${key} (use ${OPTIONS.join(', ')})`);
+            }
+            if (['title', 'xLabel', 'yLabel'].includes(key)) {
+                style[key] = String(value).trim();
+            } else if (['logX', 'logY', 'grid', 'legend', 'export'].includes(key)) {
+                style[key] = value === true || value === 'true';
+            } else if (key === 'yMin' || key === 'yMax') {
+                style[key] = PlotStyle.bound(value);
+            } else if (key === 'resolution') {
+                style.resolution = PlotStyle.resolution(value);
+            } else if (key === 'theme') {
+                style.theme = String(value).trim().toLowerCase();
+                if (!THEMES[style.theme]) {
+                    throw new Error(`Unknown theme "${value}" (use ${Object.keys(THEMES).join(' or ')})`);
+                }
+            } else {
+                const colors = Array.isArray(value) ? value : String(value).split(',');
+                style.colors = colors.map(color => this.color(color));
+            }
+        }
+        if (style.yMin !== undefined && style.yMax !== undefined && style.yMin >= style.yMax) {
+            throw new Error('The y range must go from a lower to a higher value');
+        }
+        return style;
+    }
+
+    /**
+     * Style as plain words, for explanations
+     */
+    describe(style = {}) {
+        const parts = [];
+        if (style.title) parts.push(`title "${style.title}"`);
+        if (style.xLabel) parts.push(`x label "${style.xLabel}"`);
+        if (style.yLabel) parts.push(`y label "${style.yLabel}"`);
+        if (style.logX && style.logY) parts.push('log-log axes');
+        else if (style.logX || style.logY) parts.push(`log ${style.logX ? 'x' : 'y'} axis`);
+        if (style.yMin !== undefined || style.yMax !== undefined) {
+            parts.push(`y from ${style.yMin ?? 'auto'} to ${style.yMax ?? 'auto'}`);
+        }
+        if (style.grid !== undefined) parts.push(style.grid ? 'gridlines' : 'no gridlines');
+        if (style.legend !== undefined) parts.push(style.legend ? 'legend' : 'no legend');
+        if (style.theme) parts.push(`${style.theme} theme`);
+        if (style.colors) parts.push(`colors ${style.colors.join(', ')}`);
+        if (style.resolution) parts.push(`${style.resolution}×${style.resolution} grid`);
+        if (style.export) parts.push('data export');
+        return parts.join(', ');
+    }
+
+    /**
+     * Page colors of a style's theme: { background, text, grid }
+     */
+    theme(style = {}) {
+        return THEMES[style.theme || 'light'];
+    }
+
+    /**
+     * Apply a style to a Chart.js configuration (in place)
+     * @returns {Object} - The theme's page colors: { background, text, grid }
+     */
+    apply(config, style = {}) {
+        const theme = this.theme(style);
+        const { plugins, scales } = config.options;
+        if (style.title) plugins.title.text = style.title;
+        plugins.title.color = theme.text;
+        plugins.legend = { display: style.legend ?? true, labels: { color: theme.text } };
+
+        for (const axis of ['x', 'y']) {
+            const scale = scales[axis];
+            const label = style[`${axis}Label`];
+            if (label) scale.title.text = label;
+            scale.title.color = theme.text;
+            scale.ticks = { ...scale.ticks, color: theme.text };
+            scale.grid = { display: style.grid ?? true, color: theme.grid };
+            if (style[axis === 'x' ? 'logX' : 'logY']) {
+                if (axis === 'x' && scale.type !== 'linear' && config.type !== 'scatter') {
+                    throw new Error('A log x axis needs numeric x values (function and scatter plots)');
+                }
+                scale.type = 'logarithmic';
+            }
+        }
+        if (style.yMin !== undefined) scales.y.min = style.yMin;
+        if (style.yMax !== undefined) scales.y.max = style.yMax;
+        return theme;
+    }
+}
+
+/**
+ * Words as they were typed in the original request (they are lowercase once cleaned)
+ */
+function typed(words, original) {
+    const escaped = words.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const match = original.match(new RegExp(escaped, 'i'));
+    return match ? match[0] : words;
+}
+
+PlotStyle.COLOR = COLOR;
+PlotStyle.BOUND = BOUND;
+
+module.exports = PlotStyle;
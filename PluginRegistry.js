@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Registry of operation plugins consulted by CalculatorAgent.calculate().
+ *
+ * A plugin is a plain object:
+ *   {
+ *     name: 'statistics',              // unique name, also the default operationType
+ *     priority: 60,                    // higher priorities are asked first
+ *     detect(input, context),          // -> boolean, does this plugin handle the input?
+ *     parse(input, context),           // -> { expression, operationType, ... } (optional)
+ *     evaluate(parsed, context),       // -> { result, ...extra payload fields } (optional)
+ *     format(payload),                 // -> display string, or undefined for the default (optional)
+ *     explain(parsed, context),        // -> explanation steps, context.result holds the result (optional)
+ *     info: { operations: [], capabilities: [] }   // merged into getInfo() (optional)
+ *   }
+ *
+ * `context` carries { agent, session, scope, input, isNaturalLanguage }.
+ * Without `evaluate`, parsed.expression is evaluated with mathjs in the session scope.
+ *
+ * The first plugin to claim an input handles it, so a plugin goes ahead of
+ * every plugin that would also claim its requests. Built-in priorities,
+ * each with the plugins it has to beat:
+ *   107 datasets          "show sales", "describe sales" (graphing, statistics)
+ *   106 probability       "P(X = 3)", "plot the normal distribution" (algebra, graphing)
+ *   105 algebra           "solve the equation ..." (graphing)
+ *   104 regression        "line of best fit" (graphing, statistics)
+ *   103 finance           "plot amortization ...", "at 6.5%" (graphing, percentage)
+ *   102 programmer        "%" is modulo, "in hex" is not a unit (geometry, percentage, units)
+ *   101 geometry          "line through ..." (graphing)
+ *   100 graphing          plot, graph, draw
+ *    95 calculus
+ *    90 chain             "... then ..." steps
+ *    88 date and time     "3h 20m + 45m" is a duration (percentage, units)
+ *    85 percentage
+ *    82 unit arithmetic   several quantities (unit conversion)
+ *    81 currency          "pounds" and "cup" are also units (unit conversion)
+ *    80 unit conversion
+ *    60 statistics
+ *    50 trigonometry
+ * A new plugin takes a free number between the plugins it must beat and the
+ * ones that must beat it, rather than moving the others.
+ */
+class PluginRegistry {
+    constructor() {
+        this.plugins = [];
+    }
+
+    /**
+     * Add a plugin; a plugin with the same name is replaced
+     */
+    register(plugin) {
+        this.validate(plugin);
+        this.unregister(plugin.name);
+
+        this.plugins.push(plugin);
+        // Stable sort keeps registration order among equal priorities
+        this.plugins.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+        return plugin;
+    }
+
+    unregister(name) {
+        const before = this.plugins.length;
+        this.plugins = this.plugins.filter(plugin => plugin.name !== name);
+        return this.plugins.length !== before;
+    }
+
+    get(name) {
+        return this.plugins.find(plugin => plugin.name === name) || null;
+    }
+
+    list() {
+        return [...this.plugins];
+    }
+
+    /**
+     * First plugin (by priority) whose detect() claims the input
+     */
+    find(input, context) {
+        return this.plugins.find(plugin => {
+            try {
+                return Boolean(plugin.detect(input, context));
+            } catch (error) {
+                return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * Load every .js file in a directory. A file may export a plugin, an array
+     * of plugins, or a function that receives the agent and returns either.
+     */
+    loadDirectory(dir, agent) {
+        const resolved = path.resolve(dir);
+        if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+            throw new Error(`Plugin directory not found: ${resolved}`);
+        }
+
+        const loaded = [];
+        fs.readdirSync(resolved)
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .forEach(file => {
+                let exported;
+                try {
+                    exported = require(path.join(resolved, file));
+                } catch (error) {
+                    throw new Error(`Failed to load plugin ${file}: ${error.message}`);
+                }
+                if (typeof exported === 'function') {
+                    exported = exported(agent);
+                }
+                [].concat(exported).forEach(plugin => loaded.push(this.register(plugin)));
+            });
+        return loaded;
+    }
+
+    validate(plugin) {
+        if (!plugin || typeof plugin !== 'object') {
+            throw new Error('Plugin must be an object');
+        }
+        if (!plugin.name || typeof plugin.name !== 'string') {
+            throw new Error('Plugin must have a name');
+        }
+        if (typeof plugin.detect !== 'function') {
+            throw new Error(`Plugin "${plugin.name}" must implement detect()`);
+        }
+        ['parse', 'evaluate', 'format', 'explain'].forEach(hook => {
+            if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+                throw new Error(`Plugin "${plugin.name}": ${hook} must be a function`);
+            }
+        });
+    }
+}
+
+module.exports = PluginRegistry;
@@ -0,0 +1,30 @@
+// Results are given to this many significant digits
+const SIGNIFICANT_DIGITS = 12;
+
+// Results are shown with at most this many decimals
+const DISPLAY_DECIMALS = 6;
+
+/**
+ * Drop floating-point noise from a result: 0.30000000000000004 -> 0.3,
+ * 1.6666666666666667 -> 1.66666666667. -0 becomes 0; non-numbers and
+ * non-finite values are returned as they are.
+ */
+function clean(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+    const rounded = parseFloat(value.toPrecision(SIGNIFICANT_DIGITS));
+    return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+/**
+ * Display text for a result: "1.666667", "42", "∞". Values too small for
+ * the shown decimals (a tail probability of 1e-15) keep their digits as
+ * "1.0000e-15" instead of showing 0.
+ */
+function formatNumber(value) {
+    if (typeof value !== 'number') return String(value);
+    if (Math.abs(value) === Infinity) return value > 0 ? '∞' : '-∞';
+    if (value !== 0 && Math.abs(value) < 10 ** -DISPLAY_DECIMALS) return value.toExponential(4);
+    return value.toFixed(DISPLAY_DECIMALS).replace(/\.?0+$/, '');
+}
+
+module.exports = { SIGNIFICANT_DIGITS, clean, formatNumber };
@@ -0,0 +1,416 @@
+const math = require('mathjs');
+const { clean } = require('./Precision');
+
+// Continued fractions and series stop when a term changes the result less than this
+const EPSILON = 1e-16;
+const TINY = 1e-300;
+const MAX_ITERATIONS = 500;
+
+/**
+ * Each distribution's parameters (in the order expression functions take
+ * them), their defaults, and its density, cumulative distribution, upper
+ * tail (continuous ones) and range
+ */
+const DISTRIBUTIONS = {
+    normal: {
+        label: 'Normal',
+        params: ['mean', 'sd'],
+        defaults: { mean: 0, sd: 1 },
+        check: ({ sd }) => sd > 0 || 'The standard deviation must be positive',
+        pdf: (x, { mean, sd }) => Math.exp(-(((x - mean) / sd) ** 2) / 2) / (sd * Math.sqrt(2 * Math.PI)),
+        cdf: (x, { mean, sd }) => {
+            const z = (x - mean) / sd;
+            // Φ(z) = ½·erfc(−z/√2), with erfc(t) = Q(½, t²) for t ≥ 0
+            const tail = 0.5 * gammaQ(0.5, z * z / 2);
+            return z < 0 ? tail : 1 - tail;
+        },
+        survival: (x, { mean, sd }) => DISTRIBUTIONS.normal.cdf(2 * mean - x, { mean, sd }),
+        support: ({ mean, sd }) => [mean - 40 * sd, mean + 40 * sd],
+        range: ({ mean, sd }) => [mean - 4 * sd, mean + 4 * sd]
+    },
+    t: {
+        label: "Student's t",
+        params: ['df'],
+        defaults: {},
+        check: ({ df }) => df > 0 || 'The degrees of freedom must be positive',
+        pdf: (x, { df }) => Math.exp(logGamma((df + 1) / 2) - logGamma(df / 2) - (df + 1) / 2 * Math.log(1 + x * x / df)) / Math.sqrt(df * Math.PI),
+        cdf: (x, { df }) => {
+            const tail = 0.5 * betaI(df / (df + x * x), df / 2, 0.5);
+            return x < 0 ? tail : 1 - tail;
+        },
+        survival: (x, { df }) => DISTRIBUTIONS.t.cdf(-x, { df }),
+        support: () => [-1e8, 1e8],
+        range: () => [-5, 5]
+    },
+    chisquared: {
+        label: 'Chi-squared',
+        params: ['df'],
+        defaults: {},
+        check: ({ df }) => df > 0 || 'The degrees of freedom must be positive',
+        pdf: (x, { df }) => {
+            if (x < 0) return 0;
+            if (x === 0) return df < 2 ? Infinity : df === 2 ? 0.5 : 0;
+            return Math.exp((df / 2 - 1) * Math.log(x) - x / 2 - df / 2 * Math.LN2 - logGamma(df / 2));
+        },
+        cdf: (x, { df }) => (x <= 0 ? 0 : gammaP(df / 2, x / 2)),
+        survival: (x, { df }) => (x <= 0 ? 1 : gammaQ(df / 2, x / 2)),
+        support: ({ df }) => [0, df + 100 * Math.sqrt(2 * df) + 100],
+        range: ({ df }) => [0, Math.max(10, Math.ceil(df + 4 * Math.sqrt(2 * df)))]
+    },
+    exponential: {
+        label: 'Exponential',
+        params: ['rate'],
+        defaults: { rate: 1 },
+        check: ({ rate }) => rate > 0 || 'The rate must be positive',
+        pdf: (x, { rate }) => (x < 0 ? 0 : rate * Math.exp(-rate * x)),
+        cdf: (x, { rate }) => (x < 0 ? 0 : -Math.expm1(-rate * x)),
+        survival: (x, { rate }) => (x < 0 ? 1 : Math.exp(-rate * x)),
+        inverse: (p, { rate }) => -Math.log1p(-p) / rate,
+        range: ({ rate }) => [0, 5 / rate]
+    },
+    binomial: {
+        label: 'Binomial',
+        discrete: true,
+        params: ['n', 'p'],
+        defaults: {},
+        check: ({ n, p }) => (Number.isInteger(n) && n >= 0 ? (p >= 0 && p <= 1) || 'p must be between 0 and 1' : 'n must be a whole number of trials'),
+        pdf: (k, { n, p }) => {
+            if (!Number.isInteger(k) || k < 0 || k > n) return 0;
+            if (p === 0 || p === 1) return k === n * p ? 1 : 0;
+            return Math.exp(logChoose(n, k) + k * Math.log(p) + (n - k) * Math.log1p(-p));
+        },
+        cdf: (k, { n, p }) => {
+            k = Math.floor(k);
+            if (k < 0) return 0;
+            if (k >= n) return 1;
+            if (p === 0) return 1;
+            if (p === 1) return 0;
+            return betaI(1 - p, n - k, k + 1);
+        },
+        support: ({ n }) => [0, n],
+        range: ({ n }) => [0, n]
+    },
+    poisson: {
+        label: 'Poisson',
+        discrete: true,
+        params: ['lambda'],
+        defaults: {},
+        check: ({ lambda }) => lambda > 0 || 'The mean (λ) must be positive',
+        pdf: (k, { lambda }) => (!Number.isInteger(k) || k < 0 ? 0 : Math.exp(k * Math.log(lambda) - lambda - logGamma(k + 1))),
+        cdf: (k, { lambda }) => (k < 0 ? 0 : gammaQ(Math.floor(k) + 1, lambda)),
+        support: ({ lambda }) => [0, Math.ceil(lambda + 40 * Math.sqrt(lambda) + 40)],
+        range: ({ lambda }) => [0, Math.ceil(lambda + 4 * Math.sqrt(lambda) + 3)]
+    }
+};
+
+// Names accepted by Probability.distribution()
+const ALIASES = {
+    normal: 'normal', gaussian: 'normal', 'standard normal': 'normal', z: 'normal', norm: 'normal',
+    t: 't', student: 't', 'student t': 't',
+    'chi squared': 'chisquared', 'chi square': 'chisquared', chisquared: 'chisquared', chisquare: 'chisquared', chi2: 'chisquared',
+    exponential: 'exponential', exp: 'exponential',
+    binomial: 'binomial', binom: 'binomial',
+    poisson: 'poisson'
+};
+
+// Expression function prefixes: normal_pdf, t_cdf, chi2_inv, ...
+const FUNCTION_PREFIXES = {
+    normal: 'normal', t: 't', chi2: 'chisquared', exponential: 'exponential', binomial: 'binomial', poisson: 'poisson'
+};
+
+/**
+ * Probability distributions and counting.
+ *
+ * Normal, Student's t, chi-squared, exponential, binomial and Poisson
+ * distributions each have a density (the probability mass for discrete
+ * ones), a cumulative distribution and its inverse (the quantile; for
+ * discrete distributions the smallest k with P(X ≤ k) ≥ p). Cumulative
+ * probabilities come from the regularized incomplete gamma and beta
+ * functions, inverses from bisection on the CDF.
+ */
+class Probability {
+    /**
+     * Distribution key for a name or alias ("gaussian", "chi-square", "student t")
+     */
+    static distribution(name) {
+        const word = String(name).trim().toLowerCase().replace(/['’]s\b/g, '').replace(/[\s_-]+/g, ' ');
+        const key = ALIASES[word];
+        if (!key) {
+            throw new Error(`Unknown distribution "${name}" (use normal, t, chi-squared, exponential, binomial or Poisson)`);
+        }
+        return key;
+    }
+
+    static isDiscrete(name) {
+        return Boolean(DISTRIBUTIONS[name].discrete);
+    }
+
+    static label(name) {
+        return DISTRIBUTIONS[name].label;
+    }
+
+    /**
+     * Parameter names in the order expression functions take them
+     */
+    static paramNames(name) {
+        return DISTRIBUTIONS[name].params;
+    }
+
+    /**
+     * Parameters of a distribution with its defaults filled in and checked
+     */
+    params(name, given = {}) {
+        const spec = DISTRIBUTIONS[name];
+        const params = { ...spec.defaults };
+        Object.entries(given).forEach(([key, value]) => {
+            if (value !== undefined) params[key] = value;
+        });
+        const missing = spec.params.filter(key => params[key] === undefined);
+        if (missing.length) {
+            throw new Error(`The ${name === 't' ? spec.label : spec.label.toLowerCase()} distribution needs ${missing.join(' and ')}`);
+        }
+        const valid = spec.check(params);
+        if (valid !== true) throw new Error(valid);
+        return params;
+    }
+
+    /**
+     * Density at x (probability mass for binomial and Poisson)
+     */
+    pdf(name, x, given) {
+        return clean(DISTRIBUTIONS[name].pdf(x, this.params(name, given)));
+    }
+
+    /**
+     * P(X ≤ x)
+     */
+    cdf(name, x, given) {
+        return clean(DISTRIBUTIONS[name].cdf(x, this.params(name, given)));
+    }
+
+    /**
+     * Quantile: the x with P(X ≤ x) = p
+     */
+    inverse(name, p, given) {
+        if (!(p >= 0 && p <= 1)) throw new Error(`A probability must be between 0 and 1, not ${p}`);
+        const spec = DISTRIBUTIONS[name];
+        const params = this.params(name, given);
+        if (spec.inverse) return clean(spec.inverse(p, params));
+
+        let [low, high] = spec.support(params);
+        if (spec.discrete) {
+            // Smallest k whose cumulative probability reaches p
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                if (spec.cdf(middle, params) >= p - 1e-12) high = middle; else low = middle + 1;
+            }
+            return low;
+        }
+        if (p === 0) return name === 'chisquared' ? 0 : -Infinity;
+        if (p === 1) return Infinity;
+        for (let i = 0; i < 200 && high - low > 1e-12 * Math.max(1, Math.abs(low)); i++) {
+            const middle = (low + high) / 2;
+            if (spec.cdf(middle, params) < p) low = middle; else high = middle;
+        }
+        return clean((low + high) / 2);
+    }
+
+    /**
+     * Probability that X falls between two bounds; either bound may be null.
+     * For discrete distributions "<" and "≤" differ: P(X < 3) is P(X ≤ 2).
+     * @param {Object} [lower] - { value, inclusive }
+     * @param {Object} [upper] - { value, inclusive }
+     */
+    between(name, given, lower, upper) {
+        const spec = DISTRIBUTIONS[name];
+        const params = this.params(name, given);
+        // Upper tails directly, not as 1 − P(X ≤ x), which rounds to 0 far out
+        if (!upper && lower && spec.survival) return clean(spec.survival(lower.value, params));
+        const below = ({ value }, inclusive) => {
+            if (!spec.discrete) return spec.cdf(value, params);
+            return spec.cdf(inclusive ? Math.floor(value) : Math.ceil(value) - 1, params);
+        };
+        const top = upper ? below(upper, upper.inclusive) : 1;
+        const bottom = lower ? below(lower, !lower.inclusive) : 0;
+        return clean(Math.max(0, top - bottom));
+    }
+
+    /**
+     * Mean and standard deviation of a distribution
+     */
+    moments(name, given) {
+        const params = this.params(name, given);
+        switch (name) {
+            case 'normal': return { mean: params.mean, sd: params.sd };
+            case 't': return { mean: params.df > 1 ? 0 : NaN, sd: params.df > 2 ? Math.sqrt(params.df / (params.df - 2)) : NaN };
+            case 'chisquared': return { mean: params.df, sd: Math.sqrt(2 * params.df) };
+            case 'exponential': return { mean: 1 / params.rate, sd: 1 / params.rate };
+            case 'binomial': return { mean: params.n * params.p, sd: Math.sqrt(params.n * params.p * (1 - params.p)) };
+            default: return { mean: params.lambda, sd: Math.sqrt(params.lambda) };
+        }
+    }
+
+    /**
+     * x range that shows most of a distribution's density
+     */
+    range(name, given) {
+        return DISTRIBUTIONS[name].range(this.params(name, given));
+    }
+
+    factorial(n) {
+        this.checkCount(n, 'n');
+        return math.factorial(n);
+    }
+
+    /**
+     * Ordered selections of k items from n: n! / (n − k)!
+     */
+    permutations(n, k = n) {
+        this.checkSelection(n, k);
+        return math.permutations(n, k);
+    }
+
+    /**
+     * Unordered selections of k items from n: n! / (k! (n − k)!)
+     */
+    combinations(n, k) {
+        this.checkSelection(n, k);
+        return math.combinations(n, k);
+    }
+
+    /**
+     * Functions added to expressions: normal_cdf(1.96), binomial_pdf(3, 10, 0.5),
+     * t_inv(0.975, 10), ... Parameters follow the value, in the order of
+     * each distribution's params (normal: mean, sd; binomial: n, p; ...)
+     */
+    functions() {
+        const fns = {};
+        Object.entries(FUNCTION_PREFIXES).forEach(([prefix, name]) => {
+            const params = (values) => Object.fromEntries(DISTRIBUTIONS[name].params.map((key, i) => [key, values[i]]));
+            fns[`${prefix}_pdf`] = (x, ...values) => this.pdf(name, x, params(values));
+            fns[`${prefix}_cdf`] = (x, ...values) => this.cdf(name, x, params(values));
+            fns[`${prefix}_inv`] = (p, ...values) => this.inverse(name, p, params(values));
+        });
+        return fns;
+    }
+
+    checkCount(n, name) {
+        if (!Number.isInteger(n) || n < 0) {
+            throw new Error(`${name} must be a whole number, not ${n}`);
+        }
+    }
+
+    checkSelection(n, k) {
+        this.checkCount(n, 'n');
+        this.checkCount(k, 'k');
+        if (k > n) throw new Error(`Cannot pick ${k} items from only ${n}`);
+    }
+}
+
+// Lanczos approximation (g = 7, n = 9), good to about 1e-15
+const LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.6150291621406, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+
+/**
+ * ln Γ(x)
+ */
+function logGamma(x) {
+    if (x < 0.5) return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+    x -= 1;
+    const t = x + 7.5;
+    let sum = LANCZOS[0];
+    for (let i = 1; i < LANCZOS.length; i++) sum += LANCZOS[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+function logChoose(n, k) {
+    return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+}
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ */
+function gammaP(a, x) {
+    if (x <= 0) return 0;
+    return x < a + 1 ? gammaSeries(a, x) : 1 - gammaFraction(a, x);
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x) = 1 − P(a, x)
+ */
+function gammaQ(a, x) {
+    if (x <= 0) return 1;
+    return x < a + 1 ? 1 - gammaSeries(a, x) : gammaFraction(a, x);
+}
+
+function gammaSeries(a, x) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < MAX_ITERATIONS; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - logGamma(a));
+}
+
+/**
+ * Q(a, x) by Lentz's continued fraction
+ */
+function gammaFraction(a, x) {
+    let b = x + 1 - a;
+    let c = 1 / TINY;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < MAX_ITERATIONS; i++) {
+        const an = -i * (i - a);
+        b += 2;
+        d = nonZero(an * d + b);
+        c = nonZero(b + an / c);
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) break;
+    }
+    return Math.exp(-x + a * Math.log(x) - logGamma(a)) * h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+function betaI(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log1p(-x));
+    // The continued fraction converges quickly on this side of the mean
+    if (x < (a + 1) / (a + b + 2)) return front * betaFraction(x, a, b) / a;
+    return 1 - front * betaFraction(1 - x, b, a) / b;
+}
+
+function betaFraction(x, a, b) {
+    let c = 1;
+    let d = 1 / nonZero(1 - (a + b) * x / (a + 1));
+    let h = d;
+    for (let m = 1; m < MAX_ITERATIONS; m++) {
+        const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+        d = 1 / nonZero(1 + even * d);
+        c = nonZero(1 + even / c);
+        h *= d * c;
+        const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+        d = 1 / nonZero(1 + odd * d);
+        c = nonZero(1 + odd / c);
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < EPSILON) break;
+    }
+    return h;
+}
+
+function nonZero(value) {
+    return Math.abs(value) < TINY ? TINY : value;
+}
+
+Probability.DISTRIBUTIONS = Object.keys(DISTRIBUTIONS);
+Probability.FUNCTIONS = Object.keys(new Probability().functions());
+
+module.exports = Probability;
@@ -0,0 +1,354 @@
+const TOKEN = /\s*(?:(0x[0-9a-f][0-9a-f_]*|0b[01][01_]*|0o[0-7][0-7_]*|\d[\d_]*)(?![\w.])|(>>>|<<|>>|\*\*|[+\-*/%^&|~()])|([a-z]+))/iy;
+
+const WIDTHS = [8, 16, 32, 64];
+
+const BASES = {
+    bin: { radix: 2, prefix: '0b', name: 'binary' },
+    oct: { radix: 8, prefix: '0o', name: 'octal' },
+    dec: { radix: 10, prefix: '', name: 'decimal' },
+    hex: { radix: 16, prefix: '0x', name: 'hexadecimal' }
+};
+
+const BASE_ALIASES = {
+    bin: 'bin', binary: 'bin', base2: 'bin', 2: 'bin',
+    oct: 'oct', octal: 'oct', base8: 'oct', 8: 'oct',
+    dec: 'dec', decimal: 'dec', base10: 'dec', 10: 'dec',
+    hex: 'hex', hexadecimal: 'hex', base16: 'hex', 16: 'hex'
+};
+
+// Written-out operators and the symbols they stand for
+const WORD_OPERATORS = { and: '&', or: '|', xor: 'xor', not: '~', shl: '<<', shr: '>>', mod: '%' };
+
+const SYMBOLS = { '&': 'AND', '|': 'OR', xor: 'XOR', '<<': '<<', '>>': '>>', '>>>': '>>>' };
+
+/**
+ * Integer arithmetic for programmer mode: hex, binary and octal literals
+ * (0xff, 0b1010, 0o17), bitwise and/or/xor/not and shifts, at a fixed width
+ * of 8, 16, 32 or 64 bits. Values are BigInts wrapped to the width after every
+ * operation, so results match two's-complement hardware, and are read back
+ * as signed or unsigned.
+ */
+class Programmer {
+    /**
+     * Width in bits (8, 16, 32 or 64) for a width or a name like "32-bit"
+     */
+    static normalizeWidth(width) {
+        const bits = parseInt(String(width).replace(/[\s-]*bits?$/i, ''), 10);
+        if (!WIDTHS.includes(bits) || !/^\s*\d+(?:[\s-]*bits?)?\s*$/i.test(String(width))) {
+            throw new Error(`Unsupported integer width "${width}" (use 8, 16, 32 or 64)`);
+        }
+        return bits;
+    }
+
+    /**
+     * Canonical output base ('bin', 'oct', 'dec' or 'hex') for a base name or radix
+     */
+    static normalizeBase(base) {
+        const key = BASE_ALIASES[String(base).trim().toLowerCase().replace(/\s+/g, '')];
+        if (!key) {
+            throw new Error(`Unknown number base "${base}" (use bin, oct, dec or hex)`);
+        }
+        return key;
+    }
+
+    /**
+     * true for signed, false for unsigned; accepts booleans and the words
+     */
+    static normalizeSigned(value) {
+        if (typeof value === 'boolean') return value;
+        const word = String(value).trim().toLowerCase();
+        if (word === 'signed' || word === 'true') return true;
+        if (word === 'unsigned' || word === 'false') return false;
+        throw new Error(`Unknown signedness "${value}" (use signed or unsigned)`);
+    }
+
+    /**
+     * Parse an integer expression
+     * @returns {Object} - { tree, literals, operators } where literals are the
+     * prefixed numbers (0xff, 0b1010) and operators the bitwise ones as typed ("&", "and")
+     */
+    parse(text) {
+        const state = { tokens: this.tokenize(text), position: 0, literals: [], operators: [] };
+        if (state.tokens.length === 0) throw new Error('Empty expression');
+
+        const tree = this.parseOr(state);
+        if (state.position < state.tokens.length) {
+            throw new Error(`Unexpected "${state.tokens[state.position].text}"`);
+        }
+        return { tree, literals: state.literals, operators: state.operators };
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        TOKEN.lastIndex = 0;
+        while (TOKEN.lastIndex < text.length) {
+            if (/^\s*$/.test(text.slice(TOKEN.lastIndex))) break;
+            const start = TOKEN.lastIndex;
+            const match = TOKEN.exec(text);
+            if (!match) {
+                throw new Error(`Unexpected "${text.slice(start).trim()[0]}"`);
+            }
+            const [, number, operator, word] = match;
+            if (number !== undefined) {
+                tokens.push({ type: 'number', text: number, value: BigInt(number.replace(/_/g, '')) });
+            } else if (operator !== undefined) {
+                tokens.push({ type: 'operator', text: operator === '**' ? '^' : operator });
+            } else if (word.toLowerCase() in WORD_OPERATORS) {
+                tokens.push({ type: 'operator', text: WORD_OPERATORS[word.toLowerCase()], word: word.toLowerCase() });
+            } else {
+                throw new Error(`Unexpected "${word}"`);
+            }
+        }
+        return tokens;
+    }
+
+    // Precedence follows C: | below xor below & below shifts below + - below * / %
+    parseOr(state) {
+        return this.parseBinary(state, ['|'], () => this.parseXor(state));
+    }
+
+    parseXor(state) {
+        return this.parseBinary(state, ['xor'], () => this.parseAnd(state));
+    }
+
+    parseAnd(state) {
+        return this.parseBinary(state, ['&'], () => this.parseShift(state));
+    }
+
+    parseShift(state) {
+        return this.parseBinary(state, ['<<', '>>', '>>>'], () => this.parseSum(state));
+    }
+
+    parseSum(state) {
+        return this.parseBinary(state, ['+', '-'], () => this.parseProduct(state));
+    }
+
+    parseProduct(state) {
+        return this.parseBinary(state, ['*', '/', '%'], () => this.parseUnary(state));
+    }
+
+    parseBinary(state, operators, operand) {
+        let node = operand();
+        while (operators.some(op => this.peek(state, op))) {
+            const token = state.tokens[state.position++];
+            if (token.text in SYMBOLS) state.operators.push(token.word || token.text);
+            node = { type: 'binary', op: token.text, left: node, right: operand() };
+        }
+        return node;
+    }
+
+    parseUnary(state) {
+        if (this.peek(state, '-') || this.peek(state, '~')) {
+            const token = state.tokens[state.position++];
+            const op = token.text;
+            if (op === '~') state.operators.push(token.word || op);
+            return { type: 'unary', op, value: this.parseUnary(state) };
+        }
+        if (this.peek(state, '+')) {
+            state.position++;
+            return this.parseUnary(state);
+        }
+        return this.parsePower(state);
+    }
+
+    parsePower(state) {
+        const node = this.parsePrimary(state);
+        if (!this.peek(state, '^')) return node;
+        state.position++;
+        return { type: 'binary', op: '^', left: node, right: this.parseUnary(state) };
+    }
+
+    parsePrimary(state) {
+        const token = state.tokens[state.position];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (this.peek(state, '(')) {
+            state.position++;
+            const node = this.parseOr(state);
+            if (!this.peek(state, ')')) throw new Error('Missing closing parenthesis');
+            state.position++;
+            return node;
+        }
+        if (token.type !== 'number') {
+            throw new Error(`Unexpected "${token.text}"`);
+        }
+        state.position++;
+        const base = this.literalBase(token.text);
+        if (base !== 'dec') state.literals.push(token.text);
+        return { type: 'number', text: token.text, value: token.value, base };
+    }
+
+    peek(state, text) {
+        const token = state.tokens[state.position];
+        return Boolean(token && token.type === 'operator' && token.text === text);
+    }
+
+    literalBase(text) {
+        const prefix = text.slice(0, 2).toLowerCase();
+        return Object.keys(BASES).find(key => BASES[key].prefix === prefix) || 'dec';
+    }
+
+    /**
+     * Evaluate a parsed tree at a width
+     * @param {Object} options - { width, signed }
+     * @returns {Object} - { value (BigInt), width, signed, overflow, trace }
+     */
+    evaluate(tree, { width = 64, signed = true } = {}) {
+        const state = { width, signed, overflow: false, trace: [] };
+        const value = this.evaluateNode(tree, state);
+        return { value, width, signed, overflow: state.overflow, trace: state.trace };
+    }
+
+    evaluateNode(node, state) {
+        if (node.type === 'number') {
+            // Prefixed literals are bit patterns, decimal literals are values
+            const fits = node.base === 'dec'
+                ? this.wrap(node.value, state) === node.value
+                : node.value < (1n << BigInt(state.width));
+            const value = this.wrap(node.value, state);
+            if (!fits) this.overflow(state, node.text, value);
+            else if (node.base !== 'dec') {
+                state.trace.push({ type: 'convert', description: `${node.text} = ${value}` });
+            }
+            return value;
+        }
+
+        if (node.type === 'unary') {
+            const operand = this.evaluateNode(node.value, state);
+            const exact = node.op === '~' ? ~operand : -operand;
+            const value = this.wrap(exact, state);
+            if (node.op === '~') {
+                state.trace.push({ type: 'evaluate', description: `NOT ${this.describe(operand, state)} = ${this.describe(value, state)}` });
+            } else if (value !== exact) {
+                this.overflow(state, `-${operand}`, value);
+            }
+            return value;
+        }
+
+        const left = this.evaluateNode(node.left, state);
+        const right = this.evaluateNode(node.right, state);
+        const exact = this.apply(node.op, left, right, state);
+        const value = this.wrap(exact, state);
+        const symbol = SYMBOLS[node.op] || { '*': '×', '/': '÷', '%': 'mod' }[node.op] || node.op;
+        const bitwise = node.op in SYMBOLS;
+        // Shift counts read better in decimal
+        const count = ['<<', '>>', '>>>'].includes(node.op) ? String(right) : this.describe(right, state);
+        const operands = bitwise
+            ? `${this.describe(left, state)} ${symbol} ${count}`
+            : `${left} ${symbol} ${right}`;
+        state.trace.push({
+            type: 'evaluate',
+            description: `${operands} = ${bitwise ? this.describe(value, state) : value}`
+        });
+        // power() wraps huge powers itself, so they never equal their exact value
+        const huge = node.op === '^' && right > 1024n && (left > 1n || left < -1n);
+        if (value !== exact || huge) this.overflow(state, huge ? `${left}^${right}` : String(exact), value);
+        return value;
+    }
+
+    apply(op, left, right, state) {
+        const bits = BigInt(state.width);
+        switch (op) {
+            case '+': return left + right;
+            case '-': return left - right;
+            case '*': return left * right;
+            case '/':
+            case '%':
+                if (right === 0n) throw new Error('Division by zero');
+                // BigInt division truncates toward zero, like C
+                return op === '/' ? left / right : left % right;
+            case '^':
+                if (right < 0n) throw new Error('Negative exponents do not give integers');
+                return this.power(left, right, state);
+            case '&': return left & right;
+            case '|': return left | right;
+            case 'xor': return left ^ right;
+            case '<<':
+            case '>>':
+            case '>>>': {
+                if (right < 0n) throw new Error('Cannot shift by a negative amount');
+                const shift = right > bits ? bits : right;
+                if (op === '<<') return left << shift;
+                // >> keeps the sign of signed values; >>> always shifts in zeros
+                const pattern = op === '>>' && state.signed ? left : BigInt.asUintN(state.width, left);
+                return pattern >> shift;
+            }
+            default:
+                throw new Error(`Unknown operator ${op}`);
+        }
+    }
+
+    /**
+     * Exact powers while they stay small, wrapped square-and-multiply beyond
+     */
+    power(base, exponent, state) {
+        if (exponent <= 1024n) return base ** exponent;
+        if (base === 0n || base === 1n) return base;
+        if (base === -1n) return exponent % 2n === 0n ? 1n : -1n;
+
+        let result = 1n;
+        let square = BigInt.asUintN(state.width, base);
+        for (let e = exponent; e > 0n; e >>= 1n) {
+            if (e & 1n) result = BigInt.asUintN(state.width, result * square);
+            square = BigInt.asUintN(state.width, square * square);
+        }
+        return result;
+    }
+
+    wrap(value, { width, signed }) {
+        return signed ? BigInt.asIntN(width, value) : BigInt.asUintN(width, value);
+    }
+
+    overflow(state, exact, value) {
+        state.overflow = true;
+        state.trace.push({
+            type: 'evaluate',
+            description: `${exact} does not fit in ${this.typeName(state)}; wrapped to ${value}`
+        });
+    }
+
+    typeName({ width, signed }) {
+        return `${width}-bit ${signed ? 'signed' : 'unsigned'}`;
+    }
+
+    describe(value, state) {
+        return this.toBase(value, 'hex', state.width);
+    }
+
+    /**
+     * The bit pattern of a value in a base, with its prefix ("0xFF", "0b1010");
+     * negative values show their two's complement at the width
+     * @param {boolean} [grouped] - Split binary digits into groups of four
+     */
+    toBase(value, base, width, grouped = false) {
+        const { radix, prefix } = BASES[Programmer.normalizeBase(base)];
+        if (radix === 10) return String(value);
+        const digits = BigInt.asUintN(width, value).toString(radix).toUpperCase();
+        const shown = grouped && radix === 2
+            ? digits.replace(/\B(?=(?:[01]{4})+$)/g, '_')
+            : digits;
+        return prefix + shown;
+    }
+
+    /**
+     * Every representation of a result: the bit pattern in each base and
+     * both decimal readings of it
+     */
+    representations(value, width) {
+        return {
+            hex: this.toBase(value, 'hex', width),
+            octal: this.toBase(value, 'oct', width),
+            binary: this.toBase(value, 'bin', width),
+            signedValue: String(BigInt.asIntN(width, value)),
+            unsignedValue: String(BigInt.asUintN(width, value))
+        };
+    }
+
+    baseName(base) {
+        return BASES[Programmer.normalizeBase(base)].name;
+    }
+}
+
+Programmer.WIDTHS = WIDTHS;
+
+module.exports = Programmer;
@@ -0,0 +1,261 @@
+const math = require('mathjs');
+const { clean } = require('./Precision');
+
+// Models fit() knows
+const MODELS = ['linear', 'polynomial', 'exponential', 'logarithmic', 'power'];
+
+/**
+ * Correlation and least-squares curve fitting of paired data.
+ *
+ * Polynomials are fit directly (normal equations). Exponential, logarithmic
+ * and power models are fit as straight lines after taking logarithms
+ * (ln y against x, y against ln x, ln y against ln x), the way spreadsheet
+ * trend lines do; their R² is still measured against the original y values.
+ *
+ * A model is plain data ({ type, degree, coefficients, r2, equation, n }) so
+ * it can be kept in a session and used for predictions later. Coefficients
+ * start with the constant term: [a, b, c] is a + bx + cx² for polynomials,
+ * and [a, b] is a·e^(bx), a + b·ln(x) or a·x^b for the other models.
+ */
+class Regression {
+    /**
+     * Model type and degree for a word: "quadratic" is a degree 2 polynomial,
+     * "log" is logarithmic, none (or "polynomial" alone) picks a line unless a
+     * degree is given
+     * @returns {Object} - { type, degree }
+     */
+    static model(word, degree) {
+        const named = { quadratic: 2, cubic: 3, quartic: 4 }[word];
+        if (named) return { type: 'polynomial', degree: named };
+        if (word === 'log') return { type: 'logarithmic', degree: 1 };
+        if (!word || word === 'linear' || word === 'polynomial') {
+            const n = degree === undefined ? (word === 'polynomial' ? 2 : 1) : parseInt(degree, 10);
+            return n === 1 ? { type: 'linear', degree: 1 } : { type: 'polynomial', degree: n };
+        }
+        return { type: word, degree: 1 };
+    }
+
+    /**
+     * Pearson correlation coefficient r
+     */
+    pearson(xs, ys) {
+        this.checkPairs(xs, ys, 2);
+        const mx = mean(xs);
+        const my = mean(ys);
+        let sxy = 0;
+        let sxx = 0;
+        let syy = 0;
+        xs.forEach((x, i) => {
+            sxy += (x - mx) * (ys[i] - my);
+            sxx += (x - mx) ** 2;
+            syy += (ys[i] - my) ** 2;
+        });
+        if (sxx === 0 || syy === 0) {
+            throw new Error('Correlation is undefined when all x or all y values are equal');
+        }
+        return clean(sxy / Math.sqrt(sxx * syy));
+    }
+
+    /**
+     * Spearman rank correlation: Pearson's r of the ranks (ties share their average rank)
+     */
+    spearman(xs, ys) {
+        this.checkPairs(xs, ys, 2);
+        return this.pearson(ranks(xs), ranks(ys));
+    }
+
+    /**
+     * Least-squares fit of a model to the points
+     * @param {string} type - 'linear', 'polynomial', 'exponential', 'logarithmic' or 'power'
+     * @param {number} [degree=2] - Degree of a polynomial
+     * @returns {Object} - { type, degree, coefficients, r2, equation, n }
+     */
+    fit(type, xs, ys, degree = 2) {
+        if (!MODELS.includes(type)) {
+            throw new Error(`Unknown model "${type}" (use linear, polynomial, exponential, logarithmic or power)`);
+        }
+        if (type === 'linear') degree = 1;
+        if (type === 'polynomial' && (!Number.isInteger(degree) || degree < 1)) {
+            throw new Error('The degree of a polynomial fit must be a whole number of at least 1');
+        }
+        const size = type === 'linear' || type === 'polynomial' ? degree + 1 : 2;
+        this.checkPairs(xs, ys, size);
+        if (new Set(xs).size < size) {
+            throw new Error(`A ${type === 'polynomial' ? `degree ${degree} ` : ''}${type} fit needs at least ${size} different x values`);
+        }
+
+        let coefficients;
+        if (type === 'linear' || type === 'polynomial') {
+            coefficients = polynomial(xs, ys, degree);
+        } else {
+            if ((type === 'exponential' || type === 'power') && ys.some(y => y <= 0)) {
+                throw new Error(`${type === 'power' ? 'A power' : 'An exponential'} fit needs positive y values`);
+            }
+            if ((type === 'logarithmic' || type === 'power') && xs.some(x => x <= 0)) {
+                throw new Error(`A ${type} fit needs positive x values`);
+            }
+            const u = type === 'exponential' ? xs : xs.map(Math.log);
+            const v = type === 'logarithmic' ? ys : ys.map(Math.log);
+            const [a, b] = polynomial(u, v, 1);
+            coefficients = [type === 'logarithmic' ? a : Math.exp(a), b];
+        }
+
+        const model = {
+            type,
+            ...(type === 'polynomial' ? { degree } : {}),
+            // Solving leaves noise like 4e-15 where a coefficient is zero
+            coefficients: coefficients.map(value => (Math.abs(value) < 1e-10 ? 0 : clean(value))),
+            n: xs.length
+        };
+        model.r2 = this.rSquared(model, xs, ys);
+        model.equation = this.equation(model);
+        return model;
+    }
+
+    /**
+     * Value of a fitted model at x
+     */
+    predict(model, x) {
+        const [a, b] = model.coefficients;
+        switch (model.type) {
+            case 'exponential':
+                return clean(a * Math.exp(b * x));
+            case 'logarithmic':
+                if (x <= 0) throw new Error('A logarithmic model is only defined for x > 0');
+                return clean(a + b * Math.log(x));
+            case 'power':
+                return clean(a * x ** b);
+            default:
+                return clean(model.coefficients.reduceRight((total, c) => total * x + c, 0));
+        }
+    }
+
+    /**
+     * Coefficient of determination of a model on the points: 1 − SSres / SStot
+     */
+    rSquared(model, xs, ys) {
+        const my = mean(ys);
+        const total = ys.reduce((sum, y) => sum + (y - my) ** 2, 0);
+        const residual = xs.reduce((sum, x, i) => sum + (ys[i] - this.predict(model, x)) ** 2, 0);
+        if (total === 0) return residual === 0 ? 1 : 0;
+        return clean(1 - residual / total);
+    }
+
+    /**
+     * Readable equation: "y = 2x + 1", "y = 1.5x^2 - 3x + 2", "y = 3 * e^(0.2x)"
+     */
+    equation(model) {
+        const [a, b] = model.coefficients.map(short);
+        switch (model.type) {
+            case 'exponential':
+                return `y = ${a} * e^(${term(b, 'x')})`;
+            case 'logarithmic':
+                return `y = ${join([[a, ''], [b, 'ln(x)']])}`;
+            case 'power':
+                return `y = ${a} * x^${b}`;
+            default:
+                return `y = ${join(model.coefficients.map((c, k) => [short(c), k === 0 ? '' : k === 1 ? 'x' : `x^${k}`]).reverse())}`;
+        }
+    }
+
+    /**
+     * Functions added to expressions; data comes as lists, x values first
+     */
+    functions() {
+        const list = (values) => (values && typeof values.toArray === 'function' ? values.toArray() : values).flat(Infinity);
+        const model = (xs, ys, degree = 1) => this.fit(degree === 1 ? 'linear' : 'polynomial', list(xs), list(ys), degree);
+        return {
+            pearson: (xs, ys) => this.pearson(list(xs), list(ys)),
+            spearman: (xs, ys) => this.spearman(list(xs), list(ys)),
+            polyfit: (xs, ys, degree = 1) => model(xs, ys, degree).coefficients,
+            rsquared: (xs, ys, degree = 1) => model(xs, ys, degree).r2,
+            predict: (xs, ys, x, degree = 1) => this.predict(model(xs, ys, degree), x)
+        };
+    }
+
+    checkPairs(xs, ys, count) {
+        if (xs.length !== ys.length) {
+            throw new Error(`Every x value needs a y value (got ${xs.length} x and ${ys.length} y values)`);
+        }
+        if (xs.length < count) {
+            throw new Error(`This needs at least ${count} points`);
+        }
+        if (![...xs, ...ys].every(Number.isFinite)) {
+            throw new Error('The data must be numbers');
+        }
+    }
+}
+
+/**
+ * Least-squares polynomial coefficients, constant term first
+ */
+function polynomial(xs, ys, degree) {
+    if (degree === 1) {
+        const mx = mean(xs);
+        const my = mean(ys);
+        const slope = xs.reduce((sum, x, i) => sum + (x - mx) * (ys[i] - my), 0) / xs.reduce((sum, x) => sum + (x - mx) ** 2, 0);
+        return [my - slope * mx, slope];
+    }
+    const powers = xs.map(x => Array.from({ length: degree + 1 }, (_, k) => x ** k));
+    const normal = Array.from({ length: degree + 1 }, (_, j) =>
+        Array.from({ length: degree + 1 }, (_, k) => powers.reduce((sum, row) => sum + row[j] * row[k], 0)));
+    const right = Array.from({ length: degree + 1 }, (_, j) => powers.reduce((sum, row, i) => sum + row[j] * ys[i], 0));
+    return math.lusolve(normal, right).map(([value]) => value);
+}
+
+/**
+ * 1-based ranks, ties sharing the average of their positions
+ */
+function ranks(values) {
+    const order = values.map((value, i) => [value, i]).sort((a, b) => a[0] - b[0]);
+    const result = new Array(values.length);
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1][0] === order[start][0]) end++;
+        const rank = (start + end) / 2 + 1;
+        for (let i = start; i <= end; i++) result[order[i][1]] = rank;
+        start = end + 1;
+    }
+    return result;
+}
+
+function mean(values) {
+    return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+/**
+ * Coefficients in equations: six significant digits
+ */
+function short(value) {
+    const rounded = parseFloat(value.toPrecision(6));
+    return Object.is(rounded, -0) ? 0 : rounded;
+}
+
+/**
+ * "2x", "x", "-x" or "0.5ln(x)"
+ */
+function term(coefficient, variable) {
+    if (coefficient === 1) return variable;
+    if (coefficient === -1) return `-${variable}`;
+    return `${coefficient}${variable}`;
+}
+
+/**
+ * Terms [coefficient, variable] joined with signs, skipping zero coefficients
+ */
+function join(terms) {
+    const text = terms
+        .filter(([coefficient]) => coefficient !== 0)
+        .map(([coefficient, variable], i) => {
+            const body = variable ? term(Math.abs(coefficient), variable) : String(Math.abs(coefficient));
+            if (i === 0) return coefficient < 0 ? `-${body}` : body;
+            return `${coefficient < 0 ? '-' : '+'} ${body}`;
+        })
+        .join(' ');
+    return text || '0';
+}
+
+Regression.MODELS = MODELS;
+Regression.FUNCTIONS = Object.keys(new Regression().functions());
+
+module.exports = Regression;
@@ -0,0 +1,226 @@
+const { clean } = require('./Precision');
+
+// Statistics compute() calls by their method name
+const NAMED = ['count', 'sum', 'mean', 'median', 'min', 'max', 'range', 'sumOfSquares', 'squaredDeviations',
+    'variance', 'std', 'quartiles', 'iqr', 'skewness', 'kurtosis', 'summary'];
+
+/**
+ * Descriptive statistics of a list of numbers.
+ *
+ * Variance, standard deviation, skewness, kurtosis and z-scores describe a
+ * sample unless `population` is set (n − 1 instead of n, and the bias
+ * corrections spreadsheets use for SKEW and KURT). Percentiles interpolate
+ * linearly between the closest ranks, like PERCENTILE.INC; quartiles are the
+ * 25th, 50th and 75th percentiles. Kurtosis is excess kurtosis (0 for a
+ * normal distribution).
+ */
+class Statistics {
+    /**
+     * A statistic by name ('mean', 'std', 'q1', 'zscore', 'summary', ...)
+     * @param {Object} [options] - { population, percentile, score }; with a score,
+     *   'zscore' is that value's z-score, otherwise the z-score of every value
+     */
+    compute(name, values, options = {}) {
+        switch (name) {
+            case 'mode': {
+                const modes = this.modes(values);
+                return modes.length === 1 ? modes[0] : modes;
+            }
+            case 'percentile':
+                return this.percentile(values, options.percentile);
+            case 'q1':
+                return this.percentile(values, 25);
+            case 'q3':
+                return this.percentile(values, 75);
+            case 'zscore':
+                return options.score !== undefined ? this.zScore(options.score, values, options) : this.zScores(values, options);
+            default:
+                if (!NAMED.includes(name)) throw new Error(`Unknown statistic "${name}"`);
+                return this[name](values, options);
+        }
+    }
+
+    count(values) {
+        return values.length;
+    }
+
+    sum(values) {
+        return values.reduce((total, value) => total + value, 0);
+    }
+
+    mean(values) {
+        this.require(values, 1, 'The mean');
+        return clean(this.sum(values) / values.length);
+    }
+
+    median(values) {
+        return this.percentile(values, 50);
+    }
+
+    /**
+     * Most frequent values in ascending order; none when every value is unique
+     */
+    modes(values) {
+        this.require(values, 1, 'The mode');
+        const counts = new Map();
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        const highest = Math.max(...counts.values());
+        if (highest === 1 && values.length > 1) return [];
+        return [...counts.keys()].filter(value => counts.get(value) === highest).sort((a, b) => a - b);
+    }
+
+    min(values) {
+        this.require(values, 1, 'The minimum');
+        return values.reduce((low, value) => Math.min(low, value));
+    }
+
+    max(values) {
+        this.require(values, 1, 'The maximum');
+        return values.reduce((high, value) => Math.max(high, value));
+    }
+
+    range(values) {
+        return this.max(values) - this.min(values);
+    }
+
+    /**
+     * Σx²
+     */
+    sumOfSquares(values) {
+        return values.reduce((total, value) => total + value ** 2, 0);
+    }
+
+    /**
+     * Σ(x − mean)²
+     */
+    squaredDeviations(values) {
+        const mean = this.mean(values);
+        return values.reduce((total, value) => total + (value - mean) ** 2, 0);
+    }
+
+    variance(values, options = {}) {
+        return clean(this.rawVariance(values, options));
+    }
+
+    // The root is taken from the unrounded variance so the deviation is rounded only once
+    std(values, options = {}) {
+        return clean(Math.sqrt(this.rawVariance(values, options)));
+    }
+
+    rawVariance(values, { population = false } = {}) {
+        this.require(values, population ? 1 : 2, `The ${population ? 'population' : 'sample'} variance`);
+        return this.squaredDeviations(values) / (population ? values.length : values.length - 1);
+    }
+
+    /**
+     * Value below which `p` percent of the values fall
+     */
+    percentile(values, p) {
+        this.require(values, 1, 'A percentile');
+        if (!(p >= 0 && p <= 100)) {
+            throw new Error(`Percentiles go from 0 to 100, not ${p}`);
+        }
+        const { lower, upper, weight } = this.rank(values, p);
+        const sorted = [...values].sort((a, b) => a - b);
+        return clean(sorted[lower] + weight * (sorted[upper] - sorted[lower]));
+    }
+
+    /**
+     * Zero-based position of a percentile in the sorted values
+     * @returns {Object} - { position, lower, upper, weight }
+     */
+    rank(values, p) {
+        const position = p / 100 * (values.length - 1);
+        const lower = Math.floor(position);
+        return { position, lower, upper: Math.min(lower + 1, values.length - 1), weight: position - lower };
+    }
+
+    quartiles(values) {
+        return { q1: this.percentile(values, 25), q2: this.percentile(values, 50), q3: this.percentile(values, 75) };
+    }
+
+    iqr(values) {
+        return clean(this.percentile(values, 75) - this.percentile(values, 25));
+    }
+
+    skewness(values, { population = false } = {}) {
+        this.require(values, population ? 2 : 3, `The ${population ? 'population' : 'sample'} skewness`);
+        const n = values.length;
+        const cubes = this.sumOfPowers(values, 3, population);
+        return clean(population ? cubes / n : n / ((n - 1) * (n - 2)) * cubes);
+    }
+
+    kurtosis(values, { population = false } = {}) {
+        this.require(values, population ? 2 : 4, `The ${population ? 'population' : 'sample'} kurtosis`);
+        const n = values.length;
+        const fourths = this.sumOfPowers(values, 4, population);
+        if (population) return clean(fourths / n - 3);
+        return clean(n * (n + 1) / ((n - 1) * (n - 2) * (n - 3)) * fourths - 3 * (n - 1) ** 2 / ((n - 2) * (n - 3)));
+    }
+
+    /**
+     * Standard deviations between `value` and the mean of `values`
+     */
+    zScore(value, values, options = {}) {
+        const std = this.std(values, options);
+        if (std === 0) throw new Error('z-scores are undefined when all values are equal');
+        return clean((value - this.mean(values)) / std);
+    }
+
+    zScores(values, options = {}) {
+        return values.map(value => this.zScore(value, values, options));
+    }
+
+    /**
+     * Every statistic above at once; shape statistics the list is too short
+     * for (or that are undefined because all values are equal) are null
+     */
+    summary(values, options = {}) {
+        const optional = (compute) => {
+            try {
+                return compute();
+            } catch (error) {
+                return null;
+            }
+        };
+        const modes = this.modes(values);
+        return {
+            count: this.count(values),
+            sum: this.sum(values),
+            mean: this.mean(values),
+            median: this.median(values),
+            mode: modes.length === 1 ? modes[0] : modes,
+            min: this.min(values),
+            q1: this.percentile(values, 25),
+            q3: this.percentile(values, 75),
+            max: this.max(values),
+            range: this.range(values),
+            iqr: this.iqr(values),
+            variance: optional(() => this.variance(values, options)),
+            std: optional(() => this.std(values, options)),
+            skewness: optional(() => this.skewness(values, options)),
+            kurtosis: optional(() => this.kurtosis(values, options))
+        };
+    }
+
+    /**
+     * Σ((x − mean) / s)^power with the sample or population deviation
+     */
+    sumOfPowers(values, power, population) {
+        // Unrounded: the power would magnify the rounding of the mean and deviation
+        const n = values.length;
+        const mean = values.reduce((total, value) => total + value, 0) / n;
+        const squares = values.reduce((total, value) => total + (value - mean) ** 2, 0);
+        const std = Math.sqrt(squares / (population ? n : n - 1));
+        if (std === 0) throw new Error('Skewness and kurtosis are undefined when all values are equal');
+        return values.reduce((total, value) => total + ((value - mean) / std) ** power, 0);
+    }
+
+    require(values, count, name) {
+        if (values.length < count) {
+            throw new Error(`${name} needs at least ${count} value${count === 1 ? '' : 's'}`);
+        }
+    }
+}
+
+module.exports = Statistics;
@@ -0,0 +1,342 @@
+// Color scale stops (viridis), from the lowest value to the highest
+const SCALE = ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'];
+// Grid points per axis when none is asked for; surfaces are drawn cell by cell, so fewer
+const RESOLUTION = { contour: 100, heatmap: 100, surface: 40 };
+const CONTOUR_LEVELS = 10;
+
+/**
+ * Plots of two-variable functions z = f(x, y): contour maps, heatmaps and
+ * rotatable 3D surfaces.
+ *
+ * A surface is plain data ({ xs, ys, z, zMin, zMax }) where z[j][i] is the
+ * value at (xs[i], ys[j]), or null where the function is undefined. Pages
+ * draw it on a canvas with render(), which is inlined into the page, so the
+ * HTML files work offline.
+ */
+class SurfacePlot {
+    /**
+     * n + 1 evenly spaced values from range[0] to range[1]
+     */
+    static steps([from, to], n) {
+        return Array.from({ length: n + 1 }, (_, i) => from + (to - from) * i / n);
+    }
+
+    /**
+     * Segments of the contour line where values = level (marching squares).
+     * values[j][i] is the value at (xs[i], ys[j]); cells with an undefined
+     * (NaN) corner are skipped
+     * @returns {number[][][]} - [[[x1, y1], [x2, y2]], ...]
+     */
+    static contourSegments(xs, ys, values, level) {
+        const segments = [];
+        for (let j = 0; j < ys.length - 1; j++) {
+            for (let i = 0; i < xs.length - 1; i++) {
+                // Corners counter-clockwise from the bottom left; edge k runs from corner k to k + 1
+                const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]]
+                    .map(([a, b]) => ({ x: xs[a], y: ys[b], value: values[b][a] - level }));
+                if (corners.some(corner => !isFinite(corner.value))) continue;
+
+                const crossings = [];
+                corners.forEach((corner, k) => {
+                    const next = corners[(k + 1) % 4];
+                    if ((corner.value < 0) !== (next.value < 0)) {
+                        const share = corner.value / (corner.value - next.value);
+                        crossings.push([corner.x + share * (next.x - corner.x), corner.y + share * (next.y - corner.y)]);
+                    }
+                });
+                if (crossings.length === 2) {
+                    segments.push(crossings);
+                } else if (crossings.length === 4) {
+                    // Saddle: the centre decides which pair of opposite corners is joined
+                    const centre = corners.reduce((sum, corner) => sum + corner.value, 0) / 4;
+                    const [bottom, rightEdge, top, leftEdge] = crossings;
+                    if ((centre < 0) === (corners[0].value < 0)) {
+                        segments.push([bottom, rightEdge], [top, leftEdge]);
+                    } else {
+                        segments.push([leftEdge, bottom], [rightEdge, top]);
+                    }
+                }
+            }
+        }
+        return segments;
+    }
+
+    /**
+     * Grid size for a view: the one asked for, or the view's default
+     */
+    resolution(view, requested) {
+        return requested || RESOLUTION[view];
+    }
+
+    /**
+     * Sample f over a grid of resolution × resolution points
+     * @param {Function} f - (x, y) => number; points where it throws or is not a finite number are null
+     * @returns {Object} - The surface
+     */
+    sample(f, xRange, yRange, resolution) {
+        const xs = SurfacePlot.steps(xRange, resolution - 1);
+        const ys = SurfacePlot.steps(yRange, resolution - 1);
+        let zMin = Infinity;
+        let zMax = -Infinity;
+        const z = ys.map(y => xs.map(x => {
+            let value;
+            try {
+                value = f(x, y);
+            } catch (error) {
+                return null;
+            }
+            if (typeof value !== 'number' || !isFinite(value)) return null;
+            zMin = Math.min(zMin, value);
+            zMax = Math.max(zMax, value);
+            return parseFloat(value.toPrecision(8));
+        }));
+        // No values at all: zMin and zMax are null
+        return zMin > zMax ? { xs, ys, z, zMin: null, zMax: null } : { xs, ys, z, zMin, zMax };
+    }
+
+    /**
+     * Contour lines at evenly spaced levels between the lowest and highest value
+     * @returns {Object[]} - [{ level, segments }]
+     */
+    contours(surface, count = CONTOUR_LEVELS) {
+        const { xs, ys, z, zMin, zMax } = surface;
+        if (zMax === zMin) return [];
+        const values = z.map(row => row.map(value => (value === null ? NaN : value)));
+        return Array.from({ length: count }, (_, k) => {
+            const level = parseFloat((zMin + (zMax - zMin) * (k + 1) / (count + 1)).toPrecision(6));
+            const segments = SurfacePlot.contourSegments(xs, ys, values, level)
+                .map(segment => segment.map(point => point.map(value => parseFloat(value.toPrecision(6)))));
+            return { level, segments };
+        });
+    }
+
+    /**
+     * The grid as CSV rows of x, y and z (z is empty where undefined)
+     */
+    csv(surface) {
+        const rows = ['x,y,z'];
+        surface.ys.forEach((y, j) => surface.xs.forEach((x, i) => {
+            const value = surface.z[j][i];
+            rows.push(`${format(x)},${format(y)},${value === null ? '' : value}`);
+        }));
+        return rows.join('\n');
+    }
+
+    /**
+     * Color scale stops: at least two colors of a style, or the default scale
+     */
+    scale(colors) {
+        return colors && colors.length >= 2 ? colors : SCALE;
+    }
+
+    /**
+     * Source of the page's drawing code: render(plot) for the data embedded in the page
+     */
+    script() {
+        return render.toString();
+    }
+}
+
+function format(value) {
+    return String(parseFloat(value.toPrecision(10)));
+}
+
+/**
+ * Draws a surface on the page's canvas (runs in the browser). plot carries
+ * the surface, view ('contour', 'heatmap' or 'surface'), contours, scale,
+ * theme, labels and the grid and legend switches. Surfaces rotate by dragging.
+ */
+function render(plot) {
+    const canvas = document.getElementById('plot');
+    const ctx = canvas.getContext('2d');
+    const { xs, ys, z, zMin, zMax, theme } = plot;
+    const margin = { left: 60, right: plot.legend ? 100 : 20, top: 20, bottom: 50 };
+    const width = canvas.width - margin.left - margin.right;
+    const height = canvas.height - margin.top - margin.bottom;
+    const view = { azimuth: -0.6, elevation: 0.5 };
+
+    const rgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    const stops = plot.scale.map(color => rgb(color.length === 4 ? `#${color[1]}${color[1]}${color[2]}${color[2]}${color[3]}${color[3]}` : color));
+    const colorOf = (value) => {
+        const share = zMax > zMin ? Math.min(Math.max((value - zMin) / (zMax - zMin), 0), 1) : 0.5;
+        const scaled = share * (stops.length - 1);
+        const i = Math.min(Math.floor(scaled), stops.length - 2);
+        const mix = stops[i].map((channel, k) => Math.round(channel + (stops[i + 1][k] - channel) * (scaled - i)));
+        return `rgb(${mix.join(', ')})`;
+    };
+    const label = value => String(parseFloat(value.toPrecision(4)));
+    const px = x => margin.left + (x - xs[0]) / (xs[xs.length - 1] - xs[0]) * width;
+    const py = y => margin.top + height - (y - ys[0]) / (ys[ys.length - 1] - ys[0]) * height;
+
+    // About five round tick values between low and high
+    const ticks = (low, high) => {
+        const raw = (high - low) / 5;
+        const power = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].map(m => m * power).find(size => size >= raw);
+        const values = [];
+        for (let value = Math.ceil(low / step) * step; value <= high + step * 1e-9; value += step) {
+            values.push(Math.abs(value) < step * 1e-9 ? 0 : value);
+        }
+        return values;
+    };
+
+    const axes = () => {
+        ctx.font = '12px Arial';
+        ctx.fillStyle = theme.text;
+        ctx.textAlign = 'center';
+        ticks(xs[0], xs[xs.length - 1]).forEach(value => {
+            if (plot.grid) {
+                ctx.strokeStyle = theme.grid;
+                ctx.beginPath();
+                ctx.moveTo(px(value), margin.top);
+                ctx.lineTo(px(value), margin.top + height);
+                ctx.stroke();
+            }
+            ctx.fillText(label(value), px(value), margin.top + height + 16);
+        });
+        ctx.textAlign = 'right';
+        ticks(ys[0], ys[ys.length - 1]).forEach(value => {
+            if (plot.grid) {
+                ctx.strokeStyle = theme.grid;
+                ctx.beginPath();
+                ctx.moveTo(margin.left, py(value));
+                ctx.lineTo(margin.left + width, py(value));
+                ctx.stroke();
+            }
+            ctx.fillText(label(value), margin.left - 6, py(value) + 4);
+        });
+        ctx.strokeStyle = theme.text;
+        ctx.strokeRect(margin.left, margin.top, width, height);
+        ctx.textAlign = 'center';
+        ctx.fillText(plot.xLabel, margin.left + width / 2, canvas.height - 10);
+        ctx.save();
+        ctx.translate(14, margin.top + height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText(plot.yLabel, 0, 0);
+        ctx.restore();
+    };
+
+    // Color scale beside the plot, highest value at the top
+    const legend = () => {
+        const left = canvas.width - margin.right + 24;
+        for (let i = 0; i < height; i++) {
+            ctx.fillStyle = colorOf(zMax - (zMax - zMin) * i / height);
+            ctx.fillRect(left, margin.top + i, 16, 1);
+        }
+        ctx.strokeStyle = theme.text;
+        ctx.strokeRect(left, margin.top, 16, height);
+        ctx.fillStyle = theme.text;
+        ctx.textAlign = 'left';
+        [zMax, (zMax + zMin) / 2, zMin].forEach((value, i) => {
+            ctx.fillText(label(value), left + 22, margin.top + 4 + i * height / 2);
+        });
+        ctx.fillText(plot.zLabel, left, margin.top + height + 24);
+    };
+
+    const heatmap = () => {
+        const dx = width / (xs.length - 1);
+        const dy = height / (ys.length - 1);
+        z.forEach((row, j) => row.forEach((value, i) => {
+            if (value === null) return;
+            ctx.fillStyle = colorOf(value);
+            // Each sample colors the cell around it, clipped to the plot area
+            const left = Math.max(px(xs[i]) - dx / 2, margin.left);
+            const top = Math.max(py(ys[j]) - dy / 2, margin.top);
+            const right = Math.min(px(xs[i]) + dx / 2, margin.left + width);
+            const bottom = Math.min(py(ys[j]) + dy / 2, margin.top + height);
+            ctx.fillRect(left, top, right - left + 0.5, bottom - top + 0.5);
+        }));
+    };
+
+    const contour = () => {
+        ctx.lineWidth = 1.5;
+        plot.contours.forEach(({ level, segments }) => {
+            ctx.strokeStyle = colorOf(level);
+            ctx.beginPath();
+            segments.forEach(([[x1, y1], [x2, y2]]) => {
+                ctx.moveTo(px(x1), py(y1));
+                ctx.lineTo(px(x2), py(y2));
+            });
+            ctx.stroke();
+        });
+        ctx.lineWidth = 1;
+    };
+
+    // Grid cells as quads in a unit box, turned by azimuth and tilted by
+    // elevation, painted back to front
+    const surface = () => {
+        const scale = Math.min(width, height) / 3;
+        const centre = { x: margin.left + width / 2, y: margin.top + height / 2 };
+        const project = (i, j, value) => {
+            const u = i / (xs.length - 1) * 2 - 1;
+            const v = j / (ys.length - 1) * 2 - 1;
+            const w = zMax > zMin ? ((value - zMin) / (zMax - zMin)) * 1.2 - 0.6 : 0;
+            const x = u * Math.cos(view.azimuth) - v * Math.sin(view.azimuth);
+            const y = u * Math.sin(view.azimuth) + v * Math.cos(view.azimuth);
+            return {
+                x: centre.x + x * scale,
+                y: centre.y - (y * Math.sin(view.elevation) + w * Math.cos(view.elevation)) * scale,
+                depth: y * Math.cos(view.elevation) - w * Math.sin(view.elevation)
+            };
+        };
+        const quads = [];
+        for (let j = 0; j < ys.length - 1; j++) {
+            for (let i = 0; i < xs.length - 1; i++) {
+                const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]];
+                const values = corners.map(([a, b]) => z[b][a]);
+                if (values.some(value => value === null)) continue;
+                const points = corners.map(([a, b], k) => project(a, b, values[k]));
+                quads.push({
+                    points,
+                    depth: points.reduce((sum, point) => sum + point.depth, 0) / 4,
+                    value: values.reduce((sum, value) => sum + value, 0) / 4
+                });
+            }
+        }
+        quads.sort((a, b) => b.depth - a.depth);
+        ctx.strokeStyle = theme.grid;
+        quads.forEach(quad => {
+            ctx.fillStyle = colorOf(quad.value);
+            ctx.beginPath();
+            quad.points.forEach((point, k) => (k === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+            ctx.closePath();
+            ctx.fill();
+            if (plot.grid) ctx.stroke();
+        });
+    };
+
+    const draw = () => {
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (plot.view === 'surface') {
+            surface();
+        } else {
+            if (plot.view === 'heatmap') heatmap();
+            else contour();
+            axes();
+        }
+        if (plot.legend) legend();
+    };
+
+    if (plot.view === 'surface') {
+        let drag = null;
+        canvas.addEventListener('mousedown', event => { drag = { x: event.clientX, y: event.clientY }; });
+        window.addEventListener('mouseup', () => { drag = null; });
+        canvas.addEventListener('mousemove', event => {
+            if (!drag) return;
+            view.azimuth += (event.clientX - drag.x) * 0.01;
+            view.elevation = Math.min(Math.max(view.elevation + (event.clientY - drag.y) * 0.01, -1.5), 1.5);
+            drag = { x: event.clientX, y: event.clientY };
+            draw();
+        });
+    }
+
+    // The grid as CSV, for the download link
+    const rows = ['x,y,z'];
+    ys.forEach((y, j) => xs.forEach((x, i) => rows.push(`${x},${y},${z[j][i] === null ? '' : z[j][i]}`)));
+    document.getElementById('export').href = URL.createObjectURL(new Blob([rows.join('\n')], { type: 'text/csv' }));
+
+    draw();
+}
+
+module.exports = SurfacePlot;
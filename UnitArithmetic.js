@@ -0,0 +1,370 @@
+const { clean } = require('./Precision');
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)|([+\-*/^()])|([a-zµΩå°][a-z0-9°µΩ]*))/iy;
+
+/**
+ * Arithmetic on quantities with units: "5 ft 3 in + 12 cm", "60 mph * 2.5 h",
+ * "3 kg / 250 ml". A number followed by units is one quantity, so it binds
+ * tighter than any operator; quantities written side by side in the same
+ * dimension ("5 ft 3 in", "2 h 30 min") are added. Values are carried in SI
+ * base units with their dimension vector, then shown in a readable unit.
+ */
+class UnitArithmetic {
+    constructor(units) {
+        this.units = units;
+    }
+
+    /**
+     * Parse an expression with an optional "in <unit>" / "to <unit>" target
+     * @param {Object} [options.scope] - Session variables; their names are never read as units
+     * @param {Function} [options.matchCase] - Restores the typed capitalization of a unit ("Mb")
+     * @returns {Object} - { tree, target, units, operations, mixed }
+     */
+    parse(text, { scope = {}, matchCase = (unit) => unit } = {}) {
+        const { body, target } = this.splitTarget(text);
+        const state = {
+            tokens: this.tokenize(body),
+            position: 0,
+            scope,
+            matchCase,
+            units: [],
+            operations: 0,
+            mixed: false
+        };
+
+        const tree = this.parseSum(state);
+        if (state.position < state.tokens.length) {
+            throw new Error(`Unexpected "${state.tokens[state.position].text}"`);
+        }
+        return { tree, target, units: state.units, operations: state.operations, mixed: state.mixed };
+    }
+
+    /**
+     * Whether text is arithmetic on quantities: at least one unit, and an
+     * operation, a mixed target ("1.5 ft in feet and inches") or no target at
+     * all (a bare "0.0012 km" is shown in its most readable unit; temperatures
+     * with their own zero point are left alone)
+     */
+    isQuantityExpression(text, scope = {}) {
+        if (!/\d\s*[a-zµ°]/i.test(text)) return false;
+        try {
+            const parsed = this.parse(text, { scope });
+            const mixedTarget = parsed.target && this.targetUnits(parsed.target).length > 1;
+            const bare = !parsed.target && parsed.units.every(unit => !unit.offset);
+            return parsed.units.length > 0 && (parsed.operations > 0 || mixedTarget || bare);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Split off the last "in/to/into/as <unit>" whose unit is recognized
+     */
+    splitTarget(text) {
+        // Leaves the following space unread so "3 in to cm" also finds " to"
+        const pattern = /\s+(?:in|to|into|as)(?=\s)/g;
+        const splits = [...text.matchAll(pattern)].reverse();
+        for (const match of splits) {
+            const target = text.slice(match.index + match[0].length).trim();
+            if (target && this.targetUnits(target)) {
+                return { body: text.slice(0, match.index), target };
+            }
+        }
+        return { body: text, target: null };
+    }
+
+    /**
+     * Unit texts of a target: ["m"], or several for a mixed display ("ft and in", "h min")
+     * @returns {string[]|null}
+     */
+    targetUnits(target) {
+        // A list only makes sense in one dimension ("h min" is not an hour-minute)
+        const isList = (texts) => {
+            const parsed = texts.map(text => this.readUnit(text));
+            return parsed.every(unit => unit && this.units.sameDimensions(unit.dimensions, parsed[0].dimensions));
+        };
+        const listed = target.split(/\s*(?:,|\band\b)\s*/).filter(Boolean);
+        if (listed.length > 1) return isList(listed) ? listed : null;
+        const words = target.split(/\s+/);
+        if (words.length > 1 && isList(words)) return words;
+        return this.readUnit(target) ? [target] : null;
+    }
+
+    /**
+     * Parsed unit, or null when the text is not one
+     */
+    readUnit(text) {
+        try {
+            return this.units.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        TOKEN.lastIndex = 0;
+        while (TOKEN.lastIndex < text.length) {
+            if (/^\s*$/.test(text.slice(TOKEN.lastIndex))) break;
+            const start = TOKEN.lastIndex;
+            const match = TOKEN.exec(text);
+            if (!match) {
+                throw new Error(`Unexpected "${text.slice(start).trim()[0]}"`);
+            }
+            const [, number, operator, word] = match;
+            if (number !== undefined) tokens.push({ type: 'number', text: number, value: parseFloat(number) });
+            else if (operator !== undefined) tokens.push({ type: 'operator', text: operator });
+            else tokens.push({ type: 'word', text: word });
+        }
+        return tokens;
+    }
+
+    parseSum(state) {
+        let node = this.parseProduct(state);
+        while (this.peek(state, '+') || this.peek(state, '-')) {
+            const op = state.tokens[state.position++].text;
+            node = { type: 'binary', op, left: node, right: this.parseProduct(state) };
+            state.operations++;
+        }
+        return node;
+    }
+
+    parseProduct(state) {
+        let node = this.parsePower(state);
+        while (this.peek(state, '*') || this.peek(state, '/')) {
+            const op = state.tokens[state.position++].text;
+            node = { type: 'binary', op, left: node, right: this.parsePower(state) };
+            state.operations++;
+        }
+        return node;
+    }
+
+    parsePower(state) {
+        const node = this.parseUnary(state);
+        if (!this.peek(state, '^')) return node;
+        state.position++;
+        state.operations++;
+        return { type: 'power', base: node, exponent: this.parseUnary(state) };
+    }
+
+    parseUnary(state) {
+        if (this.peek(state, '-')) {
+            state.position++;
+            return { type: 'negate', value: this.parseUnary(state) };
+        }
+        if (this.peek(state, '+')) {
+            state.position++;
+            return this.parseUnary(state);
+        }
+        return this.parsePrimary(state);
+    }
+
+    parsePrimary(state) {
+        const token = state.tokens[state.position];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (this.peek(state, '(')) {
+            state.position++;
+            const node = this.parseSum(state);
+            if (!this.peek(state, ')')) throw new Error('Missing closing parenthesis');
+            state.position++;
+            return node;
+        }
+        if (token.type !== 'number') {
+            throw new Error(`Unexpected "${token.text}"`);
+        }
+
+        const quantity = this.parseQuantity(state);
+        if (!quantity.unit) return quantity;
+
+        // "5 ft 3 in": side-by-side quantities are one mixed value
+        const parts = [quantity];
+        while (state.tokens[state.position] && state.tokens[state.position].type === 'number') {
+            const next = this.parseQuantity(state);
+            if (!next.unit) throw new Error(`Missing unit after ${next.value}`);
+            parts.push(next);
+        }
+        if (parts.length === 1) return quantity;
+        state.mixed = true;
+        state.operations++;
+        return { type: 'mixed', parts };
+    }
+
+    /**
+     * A number and the longest run of following words that reads as a unit
+     */
+    parseQuantity(state) {
+        const number = state.tokens[state.position++];
+        const tokens = state.tokens;
+        const start = state.position;
+
+        // Possible ends of the unit: after a word or a power ("km", "km/h", "m/s^2")
+        const ends = [];
+        let i = start;
+        while (i < tokens.length) {
+            const token = tokens[i];
+            const next = tokens[i + 1];
+            const isUnitWord = (t) => t && t.type === 'word' && !(t.text in state.scope);
+            if (isUnitWord(token) && (i === start || ends.includes(i) || ['/', '*'].includes(tokens[i - 1].text))) {
+                ends.push(++i);
+            } else if (i > start && ends.includes(i) && (token.text === '/' || token.text === '*') && isUnitWord(next)) {
+                i++;
+            } else if (i > start && ends.includes(i) && token.text === '^' && next && next.type === 'number') {
+                ends.push(i += 2);
+            } else {
+                break;
+            }
+        }
+
+        for (const end of ends.reverse()) {
+            const text = tokens.slice(start, end).map(t => t.text).join(' ');
+            const unit = this.readUnit(text) && (this.readUnit(state.matchCase(text)) || this.readUnit(text));
+            if (unit) {
+                state.position = end;
+                state.units.push(unit);
+                return { type: 'quantity', value: number.value, unit };
+            }
+        }
+        return { type: 'quantity', value: number.value, unit: null };
+    }
+
+    peek(state, text) {
+        const token = state.tokens[state.position];
+        return Boolean(token && token.type === 'operator' && token.text === text);
+    }
+
+    /**
+     * Evaluate a parsed tree
+     * @returns {Object} - { value, dimensions, trace }; value is in SI base units
+     */
+    evaluate(tree) {
+        const trace = [];
+        const result = this.evaluateNode(tree, trace);
+        return { ...result, trace };
+    }
+
+    evaluateNode(node, trace) {
+        const none = this.units.vector({});
+
+        if (node.type === 'quantity') {
+            if (!node.unit) return { value: node.value, dimensions: none };
+            if (node.unit.offset) {
+                throw new Error(`${node.unit.symbol} has its own zero point and can only be converted, not used in arithmetic (use K)`);
+            }
+            const quantity = { value: node.value * node.unit.factor, dimensions: node.unit.dimensions };
+            trace.push({ type: 'convert', description: `${node.value} ${node.unit.symbol} = ${this.describe(quantity)}` });
+            return quantity;
+        }
+
+        if (node.type === 'mixed') {
+            const parts = node.parts.map(part => this.evaluateNode(part, trace));
+            parts.slice(1).forEach(part => this.checkSame(parts[0], part, 'add'));
+            const quantity = { value: parts.reduce((sum, part) => sum + part.value, 0), dimensions: parts[0].dimensions };
+            trace.push({
+                type: 'evaluate',
+                description: `${node.parts.map(part => `${part.value} ${part.unit.symbol}`).join(' ')} = ${this.describe(quantity)}`
+            });
+            return quantity;
+        }
+
+        if (node.type === 'negate') {
+            const quantity = this.evaluateNode(node.value, trace);
+            return { value: -quantity.value, dimensions: quantity.dimensions };
+        }
+
+        if (node.type === 'power') {
+            const base = this.evaluateNode(node.base, trace);
+            const exponent = this.evaluateNode(node.exponent, trace);
+            if (!this.isPlain(exponent)) throw new Error('An exponent cannot have a unit');
+            const quantity = {
+                value: base.value ** exponent.value,
+                dimensions: base.dimensions.map(power => power * exponent.value)
+            };
+            trace.push({ type: 'evaluate', description: `(${this.describe(base)})^${exponent.value} = ${this.describe(quantity)}` });
+            return quantity;
+        }
+
+        const left = this.evaluateNode(node.left, trace);
+        const right = this.evaluateNode(node.right, trace);
+        let quantity;
+        if (node.op === '+' || node.op === '-') {
+            this.checkSame(left, right, node.op === '+' ? 'add' : 'subtract');
+            quantity = { value: node.op === '+' ? left.value + right.value : left.value - right.value, dimensions: left.dimensions };
+        } else if (node.op === '*') {
+            quantity = { value: left.value * right.value, dimensions: left.dimensions.map((power, i) => power + right.dimensions[i]) };
+        } else {
+            if (right.value === 0) throw new Error('Division by zero');
+            quantity = { value: left.value / right.value, dimensions: left.dimensions.map((power, i) => power - right.dimensions[i]) };
+        }
+        trace.push({
+            type: 'evaluate',
+            description: `${this.describe(left)} ${node.op === '*' ? '×' : node.op === '/' ? '÷' : node.op} ${this.describe(right)} = ${this.describe(quantity)}`
+        });
+        return quantity;
+    }
+
+    checkSame(left, right, verb) {
+        if (this.units.sameDimensions(left.dimensions, right.dimensions)) return;
+        const name = (quantity) => (this.isPlain(quantity)
+            ? 'a plain number'
+            : this.units.category({ dimensions: quantity.dimensions, parts: [] }) || this.baseUnit(quantity));
+        throw new Error(`Cannot ${verb} ${name(left)} and ${name(right)}`);
+    }
+
+    isPlain(quantity) {
+        return quantity.dimensions.every(power => power === 0);
+    }
+
+    baseUnit(quantity) {
+        const category = this.units.category({ dimensions: quantity.dimensions, parts: [] });
+        return this.units.baseSymbol(quantity.dimensions, category);
+    }
+
+    describe(quantity) {
+        const value = clean(quantity.value);
+        return this.isPlain(quantity) ? String(value) : `${value} ${this.baseUnit(quantity)}`;
+    }
+
+    /**
+     * Choose how to show a result: the requested unit(s), a mixed display when
+     * the input was mixed, or the most readable unit of the preferred system
+     * @param {Object} options - { target, preference, units, mixed } from parse() and the session
+     * @returns {Object} - { value, unit, text, category, system }
+     */
+    display(quantity, { target = null, preference = 'auto', units = [], mixed = false } = {}) {
+        const category = this.units.category({ dimensions: quantity.dimensions, parts: [] });
+        if (this.isPlain(quantity)) {
+            const value = clean(quantity.value);
+            return { value, unit: null, text: String(value), category: null, system: null };
+        }
+
+        const system = preference !== 'auto'
+            ? preference
+            : units.map(unit => this.units.systemOf(unit)).find(Boolean) || 'metric';
+
+        const mixedUnits = target
+            ? this.targetUnits(target)
+            : (mixed ? this.units.mixedUnits(quantity.dimensions, system) : null);
+        if (mixedUnits && mixedUnits.length > 1) {
+            mixedUnits.forEach(unit => this.units.fromBase(quantity.value, quantity.dimensions, unit));
+            const split = this.units.mixed(quantity.value, mixedUnits);
+            const largest = this.units.fromBase(quantity.value, quantity.dimensions, mixedUnits[0]);
+            return { value: largest.value, unit: largest.unit.symbol, text: split.text, category, system };
+        }
+
+        let unit;
+        if (target) {
+            unit = this.units.parse(mixedUnits[0]);
+        } else {
+            // Without a display table, a unit from the input reads better than SI base units
+            const typed = units.find(input => this.units.sameDimensions(input.dimensions, quantity.dimensions));
+            unit = this.units.displayUnits(quantity.dimensions, system) || !typed
+                ? this.units.bestUnit(quantity.value, quantity.dimensions, system)
+                : typed;
+        }
+        const { value } = this.units.fromBase(quantity.value, quantity.dimensions, unit);
+        return { value, unit: unit.symbol, text: `${value} ${unit.symbol}`, category, system };
+    }
+}
+
+module.exports = UnitArithmetic;
@@ -0,0 +1,633 @@
+const { clean } = require('./Precision');
+
+// Prototype-free lookup tables, so `word in TABLE` never matches "constructor" etc.
+const dictionary = (entries) => Object.assign(Object.create(null), entries);
+
+// Every unit has a dimension: a vector of powers of these base quantities
+const BASE_DIMENSIONS = ['length', 'mass', 'time', 'current', 'temperature', 'amount', 'luminosity', 'angle', 'data'];
+const BASE_SYMBOLS = ['m', 'kg', 's', 'A', 'K', 'mol', 'cd', 'rad', 'bit'];
+
+const SI_PREFIXES = [
+    ['Y', 'yotta', 1e24], ['Z', 'zetta', 1e21], ['E', 'exa', 1e18], ['P', 'peta', 1e15],
+    ['T', 'tera', 1e12], ['G', 'giga', 1e9], ['M', 'mega', 1e6], ['k', 'kilo', 1e3],
+    ['h', 'hecto', 1e2], ['da', 'deca', 1e1], ['d', 'deci', 1e-1], ['c', 'centi', 1e-2],
+    ['m', 'milli', 1e-3], ['µ', 'micro', 1e-6], ['u', 'micro', 1e-6], ['n', 'nano', 1e-9],
+    ['p', 'pico', 1e-12], ['f', 'femto', 1e-15]
+];
+// Data sizes only scale up, and also in powers of two
+const DATA_PREFIXES = [
+    ...SI_PREFIXES.filter(([, , factor]) => factor > 1),
+    ['Ki', 'kibi', 2 ** 10], ['Mi', 'mebi', 2 ** 20], ['Gi', 'gibi', 2 ** 30], ['Ti', 'tebi', 2 ** 40], ['Pi', 'pebi', 2 ** 50]
+];
+// For lower-cased input "m" and "p" are milli and pico first; data units only allow the large ones
+const CASELESS_PREFIXES = [
+    ...SI_PREFIXES.filter(([symbol]) => symbol === symbol.toLowerCase()),
+    ...DATA_PREFIXES.filter(([symbol]) => symbol !== symbol.toLowerCase())
+];
+
+const IRREGULAR_PLURALS = dictionary({ foot: 'feet', century: 'centuries' });
+
+/**
+ * Unit definitions, in dependency order. `base` marks the unit a base
+ * dimension is measured in, `define` gives the size in earlier units,
+ * `offset` (temperature scales) is added before scaling to the base unit.
+ * Names get their plurals automatically; `prefixes` allows km, kWh, MB, ...
+ */
+const DEFINITIONS = [
+    // Length
+    { symbol: 'm', base: 'length', names: ['meter', 'metre'], prefixes: 'si' },
+    { symbol: 'in', define: '0.0254 m', names: ['inch'] },
+    { symbol: 'ft', define: '12 in', names: ['foot'] },
+    { symbol: 'yd', define: '3 ft', names: ['yard'] },
+    { symbol: 'mi', define: '1760 yd', names: ['mile'] },
+    { symbol: 'nmi', define: '1852 m', names: ['nautical mile'] },
+    { symbol: 'fathom', define: '6 ft', names: ['fathom'] },
+    { symbol: 'furlong', define: '220 yd', names: ['furlong'] },
+    { symbol: 'Å', define: '1e-10 m', names: ['angstrom'] },
+    { symbol: 'au', define: '149597870700 m', names: ['astronomical unit'] },
+    { symbol: 'ly', define: '9460730472580800 m', names: ['light year', 'lightyear'] },
+    { symbol: 'pc', define: '3.0856775814913673e16 m', names: ['parsec'] },
+
+    // Mass
+    { symbol: 'g', base: 'mass', factor: 1e-3, names: ['gram', 'gramme'], prefixes: 'si' },
+    { symbol: 't', define: '1000 kg', names: ['tonne', 'metric ton', 'ton'], prefixes: 'si' },
+    { symbol: 'lb', define: '0.45359237 kg', names: ['pound', 'lbs'] },
+    { symbol: 'oz', define: 'lb/16', names: ['ounce'] },
+    { symbol: 'st', define: '14 lb', names: ['stone'] },
+    { symbol: 'tn', define: '2000 lb', names: ['short ton'] },
+    { symbol: 'ct', define: '0.2 g', names: ['carat'] },
+    { symbol: 'gr', define: '64.79891 mg', names: ['grain'] },
+
+    // Time
+    { symbol: 's', base: 'time', names: ['second', 'sec'], prefixes: 'si' },
+    { symbol: 'min', define: '60 s', names: ['minute', 'mins'] },
+    { symbol: 'h', define: '60 min', names: ['hour', 'hr', 'hrs'] },
+    { symbol: 'd', define: '24 h', names: ['day'] },
+    { symbol: 'wk', define: '7 d', names: ['week'] },
+    // Average Gregorian month and year
+    { symbol: 'mo', define: '2629746 s', names: ['month'] },
+    { symbol: 'yr', define: '31556952 s', names: ['year', 'yrs'] },
+    { symbol: 'decade', define: '10 yr', names: ['decade'] },
+    { symbol: 'century', define: '100 yr', names: ['century'] },
+
+    // Other base quantities
+    { symbol: 'A', base: 'current', names: ['ampere', 'amp'], prefixes: 'si' },
+    { symbol: 'K', base: 'temperature', names: ['kelvin', 'degrees kelvin'], prefixes: 'si' },
+    { symbol: '°C', define: 'K', offset: 273.15, names: ['celsius', 'centigrade', 'degc', 'c', 'degrees celsius', 'degree celsius'] },
+    { symbol: '°F', define: 'K*5/9', offset: 459.67, names: ['fahrenheit', 'degf', 'f', 'degrees fahrenheit', 'degree fahrenheit'] },
+    { symbol: '°R', define: 'K*5/9', names: ['rankine', 'degr'] },
+    { symbol: 'mol', base: 'amount', names: ['mole'], prefixes: 'si' },
+    { symbol: 'cd', base: 'luminosity', names: ['candela'] },
+    { symbol: 'rad', base: 'angle', names: ['radian'], prefixes: 'si' },
+    { symbol: 'bit', base: 'data', names: ['bit', 'b'], prefixes: 'data' },
+
+    // Angle
+    { symbol: 'deg', define: `${Math.PI / 180} rad`, names: ['degree', '°'] },
+    { symbol: 'grad', define: `${Math.PI / 200} rad`, names: ['gradian', 'gon'] },
+    { symbol: 'arcmin', define: 'deg/60', names: ['arcminute'] },
+    { symbol: 'arcsec', define: 'arcmin/60', names: ['arcsecond'] },
+    { symbol: 'rev', define: '360 deg', names: ['revolution', 'turn', 'cycle'] },
+
+    // Data
+    { symbol: 'B', define: '8 bit', names: ['byte'], prefixes: 'data' },
+
+    // Area and volume
+    { symbol: 'ha', define: '10000 m^2', names: ['hectare'] },
+    { symbol: 'acre', define: '4046.8564224 m^2', names: ['acre', 'ac'] },
+    { symbol: 'L', define: '1 dm^3', names: ['liter', 'litre', 'l'], prefixes: 'si' },
+    { symbol: 'cc', define: '1 cm^3', names: ['cc'] },
+    { symbol: 'gal', define: '231 in^3', names: ['gallon'] },
+    { symbol: 'qt', define: 'gal/4', names: ['quart'] },
+    { symbol: 'pt', define: 'gal/8', names: ['pint'] },
+    { symbol: 'cup', define: 'gal/16', names: ['cup'] },
+    { symbol: 'floz', define: 'gal/128', names: ['fluid ounce', 'fl oz'] },
+    { symbol: 'tbsp', define: 'floz/2', names: ['tablespoon'] },
+    { symbol: 'tsp', define: 'tbsp/3', names: ['teaspoon'] },
+    { symbol: 'bbl', define: '42 gal', names: ['barrel'] },
+
+    // Speed and rates
+    { symbol: 'mph', define: 'mi/h', names: ['miles per hour'] },
+    { symbol: 'kph', define: 'km/h', names: ['kmh', 'kilometers per hour', 'kilometres per hour'] },
+    { symbol: 'kn', define: 'nmi/h', names: ['knot'] },
+    { symbol: 'rpm', define: 'rev/min', names: ['revolutions per minute'] },
+    { symbol: 'mpg', define: 'mi/gal', names: ['miles per gallon'] },
+
+    // Mechanics
+    { symbol: 'N', define: 'kg*m/s^2', names: ['newton'], prefixes: 'si' },
+    { symbol: 'lbf', define: '4.4482216152605 N', names: ['pound force', 'pounds force', 'pound-force'] },
+    { symbol: 'kgf', define: '9.80665 N', names: ['kilogram force', 'kilograms force'] },
+    { symbol: 'dyn', define: '1e-5 N', names: ['dyne'] },
+    { symbol: 'Pa', define: 'N/m^2', names: ['pascal'], prefixes: 'si' },
+    { symbol: 'bar', define: '100000 Pa', names: ['bar'], prefixes: 'si' },
+    { symbol: 'atm', define: '101325 Pa', names: ['atmosphere'] },
+    { symbol: 'psi', define: 'lbf/in^2', names: ['psi'] },
+    { symbol: 'torr', define: '101325 Pa/760', names: ['torr'] },
+    { symbol: 'mmHg', define: '133.322387415 Pa', names: ['millimeters of mercury', 'millimetres of mercury'] },
+    { symbol: 'inHg', define: '3386.389 Pa', names: ['inches of mercury'] },
+
+    // Energy and power
+    { symbol: 'J', define: 'N*m', names: ['joule'], prefixes: 'si' },
+    { symbol: 'W', define: 'J/s', names: ['watt'], prefixes: 'si' },
+    { symbol: 'Wh', define: 'W*h', names: ['watt hour', 'watt-hour'], prefixes: 'si' },
+    { symbol: 'cal', define: '4.184 J', names: ['calorie'], prefixes: 'si' },
+    { symbol: 'eV', define: '1.602176634e-19 J', names: ['electronvolt', 'electron volt'], prefixes: 'si' },
+    { symbol: 'BTU', define: '1055.05585262 J', names: ['btu', 'british thermal unit'] },
+    { symbol: 'erg', define: '1e-7 J', names: ['erg'] },
+    { symbol: 'hp', define: '745.69987158227022 W', names: ['horsepower'] },
+
+    // Electricity and frequency
+    { symbol: 'Hz', define: '1/s', names: ['hertz'], prefixes: 'si' },
+    { symbol: 'C', define: 'A*s', names: ['coulomb'], prefixes: 'si' },
+    { symbol: 'V', define: 'W/A', names: ['volt'], prefixes: 'si' },
+    { symbol: 'Ω', define: 'V/A', names: ['ohm'], prefixes: 'si' }
+];
+
+// Lower-case spellings that mean the large prefix rather than milli (input is usually lower-cased)
+const LOWERCASE_ALIASES = dictionary({
+    kb: 'kB', mb: 'MB', gb: 'GB', tb: 'TB', pb: 'PB',
+    kbps: 'kbit/s', mbps: 'Mbit/s', gbps: 'Gbit/s',
+    mhz: 'MHz', ghz: 'GHz', thz: 'THz',
+    mpa: 'MPa', gpa: 'GPa', mj: 'MJ', mwh: 'MWh', gwh: 'GWh', mev: 'MeV', gev: 'GeV', kcal: 'kcal'
+});
+
+// Dimension names, as { base dimension: power }
+const CATEGORIES = [
+    ['length', { length: 1 }],
+    ['area', { length: 2 }],
+    ['volume', { length: 3 }],
+    ['fuel economy', { length: -2 }],
+    ['mass', { mass: 1 }],
+    ['time', { time: 1 }],
+    ['frequency', { time: -1 }],
+    ['speed', { length: 1, time: -1 }],
+    ['acceleration', { length: 1, time: -2 }],
+    ['force', { mass: 1, length: 1, time: -2 }],
+    ['pressure', { mass: 1, length: -1, time: -2 }],
+    ['energy', { mass: 1, length: 2, time: -2 }],
+    ['power', { mass: 1, length: 2, time: -3 }],
+    ['temperature', { temperature: 1 }],
+    ['angle', { angle: 1 }],
+    ['angular speed', { angle: 1, time: -1 }],
+    ['data', { data: 1 }],
+    ['data rate', { data: 1, time: -1 }],
+    ['current', { current: 1 }],
+    ['charge', { current: 1, time: 1 }],
+    ['voltage', { mass: 1, length: 2, time: -3, current: -1 }],
+    ['resistance', { mass: 1, length: 2, time: -3, current: -2 }],
+    ['amount', { amount: 1 }],
+    ['luminosity', { luminosity: 1 }],
+    ['density', { mass: 1, length: -3 }]
+];
+
+// SI names for the base unit of derived quantities (explanations convert through these)
+const DERIVED_SYMBOLS = dictionary({
+    force: 'N', pressure: 'Pa', energy: 'J', power: 'W', frequency: 'Hz', charge: 'C', voltage: 'V', resistance: 'Ω'
+});
+
+const SUPERSCRIPTS = dictionary({ 2: '²', 3: '³' });
+
+// Units results are shown in, smallest first: the largest one that keeps the value at 1 or more wins
+const DISPLAY_UNITS = dictionary({
+    length: { metric: ['mm', 'cm', 'm', 'km'], imperial: ['in', 'ft', 'mi'] },
+    area: { metric: ['mm^2', 'cm^2', 'm^2', 'ha', 'km^2'], imperial: ['in^2', 'ft^2', 'acre', 'mi^2'] },
+    volume: { metric: ['mL', 'L', 'm^3'], imperial: ['floz', 'gal'] },
+    mass: { metric: ['mg', 'g', 'kg', 't'], imperial: ['oz', 'lb', 'tn'] },
+    time: { metric: ['ms', 's', 'min', 'h', 'd', 'yr'], imperial: ['ms', 's', 'min', 'h', 'd', 'yr'] },
+    speed: { metric: ['m/s', 'km/h'], imperial: ['ft/s', 'mph'] },
+    acceleration: { metric: ['m/s^2'], imperial: ['ft/s^2'] },
+    density: { metric: ['kg/m^3', 'g/cm^3'], imperial: ['lb/ft^3'] },
+    force: { metric: ['N', 'kN', 'MN'], imperial: ['lbf'] },
+    pressure: { metric: ['Pa', 'kPa', 'MPa'], imperial: ['psi'] },
+    energy: { metric: ['J', 'kJ', 'MJ', 'GJ'], imperial: ['BTU'] },
+    power: { metric: ['mW', 'W', 'kW', 'MW', 'GW'], imperial: ['hp'] },
+    frequency: { metric: ['Hz', 'kHz', 'MHz', 'GHz'], imperial: ['Hz', 'kHz', 'MHz', 'GHz'] },
+    data: { metric: ['B', 'kB', 'MB', 'GB', 'TB'], imperial: ['B', 'kB', 'MB', 'GB', 'TB'] },
+    'data rate': { metric: ['bit/s', 'kbit/s', 'Mbit/s', 'Gbit/s'], imperial: ['bit/s', 'kbit/s', 'Mbit/s', 'Gbit/s'] },
+    angle: { metric: ['deg'], imperial: ['deg'] }
+});
+
+// Mixed-unit display ("5 ft 3 in", "2 h 30 min"), largest unit first
+const MIXED_UNITS = dictionary({
+    length: { imperial: ['ft', 'in'] },
+    mass: { imperial: ['lb', 'oz'] },
+    time: { metric: ['h', 'min', 's'], imperial: ['h', 'min', 's'] }
+});
+
+// Units that decide whether an input is metric or imperial (SI-prefixed units count as metric)
+const IMPERIAL_UNITS = new Set(['in', 'ft', 'yd', 'mi', 'fathom', 'furlong', 'lb', 'oz', 'st', 'tn', 'gr', '°F', '°R',
+    'acre', 'gal', 'qt', 'pt', 'cup', 'floz', 'tbsp', 'tsp', 'bbl', 'mph', 'mpg', 'lbf', 'psi', 'inHg', 'BTU', 'hp']);
+const METRIC_UNITS = new Set(['°C', 'ha', 'cc', 'kph', 'kgf', 'atm', 'mmHg']);
+const NEUTRAL_UNITS = new Set(['s', 'rad', 'A', 'mol', 'Hz', 'C', 'V', 'Ω', 'W', 'J', 'eV', 'cal']);
+
+const PREFERENCES = ['auto', 'metric', 'imperial'];
+
+/**
+ * Dimensional unit engine: parses unit expressions ("km/h", "N·m",
+ * "square feet", "miles per gallon", "kWh", "L/100km") into a size in SI
+ * base units plus a dimension vector, and converts values between units of
+ * the same dimension. Fuel economy (mpg) and fuel consumption (L/100km) are
+ * reciprocal and convert into each other.
+ */
+class UnitSystem {
+    constructor() {
+        this.units = dictionary({});
+        this.names = dictionary({});
+        this.lowercase = dictionary({});
+        this.cache = new Map();
+        DEFINITIONS.forEach(definition => this.define(definition));
+    }
+
+    /**
+     * Canonical display preference ('auto', 'metric' or 'imperial')
+     */
+    static normalizePreference(name) {
+        const key = String(name).trim().toLowerCase();
+        const aliases = { si: 'metric', us: 'imperial', customary: 'imperial' };
+        const preference = aliases[key] || key;
+        if (!PREFERENCES.includes(preference)) {
+            throw new Error(`Unknown unit system "${name}" (use auto, metric or imperial)`);
+        }
+        return preference;
+    }
+
+    define({ symbol, base, factor = 1, define, offset = 0, names = [], prefixes = null }) {
+        let unit;
+        if (base) {
+            const dimensions = BASE_DIMENSIONS.map(name => (name === base ? 1 : 0));
+            unit = { symbol, factor, dimensions, offset, prefixes };
+        } else {
+            const reference = this.parse(define);
+            unit = { symbol, factor: reference.factor, dimensions: reference.dimensions, offset, prefixes };
+        }
+        this.units[symbol] = unit;
+        if (!(symbol.toLowerCase() in this.lowercase)) {
+            this.lowercase[symbol.toLowerCase()] = symbol;
+        }
+        names.forEach(name => {
+            [name, ...this.plurals(name)].forEach(form => {
+                if (!(form in this.names)) this.names[form] = symbol;
+            });
+        });
+    }
+
+    plurals(name) {
+        if (name in IRREGULAR_PLURALS) return [IRREGULAR_PLURALS[name]];
+        if (/(?:s|ius|ch|sh|x|z|\d|°)$/.test(name) || name.length <= 2) {
+            return /(?:ch|sh|x)$/.test(name) ? [`${name}es`] : [];
+        }
+        return [`${name}s`];
+    }
+
+    /**
+     * Parse a unit expression
+     * @returns {Object} - { symbol, factor, dimensions, offset, parts }; factor is the size in SI base units
+     */
+    parse(text) {
+        const key = String(text).trim();
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        let source = key
+            .replace(/²/g, '^2')
+            .replace(/³/g, '^3')
+            .replace(/[·⋅×]/g, '*')
+            // Everything after "/" is in the denominator anyway: J/(kg·K) = J/kg·K
+            .replace(/[()]/g, ' ')
+            .replace(/([a-z])-(?=[a-z])/gi, '$1 ');
+        // Multi-word names ("fluid ounces", "degrees celsius") become their symbol first
+        Object.keys(this.names)
+            .filter(name => name.includes(' '))
+            .sort((a, b) => b.length - a.length)
+            .forEach(name => {
+                source = source.replace(new RegExp(`(^|[\\s*/])${name}(?=$|[\\s*/^])`, 'gi'), `$1${this.names[name]}`);
+            });
+
+        const tokens = source.match(/\bper\b|\/|\*|\^\s*-?\d+(?:\.\d+)?|\d+(?:\.\d+)?(?:e[+-]?\d+)?|[^\s*/^]+/gi) || [];
+        if (tokens.length === 0) {
+            throw new Error('Missing unit');
+        }
+
+        const parts = [];
+        let denominator = false;
+        let pendingPower = null;
+        tokens.forEach(token => {
+            const word = token.toLowerCase();
+            if (word === 'per' || token === '/') {
+                denominator = true;
+            } else if (token === '*') {
+                // Multiplication is the default between units
+            } else if (token.startsWith('^') || word === 'squared' || word === 'cubed') {
+                const last = parts[parts.length - 1];
+                if (!last) throw new Error(`Unexpected "${token}" in unit "${key}"`);
+                const power = word === 'squared' ? 2 : word === 'cubed' ? 3 : parseFloat(token.slice(1));
+                last.power *= power;
+            } else if (word === 'square' || word === 'sq') {
+                pendingPower = 2;
+            } else if (word === 'cubic' || word === 'cu') {
+                pendingPower = 3;
+            } else if (/^\d/.test(token)) {
+                parts.push({ number: parseFloat(token), power: denominator ? -1 : 1 });
+            } else {
+                let unit = this.lookup(token);
+                let power = 1;
+                // "ft2", "m3"
+                const powered = !unit && token.match(/^(.*[^\d])([23])$/);
+                if (powered) {
+                    unit = this.lookup(powered[1]);
+                    power = parseInt(powered[2], 10);
+                }
+                if (!unit) throw new Error(`Unknown unit "${token}"`);
+                parts.push({ ...unit, power: power * (pendingPower || 1) * (denominator ? -1 : 1) });
+                pendingPower = null;
+            }
+        });
+
+        let factor = 1;
+        const dimensions = BASE_DIMENSIONS.map(() => 0);
+        parts.forEach(part => {
+            if (part.number !== undefined) {
+                factor *= part.number ** part.power;
+                return;
+            }
+            factor *= (part.prefix * part.unit.factor) ** part.power;
+            part.unit.dimensions.forEach((power, i) => { dimensions[i] += power * part.power; });
+        });
+
+        // Temperature scales keep their zero point only when they stand alone (°C, not J/°C)
+        const units = parts.filter(part => part.unit);
+        const offset = units.length === 1 && units[0].power === 1 && parts.length === 1 ? units[0].unit.offset : 0;
+
+        const parsed = { symbol: this.format(parts), factor, dimensions, offset, parts };
+        this.cache.set(key, parsed);
+        return parsed;
+    }
+
+    /**
+     * One unit word, possibly prefixed: "km", "kilometers", "MB", "kWh"
+     * @returns {Object|null} - { unit, prefix, symbol }
+     */
+    lookup(word) {
+        const found = (symbol, prefix = 1, prefixSymbol = '') => ({ unit: this.units[symbol], prefix, symbol: prefixSymbol + symbol });
+
+        if (word in this.units) return found(word);
+        if (word in this.names) return this.lookup(this.names[word]);
+
+        const lower = word.toLowerCase();
+        // Typed in lower case, "kb" and "mb" mean kilo- and megabytes
+        if (word === lower && lower in LOWERCASE_ALIASES) {
+            // May be compound ("mbps" -> Mbit/s)
+            const alias = this.parse(LOWERCASE_ALIASES[lower]);
+            if (alias.parts.length === 1) return alias.parts[0];
+            return { unit: { ...alias, prefixes: null }, prefix: 1, symbol: alias.symbol };
+        }
+        const prefixed = this.lookupPrefixed(word, this.units);
+        if (prefixed) return prefixed;
+        if (lower in this.names) return this.lookup(this.names[lower]);
+        if (lower in this.lowercase) return found(this.lowercase[lower]);
+
+        // Word prefixes: "kilometers", "megabytes"
+        for (const [symbol, name, factor] of [...SI_PREFIXES, ...DATA_PREFIXES]) {
+            if (lower.startsWith(name) && lower.length > name.length) {
+                const rest = this.names[lower.slice(name.length)];
+                const unit = rest && this.units[rest];
+                if (unit && this.allowsPrefix(unit, symbol)) return found(rest, factor, symbol);
+            }
+        }
+        // Lower-cased symbols: "kpa", "kib"; data units read "m" as mega
+        return this.lookupPrefixed(lower, this.lowercase, true);
+    }
+
+    lookupPrefixed(word, table, caseless = false) {
+        for (const [symbol, , factor] of caseless ? CASELESS_PREFIXES : [...DATA_PREFIXES, ...SI_PREFIXES]) {
+            const prefix = caseless ? symbol.toLowerCase() : symbol;
+            if (!word.startsWith(prefix) || word.length === prefix.length) continue;
+            const rest = word.slice(prefix.length);
+            // Case-sensitive symbols may also be short names ("Mb" is a megabit)
+            const unitSymbol = caseless ? table[rest] : (rest in table ? rest : this.names[rest]);
+            const unit = unitSymbol && this.units[unitSymbol];
+            if (unit && this.allowsPrefix(unit, symbol)) {
+                return { unit, prefix: factor, symbol: symbol + unitSymbol };
+            }
+        }
+        return null;
+    }
+
+    allowsPrefix(unit, prefix) {
+        if (unit.prefixes === 'data') return DATA_PREFIXES.some(([symbol]) => symbol === prefix);
+        return unit.prefixes === 'si' && SI_PREFIXES.some(([symbol]) => symbol === prefix);
+    }
+
+    /**
+     * Convert a value between two units of the same dimension
+     * @returns {Object} - { value, category, from, to, base: { value, unit }, reciprocal }
+     */
+    convert(value, fromText, toText) {
+        const from = this.parse(fromText);
+        const to = this.parse(toText);
+        const category = this.category(from);
+        const base = (value + from.offset) * from.factor;
+
+        let result;
+        let reciprocal = false;
+        if (this.sameDimensions(from.dimensions, to.dimensions)) {
+            result = base / to.factor - to.offset;
+            // 32 °F -> °C goes through 273.15000000000003 K
+            if (to.offset && Math.abs(result) < 1e-9 * Math.abs(base / to.factor)) result = 0;
+        } else if (this.isReciprocal(from, to)) {
+            // mpg <-> L/100km: distance per volume is the inverse of volume per distance
+            reciprocal = true;
+            result = 1 / base / to.factor;
+        } else {
+            const describe = (unit) => {
+                const name = this.category(unit);
+                return name ? `${unit.symbol} (${name})` : unit.symbol;
+            };
+            throw new Error(`Cannot convert ${describe(from)} to ${describe(to)}`);
+        }
+
+        return {
+            value: clean(result),
+            category,
+            from,
+            to,
+            base: { value: clean(base), unit: this.baseSymbol(from.dimensions, category) },
+            reciprocal
+        };
+    }
+
+    /**
+     * A value in SI base units expressed in another unit (text or parsed) of the same dimension
+     * @returns {Object} - { value, unit } with the parsed target unit
+     */
+    fromBase(value, dimensions, to) {
+        const unit = typeof to === 'string' ? this.parse(to) : to;
+        if (!this.sameDimensions(dimensions, unit.dimensions)) {
+            const from = this.category({ dimensions, parts: [] });
+            const to = this.category(unit);
+            throw new Error(`Cannot express ${from ? `a ${from}` : 'the result'} in ${unit.symbol}${to ? ` (${to})` : ''}`);
+        }
+        return { value: clean(value / unit.factor - unit.offset), unit };
+    }
+
+    /**
+     * Most readable display unit for a value in SI base units: 0.0012 km is
+     * shown in m, 1500 g in kg. Falls back to the SI unit of the dimension.
+     * @param {string} system - 'metric' or 'imperial'
+     * @returns {Object} - parsed unit
+     */
+    bestUnit(value, dimensions, system = 'metric') {
+        const candidates = this.displayUnits(dimensions, system);
+        if (!candidates) {
+            return this.parse(this.baseSymbol(dimensions, this.category({ dimensions, parts: [] })));
+        }
+        const units = candidates.map(text => this.parse(text));
+        if (value === 0) {
+            return units.find(unit => unit.factor === 1) || units[0];
+        }
+        const fitting = units.filter(unit => Math.abs(value / unit.factor) >= 1 - 1e-9);
+        return fitting.length ? fitting[fitting.length - 1] : units[0];
+    }
+
+    /**
+     * Units a dimension is usually shown in, smallest first, or null
+     */
+    displayUnits(dimensions, system = 'metric') {
+        const category = this.category({ dimensions, parts: [] });
+        return (category && DISPLAY_UNITS[category] && DISPLAY_UNITS[category][system]) || null;
+    }
+
+    /**
+     * Units for a mixed display of a dimension ("ft", "in"), or null
+     */
+    mixedUnits(dimensions, system = 'metric') {
+        const category = this.category({ dimensions, parts: [] });
+        const units = category && MIXED_UNITS[category] && MIXED_UNITS[category][system];
+        return units || null;
+    }
+
+    /**
+     * Split a value in SI base units over several units, largest first: "5 ft 3 in"
+     * @returns {Object} - { parts: [{ value, symbol }], text }
+     */
+    mixed(value, unitTexts) {
+        const units = unitTexts.map(text => this.parse(text)).sort((a, b) => b.factor - a.factor);
+        const sign = value < 0 ? '-' : '';
+        let rest = Math.abs(value);
+        const parts = units.map((unit, i) => {
+            if (i === units.length - 1) {
+                return { value: parseFloat((rest / unit.factor).toFixed(4)), symbol: unit.symbol };
+            }
+            const whole = Math.floor(rest / unit.factor + 1e-9);
+            rest = Math.max(0, rest - whole * unit.factor);
+            return { value: whole, symbol: unit.symbol };
+        });
+
+        // Rounding the last part can reach the next unit (11.99999 in -> 1 ft)
+        for (let i = parts.length - 1; i > 0; i--) {
+            const ratio = Math.round(units[i - 1].factor / units[i].factor);
+            if (parts[i].value >= ratio) {
+                parts[i].value = parseFloat((parts[i].value - ratio).toFixed(4));
+                parts[i - 1].value += 1;
+            }
+        }
+
+        const shown = parts.filter((part, i) => part.value !== 0 || (i === parts.length - 1 && parts.every(p => p.value === 0)));
+        return {
+            parts,
+            text: sign + shown.map(part => `${part.value} ${part.symbol}`).join(' ')
+        };
+    }
+
+    /**
+     * 'metric' or 'imperial' for a parsed unit, or null when it belongs to both (s, deg, B)
+     */
+    systemOf(unit) {
+        const symbols = unit.parts.filter(part => part.unit).map(part => part.unit.symbol);
+        if (symbols.some(symbol => IMPERIAL_UNITS.has(symbol))) return 'imperial';
+        const metric = unit.parts.some(part => part.unit
+            && (METRIC_UNITS.has(part.unit.symbol) || (part.unit.prefixes === 'si' && !NEUTRAL_UNITS.has(part.unit.symbol))));
+        return metric ? 'metric' : null;
+    }
+
+    /**
+     * Name of a unit's dimension ("length", "speed", ...), or null
+     */
+    category(unit) {
+        const entry = CATEGORIES.find(([, spec]) => this.sameDimensions(unit.dimensions, this.vector(spec)));
+        if (!entry) return null;
+        // Volume per distance (L/100km) has the dimension of an area
+        if (entry[0] === 'area' && this.isFuel(unit)) return 'fuel consumption';
+        return entry[0];
+    }
+
+    isFuel(unit) {
+        return unit.parts.some(part => part.unit && this.sameDimensions(part.unit.dimensions, this.vector({ length: 3 })))
+            || unit.parts.some(part => part.unit && part.unit.symbol === 'mpg');
+    }
+
+    isReciprocal(from, to) {
+        return this.isFuel(from) && this.isFuel(to)
+            && from.dimensions.every((power, i) => power === -to.dimensions[i]);
+    }
+
+    /**
+     * Every name of the units in a category, e.g. for building input patterns
+     */
+    unitNames(category) {
+        const common = [['k', 'kilo'], ['c', 'centi'], ['m', 'milli']];
+        const names = [];
+        Object.values(this.units).forEach(unit => {
+            if (this.category({ ...unit, parts: [] }) !== category) return;
+            const own = Object.keys(this.names).filter(name => this.names[name] === unit.symbol);
+            names.push(unit.symbol, ...own);
+            if (unit.prefixes === 'si') {
+                common.forEach(([symbol, word]) => {
+                    names.push(symbol + unit.symbol, ...own.filter(name => name.length > 2).map(name => word + name));
+                });
+            }
+        });
+        return [...new Set(names)];
+    }
+
+    /**
+     * Display form of parsed parts: "km/h", "N·m", "m/s²", "L/100km"
+     */
+    format(parts) {
+        const show = (part, power) => {
+            const name = part.number !== undefined ? String(part.number) : part.symbol;
+            if (power === 1) return name;
+            return `${name}${SUPERSCRIPTS[power] || `^${power}`}`;
+        };
+        const numerator = parts.filter(part => part.power > 0).map(part => show(part, part.power));
+        const denominator = parts.filter(part => part.power < 0);
+        const below = denominator.map((part, i) => {
+            const text = show(part, -part.power);
+            // "100km": a number directly multiplies the unit after it
+            return part.number !== undefined && denominator[i + 1] ? text : `${text}·`;
+        }).join('').replace(/·$/, '');
+
+        const top = numerator.join('·') || '1';
+        if (!below) return top;
+        return denominator.filter(part => part.number === undefined).length > 1 ? `${top}/(${below})` : `${top}/${below}`;
+    }
+
+    /**
+     * SI unit a category is converted through ("m", "m/s", "J")
+     */
+    baseSymbol(dimensions, category) {
+        if (category && DERIVED_SYMBOLS[category]) return DERIVED_SYMBOLS[category];
+        const parts = dimensions
+            .map((power, i) => ({ symbol: BASE_SYMBOLS[i], power }))
+            .filter(part => part.power !== 0);
+        return this.format(parts);
+    }
+
+    vector(spec) {
+        return BASE_DIMENSIONS.map(name => spec[name] || 0);
+    }
+
+    sameDimensions(a, b) {
+        return a.every((power, i) => Math.abs(power - b[i]) < 1e-12);
+    }
+}
+
+module.exports = UnitSystem;
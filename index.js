@@ -4,22 +4,82 @@ const { Command } = require('commander');
 const chalk = require('chalk');
 const readline = require('readline');
 const CalculatorAgent = require('./CalculatorAgent');
+const { JsonFileHistoryStore, DEFAULT_HISTORY_FILE } = require('./HistoryStore');
+const { DEFAULT_RATES_FILE } = require('./CurrencyRates');
+const { SessionManager } = require('./CalculatorSession');
+
+const SESSION_COOKIE = 'calc_session';
+const SESSION_HEADER = 'x-session-id';
+const DATASET_UPLOAD_LIMIT = '5mb';
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
 
 class CalculatorCLI {
     constructor() {
-        this.agent = new CalculatorAgent();
+        this.agent = null;
         this.program = new Command();
         this.setupCommands();
     }
 
+    /**
+     * Build the agent from global options once commander has parsed them
+     */
+    createAgent(options) {
+        const filePath = options.historyFile || process.env.CALC_HISTORY_FILE || DEFAULT_HISTORY_FILE;
+        this.historyFile = filePath;
+        const maxEntries = parseInt(options.historyLimit, 10);
+        const maxAgeDays = parseFloat(options.historyMaxAge);
+        const historyStore = new JsonFileHistoryStore({
+            filePath,
+            maxEntries: isNaN(maxEntries) ? 50 : maxEntries,
+            maxAgeMs: isNaN(maxAgeDays) ? null : maxAgeDays * 24 * 60 * 60 * 1000
+        });
+        const pluginsDir = options.plugins || process.env.CALC_PLUGINS_DIR;
+        const ratesFile = options.ratesFile || process.env.CALC_RATES_FILE || DEFAULT_RATES_FILE;
+        const agent = new CalculatorAgent({
+            historyStore,
+            pluginsDir,
+            ratesFile,
+            angleMode: options.angle,
+            unitSystem: options.units,
+            programmer: options.programmer,
+            integerWidth: options.width,
+            signed: !options.unsigned,
+            outputBase: options.base
+        });
+        if (options.explain) {
+            agent.defaultSession.setSetting('explain', true);
+        }
+        return agent;
+    }
+
     setupCommands() {
         this.program
             .name('ai-calculator')
             .description('AI-powered calculator agent with natural language processing')
-            .version('1.0.0');
+            .version('1.0.0')
+            .option('--history-file <path>', `History file (default: $CALC_HISTORY_FILE or ${DEFAULT_HISTORY_FILE})`)
+            .option('--history-limit <n>', 'Maximum number of history entries to keep', '50')
+            .option('--history-max-age <days>', 'Drop history entries older than this many days')
+            .option('--plugins <dir>', 'Load operation plugins from a directory (default: $CALC_PLUGINS_DIR)')
+            .option('--rates-file <path>', `Exchange rates file (default: $CALC_RATES_FILE or ${DEFAULT_RATES_FILE})`)
+            .option('--explain', 'Show step-by-step explanations of results')
+            .option('--angle <mode>', 'Angle mode for trigonometry: deg, rad or grad', 'deg')
+            .option('--units <system>', 'Units results are shown in: auto, metric or imperial', 'auto')
+            .option('--programmer', 'Start in programmer mode (integer arithmetic in every base)')
+            .option('--width <bits>', 'Integer width for programmer mode: 8, 16, 32 or 64', '64')
+            .option('--unsigned', 'Read programmer results as unsigned integers')
+            .option('--base <base>', 'Base programmer results are shown in: bin, oct, dec or hex', 'dec');
+
+        this.program.hook('preAction', () => {
+            try {
+                this.agent = this.createAgent(this.program.opts());
+            } catch (error) {
+                console.log(chalk.red(`❌ Error: ${error.message}`));
+                process.exit(1);
+            }
+        });
 
         // Interactive mode
         this.program
@@ -46,26 +106,67 @@ class CalculatorCLI {
         this.program
             .command('convert <value> <from> <to>')
             .alias('conv')
-            .description('Convert between units (e.g., convert 100 cm to m)')
+            .description('Convert between units (e.g., convert 100 cm m, convert 100 km/h mph)')
             .action((value, from, to) => this.convertUnits(value, from, to));
 
+        // Exchange rates
+        this.program
+            .command('import-rates <file>')
+            .description('Import exchange rates from a JSON or CSV file into the rates file')
+            .option('-b, --base <code>', 'Base currency, for files that do not name one')
+            .option('-d, --date <yyyy-mm-dd>', 'Date of the rates, for files that do not give one (default: today)')
+            .action((file, options) => this.importRates(file, options));
+
+        this.program
+            .command('rates')
+            .description('List the exchange rate tables in the rates file')
+            .action(() => this.showRates());
+
+        // Datasets
+        this.program
+            .command('load <file>')
+            .description('Load a CSV, TSV or JSON file as a named dataset (its columns are then name.column)')
+            .option('--as <name>', 'Dataset name (default: the file name)')
+            .action((file, options) => this.loadDataset(file, options));
+
+        this.program
+            .command('datasets [name]')
+            .description('List the loaded datasets, or describe the columns of one')
+            .option('-d, --delete <name>', 'Drop a dataset')
+            .action((name, options) => this.showDatasets(name, options));
+
         // Graphing commands
         this.program
             .command('plot <expression>')
             .alias('graph')
-            .description('Plot a mathematical function (e.g., plot x^2)')
-            .option('-f, --from <number>', 'Start value for x-axis', '-10')
-            .option('-t, --to <number>', 'End value for x-axis', '10')
+            .description('Plot functions or curves (e.g., plot x^2, plot "sin(x), cos(x)", plot "r = 1 + cos(theta)", plot "x^2 + y^2 = 25", plot "z = sin(x) * cos(y)")')
+            .option('-f, --from <number>', 'Start of the range (x, or t/theta for curves; pi works too) [default: -10, 0 for curves, -5 for z = f(x, y)]')
+            .option('-t, --to <number>', 'End of the range [default: 10, 2pi for curves, 5 for z = f(x, y)]')
+            .option('-d, --derivative', 'Also plot the derivative')
+            .option('--title <text>', 'Chart title')
+            .option('--x-label <text>', 'X axis label')
+            .option('--y-label <text>', 'Y axis label')
+            .option('--log-x', 'Logarithmic x axis (needs a range above 0)')
+            .option('--log-y', 'Logarithmic y axis')
+            .option('--y-min <number>', 'Bottom of the y axis (start of the y range for z = f(x, y))')
+            .option('--y-max <number>', 'Top of the y axis (end of the y range for z = f(x, y))')
+            .option('--colors <colors>', 'Series colors, comma-separated (names or hex codes)')
+            .option('--theme <theme>', 'Chart theme (light or dark)')
+            .option('--no-grid', 'Hide gridlines')
+            .option('--no-legend', 'Hide the legend')
+            .option('--view <view>', 'How to draw z = f(x, y): contour, heatmap or surface [default: contour]')
+            .option('--resolution <n>', 'Grid points per axis for z = f(x, y) (10 to 300)')
+            .option('--export', 'Also save the z = f(x, y) grid as CSV')
             .action((expression, options) => this.plotFunction(expression, options));
 
         this.program
             .command('scatter <x1,y1> [x2,y2] [x3,y3]...')
-            .description('Create a scatter plot from data points')
+            .description('Create a scatter plot from data points or two dataset columns (scatter sales.price sales.units)')
             .action((...points) => this.createScatterPlot(points));
 
         this.program
             .command('histogram <data>')
-            .description('Create a histogram from data (comma-separated numbers)')
+            .description('Create a histogram from data (comma-separated numbers or a dataset column)')
             .action((data) => this.createHistogram(data));
 
         // Memory commands
@@ -80,6 +181,13 @@ class CalculatorCLI {
             .description('Recall a previous result by index (default: last)')
             .action((index) => this.recallResult(index));
 
+        this.program
+            .command('vars')
+            .description('List user-defined variables and functions')
+            .option('-d, --delete <name>', 'Delete a variable or function')
+            .option('--reset', 'Delete all variables and functions')
+            .action((options) => this.manageVariables(options));
+
         this.program
             .command('clear-history')
             .description('Clear calculation history and last answer')
@@ -106,7 +214,10 @@ class CalculatorCLI {
             .command('web')
             .description('Start web server interface')
             .option('-p, --port <port>', 'Port to run the server on', '3000')
-            .action((options) => this.startWebServer(parseInt(options.port, 10) || 3000));
+            .option('--session-timeout <minutes>', 'Expire idle web sessions after this many minutes', '30')
+            .action((options) => this.startWebServer(parseInt(options.port, 10) || 3000, {
+                sessionTimeoutMinutes: parseFloat(options.sessionTimeout) || 30
+            }));
     }
 
     async startInteractiveMode() {
@@ -156,6 +267,92 @@ class CalculatorCLI {
                 return;
             }
 
+            const explainMatch = trimmedInput.match(/^explain(?:\s+(on|off))?$/);
+            if (explainMatch) {
+                const session = this.agent.defaultSession;
+                const enabled = explainMatch[1] ? explainMatch[1] === 'on' : !session.getSetting('explain');
+                session.setSetting('explain', enabled);
+                console.log(chalk.yellow(`Explain mode ${enabled ? 'on' : 'off'}.`));
+                rl.prompt();
+                return;
+            }
+
+            const modeMatch = trimmedInput.match(/^mode(?:\s+(\w+))?$/);
+            if (modeMatch) {
+                const session = this.agent.defaultSession;
+                try {
+                    if (modeMatch[1]) {
+                        session.setSetting('angle', modeMatch[1]);
+                    }
+                    console.log(chalk.yellow(`Angle mode: ${session.getSetting('angle')}`));
+                } catch (error) {
+                    console.log(chalk.red(`❌ Error: ${error.message}`));
+                }
+                rl.prompt();
+                return;
+            }
+
+            const unitsMatch = trimmedInput.match(/^units(?:\s+(\w+))?$/);
+            if (unitsMatch) {
+                const session = this.agent.defaultSession;
+                try {
+                    if (unitsMatch[1]) {
+                        session.setSetting('units', unitsMatch[1]);
+                    }
+                    console.log(chalk.yellow(`Unit system: ${session.getSetting('units')}`));
+                } catch (error) {
+                    console.log(chalk.red(`❌ Error: ${error.message}`));
+                }
+                rl.prompt();
+                return;
+            }
+
+            const programmerMatch = trimmedInput.match(/^(?:programmer|prog)(?:\s+(on|off))?$/);
+            if (programmerMatch) {
+                const session = this.agent.defaultSession;
+                const enabled = programmerMatch[1] ? programmerMatch[1] === 'on' : !session.getSetting('programmer');
+                session.setSetting('programmer', enabled);
+                console.log(chalk.yellow(`Programmer mode ${enabled ? 'on' : 'off'} (${this.describeIntegers(session)}).`));
+                rl.prompt();
+                return;
+            }
+
+            const integerMatch = trimmedInput.match(/^(?:(width|base)(?:\s+(\w+))?|(signed|unsigned))$/);
+            if (integerMatch) {
+                const session = this.agent.defaultSession;
+                try {
+                    if (integerMatch[3]) {
+                        session.setSetting('signed', integerMatch[3]);
+                    } else if (integerMatch[2]) {
+                        session.setSetting(integerMatch[1], integerMatch[2]);
+                    }
+                    console.log(chalk.yellow(`Integers: ${this.describeIntegers(session)}`));
+                } catch (error) {
+                    console.log(chalk.red(`❌ Error: ${error.message}`));
+                }
+                rl.prompt();
+                return;
+            }
+
+            if (trimmedInput === 'vars' || trimmedInput === 'variables') {
+                this.showVariables();
+                rl.prompt();
+                return;
+            }
+
+            if (trimmedInput === 'reset vars' || trimmedInput === 'reset variables') {
+                this.manageVariables({ reset: true });
+                rl.prompt();
+                return;
+            }
+
+            const deleteMatch = trimmedInput.match(/^(?:delete|unset)\s+([A-Za-z_]\w*)$/);
+            if (deleteMatch) {
+                this.manageVariables({ delete: deleteMatch[1] });
+                rl.prompt();
+                return;
+            }
+
             if (trimmedInput.includes('history')) {
                 this.showHistory();
                 rl.prompt();
@@ -235,11 +432,34 @@ class CalculatorCLI {
 
     async plotFunction(expression, options) {
         try {
-            const from = parseFloat(options.from);
-            const to = parseFloat(options.to);
-            const plotQuery = `plot ${expression} from ${from} to ${to}`;
-            const result = await this.agent.calculate(plotQuery);
-            console.log(chalk.cyan(`📊 Plotting: ${expression} from ${from} to ${to}`));
+            // Without a range each kind of plot uses its own (x from -10 to 10, t from 0 to 2π)
+            const range = options.from !== undefined || options.to !== undefined
+                ? ` from ${String(options.from ?? -10).trim()} to ${String(options.to ?? 10).trim()}`
+                : '';
+            const derivative = options.derivative ? ' with its derivative' : '';
+            if (options.view && !['contour', 'heatmap', 'surface'].includes(options.view)) {
+                throw new Error(`Unknown view "${options.view}" (use contour, heatmap or surface)`);
+            }
+            const view = options.view ? ` as a ${options.view}` : '';
+            const plotQuery = `plot ${expression}${view}${derivative}${range}`;
+            const plot = {
+                title: options.title,
+                xLabel: options.xLabel,
+                yLabel: options.yLabel,
+                logX: options.logX,
+                logY: options.logY,
+                yMin: options.yMin,
+                yMax: options.yMax,
+                colors: options.colors,
+                theme: options.theme,
+                // --no-grid and --no-legend; otherwise the chart's defaults
+                grid: options.grid === false ? false : undefined,
+                legend: options.legend === false ? false : undefined,
+                resolution: options.resolution,
+                export: options.export
+            };
+            const result = await this.agent.calculate(plotQuery, { plot });
+            console.log(chalk.cyan(`📊 Plotting: ${expression}${range}`));
             console.log(this.agent.formatResult(result));
             
             if (result.success) {
@@ -253,8 +473,21 @@ class CalculatorCLI {
 
     async createScatterPlot(points) {
         try {
+            // Two dataset columns: scatter sales.price sales.units
+            const words = points.flat().filter(point => typeof point === 'string');
+            if (words.some(point => /^[a-z_]\w*\.[a-z_]\w*$/i.test(point))) {
+                const columns = words.filter(point => !/^(?:vs|versus)$/i.test(point));
+                if (columns.length !== 2) {
+                    throw new Error('Give two dataset columns (e.g. scatter sales.price sales.units)');
+                }
+                const result = await this.agent.calculate(`scatter ${columns.join(' vs ')}`);
+                console.log(chalk.cyan(`📊 Creating scatter plot of ${columns.join(' vs ')}`));
+                console.log(this.agent.formatResult(result));
+                return;
+            }
+
             // Parse points from command line arguments
-            const dataPoints = points.map(point => {
+            const dataPoints = words.map(point => {
                 const [x, y] = point.split(',').map(Number);
                 return { x, y };
             }).filter(point => !isNaN(point.x) && !isNaN(point.y));
@@ -265,7 +498,7 @@ class CalculatorCLI {
             
             const x = dataPoints.map(p => p.x);
             const y = dataPoints.map(p => p.y);
-            const scatterQuery = `scatter plot ${x.join(' ')} ${y.join(' ')}`;
+            const scatterQuery = `scatter plot x = ${x.join(', ')} and y = ${y.join(', ')}`;
             const result = await this.agent.calculate(scatterQuery);
             console.log(chalk.cyan(`📊 Creating scatter plot with ${dataPoints.length} points`));
             console.log(this.agent.formatResult(result));
@@ -281,6 +514,14 @@ class CalculatorCLI {
 
     async createHistogram(data) {
         try {
+            // A dataset column: histogram sales.age
+            if (/^[a-z_]\w*\.[a-z_]\w*$/i.test(data.trim())) {
+                const result = await this.agent.calculate(`histogram ${data.trim()}`);
+                console.log(chalk.cyan(`📊 Creating histogram of ${data.trim()}`));
+                console.log(this.agent.formatResult(result));
+                return;
+            }
+
             const numbers = data.split(',').map(Number).filter(n => !isNaN(n));
             
             if (numbers.length === 0) {
@@ -340,6 +581,76 @@ class CalculatorCLI {
         console.log(chalk.green(`Recalled #${idx}: ${res}`));
     }
 
+    showVariables() {
+        const variables = this.agent.defaultSession.listVariables();
+        if (variables.length === 0) {
+            console.log(chalk.yellow('No variables defined. Try "rate = 0.07" or "f(x) = x^2 + 3x".'));
+            return;
+        }
+        console.log(chalk.cyan.bold('\n📦 Variables and functions:\n'));
+        variables.forEach(v => {
+            console.log(chalk.white(`  ${v.definition}`));
+        });
+        console.log();
+    }
+
+    manageVariables(options = {}) {
+        const session = this.agent.defaultSession;
+        if (options.reset) {
+            session.resetVariables();
+            console.log(chalk.yellow('All variables and functions deleted.'));
+        } else if (options.delete) {
+            const name = options.delete.toLowerCase();
+            if (session.deleteVariable(name)) {
+                console.log(chalk.yellow(`Deleted ${name}.`));
+            } else {
+                console.log(chalk.red(`No variable named ${name}.`));
+            }
+        } else {
+            this.showVariables();
+        }
+    }
+
+    async loadDataset(file, options = {}) {
+        const result = await this.agent.calculate(`load ${file}${options.as ? ` as ${options.as}` : ''}`);
+        console.log(this.agent.formatResult(result));
+    }
+
+    async showDatasets(name, options = {}) {
+        const query = options.delete ? `drop dataset ${options.delete}` : name ? `describe dataset ${name}` : 'list datasets';
+        const result = await this.agent.calculate(query);
+        console.log(this.agent.formatResult(result));
+    }
+
+    importRates(file, options = {}) {
+        try {
+            const imported = this.agent.currency.import(file, { base: options.base, date: options.date });
+            console.log(chalk.green(`✅ Imported ${imported.length} rate table${imported.length === 1 ? '' : 's'} into ${this.agent.currency.filePath}`));
+            imported.forEach(table => {
+                console.log(chalk.white(`  ${table.date}  base ${table.base}, ${table.currencies} currencies`));
+            });
+        } catch (error) {
+            console.log(chalk.red(`❌ Error: ${error.message}`));
+        }
+    }
+
+    showRates() {
+        try {
+            const tables = this.agent.currency.summary();
+            if (tables.length === 0) {
+                console.log(chalk.yellow(`No exchange rates in ${this.agent.currency.filePath}. Import some with "import-rates <file>".`));
+                return;
+            }
+            console.log(chalk.cyan.bold(`\n💱 Exchange rates (${this.agent.currency.filePath}):\n`));
+            tables.forEach(table => {
+                console.log(chalk.white(`  ${table.date}  base ${table.base}, ${table.currencies} currencies`));
+            });
+            console.log();
+        } catch (error) {
+            console.log(chalk.red(`❌ Error: ${error.message}`));
+        }
+    }
+
     clearHistory() {
         this.agent.clearHistory();
         console.log(chalk.yellow('History and last answer cleared.'));
@@ -355,9 +666,21 @@ class CalculatorCLI {
         info.capabilities.forEach(capability => {
             console.log(chalk.gray(`  • ${capability}`));
         });
+        console.log(chalk.white('\nPlugins (by priority):'));
+        info.plugins.forEach(plugin => {
+            console.log(chalk.gray(`  • ${plugin.name} (${plugin.priority})`));
+        });
         console.log();
     }
 
+    /**
+     * Programmer-mode integer settings, e.g. "32-bit unsigned, shown in hex"
+     */
+    describeIntegers(session) {
+        const base = this.agent.programmer.baseName(session.getSetting('base'));
+        return `${session.getSetting('width')}-bit ${session.getSetting('signed') ? 'signed' : 'unsigned'}, shown in ${base}`;
+    }
+
     showHelp() {
         console.log(chalk.cyan.bold('\n📚 Available Commands:\n'));
         console.log(chalk.white('help, h               - Show this help message'));
@@ -365,11 +688,28 @@ class CalculatorCLI {
         console.log(chalk.white('examples, e           - Show example calculations'));
         console.log(chalk.white('convert <v> <f> <t>   - Convert units'));
         console.log(chalk.white('plot <expr> [--from --to] - Plot a function'));
+        console.log(chalk.white('plot f, g from a to b - Several functions; style with "titled ...", "log y axis", "dark theme"'));
+        console.log(chalk.white('plot z = f(x, y) [--view contour|heatmap|surface --resolution N --export] - Function of x and y'));
         console.log(chalk.white('scatter <x1,y1> ...   - Scatter plot'));
         console.log(chalk.white('histogram <n1,...>    - Histogram from numbers'));
+        console.log(chalk.white('load <file> as <name> - Load a CSV/JSON file as a dataset (use columns as name.column)'));
+        console.log(chalk.white('datasets              - List loaded datasets (describe <name> shows its columns)'));
+        console.log(chalk.white('filter <name> where <condition> [as <new>] - Rows that match, optionally saved as a dataset'));
         console.log(chalk.white('history [-n N]        - Show recent calculations'));
         console.log(chalk.white('recall [index]        - Recall a previous result'));
         console.log(chalk.white('clear-history         - Clear memory'));
+        console.log(chalk.white('name = <expr>         - Define a variable (e.g. rate = 0.07)'));
+        console.log(chalk.white('f(x) = <expr>         - Define a function (e.g. f(x) = x^2 + 3x)'));
+        console.log(chalk.white('explain [on|off]      - Toggle step-by-step explanations'));
+        console.log(chalk.white('mode [deg|rad|grad]   - Show or set the angle mode'));
+        console.log(chalk.white('units [system]        - Show or set result units (auto, metric, imperial)'));
+        console.log(chalk.white('programmer [on|off]   - Toggle programmer mode (integer arithmetic)'));
+        console.log(chalk.white('width [8|16|32|64]    - Show or set the integer width'));
+        console.log(chalk.white('signed, unsigned      - Read integers as signed or unsigned'));
+        console.log(chalk.white('base [bin|oct|dec|hex] - Show or set the base integer results are shown in'));
+        console.log(chalk.white('vars                  - List variables and functions'));
+        console.log(chalk.white('delete <name>         - Delete a variable or function'));
+        console.log(chalk.white('reset vars            - Delete all variables and functions'));
         console.log(chalk.white('clear                 - Clear the screen'));
         console.log(chalk.white('exit, quit            - Exit the program'));
         console.log(chalk.gray('\nYou can also type mathematical expressions or natural language questions directly.'));
@@ -386,6 +726,8 @@ class CalculatorCLI {
                     '2 + 3 * 4',
                     'sqrt(16)',
                     'sin(30)',
+                    'sin(pi/6 rad)',
+                    'asin(0.5)',
                     'log(100)',
                     '2^8',
                     'mean([1, 2, 3, 4, 5])'
@@ -397,11 +739,51 @@ class CalculatorCLI {
                     'What is 15 plus 27?',
                     'Calculate the square root of 144',
                     'What is the sine of 45 degrees?',
+                    'Arcsine of 0.5 in radians',
                     'Find the mean of 10, 20, 30, 40, 50',
                     'What is 2 to the power of 10?',
                     'Add 5 and 7 then multiply by 3'
                 ]
             },
+            {
+                type: 'Equations',
+                examples: [
+                    'solve 2x + 3 = 11',
+                    'solve x^2 - 5x + 6 = 0',
+                    'solve x^2 + 1 = 0 with complex roots',
+                    'solve x + y = 10, x - y = 2',
+                    'solve sin(x) = 0.5 between 0 and 3',
+                    'What value of x makes 2x + 3 equal 11?'
+                ]
+            },
+            {
+                type: 'Calculus',
+                examples: [
+                    'derivative(x^3, x)',
+                    'derivative(x^3, x, 2)',
+                    'integrate(x^2, x, 0, 1)',
+                    'limit(sin(x)/x, x, 0)',
+                    'Integrate sin(x) from 0 to pi',
+                    'Second derivative of x^4',
+                    'Limit of 1/x as x approaches 0 from the right',
+                    'Plot x^3 with its derivative from -2 to 2'
+                ]
+            },
+            {
+                type: 'Geometry',
+                examples: [
+                    'Area of a circle with radius 5 cm',
+                    'Volume of a sphere with radius 2 m in liters',
+                    'Surface area of a cylinder with radius 3 and height 5',
+                    'Area of a 5 by 3 rectangle',
+                    'Solve triangle with sides 5 and 7 and included angle 60',
+                    'Solve triangle a = 6, b = 8, angle a = 30',
+                    'Distance between (1, 2) and (4, 6)',
+                    'Line through (1, 2) and (3, 6)',
+                    'circle_area(5)',
+                    'triangle_sss(3, 4, 5)'
+                ]
+            },
             {
                 type: 'Unit Conversions',
                 examples: [
@@ -411,7 +793,119 @@ class CalculatorCLI {
                     'Convert 2.5 kg to pounds',
                     'Convert 1 gallon to liters',
                     'Convert 1 hour to seconds',
-                    'Convert 100 square meters to acres'
+                    'Convert 100 square meters to acres',
+                    '100 km/h to mph',
+                    'How many feet in a mile',
+                    'Convert 30 mpg to l/100km',
+                    'Convert 1 MB to Mb',
+                    'Convert 9.81 m/s^2 to ft/s^2'
+                ]
+            },
+            {
+                type: 'Currency (from the local rates file)',
+                examples: [
+                    'Convert 250 usd to eur',
+                    '$250 in euros',
+                    '100 gbp to usd on 2025-03-01',
+                    'How many yen in a dollar'
+                ]
+            },
+            {
+                type: 'Unit Arithmetic',
+                examples: [
+                    '5 ft 3 in + 12 cm in meters',
+                    '60 mph * 2.5 hours',
+                    '3 kg / 250 ml',
+                    '5 feet 3 inches plus 2 feet 10 inches',
+                    '2 h 30 min * 3',
+                    '1.5 ft in feet and inches'
+                ]
+            },
+            {
+                type: 'Programmer Mode',
+                examples: [
+                    '0xff + 0b1010',
+                    '0xf0 | 0x0f',
+                    '5 xor 3',
+                    '1 << 10',
+                    'Convert 255 to binary',
+                    '-1 in hex as 8-bit',
+                    '200 as signed 8-bit'
+                ]
+            },
+            {
+                type: 'Statistics',
+                examples: [
+                    'Standard deviation of 2, 4, 4, 4, 5, 5, 7, 9',
+                    'Population variance of 2, 4, 4, 4, 5, 5, 7, 9',
+                    'Mode of 1, 2, 2, 3, 3',
+                    '90th percentile of 1, 2, 3, 4, 5',
+                    'Quartiles of 1, 2, 3, 4, 5, 6, 7, 8',
+                    'z-score of 7 in 3, 5, 7, 9',
+                    'Mean and median of 1, 2, 3, 10',
+                    'Summarize 3, 5, 7, 7, 9, 12'
+                ]
+            },
+            {
+                type: 'Probability & Combinatorics',
+                examples: [
+                    'How many ways to choose 5 cards from 52',
+                    'Probability of at least 3 heads in 10 flips',
+                    'P(Z < 1.96)',
+                    'P(X > 110) with mean 100 and sd 15',
+                    'Inverse normal of 0.975',
+                    'Plot the binomial distribution with n = 20 and p = 0.3',
+                    'binomial_pdf(3, 10, 0.5)'
+                ]
+            },
+            {
+                type: 'Datasets',
+                examples: [
+                    'Load sales.csv as sales',
+                    'Describe sales',
+                    'Mean of sales.revenue',
+                    'Mean of sales.revenue where region = west',
+                    'Filter sales where revenue > 1000 as big_sales',
+                    'Histogram of sales.revenue',
+                    'Scatter sales.units vs sales.revenue with a linear fit'
+                ]
+            },
+            {
+                type: 'Correlation & Regression',
+                examples: [
+                    'Correlation between x = 1, 2, 3, 4, 5 and y = 2, 4, 5, 4, 5',
+                    'Linear regression of (1, 2.1), (2, 3.9), (3, 6.2), (4, 8.1), (5, 9.8)',
+                    'Predict y at x = 12',
+                    'Fit a quadratic to (0, 1), (1, 0), (2, 1), (3, 4)',
+                    'Exponential fit for x = 0, 1, 2, 3 and y = 3, 6, 12, 24',
+                    'Scatter 1,2 2,4 3,7 4,8 with a linear fit',
+                    'pearson([1, 2, 3], [2, 4, 7])'
+                ]
+            },
+            {
+                type: 'Finance',
+                examples: [
+                    'Monthly payment on a 300000 loan at 6.5% for 30 years',
+                    'Yearly amortization schedule for a 300000 loan at 6.5% for 30 years',
+                    'Plot amortization of a 20000 loan at 5% for 5 years',
+                    'Compound interest on 10000 at 5% for 10 years compounded monthly',
+                    'Future value of 200 per month at 5% for 10 years',
+                    'NPV of -1000, 300, 400, 500 at 10%',
+                    'IRR of -1000, 300, 400, 500',
+                    'CAGR from 1000 to 2000 over 5 years',
+                    'pmt(6.5%/12, 360, 300000)'
+                ]
+            },
+            {
+                type: 'Date & Time',
+                examples: [
+                    'Days between 2025-01-01 and 2025-03-15',
+                    'today + 45 days',
+                    'What day of the week is 2026-12-25',
+                    'Business days between 2025-03-03 and 2025-03-17',
+                    '3h 20m + 45m',
+                    'How old is someone born on 1990-05-17',
+                    '14:30 utc in tokyo'
                 ]
             },
             {
@@ -423,7 +917,17 @@ class CalculatorCLI {
                     'Show scatter plot with points 1,2 3,4 5,6',
                     'Create histogram of 1,2,3,4,5,6,7,8,9,10',
                     'Visualize cos(x) from -pi to pi',
-                    'Plot exponential function e^x'
+                    'Plot exponential function e^x',
+                    'Plot sin(x), cos(x), x/2 from -pi to pi',
+                    'Plot sin(x) in red and cos(x) in blue titled "Waves", dark theme',
+                    'Plot x^3 from 0.1 to 100 on a log-log scale',
+                    'Plot tan(x) from -3 to 3 with y from -5 to 5',
+                    'Plot x = cos(t), y = sin(2t) for t from 0 to 2pi',
+                    'Plot r = 1 + cos(theta)',
+                    'Plot x^2 + y^2 = 25 from -6 to 6',
+                    'Plot z = sin(x) * cos(y) for x from -3 to 3, y from -3 to 3',
+                    'Heatmap of x*y with resolution 50',
+                    'Plot z = x^2 - y^2 as a surface and export the data'
                 ]
             },
             {
@@ -437,6 +941,18 @@ class CalculatorCLI {
                     'recall 2',
                     'clear-history'
                 ]
+            },
+            {
+                type: 'Variables & Functions',
+                examples: [
+                    'rate = 0.07',
+                    '1000 * (1 + rate)^5',
+                    'f(x) = x^2 + 3x',
+                    'f(4)',
+                    'plot f(x) from -5 to 5',
+                    'vars',
+                    'delete rate'
+                ]
             }
         ];
 
@@ -453,37 +969,232 @@ class CalculatorCLI {
         this.program.parse();
     }
 
-    startWebServer(port) {
+    startWebServer(port, options = {}) {
         const app = express();
-        app.use(cors());
-        app.use(express.json());
+        app.use(cors({ exposedHeaders: ['X-Session-Id'] }));
+        app.use(express.json({ limit: DATASET_UPLOAD_LIMIT }));
+
+        // Every client gets its own session; history is kept next to the CLI history file.
+        // Web clients upload datasets instead of loading files from the server's disk
+        const sessions = new SessionManager(this.agent, {
+            idleTimeoutMs: (options.sessionTimeoutMinutes || 30) * 60 * 1000,
+            historyDir: path.join(path.dirname(this.historyFile), 'sessions'),
+            settings: { datasetFiles: false }
+        });
+        const sweepTimer = setInterval(() => sessions.sweep(), 60 * 1000);
+        sweepTimer.unref();
+
+        const attachSession = (res, session) => {
+            res.cookie(SESSION_COOKIE, session.id, { httpOnly: true, sameSite: 'lax' });
+            res.set('X-Session-Id', session.id);
+        };
+
+        // The caller's live session from the X-Session-Id header or cookie, or null
+        const findSession = (req) => sessions.get(req.get(SESSION_HEADER) || this.parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+
+        // Routes that change the session start a fresh one when it is missing or has expired
+        const resolveSession = (req, res, next) => {
+            const session = findSession(req) || sessions.create();
+            attachSession(res, session);
+            req.session = session;
+            next();
+        };
+
+        // Read-only routes show an empty session instead, so clients without a
+        // cookie do not start (and write to disk) a session on every request
+        const peekSession = (req, res, next) => {
+            const session = findSession(req);
+            if (session) attachSession(res, session);
+            req.session = session || sessions.blank();
+            next();
+        };
 
         // Serve static frontend and plots directory
         const publicDir = path.join(process.cwd(), 'public');
         app.use('/plots', express.static(path.join(process.cwd(), 'plots')));
         app.use(express.static(publicDir));
 
+        // Session management
+        app.post('/api/session', (req, res) => {
+            const session = sessions.create();
+            attachSession(res, session);
+            return res.status(201).json({ success: true, session });
+        });
+
+        app.get('/api/session', (req, res) => {
+            const session = findSession(req);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+            attachSession(res, session);
+            return res.json({ success: true, session });
+        });
+
+        app.delete('/api/session/:id?', (req, res) => {
+            const id = req.params.id || req.get(SESSION_HEADER) || this.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+            if (!id || !sessions.delete(id)) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+            res.clearCookie(SESSION_COOKIE);
+            return res.json({ success: true });
+        });
+
         // REST endpoints
-        app.post('/api/calculate', async (req, res) => {
+        app.post('/api/calculate', resolveSession, async (req, res) => {
             try {
-                const { input } = req.body || {};
+                const { input, explain, angle, units, plot } = req.body || {};
                 if (!input || typeof input !== 'string') {
                     return res.status(400).json({ success: false, error: 'Missing input' });
                 }
-                const result = await this.agent.calculate(input);
+                const result = await req.session.calculate(input, {
+                    ...(explain === undefined ? {} : { explain: Boolean(explain) }),
+                    ...(angle === undefined ? {} : { angle: String(angle) }),
+                    ...(units === undefined ? {} : { units: String(units) }),
+                    ...(plot === undefined ? {} : { plot })
+                });
                 return res.json(result);
             } catch (e) {
                 return res.status(500).json({ success: false, error: e.message });
             }
         });
 
-        app.get('/api/history', (req, res) => {
+        app.post('/api/convert', resolveSession, async (req, res) => {
+            try {
+                const { value, from, to, explain } = req.body || {};
+                if (value === undefined || isNaN(parseFloat(value)) || !from || !to) {
+                    return res.status(400).json({ success: false, error: 'Give value, from and to' });
+                }
+                const result = await req.session.calculate(`convert ${parseFloat(value)} ${from} to ${to}`, {
+                    ...(explain === undefined ? {} : { explain: Boolean(explain) })
+                });
+                return res.status(result.success ? 200 : 400).json(result);
+            } catch (e) {
+                return res.status(500).json({ success: false, error: e.message });
+            }
+        });
+
+        app.post('/api/settings', resolveSession, (req, res) => {
+            try {
+                const { explain, angle, units, programmer, width, signed, base } = req.body || {};
+                if (explain !== undefined) req.session.setSetting('explain', Boolean(explain));
+                if (angle !== undefined) req.session.setSetting('angle', String(angle));
+                if (units !== undefined) req.session.setSetting('units', String(units));
+                if (programmer !== undefined) req.session.setSetting('programmer', Boolean(programmer));
+                if (width !== undefined) req.session.setSetting('width', String(width));
+                if (signed !== undefined) req.session.setSetting('signed', typeof signed === 'boolean' ? signed : String(signed));
+                if (base !== undefined) req.session.setSetting('base', String(base));
+                return res.json({ success: true, settings: req.session.settings });
+            } catch (e) {
+                return res.status(400).json({ success: false, error: e.message });
+            }
+        });
+
+        app.get('/api/rates', (req, res) => {
+            try {
+                return res.json({ success: true, tables: this.agent.currency.summary() });
+            } catch (e) {
+                return res.status(500).json({ success: false, error: e.message });
+            }
+        });
+
+        app.get('/api/history', peekSession, (req, res) => {
             const n = parseInt(req.query.n, 10) || 10;
-            return res.json({ success: true, history: this.agent.getHistory(n) });
+            return res.json({ success: true, history: req.session.getHistory(n) });
         });
 
-        app.post('/api/clear-history', (req, res) => {
-            this.agent.clearHistory();
+        app.post('/api/clear-history', resolveSession, (req, res) => {
+            req.session.clearHistory();
+            return res.json({ success: true });
+        });
+
+        // User-defined variables and functions
+        app.get('/api/variables', peekSession, (req, res) => {
+            return res.json({ success: true, variables: req.session.listVariables() });
+        });
+
+        app.post('/api/variables', resolveSession, async (req, res) => {
+            const { definition } = req.body || {};
+            if (!definition || typeof definition !== 'string') {
+                return res.status(400).json({ success: false, error: 'Missing definition' });
+            }
+            const result = await req.session.calculate(definition);
+            if (result.success && result.operationType !== 'assignment') {
+                return res.status(400).json({ success: false, error: 'Definition must look like "name = expr" or "f(x) = expr"' });
+            }
+            return res.status(result.success ? 200 : 400).json(result);
+        });
+
+        app.delete('/api/variables/:name', resolveSession, (req, res) => {
+            if (!req.session.deleteVariable(req.params.name.toLowerCase())) {
+                return res.status(404).json({ success: false, error: 'Variable not found' });
+            }
+            return res.json({ success: true });
+        });
+
+        app.delete('/api/variables', resolveSession, (req, res) => {
+            req.session.resetVariables();
+            return res.json({ success: true });
+        });
+
+        // Datasets: upload CSV/TSV text (?name=sales) or JSON { name, content, format } / { name, data }
+        app.get('/api/datasets', peekSession, (req, res) => {
+            return res.json({ success: true, datasets: req.session.listDatasets() });
+        });
+
+        app.get('/api/datasets/:name', peekSession, (req, res) => {
+            try {
+                const table = req.session.dataset(req.params.name.toLowerCase());
+                return res.json({
+                    success: true,
+                    name: req.params.name.toLowerCase(),
+                    rows: table.rows.length,
+                    columns: this.agent.datasets.describe(table)
+                });
+            } catch (e) {
+                return res.status(404).json({ success: false, error: e.message });
+            }
+        });
+
+        const uploadText = express.text({ type: ['text/csv', 'text/tab-separated-values', 'text/plain'], limit: DATASET_UPLOAD_LIMIT });
+        app.post('/api/datasets', uploadText, resolveSession, (req, res) => {
+            try {
+                const body = req.body;
+                let name;
+                let source;
+                if (typeof body === 'string') {
+                    name = req.query.name;
+                    source = { content: body, format: req.is('text/tab-separated-values') ? 'tsv' : 'csv' };
+                } else if (body && body.data !== undefined) {
+                    name = body.name;
+                    source = { content: JSON.stringify(body.data), format: 'json' };
+                } else if (body && typeof body.content === 'string') {
+                    name = body.name;
+                    source = { content: body.content, ...(body.format ? { format: String(body.format).toLowerCase() } : {}) };
+                } else {
+                    return res.status(400).json({ success: false, error: 'Send CSV text with ?name=, or JSON { name, content, format } or { name, data }' });
+                }
+                if (!name || typeof name !== 'string') {
+                    return res.status(400).json({ success: false, error: 'Missing dataset name' });
+                }
+                if (source.format && !['csv', 'tsv', 'json'].includes(source.format)) {
+                    return res.status(400).json({ success: false, error: 'Format must be csv, tsv or json' });
+                }
+                const table = req.session.setDataset(name.toLowerCase(), source);
+                return res.status(201).json({
+                    success: true,
+                    name: name.toLowerCase(),
+                    rows: table.rows.length,
+                    columns: this.agent.datasets.describe(table)
+                });
+            } catch (e) {
+                return res.status(400).json({ success: false, error: e.message });
+            }
+        });
+
+        app.delete('/api/datasets/:name', resolveSession, (req, res) => {
+            if (!req.session.deleteDataset(req.params.name.toLowerCase())) {
+                return res.status(404).json({ success: false, error: 'Dataset not found' });
+            }
             return res.json({ success: true });
         });
 
@@ -496,6 +1207,20 @@ class CalculatorCLI {
             console.log(chalk.gray(`Serving static files from ${publicDir} and plots from /plots`));
         });
     }
+
+    /**
+     * Minimal Cookie header parser (name=value pairs)
+     */
+    parseCookies(header) {
+        const cookies = {};
+        (header || '').split(';').forEach(part => {
+            const index = part.indexOf('=');
+            if (index > 0) {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            }
+        });
+        return cookies;
+    }
 }
 
 // Create and run CLI
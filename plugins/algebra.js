@@ -0,0 +1,308 @@
+const chalk = require('chalk');
+const math = require('mathjs');
+const { SIGNIFICANT_DIGITS, clean } = require('../Precision');
+
+// One or more variable names: "x", "x and y", "x, y, z"
+const VARS = '([a-z_][a-z0-9_]*(?:\\s*(?:,|and)\\s*[a-z_][a-z0-9_]*)*)';
+const NUMBER = '(-?\\d+(?:\\.\\d+)?)';
+
+const REQUESTS = [
+    new RegExp(`^solve\\s+for\\s+${VARS}\\s*(?:in|:|,|if|when|where)?\\s+(.+)$`),
+    new RegExp(`^solve\\s+(?:the\\s+)?(?:equations?|system(?:\\s+of\\s+equations)?)?\\s*(.+?)(?:\\s+for\\s+${VARS})?$`),
+    new RegExp(`^(?:what|which|for what)\\s+values?\\s+of\\s+${VARS}\\s+(?:makes?|satisfy|satisfies|solves?|gives?|is|are)\\s+(.+?)(?:\\s+true)?$`),
+    new RegExp(`^find\\s+${VARS}\\s+(?:if|when|where|such that|so that|given(?:\\s+that)?)\\s+(.+)$`)
+];
+
+// Larger solution sets are reported but not stored as variables
+const MAX_STORED = 10;
+
+const COMPLEX = /\s+(?:with|including|allowing|over)\s+(?:the\s+)?complex(?:\s+(?:roots|solutions|numbers))?$/;
+const RANGE = new RegExp(`\\s+(?:between|from)\\s+${NUMBER}\\s+(?:and|to)\\s+${NUMBER}$`);
+
+/**
+ * Built-in plugin: equation solving ("solve 2x + 3 = 11", "solve x^2 - 5x + 6 = 0",
+ * "solve x + y = 10, x - y = 2", "what value of x makes 2x + 3 equal 11").
+ * Solutions are stored as session variables (x, or x1, x2, ... when there
+ * are several) so the next calculation can use them; they replace the ones
+ * the previous equation stored. Roots that repeat at a fixed period are given
+ * for one period ("x = 30 + 360k or x = 150 + 360k").
+ */
+module.exports = {
+    name: 'algebra',
+    // Ahead of graphing, which would otherwise claim "solve the equation ..."
+    priority: 105,
+    info: {
+        operations: ['algebra', 'equation solving'],
+        capabilities: ['Equation solving (linear, quadratic, polynomial, numeric, systems of equations)']
+    },
+
+    detect(input) {
+        return /^(?:solve\b(?!\s+(?:the\s+|a\s+)?triangle)|find\s+[a-z_][a-z0-9_]*(?:\s*(?:,|and)\s*[a-z_][a-z0-9_]*)*\s+(?:if|when|where|such that|so that|given)\b|(?:what|which|for what)\s+values?\s+of\b)/.test(input);
+    },
+
+    parse(input) {
+        let text = normalize(input);
+
+        const complex = COMPLEX.test(text);
+        text = text.replace(COMPLEX, '');
+
+        let range;
+        const rangeMatch = text.match(RANGE);
+        if (rangeMatch) {
+            range = [parseFloat(rangeMatch[1]), parseFloat(rangeMatch[2])];
+            text = text.slice(0, rangeMatch.index);
+        }
+
+        let unknowns = [];
+        let body = null;
+        for (const [index, pattern] of REQUESTS.entries()) {
+            const match = text.match(pattern);
+            if (!match) continue;
+            // "solve <equations> for <vars>" captures the equations first
+            const [vars, equations] = index === 1 ? [match[2], match[1]] : [match[1], match[2]];
+            unknowns = vars ? vars.split(/\s*(?:,|\band\b)\s*/).filter(Boolean) : [];
+            body = equations;
+            break;
+        }
+        if (!body) {
+            throw new Error('Could not find an equation to solve');
+        }
+
+        const equations = body.split(/\s*[,;]\s*|\s+and\s+/).map(eq => eq.trim()).filter(Boolean);
+        return {
+            expression: equations.join(', '),
+            operationType: 'algebra',
+            equations,
+            unknowns,
+            complex,
+            range
+        };
+    },
+
+    evaluate(parsed, { agent, session, scope, angle }) {
+        // Earlier solutions and the named unknowns are not known values
+        const known = { ...scope };
+        [...previousSolutions(session), ...parsed.unknowns].forEach(name => delete known[name]);
+        const outcome = agent.equationSolver.solve(parsed.equations, {
+            scope: known,
+            unknowns: parsed.unknowns,
+            range: parsed.range,
+            angle
+        });
+        // Kept for explain(), which only sees the parsed request
+        parsed.outcome = outcome;
+
+        const complexSolutions = parsed.complex
+            ? outcome.complexSolutions.map(solution => formatSolution(solution))
+            : [];
+        const { stored, unstored, kept } = storeSolutions(agent, session, outcome);
+
+        return {
+            result: toResult(outcome, complexSolutions),
+            method: outcome.method,
+            unknowns: outcome.unknowns,
+            solutions: outcome.solutions,
+            complexSolutions,
+            ...(outcome.discriminant !== undefined ? { discriminant: outcome.discriminant } : {}),
+            ...(outcome.period !== undefined ? { period: outcome.period } : {}),
+            stored,
+            ...(unstored ? { unstored } : {}),
+            ...(kept.length ? { kept } : {})
+        };
+    },
+
+    format(payload) {
+        const lines = [chalk.green(`✅ Solved ${payload.expression} (${payload.method})`)];
+        const all = [...payload.solutions, ...(payload.complexSolutions || [])];
+
+        if (all.length === 0) {
+            lines.push(chalk.yellow(`   ${payload.result}`));
+        } else if (payload.period !== undefined) {
+            lines.push(chalk.green(`   ${payload.result}`));
+        } else {
+            all.forEach(solution => {
+                const text = Object.entries(solution).map(([name, value]) => `${name} = ${formatValue(value)}`).join(', ');
+                lines.push(chalk.green(`   ${text}`));
+            });
+        }
+        if (payload.stored && payload.stored.length) {
+            lines.push(chalk.gray(`   Stored as ${payload.stored.join(', ')}`));
+        }
+        if (payload.kept) {
+            lines.push(chalk.gray(`   Not stored over your own ${payload.kept.join(', ')}`));
+        }
+        if (payload.unstored) {
+            lines.push(chalk.gray(`   Not stored as variables: ${payload.unstored} solutions (more than ${MAX_STORED})`));
+        }
+        return lines.join('\n');
+    },
+
+    explain(parsed) {
+        const outcome = parsed.outcome;
+        const steps = outcome.equations.map(equation => {
+            const [lhs, rhs] = equation.split(' = ');
+            return {
+                type: 'parse',
+                expression: `(${lhs}) - (${rhs}) = 0`,
+                description: `Rewrote ${equation} as (${lhs}) - (${rhs}) = 0`
+            };
+        });
+
+        if (outcome.coefficients) {
+            steps.push({
+                type: 'map',
+                coefficients: outcome.coefficients,
+                description: `Polynomial of degree ${outcome.degree}: ${polynomial(outcome.coefficients, outcome.unknowns[0])} = 0`
+            });
+        }
+        if (outcome.discriminant !== undefined) {
+            const [c, b, a] = outcome.coefficients;
+            steps.push({
+                type: 'evaluate',
+                expression: 'b^2 - 4ac',
+                value: outcome.discriminant,
+                description: `Discriminant b² - 4ac = ${wrap(b)}² - 4·${wrap(a)}·${wrap(c)} = ${formatValue(outcome.discriminant)}`
+            });
+        }
+        steps.push({
+            type: 'evaluate',
+            value: outcome.solutions,
+            description: `Solved by ${outcome.method}: ${describe(outcome)}`
+        });
+        return steps;
+    }
+};
+
+function normalize(input) {
+    return input
+        .replace(/\b(?:is\s+)?equal(?:s)?(?:\s+to)?\b/g, '=')
+        .replace(/\bplus\b/g, '+')
+        .replace(/\bminus\b/g, '-')
+        .replace(/\b(?:times|multiplied by)\b/g, '*')
+        .replace(/\bdivided by\b/g, '/')
+        .replace(/\bsquared\b/g, '^2')
+        .replace(/\bcubed\b/g, '^3')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * One solution -> its value (or the solution object for a system), several -> a list
+ */
+function toResult(outcome, complexSolutions) {
+    const solutions = outcome.solutions;
+    const single = outcome.unknowns.length === 1;
+
+    if (solutions.length === 0 && complexSolutions.length === 0) {
+        if (outcome.method === 'identity') return 'every value is a solution';
+        if (outcome.method === 'contradiction') return 'no solution';
+        return outcome.complexSolutions.length
+            ? `no real solutions (${outcome.complexSolutions.length} complex, add "with complex roots")`
+            : 'no real solutions';
+    }
+    if (outcome.period !== undefined) return periodic(outcome);
+    const values = single
+        ? [...solutions.map(s => s[outcome.unknowns[0]]), ...complexSolutions.map(s => s[outcome.unknowns[0]])]
+        : solutions;
+    return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Periodic roots as one line: "x = 30 + 360k or x = 150 + 360k (k any integer)"
+ */
+function periodic(outcome) {
+    const name = outcome.unknowns[0];
+    const turns = outcome.period / Math.PI;
+    const period = Math.abs(turns - Math.round(turns)) < 1e-9
+        ? `${Math.round(turns) === 1 ? '' : Math.round(turns)}π`
+        : formatValue(outcome.period);
+    const roots = outcome.solutions.map(solution => (solution[name] === 0
+        ? `${name} = ${period}k`
+        : `${name} = ${formatValue(solution[name])} + ${period}k`));
+    return `${roots.join(' or ')} (k any integer)`;
+}
+
+/**
+ * Names still holding the previous equation's solutions (not redefined since)
+ */
+function previousSolutions(session) {
+    const definitions = session.getDefinitions();
+    return session.solutionDefinitions
+        .map(source => source.slice(0, source.indexOf(' = ')))
+        .filter((name, i) => definitions[name] === session.solutionDefinitions[i]);
+}
+
+/**
+ * Make real solutions available to later calculations: x = 4, or x1, x2, ...
+ * The previous equation's solutions are removed first; variables the user
+ * defined are never replaced, and more than MAX_STORED solutions are not stored
+ * @returns {Object} - { stored: sources of the definitions, unstored: count left out, kept: user variables left alone }
+ */
+function storeSolutions(agent, session, outcome) {
+    previousSolutions(session).forEach(name => session.deleteVariable(name));
+    const definitions = session.getDefinitions();
+
+    const assignments = [];
+    if (outcome.solutions.length === 1) {
+        Object.entries(outcome.solutions[0]).forEach(([name, value]) => assignments.push([name, value]));
+    } else if (outcome.unknowns.length === 1) {
+        const name = outcome.unknowns[0];
+        outcome.solutions.forEach((solution, i) => assignments.push([`${name}${i + 1}`, solution[name]]));
+    }
+
+    if (assignments.length > MAX_STORED) {
+        session.solutionDefinitions = [];
+        return { stored: [], unstored: assignments.length, kept: [] };
+    }
+
+    const kept = assignments.filter(([name]) => name in definitions).map(([name]) => name);
+    const stored = assignments.filter(([name]) => !kept.includes(name)).map(([name, value]) => {
+        const source = `${name} = ${math.format(value, { precision: 14 })}`;
+        agent.defineVariable(session, { name, isFunction: false, source });
+        return source;
+    });
+    // As defined: defineVariable formats the value again
+    const updated = session.getDefinitions();
+    session.solutionDefinitions = assignments.filter(([name]) => !kept.includes(name)).map(([name]) => updated[name]);
+    return { stored, unstored: 0, kept };
+}
+
+function formatSolution(solution) {
+    return Object.fromEntries(Object.entries(solution).map(([name, value]) => [name, formatValue(value)]));
+}
+
+function formatValue(value) {
+    if (typeof value === 'number') return String(clean(value));
+    if (typeof value === 'string') return value;
+    return math.format(value, { precision: SIGNIFICANT_DIGITS });
+}
+
+function describe(outcome) {
+    if (outcome.method === 'identity') return 'every value is a solution';
+    if (outcome.method === 'contradiction') return 'no solution';
+    if (outcome.solutions.length === 0) return 'no real solutions';
+    if (outcome.period !== undefined) return periodic(outcome);
+    return outcome.solutions
+        .map(solution => Object.entries(solution).map(([name, value]) => `${name} = ${formatValue(value)}`).join(', '))
+        .join(' or ');
+}
+
+/**
+ * Readable polynomial from coefficients (constant first): "x^2 - 5x + 6"
+ */
+function polynomial(coefficients, name) {
+    const terms = [];
+    for (let power = coefficients.length - 1; power >= 0; power--) {
+        const c = coefficients[power];
+        if (c === 0) continue;
+        const magnitude = Math.abs(c) === 1 && power > 0 ? '' : formatValue(Math.abs(c));
+        const variable = power === 0 ? '' : power === 1 ? name : `${name}^${power}`;
+        const sign = c < 0 ? '-' : '+';
+        terms.push(terms.length === 0 ? `${c < 0 ? '-' : ''}${magnitude}${variable}` : `${sign} ${magnitude}${variable}`);
+    }
+    return terms.join(' ') || '0';
+}
+
+function wrap(value) {
+    return value < 0 ? `(${formatValue(value)})` : formatValue(value);
+}
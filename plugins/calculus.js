@@ -0,0 +1,259 @@
+const chalk = require('chalk');
+const math = require('mathjs');
+const { clean, formatNumber } = require('../Precision');
+
+// Functions handled in expressions: derivative(f, x[, at]), integrate(f, x, a, b), limit(f, x, to[, side])
+const CALLS = ['derivative', 'integrate', 'limit'];
+const CALL_PATTERN = /\b(?:derivative|integrate|limit)\s*\(/;
+
+// A bound or point: number, constant, short expression or infinity
+const VALUE = '(-?\\s*(?:infinity|inf|[\\w.]+(?:\\s*[*/^]\\s*[\\w.]+)*))';
+const VARIABLE = '([a-z])';
+
+const REQUESTS = [
+    {
+        type: 'derivative',
+        pattern: new RegExp(`^(?:(?:find|what is|calculate|compute)\\s+)?(?:the\\s+)?(?:(second|\\d+)(?:st|nd|rd|th)?\\s+)?derivative\\s+of\\s+(.+?)(?:\\s+with respect to\\s+${VARIABLE})?(?:\\s+(?:at|when|where)\\s+(?:${VARIABLE}\\s*=\\s*)?${VALUE})?$`),
+        build: ([order, expression, variable, pointVariable, point]) => ({ order, expression, variable: variable || pointVariable, point })
+    },
+    {
+        type: 'derivative',
+        pattern: new RegExp(`^differentiate\\s+(.+?)(?:\\s+with respect to\\s+${VARIABLE})?(?:\\s+(?:at|when|where)\\s+(?:${VARIABLE}\\s*=\\s*)?${VALUE})?$`),
+        build: ([expression, variable, pointVariable, point]) => ({ expression, variable: variable || pointVariable, point })
+    },
+    {
+        type: 'integral',
+        pattern: new RegExp(`^(?:integrate|(?:(?:find|what is|calculate|compute)\\s+)?(?:the\\s+)?(?:definite\\s+)?integral\\s+of)\\s+(.+?)(?:\\s+d${VARIABLE})?(?:\\s+with respect to\\s+${VARIABLE})?\\s+from\\s+${VALUE}\\s+to\\s+${VALUE}$`),
+        build: ([expression, dVariable, variable, from, to]) => ({ expression, variable: dVariable || variable, from, to })
+    },
+    {
+        type: 'limit',
+        pattern: new RegExp(`^(?:(?:find|what is|calculate|compute)\\s+)?(?:the\\s+)?limit\\s+of\\s+(.+?)\\s+as\\s+${VARIABLE}\\s+(?:approaches|goes to|tends to|tends towards)\\s+${VALUE}(?:\\s+from\\s+(?:the\\s+)?(left|right|above|below))?$`),
+        build: ([expression, variable, point, side]) => ({ expression, variable, point, side })
+    }
+];
+
+/**
+ * Built-in plugin: derivatives, definite integrals and limits, both as
+ * expression functions ("derivative(x^3, x)", "integrate(x^2, x, 0, 1)",
+ * "limit(sin(x)/x, x, 0)") and in natural language ("integrate sin(x) from
+ * 0 to pi", "limit of 1/x as x approaches 0 from the right").
+ */
+module.exports = {
+    name: 'calculus',
+    priority: 95,
+    info: {
+        operations: ['calculus', 'derivative', 'integral', 'limit'],
+        capabilities: ['Calculus (derivative(x^3, x), integrate sin(x) from 0 to pi, limit of sin(x)/x as x approaches 0)']
+    },
+
+    detect(input) {
+        return CALL_PATTERN.test(input) || REQUESTS.some(request => request.pattern.test(input));
+    },
+
+    parse(input) {
+        if (CALL_PATTERN.test(input)) {
+            return { expression: input, operationType: 'calculus', form: 'expression' };
+        }
+        for (const request of REQUESTS) {
+            const match = input.match(request.pattern);
+            if (match) {
+                return {
+                    expression: input,
+                    operationType: 'calculus',
+                    form: request.type,
+                    request: request.build(match.slice(1))
+                };
+            }
+        }
+        throw new Error('Could not understand the calculus request');
+    },
+
+    evaluate(parsed, { agent, scope }) {
+        const operations = [];
+        let result;
+
+        if (parsed.form === 'expression') {
+            const bound = new Set();
+            const node = resolveCalls(math.parse(parsed.expression), agent.calculus, scope, operations, bound);
+            const symbolic = node.filter(n => n.isSymbolNode && bound.has(n.name)).length > 0;
+            const root = math.parse(parsed.expression);
+            if (root.isFunctionNode && CALLS.includes(root.fn.name)) {
+                // A lone call keeps its own result ("does not exist", "Infinity", the derivative)
+                result = operations[operations.length - 1].result;
+            } else {
+                result = symbolic ? node.toString() : toResult(node.evaluate({ ...scope }));
+            }
+        } else {
+            const operation = runRequest(parsed.form, parsed.request, agent.calculus, scope);
+            operations.push(operation);
+            result = operation.result;
+        }
+
+        // Parsed requests keep what was computed so explain() can show it
+        parsed.operations = operations;
+        const last = operations[operations.length - 1] || {};
+        return {
+            result,
+            operations,
+            ...(last.method ? { method: last.method } : {}),
+            ...(last.errorEstimate !== undefined ? { errorEstimate: last.errorEstimate } : {})
+        };
+    },
+
+    format(payload) {
+        const value = typeof payload.result === 'number'
+            ? payload.result.toFixed(10).replace(/\.?0+$/, '')
+            : String(payload.result);
+        const lines = [chalk.green(`✅ Result: ${value}`)];
+        (payload.operations || []).forEach(operation => {
+            lines.push(chalk.gray(`   ${operation.description}`));
+        });
+        return lines.join('\n');
+    },
+
+    explain(parsed) {
+        return parsed.operations.map(operation => ({
+            type: 'evaluate',
+            expression: operation.expression,
+            value: operation.result,
+            description: operation.description
+        }));
+    }
+};
+
+/**
+ * Replace derivative/integrate/limit calls (innermost first) with their results
+ */
+function resolveCalls(node, calculus, scope, operations, bound) {
+    return node.transform(child => {
+        if (!child.isFunctionNode || !CALLS.includes(child.fn.name)) return child;
+
+        const args = child.args.map(arg => resolveCalls(arg, calculus, scope, operations, bound));
+        const [body, variableNode, ...rest] = args;
+        if (!body || !variableNode) {
+            throw new Error(`${child.fn.name}() needs an expression and a variable, e.g. ${child.fn.name}(x^2, x${child.fn.name === 'derivative' ? '' : ', 0, 1'})`);
+        }
+        const expression = body.isConstantNode && typeof body.value === 'string' ? body.value : body.toString();
+        const variable = variableNode.isConstantNode ? String(variableNode.value) : variableNode.name;
+        const numbers = rest.map(arg => (arg.isConstantNode && typeof arg.value === 'string' ? arg.value : evaluateBound(arg.toString(), scope)));
+
+        let operation;
+        if (child.fn.name === 'derivative') {
+            operation = runRequest('derivative', { expression, variable, point: numbers[0] }, calculus, scope);
+            if (numbers[0] === undefined) {
+                operations.push(operation);
+                bound.add(variable);
+                return math.parse(operation.derivative);
+            }
+        } else if (child.fn.name === 'integrate') {
+            if (numbers.length < 2) {
+                throw new Error('integrate() needs bounds: integrate(f, x, from, to)');
+            }
+            operation = runRequest('integral', { expression, variable, from: numbers[0], to: numbers[1] }, calculus, scope);
+        } else {
+            if (numbers.length < 1) {
+                throw new Error('limit() needs a point: limit(f, x, point)');
+            }
+            operation = runRequest('limit', { expression, variable, point: numbers[0], side: numbers[1] }, calculus, scope);
+        }
+        operations.push(operation);
+        const value = { 'Infinity': Infinity, '-Infinity': -Infinity }[operation.result];
+        return new math.ConstantNode(typeof operation.result === 'number' ? operation.result : value ?? NaN);
+    });
+}
+
+/**
+ * Carry out one parsed request; the returned operation is reported in the payload
+ */
+function runRequest(type, request, calculus, scope) {
+    const expression = request.expression.trim();
+    const variable = request.variable || guessVariable(expression, scope);
+
+    if (type === 'derivative') {
+        const order = request.order === 'second' ? 2 : parseInt(request.order || '1', 10);
+        const node = calculus.derivative(expression, variable, order);
+        const prime = order === 1 ? '' : `^${order}`;
+        const derivative = node.toString();
+        if (request.point === undefined) {
+            return {
+                type, expression, variable, order, derivative,
+                result: derivative,
+                method: 'symbolic differentiation',
+                description: `d${prime}/d${variable}${prime} (${expression}) = ${derivative}`
+            };
+        }
+        const point = evaluateBound(request.point, scope);
+        const result = toResult(node.evaluate({ ...scope, [variable]: point }));
+        return {
+            type, expression, variable, order, derivative, point, result,
+            method: 'symbolic differentiation',
+            description: `d${prime}/d${variable}${prime} (${expression}) = ${derivative}, at ${variable} = ${formatNumber(point)}: ${formatNumber(result)}`
+        };
+    }
+
+    if (type === 'integral') {
+        const from = evaluateBound(request.from, scope);
+        const to = evaluateBound(request.to, scope);
+        const integral = calculus.integrate(expression, variable, from, to, scope);
+        return {
+            type, expression, variable, from, to,
+            result: integral.value,
+            errorEstimate: integral.errorEstimate,
+            evaluations: integral.evaluations,
+            method: integral.method,
+            description: `∫ ${expression} d${variable} from ${formatNumber(from)} to ${formatNumber(to)} = ${formatNumber(integral.value)} `
+                + `(${integral.method}, error ≈ ${integral.errorEstimate}, ${integral.evaluations} evaluations)`
+        };
+    }
+
+    const point = evaluateBound(request.point, scope);
+    const direction = { left: 'left', below: 'left', right: 'right', above: 'right' }[request.side] || 'both';
+    const limit = calculus.limit(expression, variable, point, direction, scope);
+    const sides = direction === 'both' && limit.value === null && limit.left !== null && limit.right !== null
+        ? ` (left ${formatNumber(limit.left)}, right ${formatNumber(limit.right)})`
+        : '';
+    const approach = direction === 'both' ? '' : direction === 'left' ? '⁻' : '⁺';
+    const result = limit.value === null ? 'does not exist' : toResult(limit.value);
+    return {
+        type, expression, variable, point, direction,
+        left: limit.left, right: limit.right, result,
+        method: limit.method,
+        description: `lim ${variable}→${formatNumber(point)}${approach} ${expression} = ${formatNumber(result)}${sides} (${limit.method})`
+    };
+}
+
+/**
+ * Bounds and points may be numbers, constants (pi), expressions (2*pi) or infinity
+ */
+function evaluateBound(value, scope) {
+    if (typeof value === 'number') return value;
+    const text = String(value).replace(/\s+/g, '');
+    if (/^\+?(?:infinity|inf)$/i.test(text)) return Infinity;
+    if (/^-(?:infinity|inf)$/i.test(text)) return -Infinity;
+    const result = math.evaluate(text, { ...scope });
+    if (typeof result !== 'number') {
+        throw new Error(`"${value}" is not a number`);
+    }
+    return result;
+}
+
+/**
+ * The variable of integration/differentiation when none is named: x if
+ * present, otherwise the first symbol that is not a constant or a known value
+ */
+function guessVariable(expression, scope) {
+    const symbols = math.parse(expression)
+        .filter((node, path, parent) => node.isSymbolNode && !(parent && parent.isFunctionNode && path === 'fn'))
+        .map(node => node.name)
+        .filter(name => math[name] === undefined);
+    if (symbols.includes('x')) return 'x';
+    return symbols.find(name => !Object.prototype.hasOwnProperty.call(scope, name)) || symbols[0] || 'x';
+}
+
+function toResult(value) {
+    if (typeof value !== 'number') return value;
+    if (value === Infinity) return 'Infinity';
+    if (value === -Infinity) return '-Infinity';
+    return clean(value);
+}
@@ -0,0 +1,183 @@
+const chalk = require('chalk');
+const { formatNumber } = require('../Precision');
+
+// Words that separate the steps of a chained instruction
+const SEQUENCE_SPLIT = /\s*[,;]?\s*\b(?:and then|then|after that|afterwards|next|finally)\b\s*,?\s*/;
+
+// A number, or a name ("it", "the result", a user variable)
+const OPERAND = '(-?\\d+(?:\\.\\d+)?|[a-z_][a-z0-9_]*)';
+const REFERENCE = /^(?:it|that|this|result|the result|the answer)$/;
+
+/**
+ * Step grammar. `start` forms produce the initial value, `continue` forms
+ * operate on the running result `r`. Each build() returns a mathjs expression.
+ */
+const START_FORMS = [
+    { pattern: new RegExp(`^(?:add|sum)\\s+${OPERAND}\\s+(?:and|to|plus)\\s+${OPERAND}$`), build: (a, b) => `${a} + ${b}` },
+    { pattern: new RegExp(`^subtract\\s+${OPERAND}\\s+from\\s+${OPERAND}$`), build: (a, b) => `${b} - ${a}` },
+    { pattern: new RegExp(`^multiply\\s+${OPERAND}\\s+(?:by|and|with)\\s+${OPERAND}$`), build: (a, b) => `${a} * ${b}` },
+    { pattern: new RegExp(`^divide\\s+${OPERAND}\\s+by\\s+${OPERAND}$`), build: (a, b) => `${a} / ${b}` },
+    { pattern: new RegExp(`^(?:start with|begin with|take|use)\\s+${OPERAND}$`), build: (a) => `${a}` }
+];
+
+const CONTINUE_FORMS = [
+    { pattern: new RegExp(`^(?:add|plus)\\s+${OPERAND}\\s*%$`), build: (r, b) => `${r} * (1 + ${b} / 100)` },
+    { pattern: new RegExp(`^(?:take|knock)\\s+${OPERAND}\\s*%\\s+off$`), build: (r, b) => `${r} * (1 - ${b} / 100)` },
+    { pattern: new RegExp(`^(?:subtract|minus|take away|remove)\\s+${OPERAND}\\s*%$`), build: (r, b) => `${r} * (1 - ${b} / 100)` },
+    { pattern: new RegExp(`^(?:add|plus)\\s+${OPERAND}(?:\\s+to\\s+(?:it|that|the result))?$`), build: (r, b) => `${r} + ${b}` },
+    { pattern: new RegExp(`^(?:subtract|minus|take away|take|remove)\\s+${OPERAND}(?:\\s+from\\s+(?:it|that|the result))?$`), build: (r, b) => `${r} - ${b}` },
+    { pattern: new RegExp(`^(?:multiply(?:\\s+(?:it|that|the result))?\\s+by|times)\\s+${OPERAND}$`), build: (r, b) => `${r} * ${b}` },
+    { pattern: new RegExp(`^(?:divide(?:\\s+(?:it|that|the result))?\\s+by|divided by)\\s+${OPERAND}$`), build: (r, b) => `${r} / ${b}` },
+    { pattern: new RegExp(`^(?:raise(?:\\s+(?:it|that|the result))?\\s+to\\s+(?:the\\s+)?power\\s+(?:of\\s+)?|to the power of\\s+)${OPERAND}$`), build: (r, b) => `${r} ^ ${b}` },
+    { pattern: /^double(?:\s+(?:it|that|the result))?$/, build: (r) => `${r} * 2` },
+    { pattern: /^triple(?:\s+(?:it|that|the result))?$/, build: (r) => `${r} * 3` },
+    { pattern: /^(?:halve|half)(?:\s+(?:it|that|the result))?$/, build: (r) => `${r} / 2` },
+    { pattern: /^square(?:\s+(?:it|that|the result))?$/, build: (r) => `${r} ^ 2` },
+    { pattern: /^cube(?:\s+(?:it|that|the result))?$/, build: (r) => `${r} ^ 3` },
+    { pattern: /^(?:take\s+the\s+)?square\s+root(?:\s+of\s+(?:it|that|the result))?$/, build: (r) => `sqrt(${r})` },
+    { pattern: /^negate(?:\s+(?:it|that|the result))?$/, build: (r) => `-(${r})` }
+];
+
+// Filler that carries no meaning inside a step
+const FILLER = /^(?:please\s+|now\s+|what is\s+|whats\s+|calculate\s+|compute\s+)+|\s+(?:please|again)$/g;
+
+/**
+ * Built-in plugin: arithmetic instructions ("add 5 and 7", "subtract 2 from 10"),
+ * alone or in several steps ("add 5 and 7, then multiply by 3").
+ * Each step works on the previous step's result, so the chain groups as
+ * ((5 + 7) * 3); every intermediate result is reported.
+ */
+module.exports = {
+    name: 'chain',
+    priority: 90,
+    info: {
+        operations: ['chained arithmetic'],
+        capabilities: ['Multi-step instructions (add 5 and 7 then multiply by 3, double it, take 20% off)']
+    },
+
+    detect(input, { isNaturalLanguage, session }) {
+        if (!isNaturalLanguage) return false;
+        const steps = splitSteps(input);
+        if (steps.length > 1) return true;
+        // A single instruction ("add 5 and 7"), or a lone follow-up ("double it")
+        // that continues from the last answer
+        if (matchForm(START_FORMS, steps[0]) !== null) return true;
+        return typeof session.lastAnswer === 'number' && matchForm(CONTINUE_FORMS, steps[0]) !== null;
+    },
+
+    parse(input) {
+        return {
+            expression: input,
+            operationType: 'arithmetic',
+            steps: splitSteps(input)
+        };
+    },
+
+    evaluate(parsed, { agent, session, scope, angle }) {
+        let running = null;
+        let combined = null;
+        const intermediateResults = [];
+
+        parsed.steps.forEach((text, index) => {
+            let expression;
+            let display;
+            const start = matchForm(START_FORMS, text);
+
+            if (index === 0 && start) {
+                expression = start.form.build(...start.operands.map(op => resolveOperand(op, null, scope)));
+                display = expression;
+            } else {
+                let previous = running;
+                let previousDisplay = combined;
+                if (index === 0) {
+                    // First step is either plain arithmetic or a follow-up on the last answer
+                    const followUp = matchForm(CONTINUE_FORMS, text);
+                    if (!followUp || typeof session.lastAnswer !== 'number') {
+                        const parsedStep = agent.parseNaturalLanguage(text, scope);
+                        expression = parsedStep.expression.trim();
+                        display = expression;
+                    } else {
+                        previous = session.lastAnswer;
+                        previousDisplay = String(session.lastAnswer);
+                    }
+                }
+
+                if (expression === undefined) {
+                    const step = matchForm(CONTINUE_FORMS, text);
+                    if (!step) {
+                        throw new Error(`Could not understand step ${index + 1}: "${text}"`);
+                    }
+                    const operands = step.operands.map(op => resolveOperand(op, previous, scope));
+                    expression = step.form.build(String(previous), ...operands);
+                    display = step.form.build(wrap(previousDisplay), ...operands);
+                }
+            }
+
+            if (!agent.isValidExpression(expression)) {
+                throw new Error(`Could not understand step ${index + 1}: "${text}"`);
+            }
+            running = agent.evaluateExpression(expression, scope, angle);
+            combined = display;
+            intermediateResults.push({ step: text, expression, result: running });
+        });
+
+        return {
+            result: running,
+            expression: combined,
+            intermediateResults
+        };
+    },
+
+    format(payload) {
+        const steps = payload.intermediateResults || [];
+        const lines = steps.map((s, i) => chalk.gray(`   ${i + 1}. ${s.step}: ${s.expression} = ${formatNumber(s.result)}`));
+        return [chalk.green(`✅ Result: ${formatNumber(payload.result)}`), ...lines].join('\n');
+    },
+
+    explain(parsed, { result }) {
+        return [{
+            type: 'tokenize',
+            tokens: parsed.steps,
+            description: `Split into ${parsed.steps.length} step(s): ${parsed.steps.map(s => `"${s}"`).join(', ')}`
+        }, {
+            type: 'evaluate',
+            value: result,
+            description: `Applied each step to the previous result, giving ${formatNumber(result)}`
+        }];
+    }
+};
+
+function splitSteps(input) {
+    return input
+        .replace(/[?!.]+$/, '')
+        .split(SEQUENCE_SPLIT)
+        .map(step => step.replace(FILLER, '').replace(/\bthe result\b/g, 'it').trim())
+        .filter(Boolean);
+}
+
+function matchForm(forms, text) {
+    for (const form of forms) {
+        const match = text.match(form.pattern);
+        if (match) {
+            return { form, operands: match.slice(1) };
+        }
+    }
+    return null;
+}
+
+function resolveOperand(operand, previous, scope) {
+    if (REFERENCE.test(operand)) {
+        if (previous === null) {
+            throw new Error('Nothing to refer to yet: there is no previous result');
+        }
+        return String(previous);
+    }
+    if (/^-?\d/.test(operand) || Object.prototype.hasOwnProperty.call(scope, operand)) {
+        return operand;
+    }
+    throw new Error(`Unknown value "${operand}"`);
+}
+
+function wrap(display) {
+    return /^[\w.]+$/.test(display) ? display : `(${display})`;
+}
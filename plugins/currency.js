@@ -0,0 +1,152 @@
+const chalk = require('chalk');
+const { formatNumber } = require('../Precision');
+
+const AMOUNT = '(\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?)';
+const SYMBOL = '([a-z]{0,2}[$€£¥₹₽₩₪฿₺]|zł)';
+const NAME = '([a-z$€£¥₹₽₩₪฿₺ł ]+?)';
+const DATE = '(?:\\s+(?:on|at|as of|for|dated)\\s+(\\d{4}-\\d{2}-\\d{2}))?';
+const PREFIX = '(?:(?:please\\s+)?(?:convert|change|exchange)\\s+|(?:what|how much)\\s+(?:is|are)\\s+|whats\\s+)?';
+
+/**
+ * Request forms, tried in order. build() returns the amount and the
+ * currency texts (a symbol and/or a name for the source), which must all
+ * resolve to known currencies.
+ */
+const FORMS = [
+    // "convert 250 usd to eur", "$250 in euros", "100 gbp to usd on 2025-03-01"
+    {
+        pattern: new RegExp(`^${PREFIX}${SYMBOL}?\\s*${AMOUNT}\\s*${NAME}?\\s+(?:to|in|into|as)\\s+${NAME}${DATE}$`),
+        build: ([symbol, amount, name, to, date]) => ({ amount, symbol, name, to, date })
+    },
+    // "how many euros is 250 usd", "how many yen in a dollar"
+    {
+        pattern: new RegExp(`^how\\s+many\\s+${NAME}\\s+(?:is|are|in|for|per|to)\\s+(?:an?\\s+|one\\s+)?${SYMBOL}?\\s*(?:${AMOUNT}\\s*)?${NAME}?${DATE}$`),
+        build: ([to, symbol, amount, name, date]) => ({ amount: amount || '1', symbol, name, to, date })
+    }
+];
+
+/**
+ * Built-in plugin: currency conversion from the local rates file
+ * ("convert 250 usd to eur", "$250 in euros", "100 gbp to usd on 2025-03-01",
+ * "how many yen in a dollar"). Works offline; results show the date of the
+ * rates used.
+ */
+module.exports = {
+    name: 'currency',
+    // Ahead of unit conversion: "pounds" and "cup" are also units
+    priority: 81,
+    info: {
+        operations: ['currency conversion'],
+        capabilities: ['Currency conversion from a local rates file (ISO codes, names and symbols, historical rates by date)']
+    },
+
+    detect(input, { agent }) {
+        return matchRequest(input, agent.currency) !== null;
+    },
+
+    parse(input, { agent }) {
+        const request = matchRequest(input, agent.currency);
+        if (!request) {
+            throw new Error('Could not identify the currencies to convert');
+        }
+        if (request.error) {
+            throw new Error(request.error);
+        }
+        const { amount, from, to, date } = request;
+        return {
+            expression: `${amount} ${from} to ${to}`,
+            operationType: 'currency conversion',
+            amount,
+            fromCurrency: from,
+            toCurrency: to,
+            ...(date ? { date } : {})
+        };
+    },
+
+    evaluate(parsed, { agent }) {
+        const conversion = agent.currency.convert(parsed.amount, parsed.fromCurrency, parsed.toCurrency, parsed.date);
+        // Kept for explain(), which only sees the parsed request
+        parsed.conversion = conversion;
+        return {
+            result: conversion.value,
+            rate: conversion.rate,
+            asOf: conversion.date,
+            base: conversion.base
+        };
+    },
+
+    explain(parsed) {
+        const { amount, fromCurrency: from, toCurrency: to } = parsed;
+        const { rate, date, base, fromRate, toRate, value } = parsed.conversion;
+        const steps = [{
+            type: 'parse',
+            description: `Recognized currency conversion of ${amount} ${from} to ${to}${parsed.date ? ` on ${parsed.date}` : ''}`
+        }, {
+            type: 'map',
+            date,
+            description: `Using the rates of ${date} (base ${base})`
+        }];
+        if (from !== base && to !== base) {
+            steps.push({
+                type: 'evaluate',
+                value: rate,
+                description: `Cross rate through ${base}: 1 ${from} = ${formatNumber(toRate)} ÷ ${formatNumber(fromRate)} = ${formatNumber(rate)} ${to}`
+            });
+        } else {
+            steps.push({ type: 'evaluate', value: rate, description: `1 ${from} = ${formatNumber(rate)} ${to}` });
+        }
+        steps.push({
+            type: 'convert',
+            value,
+            description: `${amount} ${from} × ${formatNumber(rate)} = ${formatNumber(value)} ${to}`
+        });
+        return steps;
+    },
+
+    format(payload) {
+        if (typeof payload.result !== 'number' || !payload.toCurrency) return undefined;
+        return [
+            chalk.green(`✅ Result: ${formatMoney(payload.result)} ${payload.toCurrency}`),
+            chalk.gray(`   1 ${payload.fromCurrency} = ${formatNumber(payload.rate)} ${payload.toCurrency} (rates as of ${payload.asOf})`)
+        ].join('\n');
+    }
+};
+
+/**
+ * Amount, ISO codes and date of a conversion request, or null when the
+ * input is not one between two known currencies. A request that names a
+ * known currency but an unknown ISO code ("100 usd to xyz") or no target
+ * ("5 usd") comes back as { error }.
+ */
+function matchRequest(input, currency) {
+    const text = input.trim().replace(/[?.!]+$/, '');
+    if (!/\d|how\s+many/.test(text)) return null;
+
+    for (const form of FORMS) {
+        const match = text.match(form.pattern);
+        if (!match) continue;
+        const request = form.build(match.slice(1));
+        const from = currency.resolve(request.symbol || request.name || '');
+        const to = currency.resolve(request.to);
+        // "$250 usd": a symbol and a name must agree
+        const agrees = !(request.symbol && request.name) || currency.resolve(request.name) === from;
+        if (from && to && agrees) {
+            return { amount: parseFloat(request.amount.replace(/,/g, '')), from, to, date: request.date || null };
+        }
+        const unknown = [request.name, request.to]
+            .find(name => name && /^[a-z]{3}$/.test(name.trim()) && !currency.resolve(name));
+        if ((from || to) && unknown && agrees) {
+            return { error: `Unknown currency ${unknown.trim().toUpperCase()}` };
+        }
+    }
+
+    const bare = text.match(new RegExp(`^${PREFIX}${AMOUNT}\\s*([a-z]{3})$`));
+    if (bare && currency.resolve(bare[2])) {
+        return { error: `Convert ${bare[1]} ${bare[2].toUpperCase()} to which currency? (e.g. ${bare[1]} ${bare[2]} to eur)` };
+    }
+    return null;
+}
+
+function formatMoney(value) {
+    return Math.abs(value) >= 0.01 || value === 0 ? value.toFixed(2) : String(parseFloat(value.toPrecision(4)));
+}
@@ -0,0 +1,227 @@
+const chalk = require('chalk');
+const path = require('path');
+const Datasets = require('../Datasets');
+const { formatNumber } = require('../Precision');
+
+const NAME = '([a-z_][a-z0-9_]*)';
+const FILE = '(.+?\\.(?:csv|tsv|json|txt))';
+// Rows shown by "show sales" and filters
+const PREVIEW_ROWS = 10;
+
+/**
+ * Request forms, tried in order. `loaded` forms only apply to names of
+ * loaded datasets, so "show x^2" and "describe 1, 2, 3" go elsewhere.
+ */
+const FORMS = [
+    // "load sales.csv as sales", "import the file data/people.json"
+    {
+        pattern: new RegExp(`^(?:load|import|open)\\s+(?:the\\s+)?(?:file\\s+|dataset\\s+|data\\s+(?:from\\s+)?)?${FILE}(?:\\s+as\\s+${NAME})?$`),
+        build: ([file, name]) => ({ kind: 'load', file, name })
+    },
+    // "datasets", "list datasets", "show my datasets"
+    {
+        pattern: /^(?:(?:list|show)\s+(?:(?:the|all|my|loaded)\s+)*)?datasets$/,
+        build: () => ({ kind: 'list' })
+    },
+    // "describe sales", "columns of sales"
+    {
+        pattern: new RegExp(`^(?:describe|summarize|summarise|columns\\s+(?:of|in))\\s+(?:the\\s+)?(?:dataset\\s+)?${NAME}$`),
+        loaded: true,
+        build: ([name]) => ({ kind: 'describe', name })
+    },
+    // "show sales", "head sales", "show sales where region = west"
+    {
+        pattern: new RegExp(`^(?:show|head|preview|view)\\s+(?:the\\s+)?(?:dataset\\s+)?${NAME}(?:\\s+where\\s+(${Datasets.CONDITION}))?$`),
+        loaded: true,
+        build: ([name, where]) => ({ kind: 'rows', name, where })
+    },
+    // "filter sales where revenue > 100", "filter sales where region = west as west_sales"
+    {
+        pattern: new RegExp(`^(?:filter|select\\s+rows\\s+(?:of|from))\\s+(?:the\\s+)?(?:dataset\\s+)?${NAME}\\s+where\\s+(.+?)(?:\\s+as\\s+${NAME})?$`),
+        build: ([name, where, as]) => ({ kind: 'rows', name, where, as })
+    },
+    // "drop dataset sales", "unload sales"
+    {
+        pattern: new RegExp(`^(?:(?:drop|remove|delete|unload)\\s+(?:the\\s+)?dataset|unload)\\s+${NAME}$`),
+        build: ([name]) => ({ kind: 'drop', name })
+    }
+];
+
+/**
+ * Built-in plugin: named datasets from CSV/TSV/JSON files ("load sales.csv
+ * as sales", "datasets", "describe sales", "show sales where region = west",
+ * "filter sales where revenue > 100 as big_sales", "drop dataset sales").
+ * Columns are used anywhere as name.column ("mean of sales.revenue",
+ * "histogram sales.age", "scatter sales.price vs sales.units",
+ * "sum(sales.revenue)"); the agent replaces them with their values before
+ * the other plugins see the input. Datasets belong to the session.
+ */
+module.exports = {
+    name: 'datasets',
+    // Ahead of graphing ("show sales") and statistics ("describe sales")
+    priority: 107,
+    info: {
+        operations: ['datasets'],
+        capabilities: ['Datasets from CSV/JSON files (load sales.csv as sales, describe, filter rows; columns as sales.revenue in statistics, plots and expressions)']
+    },
+
+    detect(input, { session }) {
+        return matchRequest(input, session) !== null;
+    },
+
+    parse(input, { session, input: original }) {
+        const request = matchRequest(input, session);
+        if (!request) {
+            throw new Error('Could not read the dataset request');
+        }
+        if (request.kind === 'load') {
+            // The file name as typed: the cleaned input is lowercase
+            const typed = original.trim().match(/^(?:load|import|open)\s+(?:the\s+)?(?:file\s+|dataset\s+|data\s+(?:from\s+)?)?["']?(.+?\.(?:csv|tsv|json|txt))["']?(?:\s+as\s+\w+)?$/i);
+            const file = typed ? typed[1] : request.file;
+            const name = request.name || Datasets.identifier(path.basename(file, path.extname(file)));
+            return { operationType: 'datasets', ...request, file, name, expression: `load ${file} as ${name}` };
+        }
+        const expression = {
+            list: 'list datasets',
+            describe: `describe ${request.name}`,
+            rows: `${request.as ? 'filter' : 'show'} ${request.name}${request.where ? ` where ${request.where}` : ''}${request.as ? ` as ${request.as}` : ''}`,
+            drop: `drop dataset ${request.name}`
+        }[request.kind];
+        return { operationType: 'datasets', ...request, expression };
+    },
+
+    evaluate(parsed, { agent, session }) {
+        const datasets = agent.datasets;
+
+        if (parsed.kind === 'load') {
+            if (!session.getSetting('datasetFiles')) {
+                throw new Error('Loading local files is turned off for this session; upload the data instead');
+            }
+            const table = session.setDataset(parsed.name, { file: path.resolve(parsed.file) });
+            parsed.outcome = { table };
+            return {
+                result: `${parsed.name}: ${size(table)}`,
+                display: `Loaded ${parsed.name} (${size(table)})`,
+                breakdown: { File: path.resolve(parsed.file) },
+                table: columnTable(datasets.describe(table))
+            };
+        }
+
+        if (parsed.kind === 'list') {
+            const list = session.listDatasets();
+            return {
+                result: list.length ? list.map(dataset => dataset.name).join(', ') : 'no datasets',
+                display: list.length ? `${list.length} dataset${list.length === 1 ? '' : 's'}` : 'No datasets loaded; try "load sales.csv as sales"',
+                table: list.length ? {
+                    columns: ['Dataset', 'Rows', 'Columns', 'Source'],
+                    rows: list.map(dataset => [dataset.name, dataset.error ? '-' : dataset.rows, dataset.error ? dataset.error : dataset.columns.join(', '), dataset.source])
+                } : null
+            };
+        }
+
+        if (parsed.kind === 'drop') {
+            if (!session.deleteDataset(parsed.name)) {
+                throw new Error(`No dataset named ${parsed.name}`);
+            }
+            return { result: `dropped ${parsed.name}`, display: `Dropped dataset ${parsed.name}` };
+        }
+
+        const table = session.dataset(parsed.name);
+        if (parsed.kind === 'describe') {
+            parsed.outcome = { table };
+            return {
+                result: `${parsed.name}: ${size(table)}`,
+                display: `${parsed.name} (${size(table)})`,
+                table: columnTable(datasets.describe(table))
+            };
+        }
+
+        // Rows: all of them, or those a filter keeps (saved under a new name with "as")
+        const rows = parsed.where ? datasets.filter(table, datasets.parseCondition(parsed.where), parsed.name) : table;
+        if (parsed.as) {
+            session.setDataset(parsed.as, { from: parsed.name, where: parsed.where });
+        }
+        parsed.outcome = { table, rows };
+        const count = `${rows.rows.length} of ${table.rows.length} row${table.rows.length === 1 ? '' : 's'}`;
+        return {
+            result: rows.rows.length,
+            display: parsed.as ? `Saved ${count} of ${parsed.name} as ${parsed.as}` : `${parsed.name}: ${count}`,
+            table: { columns: rows.labels, rows: rows.rows.slice(0, PREVIEW_ROWS), total: rows.rows.length }
+        };
+    },
+
+    explain(parsed, { result }) {
+        const steps = [{ type: 'parse', expression: parsed.expression, description: `Recognized ${parsed.expression}` }];
+        const { table, rows } = parsed.outcome || {};
+        if (parsed.kind === 'load') {
+            steps.push({ type: 'evaluate', description: `Read ${size(table)} from ${parsed.file}` });
+        }
+        if (table && parsed.kind !== 'rows') {
+            steps.push({ type: 'evaluate', description: `Columns: ${table.columns.map(column => `${parsed.name}.${column}`).join(', ')}` });
+        }
+        if (rows && parsed.where) {
+            steps.push({ type: 'evaluate', value: result, description: `Kept the ${rows.rows.length} of ${table.rows.length} rows where ${parsed.where}` });
+        }
+        return steps;
+    },
+
+    format(payload) {
+        if (!payload.display) return undefined;
+        const lines = [chalk.green(`✅ Result: ${payload.display}`)];
+        for (const [label, value] of Object.entries(payload.breakdown || {})) {
+            lines.push(chalk.gray(`   ${label}: ${value}`));
+        }
+        if (payload.table) {
+            lines.push(...renderTable(payload.table).map(line => chalk.gray(`   ${line}`)));
+        }
+        return lines.join('\n');
+    }
+};
+
+/**
+ * The request a dataset command describes, or null when the input is not one
+ */
+function matchRequest(input, session) {
+    const text = input.trim().replace(/[?!]+$/, '').replace(/\s+/g, ' ');
+    for (const form of FORMS) {
+        const match = text.match(form.pattern);
+        if (!match) continue;
+        const request = form.build(match.slice(1));
+        if (form.loaded && !Object.prototype.hasOwnProperty.call(session.getDatasetSources(), request.name)) return null;
+        return request;
+    }
+    return null;
+}
+
+function size(table) {
+    return `${table.rows.length} row${table.rows.length === 1 ? '' : 's'}, ${table.columns.length} column${table.columns.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * describe() summaries as table rows
+ */
+function columnTable(summaries) {
+    return {
+        columns: ['Column', 'Type', 'Values', 'Missing', 'Summary'],
+        rows: summaries.map(column => [column.column, column.type, column.count, column.missing, column.type === 'number'
+            ? `min ${formatNumber(column.min)}, mean ${formatNumber(column.mean)}, max ${formatNumber(column.max)}`
+            : `${column.distinct} distinct${column.top !== null ? `, most common ${column.top}` : ''}`])
+    };
+}
+
+/**
+ * Table rows as aligned text; numbers line up on the right
+ */
+function renderTable(table) {
+    const cells = table.rows.map(row => row.map(value => (value === null ? '' : formatNumber(value))));
+    const widths = table.columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+    const line = (values, row) => values
+        .map((value, i) => (row && typeof row[i] === 'number' ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+        .join('  ')
+        .trimEnd();
+    const lines = [line(table.columns), ...cells.map((row, i) => line(row, table.rows[i]))];
+    if (table.total > table.rows.length) {
+        lines.push(`… (${table.total - table.rows.length} more rows)`);
+    }
+    return lines;
+}
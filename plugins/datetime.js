@@ -0,0 +1,279 @@
+const chalk = require('chalk');
+
+const COUNT_UNITS = '(business\\s+days|working\\s+days|weekdays|days|weeks|months|years|hours|minutes|seconds)';
+const CLOCK_UNITS = /\d\s*(?:h|hrs?|hours?|m|mins?|minutes?|s|secs?|seconds?)(?![a-z])/;
+const KINDS = {
+    count: 'a count between dates',
+    weekday: 'a day-of-the-week question',
+    age: 'an age calculation',
+    offset: 'a time zone offset',
+    expression: 'date and time arithmetic'
+};
+const PREFIX = /^(?:what\s+is|whats|what\s+will\s+be|calculate|compute)\s+/;
+
+/**
+ * Request forms, tried in order. build() returns the kind of request and the
+ * texts the date engine parses (dates, durations or whole expressions).
+ */
+const FORMS = [
+    // "days between 2025-01-01 and 2025-03-15", "business days from 2025-03-03 to 2025-03-17"
+    {
+        pattern: new RegExp(`^(?:how\\s+many\\s+)?${COUNT_UNITS}\\s+(?:are\\s+there\\s+)?(?:between|from)\\s+(.+?)\\s+(?:and|to|until|till)\\s+(.+)$`),
+        build: ([unit, from, to]) => ({ kind: 'count', unit, from, to })
+    },
+    // "days until 2026-12-25", "weeks since 2025-01-01"
+    {
+        pattern: new RegExp(`^(?:how\\s+many\\s+)?${COUNT_UNITS}\\s+(?:are\\s+)?(?:left\\s+)?(until|till|to|since)\\s+(.+)$`),
+        build: ([unit, direction, date]) => (direction === 'since'
+            ? { kind: 'count', unit, from: date, to: 'today' }
+            : { kind: 'count', unit, from: 'today', to: date })
+    },
+    // "what day of the week is 2026-12-25"
+    {
+        pattern: /^(?:what|which)?\s*(?:day\s+of\s+(?:the\s+)?week|weekday|day)\s+(?:is|was|will\s+be|falls\s+on|of|for)\s+(.+)$/,
+        build: ([date]) => ({ kind: 'weekday', date })
+    },
+    // "how old is someone born on 1990-05-17", "age of someone born 1990-05-17 on 2025-01-01"
+    {
+        pattern: /^(?:how\s+old\s+(?:is|am|are|was)\s+(?:someone|somebody|a\s+person|i|you)\s+|(?:the\s+)?age\s+(?:of\s+(?:someone|somebody|a\s+person)\s+|if\s+|when\s+)?)born\s+(?:on\s+)?(.+?)(?:\s+(?:on|as\s+of|at)\s+(.+))?$/,
+        build: ([birth, on]) => ({ kind: 'age', birth, on: on || 'today' })
+    },
+    // "utc offset of tokyo"
+    {
+        pattern: /^(?:the\s+)?(?:(?:utc|gmt|time\s*zone)\s+)?offset\s+(?:of|for|in)\s+(.+)$/,
+        build: ([zone]) => ({ kind: 'offset', zone })
+    },
+    // "what time is it in tokyo"
+    {
+        pattern: /^(?:what\s+)?time\s+(?:is\s+it\s+)?in\s+(.+)$/,
+        build: ([zone]) => ({ kind: 'expression', expression: `now in ${zone}` })
+    },
+    // "3 days ago", "2 hours from now"
+    {
+        pattern: /^(.+?)\s+(ago|from\s+now)$/,
+        build: ([duration, direction]) => ({
+            kind: 'expression',
+            duration,
+            // Whole days count from today, clock time from now
+            expression: `${CLOCK_UNITS.test(duration) ? 'now' : 'today'} ${direction === 'ago' ? '-' : '+'} (${duration})`
+        })
+    },
+    // "add 10 business days to 2025-03-14", "subtract 2 hours from 14:30"
+    {
+        pattern: /^(add|subtract|take)\s+(.+?)\s+(?:to|from)\s+(.+)$/,
+        build: ([verb, duration, date]) => ({
+            kind: 'expression',
+            duration,
+            expression: `(${date}) ${verb === 'add' ? '+' : '-'} (${duration})`
+        })
+    },
+    // "45 days after 2025-01-01", "2 weeks before march 15"
+    {
+        pattern: /^(.+?)\s+(after|from|before)\s+(.+)$/,
+        build: ([duration, direction, date]) => ({
+            kind: 'expression',
+            duration,
+            expression: `(${date}) ${direction === 'before' ? '-' : '+'} (${duration})`
+        })
+    },
+    // "today + 45 days", "3h 20m + 45m", "14:30 utc in tokyo"
+    {
+        pattern: /^(.+)$/,
+        build: ([expression]) => ({ kind: 'expression', expression })
+    }
+];
+
+/**
+ * Built-in plugin: date and time arithmetic ("days between 2025-01-01 and
+ * 2025-03-15", "today + 45 days", "what day of the week is 2026-12-25",
+ * "business days between ...", "3h 20m + 45m", ages and time zones).
+ * Dates and durations come back as typed results that ans carries forward.
+ */
+module.exports = {
+    name: 'date and time',
+    // Ahead of percentages and units: "3h 20m + 45m" is a duration, not meters
+    priority: 88,
+    info: {
+        operations: ['date and time'],
+        capabilities: ['Date and time arithmetic (days between dates, today + 45 days, business days, durations like 3h 20m + 45m, ages, weekdays and time zones)']
+    },
+
+    detect(input, { agent }) {
+        return matchRequest(input, agent.dates) !== null;
+    },
+
+    parse(input, { agent }) {
+        const request = matchRequest(input, agent.dates);
+        if (!request) {
+            throw new Error('Could not read the dates or durations');
+        }
+        if (request.kind === 'invalid') throw request.error;
+        const { kind, text, ...trees } = request;
+        return {
+            expression: text,
+            operationType: 'date and time',
+            kind,
+            ...trees
+        };
+    },
+
+    evaluate(parsed, { agent }) {
+        const dates = agent.dates;
+        const date = (parsedText) => {
+            const { value } = dates.evaluate(parsedText.tree);
+            if (value.kind !== 'date') throw new Error(`"${parsedText.text}" is not a date`);
+            return value;
+        };
+
+        if (parsed.kind === 'count') {
+            const unit = /^(?:working|weekdays)/.test(parsed.unit) ? 'business days' : parsed.unit.replace(/\s+/g, ' ');
+            const count = dates.between(date(parsed.from), date(parsed.to), unit);
+            parsed.outcome = { count, unit };
+            return { result: count, display: `${count} ${Math.abs(count) === 1 ? unit.replace(/s$/, '') : unit}` };
+        }
+
+        if (parsed.kind === 'weekday') {
+            const value = date(parsed.date);
+            const weekday = dates.weekday(value);
+            parsed.outcome = { value, weekday };
+            return { result: weekday, display: `${weekday} (${dates.format(value)})`, date: dates.format(value) };
+        }
+
+        if (parsed.kind === 'age') {
+            const age = dates.age(date(parsed.birth), date(parsed.on));
+            const part = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+            parsed.outcome = { age };
+            return {
+                result: age.years,
+                display: `${part(age.years, 'year')}, ${part(age.months, 'month')}, ${part(age.days, 'day')}`,
+                years: age.years,
+                months: age.months,
+                days: age.days
+            };
+        }
+
+        if (parsed.kind === 'offset') {
+            const offset = dates.formatOffset(dates.offset(parsed.zone));
+            parsed.outcome = { offset };
+            return { result: offset, display: `UTC${offset} (${parsed.zone.label})`, zone: parsed.zone.label };
+        }
+
+        const { value, trace } = dates.evaluate(parsed.tree);
+        parsed.outcome = { value, trace };
+        const target = parsed.target;
+        if (target && target.unit) {
+            if (value.kind !== 'duration') throw new Error(`Only a duration can be shown in ${target.unit}`);
+            const amount = dates.toUnit(value, target);
+            parsed.outcome.converted = `${amount} ${target.unit}`;
+            return { result: amount, display: `${amount} ${target.unit}` };
+        }
+        const shown = target && target.zone ? dates.inZone(value, target.zone) : value;
+        parsed.outcome.shown = shown;
+        return typedResult(dates, shown);
+    },
+
+    explain(parsed, { agent }) {
+        const dates = agent.dates;
+        const steps = [{
+            type: 'parse',
+            expression: parsed.expression,
+            description: `Recognized ${KINDS[parsed.kind]}: ${parsed.expression}`
+        }];
+        const outcome = parsed.outcome;
+
+        if (parsed.kind === 'count') {
+            steps.push({ type: 'evaluate', value: outcome.count, description: `${outcome.unit} from ${parsed.from.text} to ${parsed.to.text}: ${outcome.count}` });
+        } else if (parsed.kind === 'weekday') {
+            steps.push({ type: 'evaluate', value: outcome.weekday, description: `${dates.format(outcome.value)} falls on a ${outcome.weekday}` });
+        } else if (parsed.kind === 'age') {
+            const { years, months, days } = outcome.age;
+            steps.push({ type: 'evaluate', value: years, description: `From ${parsed.birth.text} to ${parsed.on.text}: ${years} years, ${months} months and ${days} days` });
+        } else if (parsed.kind === 'offset') {
+            steps.push({ type: 'evaluate', value: outcome.offset, description: `${parsed.zone.label} is UTC${outcome.offset} now` });
+        } else {
+            steps.push(...outcome.trace);
+            if (outcome.converted) {
+                steps.push({ type: 'convert', description: `${dates.format(outcome.value)} is ${outcome.converted}` });
+            } else if (parsed.target && parsed.target.zone) {
+                steps.push({ type: 'convert', description: `In ${parsed.target.zone.label}: ${dates.format(outcome.shown)}` });
+            }
+        }
+        return steps;
+    },
+
+    format(payload) {
+        if (!payload.display) return undefined;
+        return chalk.green(`✅ Result: ${payload.display}`);
+    }
+};
+
+/**
+ * Payload for a date or duration; the text form is the result so ans can
+ * carry it into the next calculation
+ */
+function typedResult(dates, value) {
+    if (value.kind === 'number') return { result: value.value };
+    if (value.kind === 'duration') {
+        const total = dates.total(value);
+        return { result: dates.format(value), resultType: 'duration', ...(total ? { total } : {}) };
+    }
+    return {
+        result: dates.format(value),
+        resultType: 'date',
+        weekday: dates.weekday(value),
+        ...(value.hasTime ? { utcOffset: dates.formatOffset(dates.offset(value.zone, value.ms)) } : {})
+    };
+}
+
+/**
+ * Kind and parsed texts of a date request, or null when the input is not one.
+ * Plain expressions need a date, or durations with an operation or side by
+ * side ("2 hours to minutes" is left to unit conversion). A request whose
+ * date does not exist ("2025-02-30 + 1 day") is kind 'invalid' with the error.
+ */
+function matchRequest(input, dates) {
+    const text = input.trim().replace(/[?.!]+$/, '').replace(PREFIX, '').replace(/\s+/g, ' ');
+    const parse = (source) => ({ text: source.trim(), ...dates.parse(source) });
+    let invalid = null;
+
+    for (const form of FORMS) {
+        const match = text.match(form.pattern);
+        if (!match) continue;
+        const request = form.build(match.slice(1));
+        try {
+            if (request.kind === 'count') {
+                const from = parse(request.from);
+                const to = parse(request.to);
+                if (!from.dates || !to.dates) continue;
+                return { kind: 'count', text, unit: request.unit, from, to };
+            }
+            if (request.kind === 'weekday' || request.kind === 'age') {
+                const fields = request.kind === 'weekday' ? ['date'] : ['birth', 'on'];
+                const parsed = Object.fromEntries(fields.map(field => [field, parse(request[field])]));
+                if (Object.values(parsed).some(p => !p.dates)) continue;
+                return { kind: request.kind, text, ...parsed };
+            }
+            if (request.kind === 'offset') {
+                const zone = dates.zone(request.zone);
+                if (!zone) continue;
+                return { kind: 'offset', text, zone };
+            }
+
+            // "3 days after ...": the duration side must be a duration only
+            if (request.duration) {
+                const duration = dates.parse(request.duration);
+                if (duration.dates || !duration.durations || duration.target) continue;
+            }
+            // "and" joins the parts of a duration: "1 hour and 30 minutes"
+            const expression = request.expression.replace(/([a-z])\s+and\s+(?=\d)/g, '$1 ');
+            const parsed = parse(expression);
+            const combined = parsed.operations > 0 || parsed.durations > 1;
+            if (parsed.ambiguous || !(parsed.dates || (parsed.durations && combined))) continue;
+            return { kind: 'expression', text, tree: parsed.tree, target: parsed.target };
+        } catch (error) {
+            if (error.invalidDate && !invalid) invalid = error;
+            continue;
+        }
+    }
+    return invalid ? { kind: 'invalid', text, error: invalid } : null;
+}
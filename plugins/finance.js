@@ -0,0 +1,484 @@
+const chalk = require('chalk');
+const Finance = require('../Finance');
+const { clean, formatNumber } = require('../Precision');
+
+const N = '(-?\\d+(?:\\.\\d+)?)';
+const FREQUENCY = '(daily|weekly|biweekly|bi-weekly|fortnightly|semimonthly|semi-monthly|monthly|quarterly|semiannual|semi-annual|semiannually|semi-annually|annual|annually|yearly)';
+const PREFIX = /^(?:(?:what|how\s+much)\s+(?:is|are|will\s+be|would\s+be)\s+|whats\s+|(?:calculate|compute|find|show|give\s+me)\s+)(?:the\s+|my\s+|an?\s+)?/;
+const PERIOD_NAMES = { 365: 'day', 52: 'week', 26: 'two weeks', 24: 'half month', 12: 'month', 4: 'quarter', 2: 'half year', 1: 'year' };
+const FREQUENCY_NAMES = { 365: 'daily', 52: 'weekly', 26: 'biweekly', 24: 'semimonthly', 12: 'monthly', 4: 'quarterly', 2: 'semiannually', 1: 'annually', Infinity: 'continuously' };
+const KINDS = {
+    payment: 'a loan payment',
+    amortization: 'an amortization schedule',
+    simple: 'simple interest',
+    compound: 'compound interest',
+    future: 'a future value',
+    present: 'a present value',
+    npv: 'a net present value',
+    irr: 'an internal rate of return',
+    roi: 'a return on investment',
+    cagr: 'a compound annual growth rate'
+};
+// Longer schedules show their first and last rows
+const TABLE_ROWS = 24;
+
+/**
+ * Request forms, tried in order. build() returns the kind of request and the
+ * text its amounts, rate and term are read from.
+ */
+const FORMS = [
+    // "amortization schedule for a 300000 loan at 6.5% for 30 years", "plot yearly amortization of ..."
+    {
+        pattern: new RegExp(`^(?:(plot|graph|chart|draw)\\s+(?:the\\s+|an?\\s+)?)?(?:(yearly|annual|monthly)\\s+)?(?:loan\\s+|mortgage\\s+)?amortization(?:\\s+(?:schedule|table))?\\s+(?:for|of|on)\\s+(.+)$`),
+        build: ([plot, grouping, terms]) => ({ kind: 'amortization', plot: Boolean(plot), yearly: Boolean(grouping) && grouping !== 'monthly', terms })
+    },
+    // "monthly payment on a 300000 loan at 6.5% for 30 years", "mortgage payment for 250000 at 6% over 25 years"
+    {
+        pattern: new RegExp(`^(?:${FREQUENCY}\\s+)?(?:loan\\s+|mortgage\\s+)?(?:payment|repayment|installment|instalment)s?\\s+(?:on|for|of)\\s+(.+)$`),
+        build: ([frequency, terms]) => ({ kind: 'payment', frequency, terms })
+    },
+    // "simple interest on 5000 at 4% for 3 years"
+    {
+        pattern: /^simple\s+interest\s+(?:on|for|of|earned\s+on)\s+(.+)$/,
+        build: ([terms]) => ({ kind: 'simple', terms })
+    },
+    // "compound interest on 10000 at 5% for 10 years compounded monthly"
+    {
+        pattern: /^compound(?:ed)?\s+interest\s+(?:on|for|of|earned\s+on)\s+(.+)$/,
+        build: ([terms]) => ({ kind: 'compound', terms })
+    },
+    // "future value of 10000 at 5% for 10 years", "future value of 200 per month at 5% for 10 years"
+    {
+        pattern: /^(?:future\s+value|fv)\s+(?:of|for)\s+(.+)$/,
+        build: ([terms]) => ({ kind: 'future', terms })
+    },
+    // "present value of 10000 in 10 years at 5%", "present value of 500 a month for 20 years at 4%"
+    {
+        pattern: /^(?:present\s+value|pv)\s+(?:of|for)\s+(.+)$/,
+        build: ([terms]) => ({ kind: 'present', terms })
+    },
+    // "npv of -1000, 300, 400, 500 at 10%", "net present value at 8% of -5000 1500 2000 2500"
+    {
+        pattern: /^(?:npv|net\s+present\s+value)\s+(?:(?:of|for)\s+)?(?:(?:the\s+)?cash\s*flows\s+)?(.+)$/,
+        build: ([terms]) => ({ kind: 'npv', terms })
+    },
+    // "irr of -1000, 300, 400, 500"
+    {
+        pattern: /^(?:irr|internal\s+rate\s+of\s+return)\s+(?:of|for|on)\s+(?:(?:the\s+)?cash\s*flows\s+)?(.+)$/,
+        build: ([terms]) => ({ kind: 'irr', terms })
+    },
+    // "roi of 1000 returning 1250", "return on investment for 5000 sold for 6500"
+    {
+        pattern: new RegExp(`^(?:roi|return\\s+on\\s+(?:an?\\s+)?investment)\\s+(?:of|on|for|from)\\s+(?:an?\\s+)?(?:investment\\s+of\\s+|cost\\s+of\\s+)?${N}\\s+(?:that\\s+|which\\s+)?(?:returns|returning|returned|grows\\s+to|grew\\s+to|growing\\s+to|becomes|became|to|worth|now\\s+worth|sold\\s+for|selling\\s+for|with\\s+a\\s+final\\s+value\\s+of)\\s+${N}$`),
+        build: ([cost, finalValue]) => ({ kind: 'roi', cost, finalValue })
+    },
+    // "cagr from 1000 to 2000 over 5 years", "compound annual growth rate of 50 to 80 in 3 years"
+    {
+        pattern: /^(?:cagr|compound\s+annual\s+growth(?:\s+rate)?)\s+(?:(?:of|from|for)\s+)?(.+)$/,
+        build: ([terms]) => ({ kind: 'cagr', terms })
+    }
+];
+
+/**
+ * Built-in plugin: financial math in natural language ("monthly payment on a
+ * 300000 loan at 6.5% for 30 years", "amortization schedule for ...",
+ * "compound interest on 10000 at 5% for 10 years compounded monthly",
+ * "npv of -1000, 300, 400, 500 at 10%", "irr of ...", "cagr from 1000 to
+ * 2000 over 5 years"). The same calculations are expression functions
+ * (pmt, fv, pv, npv, irr, roi, cagr) registered by the agent.
+ */
+module.exports = {
+    name: 'finance',
+    // Ahead of graphing ("plot amortization ...") and percentages ("at 6.5%")
+    priority: 103,
+    info: {
+        operations: ['finance'],
+        capabilities: ['Financial math (loan payments, amortization schedules, simple/compound interest, future/present value, NPV, IRR, ROI, CAGR; pmt(), fv(), pv(), npv(), irr(), roi(), cagr() in expressions)']
+    },
+
+    detect(input) {
+        return matchRequest(input) !== null;
+    },
+
+    parse(input) {
+        const request = matchRequest(input);
+        if (!request) {
+            throw new Error('Could not read the amounts, rate and term');
+        }
+        return {
+            operationType: 'finance',
+            ...request,
+            expression: describe(request)
+        };
+    },
+
+    async evaluate(parsed, { agent }) {
+        const finance = agent.finance;
+        const rate = parsed.rate / 100;
+
+        if (parsed.kind === 'payment' || parsed.kind === 'amortization') {
+            const { principal, perYear } = parsed;
+            const periods = parsed.years * perYear;
+            const payment = clean(-finance.payment(rate / perYear, periods, principal));
+            const totalPaid = payment * periods;
+            parsed.outcome = { payment, periods };
+            const evaluated = {
+                result: payment,
+                display: `${money(payment)} per ${PERIOD_NAMES[perYear] || 'period'}`,
+                breakdown: {
+                    Payments: `${formatNumber(periods)} over ${formatNumber(parsed.years)} year${parsed.years === 1 ? '' : 's'}`,
+                    'Total paid': money(totalPaid),
+                    'Total interest': money(totalPaid - principal)
+                },
+                totalPaid,
+                totalInterest: totalPaid - principal
+            };
+            if (parsed.kind === 'payment') return evaluated;
+
+            const schedule = finance.amortize(principal, rate / perYear, periods);
+            const rows = parsed.yearly ? finance.yearly(schedule, perYear) : schedule;
+            const columns = [parsed.yearly ? 'Year' : 'Payment #', 'Payment', 'Interest', 'Principal', 'Balance'];
+            evaluated.table = { columns, rows: rows.map(row => [row.period, row.payment, row.interest, row.principal, row.balance]) };
+            if (parsed.plot) {
+                evaluated.plot = await plotSchedule(agent, rows, parsed);
+            }
+            return evaluated;
+        }
+
+        if (parsed.kind === 'simple') {
+            const interest = clean(finance.simpleInterest(parsed.principal, rate, parsed.years));
+            parsed.outcome = { interest };
+            return {
+                result: interest,
+                display: money(interest),
+                breakdown: { 'Final amount': money(parsed.principal + interest) }
+            };
+        }
+
+        if (parsed.kind === 'compound') {
+            const { amount, interest } = finance.compound(parsed.principal, rate, parsed.years, parsed.perYear);
+            parsed.outcome = { amount, interest };
+            return {
+                result: clean(interest),
+                display: money(interest),
+                breakdown: { 'Final amount': money(amount) },
+                amount
+            };
+        }
+
+        if (parsed.kind === 'future' || parsed.kind === 'present') {
+            const { principal, deposit, perYear, years } = parsed;
+            const future = parsed.kind === 'future';
+            const periods = years * perYear;
+            // The lump sum grows (or is discounted) by compounding, deposits are an annuity
+            const growth = finance.compound(1, rate, years, perYear).amount;
+            const annuity = !deposit ? 0 : future
+                ? finance.futureValue(rate / perYear, periods, -deposit)
+                : finance.presentValue(rate / perYear, periods, -deposit);
+            const value = (future ? principal * growth : principal / growth) + annuity;
+            parsed.outcome = { value, periods };
+            // Money put in (future value) or received (present value) without interest
+            const nominal = principal + (deposit ? deposit * periods : 0);
+            const breakdown = parsed.kind === 'future'
+                ? { 'Total deposited': money(nominal), 'Interest earned': money(value - nominal) }
+                : { 'Total received': money(nominal), Discount: money(nominal - value) };
+            return { result: clean(value), display: money(value), breakdown };
+        }
+
+        if (parsed.kind === 'npv') {
+            const value = finance.npv(rate, parsed.cashFlows);
+            parsed.outcome = { value };
+            return { result: clean(value), display: money(value) };
+        }
+
+        // Rates of return are percentages, like the percentage plugin's results
+        const ratio = parsed.kind === 'irr'
+            ? finance.irr(parsed.cashFlows)
+            : parsed.kind === 'roi'
+                ? finance.roi(parsed.cost, parsed.finalValue)
+                : finance.cagr(parsed.start, parsed.end, parsed.years);
+        parsed.outcome = { ratio };
+        const percent = clean(ratio * 100);
+        return { result: percent, display: `${formatNumber(percent)}%`, percent: true };
+    },
+
+    explain(parsed) {
+        const outcome = parsed.outcome;
+        const steps = [{
+            type: 'parse',
+            expression: parsed.expression,
+            description: `Recognized ${KINDS[parsed.kind]}: ${parsed.expression}`
+        }];
+        const rate = parsed.rate / 100;
+
+        if (parsed.kind === 'payment' || parsed.kind === 'amortization') {
+            const r = rate / parsed.perYear;
+            steps.push({
+                type: 'evaluate',
+                value: r,
+                description: `Rate per payment: ${formatNumber(parsed.rate)}% ÷ ${parsed.perYear} = ${formatNumber(r)}; ${formatNumber(outcome.periods)} payments`
+            }, {
+                type: 'evaluate',
+                value: outcome.payment,
+                description: `Payment = P·r ÷ (1 − (1 + r)^−n) = ${formatNumber(parsed.principal)} × ${formatNumber(r)} ÷ (1 − ${formatNumber(1 + r)}^−${formatNumber(outcome.periods)}) = ${money(outcome.payment)}`
+            });
+            if (parsed.kind === 'amortization') {
+                steps.push({
+                    type: 'evaluate',
+                    description: 'Each payment pays the interest on the balance (balance × r) and repays the rest of the principal'
+                });
+            }
+        } else if (parsed.kind === 'simple') {
+            steps.push({
+                type: 'evaluate',
+                value: outcome.interest,
+                description: `Interest = P × r × t = ${formatNumber(parsed.principal)} × ${formatNumber(rate)} × ${formatNumber(parsed.years)} = ${money(outcome.interest)}`
+            });
+        } else if (parsed.kind === 'compound') {
+            const growth = parsed.perYear === Infinity
+                ? `e^(${formatNumber(rate)} × ${formatNumber(parsed.years)})`
+                : `(1 + ${formatNumber(rate)}/${parsed.perYear})^(${parsed.perYear} × ${formatNumber(parsed.years)})`;
+            steps.push({
+                type: 'evaluate',
+                value: outcome.amount,
+                description: `Amount = ${formatNumber(parsed.principal)} × ${growth} = ${money(outcome.amount)}`
+            }, {
+                type: 'evaluate',
+                value: outcome.interest,
+                description: `Interest = ${money(outcome.amount)} − ${formatNumber(parsed.principal)} = ${money(outcome.interest)}`
+            });
+        } else if (parsed.kind === 'future' || parsed.kind === 'present') {
+            const r = rate / parsed.perYear;
+            const growth = parsed.perYear === Infinity
+                ? `e^(${formatNumber(rate)} × ${formatNumber(parsed.years)})`
+                : `${formatNumber(1 + r)}^${formatNumber(outcome.periods)}`;
+            const parts = [];
+            if (parsed.principal) {
+                parts.push(`${formatNumber(parsed.principal)} ${parsed.kind === 'future' ? '×' : '÷'} ${growth}`);
+            }
+            if (parsed.deposit) {
+                parts.push(parsed.kind === 'future'
+                    ? `${formatNumber(parsed.deposit)} × (${formatNumber(1 + r)}^${formatNumber(outcome.periods)} − 1) ÷ ${formatNumber(r)}`
+                    : `${formatNumber(parsed.deposit)} × (1 − ${formatNumber(1 + r)}^−${formatNumber(outcome.periods)}) ÷ ${formatNumber(r)}`);
+            }
+            steps.push({
+                type: 'evaluate',
+                value: outcome.value,
+                description: `${parsed.kind === 'future' ? 'Future' : 'Present'} value = ${parts.join(' + ')} = ${money(outcome.value)}`
+            });
+        } else if (parsed.kind === 'npv') {
+            const terms = parsed.cashFlows.map((flow, i) => (i === 0 ? formatNumber(flow) : `${formatNumber(flow)}/${formatNumber(1 + rate)}^${i}`));
+            steps.push({ type: 'evaluate', value: outcome.value, description: `NPV = ${terms.join(' + ')} = ${money(outcome.value)}` });
+        } else if (parsed.kind === 'irr') {
+            steps.push({ type: 'evaluate', value: outcome.ratio, description: `The NPV of the cash flows is zero at a rate of ${formatNumber(outcome.ratio * 100)}% (found numerically)` });
+        } else if (parsed.kind === 'roi') {
+            steps.push({ type: 'evaluate', value: outcome.ratio, description: `ROI = (${formatNumber(parsed.finalValue)} − ${formatNumber(parsed.cost)}) ÷ ${formatNumber(parsed.cost)} = ${formatNumber(outcome.ratio * 100)}%` });
+        } else if (parsed.kind === 'cagr') {
+            steps.push({ type: 'evaluate', value: outcome.ratio, description: `CAGR = (${formatNumber(parsed.end)} ÷ ${formatNumber(parsed.start)})^(1/${formatNumber(parsed.years)}) − 1 = ${formatNumber(outcome.ratio * 100)}%` });
+        }
+        return steps;
+    },
+
+    format(payload) {
+        if (!payload.display) return undefined;
+        const lines = [chalk.green(`✅ Result: ${payload.display}`)];
+        for (const [label, value] of Object.entries(payload.breakdown || {})) {
+            lines.push(chalk.gray(`   ${label}: ${value}`));
+        }
+        if (payload.table) {
+            lines.push(...renderTable(payload.table).map(line => chalk.gray(`   ${line}`)));
+        }
+        if (payload.plot) {
+            lines.push(chalk.green(`📊 Plot generated: ${payload.plot.filepath}`));
+        }
+        return lines.join('\n');
+    }
+};
+
+/**
+ * Kind and numbers of a finance request, or null when the input is not one
+ * or lacks what its kind needs
+ */
+function matchRequest(input) {
+    const text = input.trim().replace(/[?!.]+$/, '').replace(PREFIX, '')
+        .replace(/(\d)\s*(?:percent|per cent|pct)\b/g, '$1%')
+        .replace(/[$€£¥₹]/g, '')
+        .replace(/\s+/g, ' ');
+
+    for (const form of FORMS) {
+        const match = text.match(form.pattern);
+        if (!match) continue;
+        const { terms: source, ...request } = form.build(match.slice(1));
+        if (request.kind === 'roi') {
+            return { kind: 'roi', cost: parseFloat(request.cost), finalValue: parseFloat(request.finalValue) };
+        }
+        try {
+            const terms = readTerms(source, request.kind);
+            const built = buildRequest(request, terms);
+            if (built) return built;
+        } catch (error) {
+            continue;
+        }
+    }
+    return null;
+}
+
+/**
+ * The request's numbers from its terms, or null when some are missing
+ */
+function buildRequest(request, terms) {
+    const { kind } = request;
+    const { amounts, rate, years } = terms;
+
+    if (kind === 'payment' || kind === 'amortization') {
+        if (amounts.length !== 1 || rate === undefined || !years) return null;
+        const { frequency, ...rest } = request;
+        const perYear = frequency ? Finance.periodsPerYear(frequency.replace('-', '')) : terms.paymentsPerYear || 12;
+        return { ...rest, principal: amounts[0], rate, years, perYear };
+    }
+    if (kind === 'simple' || kind === 'compound') {
+        if (amounts.length !== 1 || rate === undefined || !years) return null;
+        return { kind, principal: amounts[0], rate, years, perYear: kind === 'compound' ? terms.compounding || 1 : 1 };
+    }
+    if (kind === 'future' || kind === 'present') {
+        const deposit = terms.deposit ? terms.deposit.amount : 0;
+        if (amounts.length > 1 || (!amounts.length && !deposit) || rate === undefined || !years) return null;
+        // Deposits set the compounding period
+        const perYear = terms.deposit ? terms.deposit.perYear : terms.compounding || 1;
+        if (perYear === Infinity && deposit) return null;
+        return { kind, principal: amounts[0] || 0, deposit, rate, years, perYear };
+    }
+    if (kind === 'npv') {
+        if (amounts.length < 2 || rate === undefined) return null;
+        return { kind, rate, cashFlows: amounts };
+    }
+    if (kind === 'irr') {
+        if (amounts.length < 2 || rate !== undefined) return null;
+        return { kind, cashFlows: amounts };
+    }
+    if (kind === 'cagr') {
+        if (amounts.length !== 2 || !years) return null;
+        return { kind, start: amounts[0], end: amounts[1], years };
+    }
+    return null;
+}
+
+/**
+ * Rate, term, compounding, deposits and the remaining amounts of a request.
+ * Each part is removed from the text once read; cash flow lists keep their
+ * commas as separators.
+ */
+function readTerms(source, kind) {
+    const list = kind === 'npv' || kind === 'irr';
+    let rest = ` ${list ? source : source.replace(/(\d),(?=\d{3}(?!\d))/g, '$1')} `
+        .replace(/(\d+(?:\.\d+)?)k\b/g, (match, amount) => String(parseFloat(amount) * 1000));
+    const terms = {};
+    const take = (pattern, read) => {
+        const match = rest.match(pattern);
+        if (!match) return;
+        read(match.slice(1));
+        rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+    };
+
+    take(new RegExp(`\\s(?:at|with|of|@)?\\s*(?:an?\\s+)?(?:(?:annual\\s+)?(?:interest\\s+)?rate\\s+of\\s+)?${N}%(?:\\s+(?:apr|annual\\s+interest|interest(?:\\s+rate)?|rate|(?:a|per)\\s+(?:year|annum)|p\\.?a\\.?))?(?=\\s)`), ([rate]) => {
+        terms.rate = parseFloat(rate);
+    });
+    take(/\s(?:compounded|compounding)\s+(continuously|[a-z-]+)(?=\s)/, ([frequency]) => {
+        terms.compounding = Finance.periodsPerYear(frequency);
+    });
+    take(new RegExp(`\\s(?:plus\\s+|with\\s+|and\\s+|depositing\\s+|paying\\s+|receiving\\s+)?${N}\\s+(?:(?:per|a|an|each|every)\\s+(day|week|fortnight|month|quarter|year)|${FREQUENCY})(?:\\s+(?:deposits?|contributions?|payments?))?(?=\\s)`), ([amount, period, frequency]) => {
+        terms.deposit = { amount: parseFloat(amount), perYear: Finance.periodsPerYear(period || frequency.replace('-', '')) };
+    });
+    take(new RegExp(`\\s(?:with\\s+|in\\s+|paid\\s+|making\\s+)?${FREQUENCY}\\s+(?:payments?|installments?|instalments?|repayments?)(?=\\s)|\\spaid\\s+${FREQUENCY}(?=\\s)`), ([frequency, paid]) => {
+        terms.paymentsPerYear = Finance.periodsPerYear((frequency || paid).replace('-', ''));
+    });
+    take(new RegExp(`\\s(?:for|over|in|during|after|across|within)?\\s*(?:a\\s+)?${N}[\\s-]*(years?|yrs?|months?|mos?|weeks?|days?)(?:\\s+(?:loan|mortgage|term|period))?(?=\\s)`), ([count, unit]) => {
+        const perYear = { y: 1, m: 12, w: 52, d: 365 }[unit[0]];
+        terms.years = parseFloat(count) / perYear;
+    });
+    terms.amounts = (rest.match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+    return terms;
+}
+
+/**
+ * Short description of a parsed request for the payload and explanations
+ */
+function describe(request) {
+    const rate = request.rate !== undefined ? ` at ${formatNumber(request.rate)}%` : '';
+    const years = request.years !== undefined ? ` for ${formatNumber(request.years)} years` : '';
+    const compounded = `, compounded ${FREQUENCY_NAMES[request.perYear]}`;
+    switch (request.kind) {
+        case 'payment':
+        case 'amortization':
+            return `${formatNumber(request.principal)}${rate}${years}, ${FREQUENCY_NAMES[request.perYear]} payments`;
+        case 'simple':
+            return `${formatNumber(request.principal)}${rate}${years}`;
+        case 'compound':
+            return `${formatNumber(request.principal)}${rate}${years}${compounded}`;
+        case 'future':
+        case 'present': {
+            const parts = [];
+            if (request.principal) parts.push(formatNumber(request.principal));
+            if (request.deposit) parts.push(`${formatNumber(request.deposit)} per ${PERIOD_NAMES[request.perYear]}`);
+            return `${parts.join(' plus ')}${rate}${years}${request.deposit ? '' : compounded}`;
+        }
+        case 'npv':
+            return `${request.cashFlows.map(formatNumber).join(', ')}${rate}`;
+        case 'irr':
+            return request.cashFlows.map(formatNumber).join(', ');
+        case 'roi':
+            return `cost ${formatNumber(request.cost)}, final value ${formatNumber(request.finalValue)}`;
+        default:
+            return `${formatNumber(request.start)} to ${formatNumber(request.end)}${years}`;
+    }
+}
+
+/**
+ * Balance, cumulative interest and cumulative principal over the schedule,
+ * drawn with the graphing plugin's line charts
+ */
+async function plotSchedule(agent, rows, parsed) {
+    let interest = 0;
+    let principal = 0;
+    const paidInterest = [];
+    const paidPrincipal = [];
+    rows.forEach(row => {
+        interest += row.interest;
+        principal += row.principal;
+        paidInterest.push(Math.round(interest * 100) / 100);
+        paidPrincipal.push(Math.round(principal * 100) / 100);
+    });
+    return agent.generateLinePlot(rows.map(row => row.period), [
+        { name: 'Balance', y: rows.map(row => row.balance), color: 'blue' },
+        { name: 'Interest paid', y: paidInterest, color: 'red' },
+        { name: 'Principal repaid', y: paidPrincipal, color: 'green' }
+    ], {
+        title: `Amortization of ${parsed.expression}`,
+        labels: rows.map(row => String(row.period)),
+        xTitle: parsed.yearly ? 'Year' : 'Payment',
+        yTitle: 'Amount',
+        filePrefix: 'amortization'
+    });
+}
+
+/**
+ * Table rows as aligned text; long tables keep their first and last rows
+ */
+function renderTable(table) {
+    const half = TABLE_ROWS / 2;
+    const rows = table.rows.length > TABLE_ROWS
+        ? [...table.rows.slice(0, half), null, ...table.rows.slice(-half)]
+        : table.rows;
+    const cells = rows.map(row => row && row.map((value, i) => (i === 0 ? String(value) : value.toFixed(2))));
+    const widths = table.columns.map((column, i) => Math.max(column.length, ...cells.filter(Boolean).map(row => row[i].length)));
+    const line = (values) => values.map((value, i) => value.padStart(widths[i])).join('  ');
+    return [
+        line(table.columns),
+        ...cells.map(row => row || `${'…'.padStart(widths[0])}  (${table.rows.length - TABLE_ROWS} more rows)`)
+            .map(row => (Array.isArray(row) ? line(row) : row))
+    ];
+}
+
+function money(value) {
+    return value.toFixed(2);
+}
@@ -0,0 +1,331 @@
+const chalk = require('chalk');
+const { clean } = require('../Precision');
+
+const N = '(-?\\d+(?:\\.\\d+)?)';
+const POINT = `\\(\\s*${N}\\s*,\\s*${N}\\s*\\)`;
+
+const COORDINATE_REQUESTS = [
+    { type: 'distance', pattern: new RegExp(`distance\\s+(?:between|from)\\s+${POINT}\\s+(?:and|to)\\s+${POINT}`) },
+    { type: 'midpoint', pattern: new RegExp(`midpoint\\s+(?:of|between)\\s+${POINT}\\s+and\\s+${POINT}`) },
+    { type: 'slope', pattern: new RegExp(`slope\\s+(?:of\\s+(?:the\\s+)?line\\s+)?(?:through|between|of|joining)\\s+${POINT}\\s+and\\s+${POINT}`) },
+    { type: 'line', pattern: new RegExp(`line\\s+(?:through|between|joining)\\s+${POINT}\\s+and\\s+${POINT}`) }
+];
+
+// Single-valued dimensions and the parameter they set
+const PARAM_WORDS = {
+    'radius': 'radius', 'diameter': 'diameter', 'side length': 'side', 'side': 'side', 'edge': 'edge',
+    'length': 'length', 'width': 'width', 'height': 'height', 'depth': 'depth', 'base': 'base', 'top': 'top'
+};
+// Dimensions given as a list ("sides 3, 4 and 5")
+const LIST_WORDS = { 'sides': 'sides', 'bases': 'bases', 'axes': 'axes', 'semi axes': 'axes', 'dimensions': 'sides' };
+
+/**
+ * Built-in plugin: geometry. Areas/perimeters of shapes and volumes/surface
+ * areas of solids ("area of a circle with radius 5 cm"), triangle solving
+ * ("solve triangle with sides 5 and 7 and included angle 60"), coordinate
+ * geometry ("line through (1, 2) and (3, 6)") and expression functions
+ * (circle_area(5), triangle_sss(3, 4, 5), midpoint(1, 2, 3, 4)).
+ * Lengths may carry units from the length table; results are given in the
+ * matching area/volume unit, or converted with "in acres", "in liters".
+ */
+module.exports = {
+    name: 'geometry',
+    // Ahead of graphing, which would otherwise claim "line through ..."
+    priority: 101,
+    info: {
+        operations: ['geometry'],
+        capabilities: ['Geometry (areas, perimeters, volumes, surface areas, triangle solving, distance/midpoint/slope/line)']
+    },
+
+    detect(input, { agent }) {
+        return functionPattern(agent).test(input)
+            || measurePattern(agent).test(input)
+            || isTriangleRequest(input)
+            || COORDINATE_REQUESTS.some(request => request.pattern.test(input));
+    },
+
+    parse(input, { agent, input: original }) {
+        if (functionPattern(agent).test(input)) {
+            return { expression: input, operationType: 'geometry', form: 'function' };
+        }
+
+        const measure = input.match(measurePattern(agent));
+        if (measure) {
+            const [, quantityWord, leading, shape, rest] = measure;
+            return {
+                expression: input,
+                operationType: 'geometry',
+                form: 'measure',
+                shape,
+                quantity: agent.geometry.quantities[quantityWord],
+                text: `${leading || ''} ${rest}`.trim()
+            };
+        }
+
+        for (const request of COORDINATE_REQUESTS) {
+            const match = input.match(request.pattern);
+            if (match) {
+                const [x1, y1, x2, y2] = match.slice(1).map(parseFloat);
+                return {
+                    expression: input,
+                    operationType: 'geometry',
+                    form: request.type,
+                    points: [[x1, y1], [x2, y2]]
+                };
+            }
+        }
+
+        if (isTriangleRequest(input)) {
+            return { expression: input, operationType: 'geometry', form: 'triangle', known: parseTriangle(input, original) };
+        }
+        throw new Error('Could not understand the geometry request');
+    },
+
+    evaluate(parsed, { agent, scope, angle }) {
+        const geometry = agent.geometry;
+
+        if (parsed.form === 'function') {
+            return { result: agent.evaluateExpression(parsed.expression, { ...geometry.functions(), ...scope }, angle) };
+        }
+
+        if (parsed.form === 'measure') {
+            const { params, unit, target } = parseDimensions(parsed.text, agent);
+            const value = geometry.measure(parsed.shape, parsed.quantity, params);
+            const converted = convertResult(agent, value, unit, geometry.dimension(parsed.quantity), target);
+            return {
+                result: converted.value,
+                ...(converted.unit ? { unit: converted.unit } : {}),
+                shape: parsed.shape,
+                quantity: parsed.quantity
+            };
+        }
+
+        if (parsed.form === 'triangle') {
+            const solved = geometry.solveTriangle(parsed.known);
+            return {
+                result: solved.solutions.length === 1 ? solved.solutions[0] : solved.solutions,
+                triangleCase: solved.case,
+                solutions: solved.solutions
+            };
+        }
+
+        const [p, q] = parsed.points;
+        if (parsed.form === 'distance') return { result: clean(geometry.distance(p, q)) };
+        if (parsed.form === 'midpoint') return { result: geometry.midpoint(p, q).map(v => clean(v)) };
+        if (parsed.form === 'slope') {
+            const slope = geometry.slope(p, q);
+            return { result: slope === Infinity ? 'undefined (vertical line)' : clean(slope) };
+        }
+        const line = geometry.line(p, q);
+        return { result: line.equation, slope: line.slope, intercept: line.intercept };
+    },
+
+    format(payload) {
+        if (payload.triangleCase) {
+            const lines = [chalk.green(`✅ Solved triangle (${payload.triangleCase})`)];
+            payload.solutions.forEach((t, i) => {
+                const label = payload.solutions.length > 1 ? `${i + 1}. ` : '';
+                lines.push(chalk.green(`   ${label}a = ${t.a}, b = ${t.b}, c = ${t.c}; A = ${t.A}°, B = ${t.B}°, C = ${t.C}°`));
+                lines.push(chalk.gray(`   ${' '.repeat(label.length)}area = ${t.area}, perimeter = ${t.perimeter}`));
+            });
+            return lines.join('\n');
+        }
+        if (Array.isArray(payload.result)) {
+            return chalk.green(`✅ Result: (${payload.result.join(', ')})`);
+        }
+        if (payload.result && typeof payload.result === 'object') {
+            const text = Object.entries(payload.result).map(([key, value]) => `${key} = ${value}`).join(', ');
+            return chalk.green(`✅ Result: ${text}`);
+        }
+        if (payload.unit && typeof payload.result === 'number') {
+            return chalk.green(`✅ Result: ${payload.result.toFixed(6).replace(/\.?0+$/, '')} ${payload.unit}`);
+        }
+        return undefined;
+    },
+
+    explain(parsed, { result }) {
+        if (parsed.form === 'function') {
+            return [{ type: 'evaluate', value: result, description: `Evaluated ${parsed.expression} with the geometry functions` }];
+        }
+        if (parsed.form === 'measure') {
+            return [{
+                type: 'parse',
+                shape: parsed.shape,
+                quantity: parsed.quantity,
+                description: `Recognized the ${parsed.quantity} of a ${parsed.shape} (${parsed.text})`
+            }, {
+                type: 'evaluate',
+                value: result,
+                description: `Applied the ${parsed.shape} ${parsed.quantity} formula`
+            }];
+        }
+        if (parsed.form === 'triangle') {
+            const known = Object.entries(parsed.known).map(([key, value]) => `${key} = ${value}`).join(', ');
+            return [{
+                type: 'parse',
+                description: `Known values: ${known} (sides a, b, c; angles A, B, C in degrees)`
+            }, {
+                type: 'evaluate',
+                value: result,
+                description: 'Solved with the law of cosines and the law of sines'
+            }];
+        }
+        return [{
+            type: 'evaluate',
+            value: result,
+            description: `Computed the ${parsed.form} for (${parsed.points[0].join(', ')}) and (${parsed.points[1].join(', ')})`
+        }];
+    }
+};
+
+function functionPattern(agent) {
+    return new RegExp(`\\b(?:${Object.keys(agent.geometry.functions()).join('|')})\\s*\\(`);
+}
+
+/**
+ * "<quantity> of a [5 by 3] <shape> <rest>"
+ */
+function measurePattern(agent) {
+    const shapes = Object.keys(agent.geometry.shapeAliases).sort((a, b) => b.length - a.length).join('|');
+    const quantities = Object.keys(agent.geometry.quantities).sort((a, b) => b.length - a.length).join('|');
+    return new RegExp(`\\b(${quantities})\\s+of\\s+(?:an?\\s+|the\\s+)?(?:regular\\s+)?([\\d.]+(?:\\s*[a-z]*\\s*(?:by|x)\\s*[\\d.]+\\s*[a-z]*)+\\s+)?(${shapes})s?\\b(.*)$`);
+}
+
+function isTriangleRequest(input) {
+    return /\bsolve\s+(?:the\s+|a\s+)?triangle\b/.test(input)
+        || /^(?:the\s+|a\s+)?triangle\s+with\b/.test(input);
+}
+
+/**
+ * Known sides/angles from "a = 3, b = 4, angle c = 60", "A = 30, B = 60, c = 10",
+ * "sides 3, 4 and 5", "sides 5 and 7 and included angle 60" or "angles 30
+ * and 60 and side 10". `original` is the request as typed: input is
+ * lowercase, so the angles A, B, C are told from the sides by their case there.
+ */
+function parseTriangle(input, original = input) {
+    const known = {};
+    const assignments = [...input.matchAll(new RegExp(`\\b(?:(side|angle)\\s+)?([abc])\\s*=\\s*${N}`, 'g'))];
+    if (assignments.length > 0) {
+        const typed = [...original.matchAll(/\b([abc])\s*=/gi)].map(match => match[1]);
+        assignments.forEach(([, kind, letter, value], i) => {
+            const capital = typed.length === assignments.length && typed[i] === letter.toUpperCase();
+            const isAngle = kind === 'angle' || (kind !== 'side' && capital);
+            known[isAngle ? letter.toUpperCase() : letter] = parseFloat(value);
+        });
+        return known;
+    }
+
+    const list = (text) => (text.match(/-?\d+(?:\.\d+)?/g) || []).map(parseFloat);
+    const sides = input.match(new RegExp(`\\bsides\\s+(${N}(?:\\s*(?:,|and)\\s*${N})*)`));
+    const angles = input.match(new RegExp(`\\bangles\\s+(${N}(?:\\s*(?:,|and)\\s*${N})*)`));
+    const angle = input.match(new RegExp(`\\b(?:included\\s+)?angle\\s+(?:of\\s+)?${N}`));
+    const side = input.match(new RegExp(`\\b(?:included\\s+)?side\\s+(?:of\\s+)?${N}`));
+
+    const sideValues = sides ? list(sides[1]) : side ? [parseFloat(side[1])] : [];
+    const angleValues = angles ? list(angles[1]) : angle ? [parseFloat(angle[1])] : [];
+
+    if (sideValues.length === 3) return { a: sideValues[0], b: sideValues[1], c: sideValues[2] };
+    if (sideValues.length === 2 && angleValues.length === 1) {
+        // Two sides and the angle between them
+        return { b: sideValues[0], c: sideValues[1], A: angleValues[0] };
+    }
+    if (sideValues.length === 1 && angleValues.length === 2) {
+        // Two angles and the side between them
+        return { B: angleValues[0], C: angleValues[1], a: sideValues[0] };
+    }
+    throw new Error('Give the triangle as a = 3, b = 4, angle c = 60, or as sides/angles');
+}
+
+/**
+ * Dimensions from the rest of the request. Every length is converted to the
+ * first unit mentioned; "in <unit>" at the end asks for the result in that unit.
+ */
+function parseDimensions(text, agent) {
+    const unitNames = agent.units.unitNames('length').sort((a, b) => b.length - a.length).map(escape).join('|');
+    const VALUE = `${N}\\s*(${unitNames})?\\b`;
+
+    let body = text;
+    let target = null;
+    const targetMatch = body.match(/\s+(?:in|to)\s+((?:square|sq|cubic|cu)\s+)?([a-z]+(?:\s+ounces?)?)(\^?[23])?$/);
+    if (targetMatch && !/^\d/.test(targetMatch[2])) {
+        target = { prefix: (targetMatch[1] || '').trim(), unit: targetMatch[2], power: targetMatch[3] ? parseInt(targetMatch[3].replace('^', ''), 10) : null };
+        body = body.slice(0, targetMatch.index);
+    }
+
+    let unit = null;
+    const toCommon = (value, valueUnit) => {
+        if (!valueUnit) return value;
+        if (!unit) unit = valueUnit;
+        return agent.units.convert(value, valueUnit, unit).value;
+    };
+
+    const params = {};
+    let match;
+
+    const listPattern = new RegExp(`\\b(${Object.keys(LIST_WORDS).join('|')})\\s*(?:of|=|are|:)?\\s*(${VALUE}(?:\\s*(?:,|and|by|x)\\s*${VALUE})*)`, 'g');
+    while ((match = listPattern.exec(body)) !== null) {
+        params[LIST_WORDS[match[1]]] = readValues(match[2], VALUE, toCommon);
+    }
+
+    const polygon = body.match(new RegExp(`${N}\\s+sides\\s+of\\s+(?:length\\s+)?${VALUE}`));
+    if (polygon) {
+        params.count = parseFloat(polygon[1]);
+        params.side = toCommon(parseFloat(polygon[2]), polygon[3]);
+        delete params.sides;
+    }
+
+    const words = Object.keys(PARAM_WORDS).sort((a, b) => b.length - a.length).join('|');
+    const paramPattern = new RegExp(`\\b(${words})\\s*(?:of|=|is|:)?\\s*${VALUE}`, 'g');
+    while ((match = paramPattern.exec(body)) !== null) {
+        const key = PARAM_WORDS[match[1]];
+        if (params[key] === undefined) params[key] = toCommon(parseFloat(match[2]), match[3]);
+    }
+
+    // "a 5 by 3 rectangle", "box 2 x 3 x 4"
+    const dims = body.match(new RegExp(`${VALUE}(?:\\s*(?:by|x)\\s*${VALUE})+`));
+    if (dims && !params.sides) {
+        params.sides = readValues(dims[0], VALUE, toCommon);
+    }
+
+    if (Object.keys(params).length === 0) {
+        throw new Error('Could not find the dimensions (e.g. "radius 5", "length 4 and width 3")');
+    }
+    return { params, unit, target };
+}
+
+function readValues(text, VALUE, toCommon) {
+    return [...text.matchAll(new RegExp(VALUE, 'g'))].map(m => toCommon(parseFloat(m[1]), m[2]));
+}
+
+/**
+ * Attach the unit (cm -> cm², cm³) and apply an "in <unit>" target through
+ * the unit system
+ */
+function convertResult(agent, value, unit, power, target) {
+    const suffix = { 1: '', 2: '²', 3: '³' }[power];
+    const short = unit ? agent.units.parse(unit).symbol : null;
+
+    if (!target) {
+        return { value: clean(value), unit: short ? `${short}${suffix}` : null };
+    }
+    if (!unit) {
+        throw new Error(`Give the dimensions with units to convert the result to ${target.unit}`);
+    }
+
+    const targetPower = target.power || ({ square: 2, sq: 2, cubic: 3, cu: 3 }[target.prefix] ?? power);
+    try {
+        const length = agent.units.parse(target.unit);
+        // Lengths take the power of the result ("in cm" after an area means cm²)
+        if (agent.units.category(length) === 'length') {
+            const converted = agent.units.convert(value, `${unit}^${power}`, `${target.unit}^${targetPower}`);
+            return { value: clean(converted.value), unit: `${length.symbol}${suffix}` };
+        }
+        return { value: clean(agent.units.convert(value, `${unit}^${power}`, target.unit).value), unit: target.unit };
+    } catch (error) {
+        throw new Error(`Cannot express a ${['', 'length', 'area', 'volume'][power]} in ${target.unit}`);
+    }
+}
+
+function escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,107 @@
+const chalk = require('chalk');
+const { formatNumber } = require('../Precision');
+
+/**
+ * Built-in plugin: function plots, scatter plots and histograms (HTML output).
+ * Scatter plots may overlay a fitted curve ("scatter 1 2 2 4 3 7 with a quadratic fit").
+ * Parametric, polar and implicit curves ("plot x = cos(t), y = sin(2t)",
+ * "plot r = 1 + cos(theta)", "plot x^2 + y^2 = 25") are drawn with equal axes.
+ * Functions of x and y ("plot z = sin(x) * cos(y)", "heatmap of x*y",
+ * "plot z = x^2 - y^2 as a surface") become contour maps, heatmaps or
+ * rotatable 3D surfaces in pages that work offline.
+ * Several functions share one chart ("plot sin(x), cos(x) and x/2"), and any
+ * plot takes styling clauses ("titled "Waves", log y axis, dark theme") or
+ * the plot options of calculate(), which win over the clauses.
+ */
+module.exports = {
+    name: 'graphing',
+    priority: 100,
+    info: {
+        operations: ['graphing', 'plotting', 'visualization'],
+        capabilities: ['Graphing and visualization (function plots, parametric, polar and implicit curves, contour maps, heatmaps and 3D surfaces of f(x, y), scatter plots, histograms)']
+    },
+
+    detect(input, { agent, isNaturalLanguage }) {
+        return isNaturalLanguage && agent.containsGraphKeywords(input);
+    },
+
+    parse(input, { agent, input: original }) {
+        return agent.parseGraphingRequest(input, original);
+    },
+
+    async evaluate(parsed, { agent, scope, plotStyle }) {
+        const style = { ...parsed.style, ...plotStyle };
+        parsed.style = style;
+        if (parsed.graphType === 'function') {
+            return {
+                result: await agent.generateFunctionPlot(parsed.functions, parsed.from, parsed.to, scope, { derivative: parsed.withDerivative, style }),
+                graphType: parsed.graphType,
+                from: parsed.from,
+                to: parsed.to
+            };
+        }
+        if (parsed.graphType === 'parametric' || parsed.graphType === 'polar' || parsed.graphType === 'implicit') {
+            return {
+                result: await agent.generateCurvePlot(parsed, scope, { style }),
+                graphType: parsed.graphType,
+                from: parsed.from,
+                to: parsed.to
+            };
+        }
+        if (parsed.graphType === 'surface') {
+            return {
+                result: await agent.generateSurfacePlot(parsed, scope, { style }),
+                graphType: parsed.view,
+                from: parsed.from,
+                to: parsed.to
+            };
+        }
+        if (parsed.graphType === 'scatter') {
+            return {
+                result: await agent.generateScatterPlot(parsed.x, parsed.y, parsed.fit, { style }),
+                graphType: parsed.graphType,
+                points: parsed.x.length
+            };
+        }
+        if (parsed.graphType === 'histogram') {
+            return {
+                result: await agent.generateHistogram(parsed.data, { style }),
+                graphType: parsed.graphType,
+                dataPoints: parsed.data.length
+            };
+        }
+        throw new Error('Unsupported graph type');
+    },
+
+    explain(parsed, { agent, result }) {
+        const details = parsed.from !== undefined
+            ? `${parsed.expression} ${parsed.variable ? `for ${parsed.variable} ` : ''}from ${formatNumber(parsed.from)} to ${formatNumber(parsed.to)}`
+            : parsed.expression;
+        const kind = parsed.view || parsed.graphType;
+        const styling = agent.plotStyle.describe(parsed.style);
+        return [{
+            type: 'parse',
+            graphType: parsed.graphType,
+            description: `Recognized ${kind === 'implicit' ? 'an' : 'a'} ${kind} plot: ${details}`
+        }, ...(styling ? [{
+            type: 'parse',
+            description: `Styling: ${styling}`
+        }] : []), ...(parsed.graphType === 'surface' ? [{
+            type: 'evaluate',
+            description: `Sampled a ${result.resolution}×${result.resolution} grid for y from ${formatNumber(result.yFrom)} to ${formatNumber(result.yTo)}: z from ${formatNumber(result.zMin)} to ${formatNumber(result.zMax)}`
+        }] : []), {
+            type: 'evaluate',
+            description: `Wrote ${result.filepath}${result.dataFile ? ` and ${result.dataFile}` : ''}`
+        }];
+    },
+
+    format(payload) {
+        if (!payload.result || !payload.result.filepath) return undefined;
+        const series = payload.result.series ? `\n   Functions: ${payload.result.expression}` : '';
+        const derivative = payload.result.derivative ? `\n   Derivative: ${payload.result.derivative}` : '';
+        const fit = payload.result.equation ? `\n   Fit: ${payload.result.equation} (R² = ${payload.result.r2.toFixed(4)})` : '';
+        const range = payload.result.zMin !== undefined ? `\n   Values: z from ${formatNumber(payload.result.zMin)} to ${formatNumber(payload.result.zMax)}` : '';
+        const data = payload.result.dataFile ? `\n   Data: ${payload.result.dataFile}` : '';
+        return chalk.green(`📊 Plot generated successfully!\n   File: ${payload.result.filepath}\n   Type: ${payload.graphType}${series}${derivative}${fit}${range}${data}\n   Open in browser to view the plot`);
+    }
+};
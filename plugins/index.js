@@ -0,0 +1,22 @@
+/**
+ * Plugins registered on every CalculatorAgent
+ */
+module.exports = [
+    require('./datasets'),
+    require('./probability'),
+    require('./algebra'),
+    require('./regression'),
+    require('./finance'),
+    require('./programmer'),
+    require('./calculus'),
+    require('./geometry'),
+    require('./graphing'),
+    require('./chain'),
+    require('./datetime'),
+    require('./percentage'),
+    require('./unit-arithmetic'),
+    require('./currency'),
+    require('./unit-conversion'),
+    require('./statistics'),
+    require('./trigonometry')
+];
@@ -0,0 +1,209 @@
+const chalk = require('chalk');
+const { formatNumber } = require('../Precision');
+
+const N = '(-?\\d+(?:\\.\\d+)?)';
+const P = `${N}\\s*%`;
+const UP = '(?:increase|markup|mark up|raise|rise|gain)';
+const DOWN = '(?:decrease|discount|reduction|drop|cut|markdown|mark down|off)';
+
+const re = (source) => new RegExp(source);
+
+/**
+ * Percentage forms, tried in order. build() receives the captured numbers
+ * and returns the mathjs expression plus whether the result is itself a
+ * percentage (shown with a % suffix).
+ */
+const FORMS = [
+    {
+        label: 'percentage of a total',
+        pattern: re(`what\\s+%\\s+(?:is|of)\\s+${N}\\s+(?:of|out of|from)\\s+${N}`),
+        build: (a, b) => ({ expression: `${a} / ${b} * 100`, percent: true })
+    },
+    {
+        label: 'percentage of a total',
+        pattern: re(`${N}\\s+(?:is|of)\\s+what\\s+%\\s+of\\s+${N}`),
+        build: (a, b) => ({ expression: `${a} / ${b} * 100`, percent: true })
+    },
+    {
+        label: 'percentage of a total',
+        pattern: re(`${N}\\s+(?:out of|of)\\s+${N}\\s+(?:as an?|in)\\s+%`),
+        build: (a, b) => ({ expression: `${a} / ${b} * 100`, percent: true })
+    },
+    {
+        label: 'percentage of a total',
+        pattern: re(`${N}\\s+(?:as an?|in)\\s+%\\s+of\\s+${N}`),
+        build: (a, b) => ({ expression: `${a} / ${b} * 100`, percent: true })
+    },
+    {
+        label: 'percentage change',
+        pattern: re(`%\\s+(?:change|increase|decrease|difference|growth)\\s+from\\s+${N}\\s+to\\s+${N}`),
+        build: (a, b) => ({ expression: `(${b} - ${a}) / ${a} * 100`, percent: true })
+    },
+    {
+        label: 'percentage change',
+        pattern: re(`(?:change|increase|decrease|growth)\\s+from\\s+${N}\\s+to\\s+${N}\\s+(?:as an?|in)\\s+%`),
+        build: (a, b) => ({ expression: `(${b} - ${a}) / ${a} * 100`, percent: true })
+    },
+    {
+        label: 'reverse percentage',
+        pattern: re(`${N}\\s+is\\s+${P}\\s+of\\s+what`),
+        build: (a, p) => ({ expression: `${a} / (${p} / 100)` })
+    },
+    {
+        label: 'reverse percentage (value before the increase)',
+        pattern: re(`${N}\\s+after\\s+(?:an?\\s+)?${P}\\s+${UP}`),
+        build: (a, p) => ({ expression: `${a} / (1 + ${p} / 100)` })
+    },
+    {
+        label: 'reverse percentage (value before the decrease)',
+        pattern: re(`${N}\\s+after\\s+(?:an?\\s+)?${P}\\s+${DOWN}`),
+        build: (a, p) => ({ expression: `${a} / (1 - ${p} / 100)` })
+    },
+    {
+        label: 'tip',
+        pattern: re(`tip\\s+(?:of\\s+)?${P}\\s+(?:on|for)\\s+${N}(?:\\s+split\\s+(?:between\\s+|among\\s+|by\\s+)?${N}(?:\\s+(?:ways|people))?)?`),
+        build: (p, bill, people) => {
+            const tip = `${bill} * ${p} / 100`;
+            if (!people) {
+                return { expression: tip, breakdown: { tip: `${tip}`, total: `${bill} + ${tip}` } };
+            }
+            return {
+                expression: `(${bill} + ${tip}) / ${people}`,
+                breakdown: { tip: `${tip}`, total: `${bill} + ${tip}`, perPerson: `(${bill} + ${tip}) / ${people}` }
+            };
+        }
+    },
+    {
+        label: 'percentage increase',
+        pattern: re(`(?:increase|raise|grow|mark up|markup)\\s+${N}\\s+by\\s+${P}`),
+        build: (a, p) => ({ expression: `${a} * (1 + ${p} / 100)` })
+    },
+    {
+        label: 'percentage decrease',
+        pattern: re(`(?:decrease|reduce|lower|discount|cut|mark down|markdown)\\s+${N}\\s+by\\s+${P}`),
+        build: (a, p) => ({ expression: `${a} * (1 - ${p} / 100)` })
+    },
+    {
+        label: 'markup',
+        pattern: re(`${P}\\s+(?:markup|increase|raise)\\s+(?:on|of)\\s+${N}`),
+        build: (p, b) => ({ expression: `${b} * (1 + ${p} / 100)` })
+    },
+    {
+        label: 'discount',
+        pattern: re(`${P}\\s+(?:off|discount on|discount off|reduction on|discount of)\\s+${N}`),
+        build: (p, b) => ({ expression: `${b} * (1 - ${p} / 100)` })
+    },
+    {
+        label: 'discount',
+        pattern: re(`${N}\\s+(?:with|after|less|minus)\\s+(?:an?\\s+)?${P}\\s+(?:discount|off)`),
+        build: (a, p) => ({ expression: `${a} * (1 - ${p} / 100)` })
+    },
+    {
+        label: 'price from margin',
+        pattern: re(`${N}\\s+(?:with|at)\\s+(?:an?\\s+)?${P}\\s+margin`),
+        build: (a, p) => ({ expression: `${a} / (1 - ${p} / 100)` })
+    },
+    {
+        label: 'percentage increase',
+        pattern: re(`${N}\\s*(?:plus|\\+|with|and)\\s*${P}`),
+        build: (a, p) => ({ expression: `${a} * (1 + ${p} / 100)` })
+    },
+    {
+        label: 'percentage decrease',
+        pattern: re(`${N}\\s*(?:minus|-|less)\\s*${P}`),
+        build: (a, p) => ({ expression: `${a} * (1 - ${p} / 100)` })
+    },
+    {
+        label: 'percentage of a value',
+        pattern: re(`${P}\\s+of\\s+${N}`),
+        build: (p, b) => ({ expression: `${p} / 100 * ${b}` })
+    },
+    {
+        label: 'percentage as a decimal',
+        pattern: re(`^${P}$`),
+        build: (p) => ({ expression: `${p} / 100` })
+    }
+];
+
+/**
+ * Built-in plugin: percentage arithmetic ("15% of 200", "increase 80 by
+ * 12.5%", "what percent is 30 of 120", "percentage change from 40 to 50",
+ * "tip 18% on 64.50 split 3 ways"). Also gives "80 + 12.5%" the usual
+ * calculator meaning (80 increased by 12.5%) in the expression path.
+ */
+module.exports = {
+    name: 'percentage',
+    priority: 85,
+    info: {
+        operations: ['percentage'],
+        capabilities: ['Percentages (15% of 200, increase 80 by 12.5%, what percent is 30 of 120, percentage change, tips, discounts)']
+    },
+
+    detect(input, { isNaturalLanguage }) {
+        const text = normalize(input);
+        if (!text.includes('%')) return false;
+        if (isNaturalLanguage) return true;
+        // In expressions only claim the additive forms mathjs would read as "80 + 0.125"
+        return new RegExp(`^${N}\\s*[+-]\\s*${P}$`).test(text);
+    },
+
+    parse(input) {
+        const text = normalize(input);
+        for (const form of FORMS) {
+            const match = text.match(form.pattern);
+            if (match) {
+                const built = form.build(...match.slice(1));
+                return {
+                    expression: built.expression,
+                    operationType: 'percentage',
+                    form: form.label,
+                    percent: Boolean(built.percent),
+                    breakdownExpressions: built.breakdown
+                };
+            }
+        }
+        throw new Error('Could not understand the percentage request');
+    },
+
+    evaluate(parsed, { agent, scope, angle }) {
+        const evaluated = {
+            result: agent.evaluateExpression(parsed.expression, scope, angle),
+            percent: parsed.percent
+        };
+        if (parsed.breakdownExpressions) {
+            evaluated.breakdown = {};
+            for (const [key, expression] of Object.entries(parsed.breakdownExpressions)) {
+                evaluated.breakdown[key] = agent.evaluateExpression(expression, scope, angle);
+            }
+        }
+        return evaluated;
+    },
+
+    format(payload) {
+        const value = formatNumber(payload.result);
+        const lines = [chalk.green(`✅ Result: ${value}${payload.percent ? '%' : ''}`)];
+        for (const [key, amount] of Object.entries(payload.breakdown || {})) {
+            lines.push(chalk.gray(`   ${key}: ${formatNumber(amount)}`));
+        }
+        return lines.join('\n');
+    },
+
+    explain(parsed, { agent, scope, angle }) {
+        return [{
+            type: 'map',
+            form: parsed.form,
+            expression: parsed.expression,
+            description: `Recognized ${parsed.form}: ${parsed.expression}`
+        }, ...agent.explainer.explainExpression(parsed.expression, scope, angle)];
+    }
+};
+
+function normalize(input) {
+    return input
+        .replace(/\bpercentage\b/g, '%')
+        .replace(/(\d)\s*(?:percent|per cent|pct)\b/g, '$1%')
+        .replace(/\b(?:percent|per cent|pct)\b/g, '%')
+        .replace(/(\d)\s+%/g, '$1%')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
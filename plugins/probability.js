@@ -0,0 +1,420 @@
+const chalk = require('chalk');
+const Probability = require('../Probability');
+const { formatNumber } = require('../Precision');
+
+const N = '(-?\\d+(?:\\.\\d+)?)';
+const DIST = '(standard\\s+normal|normal|gaussian|students?\\s+t|t|chi[\\s-]?squared?|chi2|exponential|binomial|poisson)';
+const COMPARE = '(exactly|at\\s+least|at\\s+most|more\\s+than|fewer\\s+than|less\\s+than|no\\s+more\\s+than|no\\s+fewer\\s+than|no\\s+less\\s+than|over|under)';
+const PREFIX = /^(?:(?:what|how\s+likely)\s+(?:is|are)\s+|whats\s+|(?:calculate|compute|find|give\s+me|get)\s+)(?:the\s+)?/;
+const WAYS = '(?:how\\s+many\\s+(?:ways|combinations|permutations|arrangements)\\s+(?:are\\s+there\\s+)?(?:to|can\\s+(?:you|i|we|one))\\s+)?';
+// "cards from a deck of 52", "people out of 10"
+const FROM = `(?:[a-z]+\\s+)?(?:from|out\\s+of|of|among)\\s+(?:an?\\s+|the\\s+)?(?:(?:deck|set|group|pool|team|class)\\s+of\\s+)?${N}(?:\\s+[a-z]+)?`;
+const DIE_FACES = ['ones', 'twos', 'threes', 'fours', 'fives', 'sixes'];
+const FUNCTION_PREFIX = { normal: 'normal', t: 't', chisquared: 'chi2', exponential: 'exponential', binomial: 'binomial', poisson: 'poisson' };
+const PARAM_SYMBOLS = { mean: 'μ', sd: 'σ', df: 'df', rate: 'λ', n: 'n', p: 'p', lambda: 'λ' };
+const KINDS = { pdf: 'density', pmf: 'probability', cdf: 'cumulative probability', inverse: 'inverse CDF' };
+
+/**
+ * Request forms, tried in order. build() returns the request; `rest` is the
+ * text the distribution's parameters are read from.
+ */
+const FORMS = [
+    // "factorial of 5", "5 factorial"
+    {
+        pattern: new RegExp(`^(?:factorial\\s+(?:of\\s+)?${N}|${N}\\s+factorial)$`),
+        build: ([a, b]) => ({ kind: 'factorial', n: parseFloat(a ?? b) })
+    },
+    // "how many ways to choose 5 cards from 52", "choose 3 out of 10"
+    {
+        pattern: new RegExp(`^${WAYS}(?:choose|pick|select|draw)\\s+${N}\\s+${FROM}$`),
+        build: ([k, n]) => ({ kind: 'combinations', n: parseFloat(n), k: parseFloat(k) })
+    },
+    // "52 choose 5", "combinations of 52 taken 5 at a time", "combinations of 5 from 52"
+    {
+        pattern: new RegExp(`^(?:${N}\\s+choose\\s+${N}|(?:the\\s+)?(?:number\\s+of\\s+)?combinations\\s+of\\s+${N}\\s+(?:[a-z]+\\s+)?(?:taken|choose)\\s+${N}(?:\\s+at\\s+a\\s+time)?)$`),
+        build: ([n1, k1, n2, k2]) => ({ kind: 'combinations', n: parseFloat(n1 ?? n2), k: parseFloat(k1 ?? k2) })
+    },
+    {
+        pattern: new RegExp(`^(?:the\\s+)?(?:number\\s+of\\s+)?combinations\\s+of\\s+${N}\\s+${FROM}$`),
+        build: ([k, n]) => ({ kind: 'combinations', n: parseFloat(n), k: parseFloat(k) })
+    },
+    // "how many ways to arrange 3 of 10 books", "10 permute 3", "permutations of 3 from 10"
+    {
+        pattern: new RegExp(`^${WAYS}(?:arrange|order|permute|line\\s+up|seat|rank)\\s+${N}\\s+${FROM}$`),
+        build: ([k, n]) => ({ kind: 'permutations', n: parseFloat(n), k: parseFloat(k) })
+    },
+    {
+        pattern: new RegExp(`^(?:${N}\\s+permute\\s+${N}|(?:the\\s+)?(?:number\\s+of\\s+)?permutations\\s+of\\s+${N}\\s+(?:[a-z]+\\s+)?(?:taken|permute)\\s+${N}(?:\\s+at\\s+a\\s+time)?)$`),
+        build: ([n1, k1, n2, k2]) => ({ kind: 'permutations', n: parseFloat(n1 ?? n2), k: parseFloat(k1 ?? k2) })
+    },
+    {
+        pattern: new RegExp(`^(?:the\\s+)?(?:number\\s+of\\s+)?permutations\\s+of\\s+${N}\\s+${FROM}$`),
+        build: ([k, n]) => ({ kind: 'permutations', n: parseFloat(n), k: parseFloat(k) })
+    },
+    // "how many ways to arrange 5 books", "permutations of 4 letters"
+    {
+        pattern: new RegExp(`^(?:how\\s+many\\s+ways\\s+(?:are\\s+there\\s+)?(?:to|can\\s+(?:you|i|we|one))\\s+(?:arrange|order|permute|line\\s+up|seat|rank)|(?:the\\s+)?(?:number\\s+of\\s+)?permutations\\s+of)\\s+${N}(?:\\s+[a-z]+)?$`),
+        build: ([n]) => ({ kind: 'permutations', n: parseFloat(n), k: parseFloat(n) })
+    },
+    // "probability of at least 3 heads in 10 flips", "chance of exactly 2 sixes in 5 rolls",
+    // "probability of 4 or more successes in 12 trials with p = 0.3"
+    {
+        pattern: new RegExp(`^(?:the\\s+)?(?:probability|chance|odds|likelihood)\\s+(?:of\\s+|that\\s+)?(?:getting\\s+|rolling\\s+|flipping\\s+|tossing\\s+|seeing\\s+|having\\s+)?(?:${COMPARE}\\s+)?${N}\\s+(?:or\\s+(more|fewer|less)\\s+)?([a-z]+)\\s+(?:in|out\\s+of|from|with|on)\\s+${N}\\s+([a-z]+(?:\\s+[a-z]+)?)((?:\\s+.*)?)$`),
+        build: ([compare, count, orMore, outcome, trials, trialWord, rest]) => ({
+            kind: 'trials', compare, count: parseFloat(count), orMore, outcome, trials: parseFloat(trials), trialWord, rest
+        })
+    },
+    // "P(Z < 1.96)", "p(-1 < z < 1)", "P(X >= 110) with mean 100 and sd 15", "P(X = 3) for binomial n = 10 p = 0.5"
+    {
+        pattern: new RegExp(`^(?:probability\\s+|p\\s*)\\(\\s*(?:${N}\\s*(<=?)\\s*)?([a-z])\\s*(<=?|>=?|==?)\\s*${N}\\s*\\)((?:\\s+.*)?)$`),
+        build: ([low, lowOp, variable, op, value, rest]) => ({ kind: 'event', low, lowOp, variable, op, value: parseFloat(value), rest })
+    },
+    // "normal cdf of 1.96", "binomial pmf of 3 with n = 10 and p = 0.5", "t quantile of 0.975 with 10 df"
+    {
+        pattern: new RegExp(`^(?:the\\s+)?${DIST}\\s+(?:distribution\\s+)?(pdf|pmf|density|probability|cdf|cumulative(?:\\s+probability)?|quantile|inverse(?:\\s+cdf)?|critical\\s+value|percentile)\\s+(?:of\\s+|at\\s+|for\\s+)?${N}((?:\\s+.*)?)$`),
+        build: ([distribution, fn, value, rest]) => ({ kind: 'function', distribution, fn, value: parseFloat(value), rest })
+    },
+    // "inverse normal of 0.975", "quantile of the chi-squared distribution at 0.95 with 2 df"
+    {
+        pattern: new RegExp(`^(?:the\\s+)?(?:inverse(?:\\s+cdf)?(?:\\s+of)?|quantile\\s+of)\\s+(?:the\\s+)?${DIST}(?:\\s+(?:cdf|distribution))?\\s+(?:of\\s+|at\\s+|for\\s+)?${N}((?:\\s+.*)?)$`),
+        build: ([distribution, value, rest]) => ({ kind: 'function', distribution, fn: 'inverse', value: parseFloat(value), rest })
+    },
+    // "plot the normal distribution with mean 100 and sd 15", "graph binomial pmf with n = 20 and p = 0.3"
+    {
+        pattern: new RegExp(`^(?:plot|graph|draw|chart|show|visualize)\\s+(?:the\\s+|an?\\s+)?${DIST}(?:\\s+(?:distribution|density|pdf|pmf|curve|probabilities))*((?:\\s+.*)?)$`),
+        build: ([distribution, rest]) => ({ kind: 'plot', distribution, rest })
+    }
+];
+
+/**
+ * Built-in plugin: probability and counting ("how many ways to choose 5 from
+ * 52", "probability of at least 3 heads in 10 flips", "P(Z < 1.96)",
+ * "P(X > 110) with mean 100 and sd 15", "binomial pmf of 3 with n = 10 and
+ * p = 0.5", "inverse normal of 0.975", "plot the poisson distribution with
+ * mean 4"). Density plots go through the graphing plugin's function plot.
+ * The distributions are also expression functions (normal_cdf, t_inv,
+ * binomial_pdf, ...) registered by the agent.
+ */
+module.exports = {
+    name: 'probability',
+    // Ahead of algebra ("P(X = 3)" is not an equation) and graphing ("plot the normal distribution")
+    priority: 106,
+    info: {
+        operations: ['probability', 'combinatorics'],
+        capabilities: ['Probability (normal, t, chi-squared, exponential, binomial and Poisson PDF/CDF/inverse CDF, P(Z < 1.96), coin and dice trials, factorials, permutations, combinations, distribution plots; normal_cdf(), binomial_pdf(), t_inv(), ... in expressions)']
+    },
+
+    detect(input) {
+        try {
+            return matchRequest(input) !== null;
+        } catch (error) {
+            // A probability request with something missing; parse() reports it
+            return true;
+        }
+    },
+
+    parse(input, { agent }) {
+        const request = matchRequest(input);
+        if (!request) {
+            throw new Error('Could not read the probability request');
+        }
+        if (request.params) {
+            // Defaults filled in (the standard normal) and checked
+            request.params = agent.probability.params(request.distribution, request.params);
+        }
+        return { operationType: request.kind === 'count' ? 'combinatorics' : 'probability', ...request, expression: describe(request) };
+    },
+
+    async evaluate(parsed, { agent, scope }) {
+        const probability = agent.probability;
+        const { distribution, params } = parsed;
+
+        if (parsed.kind === 'count') {
+            const value = parsed.counting === 'factorial'
+                ? probability.factorial(parsed.n)
+                : probability[parsed.counting](parsed.n, parsed.k);
+            return { result: value };
+        }
+
+        if (parsed.kind === 'plot') {
+            const discrete = Probability.isDiscrete(distribution);
+            const [from, to] = parsed.from !== undefined ? [parsed.from, parsed.to] : probability.range(distribution, params);
+            const args = Probability.paramNames(distribution).map(key => params[key]);
+            const expression = `${FUNCTION_PREFIX[distribution]}_pdf(${['x', ...args].join(', ')})`;
+            // Discrete distributions only have mass at whole numbers
+            const plot = await agent.generateFunctionPlot(expression, from, to, scope, discrete ? { points: Math.max(1, Math.round(to - from)) } : {});
+            return { result: plot, graphType: 'function', from, to };
+        }
+
+        let value;
+        if (parsed.kind === 'event') {
+            value = probability.between(distribution, params, parsed.lower, parsed.upper);
+        } else if (parsed.fn === 'inverse') {
+            value = probability.inverse(distribution, parsed.value, params);
+        } else {
+            value = probability[parsed.fn](distribution, parsed.value, params);
+        }
+        const percent = parsed.kind === 'event' || parsed.fn === 'cdf' || (parsed.fn === 'pdf' && Probability.isDiscrete(distribution));
+        return {
+            result: value,
+            display: percent ? `${formatNumber(value)} (${formatNumber(value * 100)}%)` : formatNumber(value),
+            breakdown: { Distribution: distributionName(probability, distribution, params) }
+        };
+    },
+
+    explain(parsed, { agent, result }) {
+        const probability = agent.probability;
+        const steps = [{ type: 'parse', expression: parsed.expression, description: `Recognized ${parsed.expression}` }];
+        const { n, k, distribution, params } = parsed;
+
+        if (parsed.kind === 'count') {
+            const formula = {
+                factorial: `${n}! = ${n <= 12 ? Array.from({ length: Math.max(n, 1) }, (_, i) => Math.max(n, 1) - i).join(' × ') : `1 × 2 × … × ${n}`}`,
+                permutations: `P(${n}, ${k}) = ${n}! ÷ (${n} − ${k})!`,
+                combinations: `C(${n}, ${k}) = ${n}! ÷ (${k}! × (${n} − ${k})!)`
+            }[parsed.counting];
+            steps.push({ type: 'evaluate', value: result, description: `${formula} = ${formatNumber(result)}` });
+            return steps;
+        }
+        if (parsed.kind === 'plot') {
+            steps.push({ type: 'evaluate', description: `Plotted the ${Probability.isDiscrete(distribution) ? 'probability mass' : 'density'} from ${formatNumber(parsed.from ?? result.from)} to ${formatNumber(parsed.to ?? result.to)}: ${result.filepath}` });
+            return steps;
+        }
+
+        const cdf = (x) => probability.cdf(distribution, x, params);
+        if (distribution === 'normal' && (params.mean !== 0 || params.sd !== 1)) {
+            const values = parsed.kind === 'event' ? [parsed.lower, parsed.upper].filter(Boolean).map(bound => bound.value) : [parsed.value];
+            if (parsed.fn !== 'inverse') {
+                values.forEach(x => steps.push({
+                    type: 'evaluate',
+                    value: (x - params.mean) / params.sd,
+                    description: `z = (${formatNumber(x)} − ${formatNumber(params.mean)}) ÷ ${formatNumber(params.sd)} = ${formatNumber((x - params.mean) / params.sd)}`
+                }));
+            }
+        }
+
+        if (parsed.kind === 'event') {
+            const { lower, upper } = parsed;
+            const discrete = Probability.isDiscrete(distribution);
+            // Discrete bounds move to the nearest whole number inside the event
+            const atMost = (bound, inclusive) => (discrete ? (inclusive ? Math.floor(bound.value) : Math.ceil(bound.value) - 1) : bound.value);
+            const symbol = discrete ? '≤' : '<';
+            let text;
+            if (lower && upper && lower.value === upper.value && discrete) {
+                text = `${eventText(parsed)} = ${formatNumber(result)}`;
+            } else if (lower && upper) {
+                const top = atMost(upper, upper.inclusive);
+                const bottom = atMost(lower, !lower.inclusive);
+                text = `${eventText(parsed)} = P(X ${symbol} ${formatNumber(top)}) − P(X ${symbol} ${formatNumber(bottom)}) = ${formatNumber(cdf(top))} − ${formatNumber(cdf(bottom))} = ${formatNumber(result)}`;
+            } else if (upper) {
+                const top = atMost(upper, upper.inclusive);
+                text = `${eventText(parsed)} = ${discrete && top !== upper.value ? `P(X ≤ ${formatNumber(top)}) = ` : ''}${formatNumber(result)}`;
+            } else {
+                const bottom = atMost(lower, !lower.inclusive);
+                // Far tails are computed directly; 1 − P(X < x) would show 1 − 1
+                const below = cdf(bottom) < 1 ? ` = 1 − ${formatNumber(cdf(bottom))}` : '';
+                text = `${eventText(parsed)} = 1 − P(X ${symbol} ${formatNumber(bottom)})${below} = ${formatNumber(result)}`;
+            }
+            steps.push({ type: 'evaluate', value: result, description: text });
+        } else if (parsed.fn === 'inverse') {
+            steps.push({ type: 'evaluate', value: result, description: `Solved P(X ≤ x) = ${formatNumber(parsed.value)} numerically: x = ${formatNumber(result)}` });
+        } else {
+            const name = parsed.fn === 'cdf' ? `P(X ≤ ${formatNumber(parsed.value)})` : Probability.isDiscrete(distribution) ? `P(X = ${formatNumber(parsed.value)})` : `f(${formatNumber(parsed.value)})`;
+            steps.push({ type: 'evaluate', value: result, description: `${name} = ${formatNumber(result)}` });
+        }
+        return steps;
+    },
+
+    format(payload) {
+        if (payload.graphType && payload.result && payload.result.filepath) {
+            return chalk.green(`📊 Plot generated successfully!\n   File: ${payload.result.filepath}\n   Type: ${payload.expression}\n   Open in browser to view the plot`);
+        }
+        if (!payload.display) return undefined;
+        const lines = [chalk.green(`✅ Result: ${payload.display}`)];
+        for (const [label, value] of Object.entries(payload.breakdown || {})) {
+            lines.push(chalk.gray(`   ${label}: ${value}`));
+        }
+        return lines.join('\n');
+    }
+};
+
+/**
+ * The request a probability or counting input describes, or null when the
+ * input is not one. Throws when it is one but a parameter is missing.
+ */
+function matchRequest(input) {
+    const text = input.trim().replace(/[?!.]+$/, '').replace(PREFIX, '').replace(/\s+/g, ' ');
+
+    for (const form of FORMS) {
+        const match = text.match(form.pattern);
+        if (!match) continue;
+        const request = form.build(match.slice(1));
+        if (['factorial', 'permutations', 'combinations'].includes(request.kind)) {
+            return { kind: 'count', counting: request.kind, n: request.n, k: request.k };
+        }
+        if (request.kind === 'trials') return trialsRequest(request);
+        if (request.kind === 'event') return eventRequest(request);
+        return distributionRequest(request);
+    }
+    return null;
+}
+
+/**
+ * "at least 3 heads in 10 flips": a binomial event
+ */
+function trialsRequest({ compare, count, orMore, outcome, trials, trialWord, rest }) {
+    const given = readParams(rest, 'binomial');
+    let p = given.p;
+    if (p === undefined && /^(?:heads?|tails?)$/.test(outcome)) p = 0.5;
+    if (p === undefined && DIE_FACES.includes(outcome) && /\b(?:rolls?|throws?|dice|die)\b/.test(trialWord)) p = 1 / 6;
+    if (p === undefined && /\b(?:flips?|tosses|coin)/.test(trialWord)) p = 0.5;
+    if (p === undefined) {
+        throw new Error(`What is the probability of one ${outcome.replace(/(?:es|s)$/, '')}? (e.g. ... in ${trials} ${trialWord} with p = 0.3)`);
+    }
+    const direction = orMore ? (orMore === 'more' ? 'at least' : 'at most') : (compare || 'exactly').replace(/\s+/g, ' ');
+    const bounds = {
+        exactly: { lower: { value: count, inclusive: true }, upper: { value: count, inclusive: true } },
+        'at least': { lower: { value: count, inclusive: true } },
+        'no fewer than': { lower: { value: count, inclusive: true } },
+        'no less than': { lower: { value: count, inclusive: true } },
+        'more than': { lower: { value: count, inclusive: false } },
+        over: { lower: { value: count, inclusive: false } },
+        'at most': { upper: { value: count, inclusive: true } },
+        'no more than': { upper: { value: count, inclusive: true } },
+        'fewer than': { upper: { value: count, inclusive: false } },
+        'less than': { upper: { value: count, inclusive: false } },
+        under: { upper: { value: count, inclusive: false } }
+    }[direction];
+    return { kind: 'event', distribution: 'binomial', variable: 'x', params: { n: trials, p }, lower: null, upper: null, ...bounds };
+}
+
+/**
+ * "P(Z < 1.96)", "P(-1 < Z < 1)", "P(X >= 110) with mean 100 and sd 15"
+ */
+function eventRequest({ low, lowOp, variable, op, value, rest }) {
+    const named = rest.match(new RegExp(`\\b${DIST}\\b`));
+    let distribution;
+    if (named) {
+        distribution = Probability.distribution(named[1].replace(/^standard\s+/, ''));
+    } else if (variable === 't' && /\b(?:df|dof|degrees?\s+of\s+freedom)\b/.test(rest)) {
+        distribution = 't';
+    } else if (variable === 'z' || /\b(?:mean|mu|sd|std|standard\s+deviation|sigma|variance)\b/.test(rest)) {
+        distribution = 'normal';
+    } else {
+        throw new Error('Which distribution? (e.g. P(X < 110) with mean 100 and sd 15, or P(X = 3) for binomial with n = 10 and p = 0.5)');
+    }
+    const params = readParams(rest, distribution);
+    const bound = (number, inclusive) => ({ value: number, inclusive });
+    let lower = low !== undefined ? bound(parseFloat(low), lowOp === '<=') : null;
+    let upper = null;
+    if (op.startsWith('<')) upper = bound(value, op === '<=');
+    else if (op.startsWith('>')) lower = bound(value, op === '>=');
+    else lower = upper = bound(value, true);
+    return { kind: 'event', distribution, variable, params, lower, upper };
+}
+
+/**
+ * "normal cdf of 1.96 ...", "inverse t of 0.975 ...", "plot the poisson distribution ..."
+ */
+function distributionRequest(request) {
+    const distribution = Probability.distribution(request.distribution.replace(/^standard\s+/, ''));
+    let rest = request.rest;
+    const range = rest.match(new RegExp(`\\s+from\\s+${N}\\s+to\\s+${N}`));
+    if (range) rest = rest.replace(range[0], ' ');
+    const params = readParams(rest, distribution);
+    if (request.kind === 'plot') {
+        return {
+            kind: 'plot', distribution, params,
+            ...(range ? { from: parseFloat(range[1]), to: parseFloat(range[2]) } : {})
+        };
+    }
+    const discrete = Probability.isDiscrete(distribution);
+    const fn = /^(?:pdf|pmf|density)$/.test(request.fn) || (request.fn === 'probability' && discrete)
+        ? 'pdf'
+        : /^(?:cdf|cumulative|probability)/.test(request.fn) ? 'cdf' : 'inverse';
+    return { kind: 'function', distribution, fn, value: request.value, params };
+}
+
+/**
+ * Parameters named in the rest of a request: "with mean 100 and sd 15",
+ * "n = 10, p = 0.5", "with 10 degrees of freedom", "(10, 0.5)"
+ */
+function readParams(rest, distribution) {
+    const text = ` ${rest || ''} `;
+    const find = (pattern) => {
+        const match = text.match(pattern);
+        return match ? parseFloat(match[1]) * (match[2] === '%' ? 0.01 : 1) : undefined;
+    };
+    const named = (names) => new RegExp(`\\b(?:${names})\\s*(?:=|of|is|:)?\\s*${N}(%)?`);
+    const given = {};
+
+    // Positional parameters after the distribution: "binomial(10, 0.5)", "normal(100, 15)"
+    const positional = text.match(/\(\s*(-?\d+(?:\.\d+)?(?:\s*,\s*-?\d+(?:\.\d+)?)*)\s*\)/);
+    if (positional) {
+        const values = positional[1].split(',').map(Number);
+        Probability.paramNames(distribution).forEach((key, i) => {
+            if (values[i] !== undefined) given[key] = values[i];
+        });
+        return given;
+    }
+
+    if (distribution === 'normal') {
+        given.mean = find(named('mean|mu|average|expected\\s+value'));
+        given.sd = find(named('sd|std|stdev|std\\s+dev|standard\\s+deviation|sigma'));
+        const variance = find(named('variance'));
+        if (given.sd === undefined && variance !== undefined) given.sd = Math.sqrt(variance);
+    } else if (distribution === 't' || distribution === 'chisquared') {
+        given.df = find(named('df|dof|degrees?\\s+of\\s+freedom')) ?? find(new RegExp(`${N}\\s+(?:df|dof|degrees?\\s+of\\s+freedom)\\b`));
+    } else if (distribution === 'exponential') {
+        given.rate = find(named('rate|lambda'));
+        const mean = find(named('mean|average'));
+        if (given.rate === undefined && mean) given.rate = 1 / mean;
+    } else if (distribution === 'binomial') {
+        given.n = find(named('n|trials')) ?? find(new RegExp(`${N}\\s+trials\\b`));
+        given.p = find(named('p|probability(?:\\s+of\\s+success)?|success\\s+(?:rate|probability)|chance'))
+            ?? find(new RegExp(`\\b(?:at|with)\\s+${N}(%)`));
+    } else {
+        given.lambda = find(named('lambda|rate|mean|average'));
+    }
+    return given;
+}
+
+function describe(request) {
+    if (request.kind === 'count') {
+        if (request.counting === 'factorial') return `${request.n}!`;
+        return `${request.counting === 'combinations' ? 'C' : 'P'}(${request.n}, ${request.k})`;
+    }
+    const name = distributionSymbol(request.distribution, request.params);
+    if (request.kind === 'plot') return `${name} distribution plot`;
+    if (request.kind === 'event') return `${eventText(request)} for ${request.variable.toUpperCase()} ~ ${name}`;
+    return `${KINDS[request.fn]} of ${name} at ${formatNumber(request.value)}`;
+}
+
+/**
+ * "P(X ≥ 3)", "P(-1 < Z < 1)", "P(X = 3)"
+ */
+function eventText({ variable, lower, upper }) {
+    const v = variable.toUpperCase();
+    if (lower && upper && lower.value === upper.value && lower.inclusive && upper.inclusive) return `P(${v} = ${formatNumber(lower.value)})`;
+    if (lower && upper) {
+        return `P(${formatNumber(lower.value)} ${lower.inclusive ? '≤' : '<'} ${v} ${upper.inclusive ? '≤' : '<'} ${formatNumber(upper.value)})`;
+    }
+    if (upper) return `P(${v} ${upper.inclusive ? '≤' : '<'} ${formatNumber(upper.value)})`;
+    return `P(${v} ${lower.inclusive ? '≥' : '>'} ${formatNumber(lower.value)})`;
+}
+
+/**
+ * "Normal(μ = 100, σ = 15)", "Binomial(n = 10, p = 0.5)"
+ */
+function distributionSymbol(distribution, params) {
+    const values = Probability.paramNames(distribution)
+        .filter(key => params[key] !== undefined)
+        .map(key => `${PARAM_SYMBOLS[key]} = ${formatNumber(params[key])}`);
+    return `${Probability.label(distribution)}(${values.join(', ')})`;
+}
+
+function distributionName(probability, distribution, params) {
+    const { mean, sd } = probability.moments(distribution, params);
+    const moments = Number.isFinite(mean) ? `; mean ${formatNumber(mean)}${Number.isFinite(sd) ? `, sd ${formatNumber(sd)}` : ''}` : '';
+    return `${distributionSymbol(distribution, params)}${moments}`;
+}
@@ -0,0 +1,140 @@
+const chalk = require('chalk');
+const Programmer = require('../Programmer');
+
+const BASE_NAMES = 'binary|bin|hexadecimal|hex|octal|oct|decimal|dec|base\\s*(?:2|8|10|16)';
+
+// Trailing "in hex", "as unsigned 8-bit", "as signed": tried until none is left
+const MODIFIERS = [
+    { pattern: new RegExp(`\\s+(?:in|to|into|as)\\s+(${BASE_NAMES})$`), apply: (request, [base]) => { request.base = Programmer.normalizeBase(base); } },
+    {
+        pattern: /\s+(?:as|in|at|with|using)?\s*(?:an?\s+)?(signed|unsigned)?\s*(8|16|32|64)[\s-]*bits?(?:\s+(signed|unsigned))?(?:\s+(?:integer|int|word))?$/,
+        apply: (request, [before, width, after]) => {
+            request.width = Programmer.normalizeWidth(width);
+            if (before || after) request.signed = Programmer.normalizeSigned(before || after);
+        }
+    },
+    { pattern: /\s+(?:as\s+)?(?:an?\s+)?(signed|unsigned)(?:\s+(?:integer|int))?$/, apply: (request, [signed]) => { request.signed = Programmer.normalizeSigned(signed); } }
+];
+
+const PREFIX = /^(?:(?:please\s+)?(?:convert|calculate|compute|evaluate)\s+|(?:what\s+is|whats)\s+)/;
+
+/**
+ * Built-in plugin: programmer mode. Integer arithmetic with hex, binary and
+ * octal literals ("0xff + 0b1010"), bitwise operators ("0xf0 | 0x0f",
+ * "5 xor 3", "1 << 4") and base conversions ("convert 255 to binary",
+ * "-1 in hex as 8-bit") at the session's integer width and signedness.
+ * With programmer mode on, every integer expression is handled here.
+ */
+module.exports = {
+    name: 'programmer',
+    // Ahead of geometry, units and percentages: "%" is modulo and "in hex" is not a unit
+    priority: 102,
+    info: {
+        operations: ['programmer'],
+        capabilities: ['Programmer mode: hex/binary/octal input and output, bitwise and/or/xor/not/shifts, 8/16/32/64-bit signed or unsigned integers']
+    },
+
+    detect(input, { agent, session }) {
+        const request = matchRequest(input, agent.programmer);
+        if (!request) return false;
+        if (session.getSetting('programmer') || request.base || request.width || request.signed !== undefined) {
+            return true;
+        }
+        // Outside programmer mode only unmistakable integer syntax is claimed;
+        // "5 and 3" could as well be a list
+        const words = ['and', 'or'];
+        return request.literals.length > 0 || request.operators.some(op => !words.includes(op));
+    },
+
+    parse(input, { agent, session }) {
+        const request = matchRequest(input, agent.programmer);
+        if (!request) {
+            throw new Error('Not an integer expression');
+        }
+        return {
+            expression: request.expression,
+            operationType: 'programmer',
+            tree: request.tree,
+            width: request.width || session.getSetting('width'),
+            signed: request.signed ?? session.getSetting('signed'),
+            base: request.base || session.getSetting('base')
+        };
+    },
+
+    evaluate(parsed, { agent }) {
+        const engine = agent.programmer;
+        const outcome = engine.evaluate(parsed.tree, { width: parsed.width, signed: parsed.signed });
+        // Kept for explain(), which only sees the parsed request
+        parsed.outcome = outcome;
+
+        const { value, width } = outcome;
+        return {
+            result: Number(value),
+            display: engine.toBase(value, parsed.base, width, true),
+            decimal: String(value),
+            ...engine.representations(value, width),
+            overflow: outcome.overflow
+        };
+    },
+
+    explain(parsed, { agent }) {
+        const engine = agent.programmer;
+        const { value, width, signed, trace } = parsed.outcome;
+        const steps = [{
+            type: 'parse',
+            expression: parsed.expression,
+            description: `Integer expression in ${engine.typeName({ width, signed })} arithmetic`
+        }, ...trace];
+        if (parsed.base !== 'dec') {
+            steps.push({
+                type: 'convert',
+                description: `${value} in ${engine.baseName(parsed.base)} is ${engine.toBase(value, parsed.base, width, true)}`
+            });
+        }
+        return steps;
+    },
+
+    format(payload) {
+        if (typeof payload.display !== 'string' || !payload.hex) return undefined;
+        const reading = payload.signed
+            ? (payload.signedValue !== payload.unsignedValue ? ` (unsigned ${payload.unsignedValue})` : '')
+            : (payload.signedValue !== payload.unsignedValue ? ` (signed ${payload.signedValue})` : '');
+        const binary = '0b' + payload.binary.slice(2).replace(/\B(?=(?:[01]{4})+$)/g, '_');
+        const lines = [
+            chalk.green(`✅ Result: ${payload.display}`),
+            chalk.gray(`   hex ${payload.hex} · dec ${payload.decimal}${reading} · oct ${payload.octal} · bin ${binary}`),
+            chalk.gray(`   ${payload.width}-bit ${payload.signed ? 'signed' : 'unsigned'}`)
+        ];
+        if (payload.overflow) {
+            lines[2] += chalk.yellow(' · overflow, result wrapped');
+        }
+        return lines.join('\n');
+    }
+};
+
+/**
+ * The integer expression of a request with its base, width and signedness
+ * modifiers, or null when the input is not one
+ */
+function matchRequest(input, engine) {
+    let expression = input.trim().replace(/[?!]+$/, '').replace(PREFIX, '');
+    const request = {};
+    for (let changed = true; changed;) {
+        changed = false;
+        for (const modifier of MODIFIERS) {
+            const match = expression.match(modifier.pattern);
+            if (match) {
+                modifier.apply(request, match.slice(1));
+                expression = expression.slice(0, match.index);
+                changed = true;
+            }
+        }
+    }
+
+    try {
+        const { tree, literals, operators } = engine.parse(expression);
+        return { ...request, expression: expression.trim(), tree, literals, operators };
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,227 @@
+const chalk = require('chalk');
+const Regression = require('../Regression');
+const { formatNumber } = require('../Precision');
+
+const N = '(-?\\d+(?:\\.\\d+)?)';
+const MODEL = '(linear|quadratic|cubic|quartic|exponential|logarithmic|log|power|polynomial)(?:\\s+(?:of\\s+)?degree\\s+(\\d+))?';
+const PREFIX = /^(?:(?:what|how\s+strong)\s+(?:is|are)\s+|whats\s+|(?:calculate|compute|find|show|give\s+me|get|do|run)\s+)(?:the\s+|an?\s+)?/;
+// Plots of paired data go to the graphing plugin, which overlays the fit
+const GRAPH_WORDS = /\b(?:plot|graph|chart|scatter|draw|visualize)\b/;
+const LABELS = { linear: 'Linear', polynomial: 'Polynomial', exponential: 'Exponential', logarithmic: 'Logarithmic', power: 'Power' };
+
+/**
+ * Request forms, tried in order. build() returns the kind of request, the
+ * model words and the text the data is read from.
+ */
+const FORMS = [
+    // "correlation between x = 1, 2, 3 and y = 2, 4, 7", "spearman correlation of (1, 2), (2, 5), (3, 4)"
+    {
+        pattern: /^(?:(pearson|spearman)(?:'?s)?\s+)?(?:(rank)\s+)?correlation(?:\s+coefficient)?\s+(?:of|between|for)\s+(.+)$/,
+        build: ([method, rank, data]) => ({ kind: 'correlation', method: method === 'spearman' || rank ? 'spearman' : 'pearson', data })
+    },
+    // "r squared of 1 2 2 4 3 7", "r squared of a quadratic fit to ..."
+    {
+        pattern: new RegExp(`^(?:r[\\s-]?squared|r\\^2|coefficient\\s+of\\s+determination)(?:\\s+(?:of|for)\\s+(?:an?\\s+|the\\s+)?${MODEL}\\s+(?:fit|regression|model))?\\s+(?:of|for|on|to)\\s+(.+)$`),
+        build: ([word, degree, data]) => ({ kind: 'rsquared', word, degree, data })
+    },
+    // "linear regression of x = 1, 2, 3 and y = 2, 4, 7", "exponential fit for ...", "quadratic regression on ..."
+    {
+        pattern: new RegExp(`^(?:${MODEL}\\s+)?(?:regression(?:\\s+line)?|fit|trend\\s*line|curve\\s+fit)\\s+(?:of|for|on|to|through)\\s+(.+)$`),
+        build: ([word, degree, data]) => ({ kind: 'fit', word, degree, data })
+    },
+    // "fit a quadratic to ...", "fit a power curve to ...", "fit a line to ..."
+    {
+        pattern: new RegExp(`^fit\\s+(?:an?\\s+|the\\s+)?(?:${MODEL}\\s*)?(?:curve|model|line|regression|trend\\s*line)?\\s+(?:to|through|for)\\s+(.+)$`),
+        build: ([word, degree, data]) => ({ kind: 'fit', word, degree, data })
+    },
+    // "line of best fit for ...", "least squares line through ..."
+    {
+        pattern: /^(?:line\s+of\s+best\s+fit|best[\s-]fit\s+line|least[\s-]squares\s+(?:line|fit)|regression\s+line)\s+(?:of|for|through|to|on)\s+(.+)$/,
+        build: ([data]) => ({ kind: 'fit', data })
+    },
+    // "predict y at x = 12", "predict y when x is 12 using an exponential fit of ..."
+    {
+        pattern: new RegExp(`^(?:predict|estimate|forecast)\\s+(?:the\\s+value\\s+of\\s+)?y\\s+(?:at|when|for|if|with)\\s+x\\s*(?:=|is|equals)\\s*${N}(?:\\s+(?:using|with|from)\\s+(?:an?\\s+|the\\s+)?${MODEL}\\s+(?:fit|regression|model))?(?:\\s+(?:for|from|of|on|using|with)\\s+(.+))?$`),
+        build: ([x, word, degree, data]) => ({ kind: 'predict', x: parseFloat(x), word, degree, data })
+    }
+];
+
+/**
+ * Built-in plugin: correlation, least-squares fits and predictions for paired
+ * data ("correlation between x = 1, 2, 3 and y = 2, 4, 7", "linear regression
+ * of (1, 2), (2, 4), (3, 7)", "fit an exponential to ...", "r squared of ...",
+ * "predict y at x = 12"). Data is given as x and y lists (labeled, or two
+ * unlabeled lists of equal length), (x, y) points or one list of alternating
+ * numbers. A prediction without data uses the session's last fit.
+ * The same calculations are expression functions (pearson, spearman,
+ * polyfit, rsquared, predict) registered by the agent.
+ */
+module.exports = {
+    name: 'regression',
+    // Ahead of graphing ("line of best fit") and statistics
+    priority: 104,
+    info: {
+        operations: ['regression'],
+        capabilities: ['Correlation and regression (Pearson/Spearman, linear, polynomial, exponential, logarithmic and power fits with R², predictions; pearson(), spearman(), polyfit(), rsquared(), predict() in expressions)']
+    },
+
+    detect(input) {
+        return matchRequest(input) !== null;
+    },
+
+    parse(input, { agent }) {
+        const request = matchRequest(input);
+        if (!request) {
+            throw new Error('Could not read the data to fit');
+        }
+        const data = request.data ? agent.extractPairs(request.data) : null;
+        return {
+            operationType: 'regression',
+            ...request,
+            ...(data ? { xs: data.x, ys: data.y, points: data.x.length } : {}),
+            expression: describe(request, data)
+        };
+    },
+
+    evaluate(parsed, { agent, session }) {
+        const regression = agent.regression;
+        const { xs, ys } = parsed;
+
+        if (parsed.kind === 'correlation') {
+            const r = regression[parsed.method](xs, ys);
+            parsed.outcome = { r };
+            return { result: r, display: String(r), breakdown: { Strength: strength(r) } };
+        }
+
+        let model;
+        if (xs) {
+            model = regression.fit(parsed.type, xs, ys, parsed.degree);
+        } else {
+            model = session.lastFit;
+            if (!model) {
+                throw new Error('Fit a model first (e.g. linear regression of x = 1, 2, 3 and y = 2, 4, 7) or give the data to predict from');
+            }
+            // "using an exponential fit" needs its data when the last fit was another model
+            if (parsed.named && (parsed.type !== model.type || parsed.degree !== model.degree)) {
+                throw new Error(`The last fit is ${describeModel(model)}; give the data for ${describeModel(parsed)}`);
+            }
+            parsed.type = model.type;
+            parsed.degree = model.degree;
+        }
+        session.lastFit = model;
+        parsed.outcome = { model };
+
+        if (parsed.kind === 'rsquared') {
+            return { result: model.r2, display: String(model.r2), breakdown: { Model: model.equation } };
+        }
+        if (parsed.kind === 'predict') {
+            const y = regression.predict(model, parsed.x);
+            parsed.outcome.y = y;
+            return { result: y, display: `y = ${formatNumber(y)} at x = ${formatNumber(parsed.x)}`, breakdown: { Model: model.equation } };
+        }
+        return {
+            result: model.equation,
+            display: model.equation,
+            breakdown: { 'R²': formatNumber(model.r2), Coefficients: model.coefficients.map(formatNumber).join(', ') },
+            model: model.type,
+            r2: model.r2,
+            coefficients: model.coefficients
+        };
+    },
+
+    explain(parsed) {
+        const { model, r, y } = parsed.outcome;
+        const steps = [{
+            type: 'parse',
+            expression: parsed.expression,
+            description: `Recognized ${parsed.expression}`
+        }];
+        if (parsed.xs) {
+            steps.push({
+                type: 'parse',
+                description: `${parsed.xs.length} points: ${parsed.xs.map((x, i) => `(${formatNumber(x)}, ${formatNumber(parsed.ys[i])})`).join(', ')}`
+            });
+        }
+
+        if (parsed.kind === 'correlation') {
+            steps.push(parsed.method === 'spearman'
+                ? { type: 'evaluate', value: r, description: `Ranked each list (ties share their average rank); r of the ranks = ${formatNumber(r)}` }
+                : { type: 'evaluate', value: r, description: `r = Σ(x − x̄)(y − ȳ) ÷ √(Σ(x − x̄)² · Σ(y − ȳ)²) = ${formatNumber(r)}` });
+            return steps;
+        }
+
+        if (!parsed.xs) {
+            steps.push({ type: 'substitute', description: `Using the last fit: ${model.equation}` });
+        } else {
+            const method = {
+                exponential: 'Fit ln(y) = ln(a) + bx by least squares',
+                logarithmic: 'Fit y = a + b·ln(x) by least squares',
+                power: 'Fit ln(y) = ln(a) + b·ln(x) by least squares'
+            }[model.type] || `Solved the least-squares normal equations for ${model.coefficients.length} coefficients`;
+            steps.push({ type: 'evaluate', description: `${method}: ${model.equation}` });
+            steps.push({ type: 'evaluate', value: model.r2, description: `R² = 1 − SSres ÷ SStot = ${formatNumber(model.r2)}` });
+        }
+        if (parsed.kind === 'predict') {
+            steps.push({ type: 'evaluate', value: y, description: `At x = ${formatNumber(parsed.x)}: y = ${formatNumber(y)}` });
+        }
+        return steps;
+    },
+
+    format(payload) {
+        if (!payload.display) return undefined;
+        const lines = [chalk.green(`✅ Result: ${payload.display}`)];
+        for (const [label, value] of Object.entries(payload.breakdown || {})) {
+            lines.push(chalk.gray(`   ${label}: ${value}`));
+        }
+        return lines.join('\n');
+    }
+};
+
+/**
+ * Kind, model and data text of a regression request, or null when the
+ * input is not one
+ */
+function matchRequest(input) {
+    if (GRAPH_WORDS.test(input)) return null;
+    const text = input.trim().replace(/[?!.]+$/, '').replace(PREFIX, '').replace(/\s+/g, ' ');
+
+    for (const form of FORMS) {
+        const match = text.match(form.pattern);
+        if (!match) continue;
+        const { word, degree, ...request } = form.build(match.slice(1));
+        if (request.data !== undefined && !/\d/.test(request.data)) return null;
+        if (request.kind === 'correlation') return request;
+        return { ...request, ...Regression.model(word, degree), named: word !== undefined };
+    }
+    return null;
+}
+
+function describe(request, data) {
+    const points = data ? ` of ${data.x.length} points` : '';
+    if (request.kind === 'correlation') {
+        return `${request.method === 'spearman' ? 'Spearman rank' : 'Pearson'} correlation${points}`;
+    }
+    if (request.kind === 'rsquared') return `R² of ${describeModel(request)}${points}`;
+    if (request.kind === 'predict') {
+        return `prediction at x = ${formatNumber(request.x)}${data ? ` from ${describeModel(request)}${points}` : ' from the last fit'}`;
+    }
+    return `${LABELS[request.type]} ${request.type === 'polynomial' ? `(degree ${request.degree}) ` : ''}regression${points}`;
+}
+
+/**
+ * "a linear fit", "an exponential fit", "a degree 2 polynomial fit"
+ */
+function describeModel({ type, degree }) {
+    const model = `${type === 'polynomial' ? `degree ${degree} polynomial` : type} fit`;
+    return `${type === 'exponential' ? 'an' : 'a'} ${model}`;
+}
+
+/**
+ * Conventional wording for the size of a correlation coefficient
+ */
+function strength(r) {
+    const size = Math.abs(r);
+    if (size === 0) return 'none';
+    const word = size >= 0.9 ? 'very strong' : size >= 0.7 ? 'strong' : size >= 0.4 ? 'moderate' : size >= 0.2 ? 'weak' : 'very weak';
+    return `${word} ${r > 0 ? 'positive' : 'negative'}`;
+}
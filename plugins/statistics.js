@@ -0,0 +1,166 @@
+const chalk = require('chalk');
+const { formatNumber } = require('../Precision');
+
+const LABELS = {
+    count: 'Count',
+    sum: 'Sum',
+    mean: 'Mean',
+    median: 'Median',
+    mode: 'Mode',
+    min: 'Minimum',
+    q1: 'Q1 (25th percentile)',
+    q2: 'Q2 (median)',
+    q3: 'Q3 (75th percentile)',
+    max: 'Maximum',
+    range: 'Range',
+    iqr: 'Interquartile range',
+    variance: 'Variance',
+    std: 'Standard deviation',
+    skewness: 'Skewness',
+    kurtosis: 'Excess kurtosis',
+    sumOfSquares: 'Sum of squares',
+    squaredDeviations: 'Sum of squared deviations',
+    percentile: 'Percentile',
+    quartiles: 'Quartiles',
+    zscore: 'z-score',
+    summary: 'Summary'
+};
+
+// Statistics whose sample and population versions differ
+const SAMPLED = ['variance', 'std', 'skewness', 'kurtosis', 'zscore', 'summary'];
+
+/**
+ * Built-in plugin: natural-language statistics ("average of 10, 20, 30",
+ * "population standard deviation of 2, 4, 4, 5", "90th percentile of ...",
+ * "mean and median of ...", "z-score of 7 in 3, 5, 7, 9", "summarize 3, 5, 7").
+ * Several statistics, quartiles, z-scores and summaries come back as
+ * structured results (an object or a list).
+ */
+module.exports = {
+    name: 'statistics',
+    priority: 60,
+    info: {
+        operations: ['statistics'],
+        capabilities: ['Statistics (mean, median, mode, range, min/max, variance and standard deviation for samples or populations, percentiles, quartiles, IQR, skewness, kurtosis, z-scores, summaries)']
+    },
+
+    detect(input, { agent }) {
+        if (!agent.containsStatsKeywords(input)) return false;
+        try {
+            return agent.parseStatisticsRequest(input) !== null;
+        } catch (error) {
+            // A statistics request with something missing; parse() reports it
+            return true;
+        }
+    },
+
+    parse(input, { agent }) {
+        const parsed = agent.parseStatisticsRequest(input);
+        if (!parsed) {
+            throw new Error('Could not find the statistic and its values');
+        }
+        return parsed;
+    },
+
+    evaluate(parsed, { agent }) {
+        const { statistics, numbers } = parsed;
+        const options = { population: parsed.population, percentile: parsed.percentile, score: parsed.score };
+        const values = statistics.map(name => agent.statistics.compute(name, numbers, options));
+        return {
+            result: values.length === 1
+                ? values[0]
+                : Object.fromEntries(statistics.map((name, i) => [name, values[i]]))
+        };
+    },
+
+    explain(parsed, { agent, result }) {
+        const stats = agent.statistics;
+        const { statistics, numbers, population } = parsed;
+        const show = (value) => agent.explainer.formatValue(value);
+        const kind = statistics.some(name => SAMPLED.includes(name)) ? ` (${population ? 'population' : 'sample'})` : '';
+        const steps = [{
+            type: 'parse',
+            expression: parsed.expression,
+            description: `Recognized ${statistics.map(name => label(name, parsed).toLowerCase()).join(', ')}${kind} of ${numbers.length} values: ${numbers.join(', ')}`
+        }];
+        if (statistics.length > 1 || ['summary', 'quartiles'].includes(statistics[0]) || Array.isArray(result)) {
+            const entries = statistics.length > 1 ? Object.entries(result) : [[statistics[0], result]];
+            entries.forEach(([name, value]) => steps.push({ type: 'evaluate', value, description: `${label(name, parsed)} = ${formatValue(value, show)}` }));
+            return steps;
+        }
+
+        const name = statistics[0];
+        const n = numbers.length;
+        const mean = n > 0 ? stats.mean(numbers) : null;
+        if (['mean', 'variance', 'std', 'zscore', 'squaredDeviations'].includes(name)) {
+            steps.push({ type: 'evaluate', value: mean, description: `Mean = ${show(stats.sum(numbers))} ÷ ${n} = ${show(mean)}` });
+        }
+        if (['variance', 'std', 'zscore', 'squaredDeviations'].includes(name)) {
+            const squares = stats.squaredDeviations(numbers);
+            steps.push({ type: 'evaluate', value: squares, description: `Σ(x − ${show(mean)})² = ${show(squares)}` });
+            if (name !== 'squaredDeviations') {
+                const variance = stats.variance(numbers, { population });
+                steps.push({ type: 'evaluate', value: variance, description: `Variance = ${show(squares)} ÷ ${population ? 'n' : '(n − 1)'} = ${show(squares)} ÷ ${population ? n : n - 1} = ${show(variance)}` });
+                if (name !== 'variance') {
+                    steps.push({ type: 'evaluate', value: Math.sqrt(variance), description: `Standard deviation = √${show(variance)} = ${show(Math.sqrt(variance))}` });
+                }
+            }
+            if (name === 'zscore') {
+                const std = stats.std(numbers, { population });
+                steps.push({ type: 'evaluate', value: result, description: `z = (${show(parsed.score)} − ${show(mean)}) ÷ ${show(std)} = ${show(result)}` });
+            }
+        } else if (['median', 'percentile', 'q1', 'q3'].includes(name)) {
+            const p = { median: 50, q1: 25, q3: 75 }[name] ?? parsed.percentile;
+            const sorted = [...numbers].sort((a, b) => a - b);
+            const { position, lower, upper, weight } = stats.rank(numbers, p);
+            steps.push({ type: 'evaluate', description: `Sorted: ${sorted.join(', ')}` });
+            const between = weight === 0
+                ? `the value at position ${lower + 1} is ${show(sorted[lower])}`
+                : `${show(sorted[lower])} + ${show(weight)} × (${show(sorted[upper])} − ${show(sorted[lower])}) = ${show(result)}`;
+            steps.push({
+                type: 'evaluate',
+                value: result,
+                description: `Rank ${p}% × (${n} − 1) = ${show(position)}: ${between}`
+            });
+        } else {
+            steps.push({ type: 'evaluate', value: result, description: `${label(name, parsed)} = ${formatValue(result, show)}` });
+        }
+        return steps;
+    },
+
+    format(payload) {
+        const result = payload.result;
+        if (Array.isArray(result)) {
+            const text = result.length ? result.map(formatNumber).join(', ') : 'no mode (every value appears once)';
+            return chalk.green(`✅ Result: ${text}`);
+        }
+        if (result === null || typeof result !== 'object') return undefined;
+
+        const entries = Object.entries(result);
+        const title = payload.statistic === 'summary'
+            ? `summary of ${result.count} values${payload.population ? ' (population)' : ''}`
+            : payload.statistic.split(', ').map(name => label(name, payload).toLowerCase()).join(', ');
+        const width = Math.max(...entries.map(([name]) => label(name, payload).length));
+        return [
+            chalk.green(`✅ Result: ${title}`),
+            ...entries.map(([name, value]) => chalk.gray(`   ${label(name, payload).padEnd(width)}  ${formatValue(value, formatNumber)}`))
+        ].join('\n');
+    }
+};
+
+function label(name, request) {
+    if (name === 'percentile' && request.percentile !== undefined) return `${ordinal(request.percentile)} percentile`;
+    return LABELS[name] || name;
+}
+
+function ordinal(n) {
+    const suffix = Number.isInteger(n) && !(n % 100 >= 11 && n % 100 <= 13) ? ['th', 'st', 'nd', 'rd'][n % 10] || 'th' : 'th';
+    return `${formatNumber(n)}${suffix}`;
+}
+
+function formatValue(value, show) {
+    if (value === null) return 'n/a';
+    if (Array.isArray(value)) return value.length ? value.map(show).join(', ') : 'none';
+    if (typeof value === 'object') return Object.entries(value).map(([key, v]) => `${key} ${show(v)}`).join(', ');
+    return show(value);
+}
@@ -0,0 +1,43 @@
+// Written-out functions are claimed even next to math symbols ("sine of pi/6 radians")
+const TRIG_PHRASE = /\b(?:arc|inverse\s+|hyperbolic\s+)?(?:sine|cosine|tangent|secant|cosecant|cotangent)\b|\b(?:arc)?(?:sin|cos|tan)h?\s+of\b/;
+
+const MODE_NAMES = { deg: 'degrees', rad: 'radians', grad: 'gradians' };
+
+/**
+ * Built-in plugin: natural-language trigonometry ("sine of 45 degrees",
+ * "arcsine of 0.5", "hyperbolic cosine of 1"). Angles follow the angle mode
+ * unless the request names a unit.
+ */
+module.exports = {
+    name: 'trigonometry',
+    priority: 50,
+    info: {
+        operations: ['trigonometry'],
+        capabilities: ['Trigonometry (sin, cos, tan, their inverses and hyperbolic forms in degrees, radians or gradians)']
+    },
+
+    detect(input, { agent, isNaturalLanguage }) {
+        return (isNaturalLanguage && agent.containsTrigKeywords(input)) || TRIG_PHRASE.test(input);
+    },
+
+    parse(input, { agent }) {
+        return agent.parseTrigonometryRequest(input);
+    },
+
+    evaluate(parsed, { agent, scope, angle }) {
+        const mode = parsed.angle || angle;
+        return {
+            result: agent.evaluateExpression(parsed.expression, scope, mode),
+            angle: mode
+        };
+    },
+
+    explain(parsed, { agent, scope, angle }) {
+        const mode = parsed.angle || angle;
+        return [{
+            type: 'map',
+            expression: parsed.expression,
+            description: `Recognized a trigonometry request: ${parsed.expression} (angles in ${MODE_NAMES[mode]})`
+        }, ...agent.explainer.explainExpression(parsed.expression, scope, mode)];
+    }
+};
@@ -0,0 +1,102 @@
+const chalk = require('chalk');
+
+/**
+ * Built-in plugin: arithmetic on quantities with units ("5 ft 3 in + 12 cm in
+ * meters", "60 mph * 2.5 hours", "3 kg divided by 250 ml"). Results are shown
+ * in the requested unit, as a mixed value when the input was mixed ("8 ft 1 in"),
+ * or in the most readable unit of the session's unit system.
+ */
+module.exports = {
+    name: 'unit arithmetic',
+    // Ahead of unit conversion, which only handles a single value
+    priority: 82,
+    info: {
+        operations: ['unit arithmetic'],
+        capabilities: ['Arithmetic with units (5 ft 3 in + 12 cm in meters, 60 mph * 2.5 hours) with automatic metric or imperial result units']
+    },
+
+    detect(input, { agent, scope }) {
+        return agent.unitArithmetic.isQuantityExpression(normalize(input), scope);
+    },
+
+    parse(input, { agent, scope, input: original }) {
+        const expression = normalize(input);
+        // Units keep the capitalization they were typed with ("Mb" is a megabit)
+        let cursor = 0;
+        const matchCase = (unit) => {
+            const found = agent.matchCase(unit, original, cursor);
+            cursor = found.end;
+            return found.text;
+        };
+        const parsed = agent.unitArithmetic.parse(expression, { scope, matchCase });
+        return {
+            expression,
+            operationType: 'unit arithmetic',
+            tree: parsed.tree,
+            target: parsed.target,
+            units: parsed.units,
+            mixed: parsed.mixed
+        };
+    },
+
+    evaluate(parsed, { agent, units }) {
+        const engine = agent.unitArithmetic;
+        const quantity = engine.evaluate(parsed.tree);
+        const shown = engine.display(quantity, {
+            target: parsed.target,
+            preference: units,
+            units: parsed.units,
+            mixed: parsed.mixed
+        });
+        // Kept for explain(), which only sees the parsed request
+        parsed.outcome = { quantity, shown };
+
+        return {
+            result: shown.value,
+            unit: shown.unit,
+            display: shown.text,
+            category: shown.category,
+            ...(shown.system ? { unitSystem: shown.system } : {})
+        };
+    },
+
+    explain(parsed) {
+        const { quantity, shown } = parsed.outcome;
+        const steps = [{
+            type: 'parse',
+            expression: parsed.expression,
+            description: `Recognized units ${[...new Set(parsed.units.map(unit => unit.symbol))].join(', ')}`
+        }, ...quantity.trace];
+        if (shown.unit) {
+            const reason = parsed.target ? 'in the requested unit' : `in ${shown.system} units`;
+            steps.push({
+                type: 'convert',
+                value: shown.value,
+                unit: shown.unit,
+                description: `Show the result ${reason}: ${shown.text}`
+            });
+        }
+        return steps;
+    },
+
+    format(payload) {
+        if (!payload.display) return undefined;
+        return chalk.green(`✅ Result: ${payload.display}`);
+    }
+};
+
+/**
+ * Written-out operators become symbols: "60 mph times 2.5 hours" -> "60 mph * 2.5 hours"
+ */
+function normalize(input) {
+    return input
+        .replace(/^(?:what\s+is|whats|how\s+much\s+is|calculate|compute|evaluate|convert|add)\s+/, '')
+        .replace(/\s+(?:plus|added to)\s+/g, ' + ')
+        .replace(/\s+(?:minus|less)\s+/g, ' - ')
+        .replace(/\s+(?:times|multiplied\s+by)\s+/g, ' * ')
+        .replace(/\s+divided\s+by\s+/g, ' / ')
+        // "5 feet and 3 inches" is a mixed value
+        .replace(/([a-z°])\s+and\s+(?=\d)/g, '$1 ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
@@ -0,0 +1,37 @@
+const chalk = require('chalk');
+
+/**
+ * Built-in plugin: unit conversion ("convert 100 cm to m", "100 km/h in mph",
+ * "how many feet in a mile"). Only claims input whose units the unit system
+ * recognizes, so it also works next to math symbols ("9.81 m/s^2 to ft/s^2").
+ */
+module.exports = {
+    name: 'unit conversion',
+    priority: 80,
+    info: {
+        operations: ['unit conversion'],
+        capabilities: ['Unit conversion (length, mass, time, temperature, area, volume, speed, pressure, energy, power, data, angle, fuel economy and compound units like km/h or N·m)']
+    },
+
+    detect(input, { agent }) {
+        return agent.containsUnitKeywords(input);
+    },
+
+    parse(input, { agent, input: original }) {
+        return agent.parseUnitConversion(input, original);
+    },
+
+    evaluate(parsed) {
+        return { result: parsed.result };
+    },
+
+    explain(parsed, { agent }) {
+        return agent.explainer.explainUnitConversion(parsed.value, parsed.fromUnit, parsed.toUnit, parsed.category);
+    },
+
+    format(payload) {
+        if (!payload.toUnit || typeof payload.result !== 'number') return undefined;
+        const formattedResult = String(parseFloat(payload.result.toPrecision(10)));
+        return chalk.green(`✅ Result: ${formattedResult} ${payload.toUnit}`);
+    }
+};
@@ -1,4 +1,9 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const CalculatorAgent = require('./CalculatorAgent');
+const { MemoryHistoryStore, JsonFileHistoryStore } = require('./HistoryStore');
+const { SessionManager } = require('./CalculatorSession');
 const chalk = require('chalk');
 
 class CalculatorTester {
@@ -22,15 +27,92 @@ class CalculatorTester {
             { input: 'sqrt(16)', expected: 4, description: 'Square root' },
             { input: 'log(100)', expected: 2, description: 'Logarithm' },
             { input: 'sin(30)', expected: 0.5, description: 'Sine function' },
+            { input: 'arcsine of 0.5', expected: 30, description: 'Inverse sine in degrees' },
+            { input: 'sine of pi/6 radians', expected: 0.5, description: 'Explicit radians override' },
             
             // Natural language
             { input: 'What is 5 plus 3?', expected: 8, description: 'Natural language addition' },
             { input: 'Calculate 10 times 4', expected: 40, description: 'Natural language multiplication' },
             { input: 'Find the square root of 25', expected: 5, description: 'Natural language square root' },
             
+            // Number words
+            { input: 'What is three hundred forty-two plus one thousand?', expected: 1342, description: 'Compound number words' },
+            { input: 'two and a half times 4', expected: 10, description: 'Mixed fraction number words' },
+            { input: 'three quarters times 8', expected: 6, description: 'Fraction number words' },
+            { input: '2e3', expected: 2000, description: 'Scientific notation' },
+            { input: '2e3 plus 1', expected: 2001, description: 'Scientific notation in natural language' },
+            { input: 'half of 10', expected: 5, description: 'Half of a number' },
+            { input: 'what is three quarters of 100', expected: 75, description: 'Fraction of a number' },
+            { input: 'half of 10 + 1', expected: 6, description: 'Fraction of a number in an expression' },
+            { input: 'negative five times two', expected: -10, description: 'Negative number words' },
+            { input: 'convert 300k to celsius', expected: 26.85, description: 'A k suffix before a conversion is kelvin' },
+            { input: 'What is 2.5 times 4?', expected: 10, description: 'Decimal numbers in natural language' },
+            { input: '1.5 million divided by 2k', expected: 750, description: 'Magnitude suffixes' },
+            { input: 'a dozen minus three point five', expected: 8.5, description: 'Dozen and spoken decimals' },
+            { input: 'average of ten, twenty and thirty', expected: 20, description: 'Number words in statistics' },
+            
+            // Percentages
+            { input: '15% of 200', expected: 30, description: 'Percentage of a value' },
+            { input: 'increase 80 by 12.5%', expected: 90, description: 'Percentage increase' },
+            { input: 'decrease 200 by 15 percent', expected: 170, description: 'Percentage decrease' },
+            { input: 'what percent is 30 of 120', expected: 25, description: 'What percent' },
+            { input: 'percentage change from 40 to 50', expected: 25, description: 'Percentage change' },
+            { input: 'tip 18% on 64.50 split 3 ways', expected: 25.37, description: 'Tip split' },
+            { input: '80 + 12.5%', expected: 90, description: 'Percentage markup in expressions' },
+            { input: '20% off 80', expected: 64, description: 'Discount' },
+            { input: '50 with a 20% margin', expected: 62.5, description: 'Price from margin' },
+            { input: '110 after a 10% increase', expected: 100, description: 'Reverse percentage increase' },
+            { input: '75 after a 25% discount', expected: 100, description: 'Reverse percentage discount' },
+            { input: '50 is 20% of what', expected: 250, description: 'Reverse percentage of' },
+            { input: '200 * 15%', expected: 30, description: 'Percentage in expressions' },
+            
+            // Equations
+            { input: 'solve 2x + 3 = 11', expected: 4, description: 'Linear equation' },
+            { input: 'what value of x makes 2x + 3 equal 11', expected: 4, description: 'Equation in natural language' },
+            { input: 'find x if 3x - 4 = 2x + 1', expected: 5, description: 'Equation with unknowns on both sides' },
+            
+            // Calculus
+            { input: 'derivative(x^3, x, 2)', expected: 12, description: 'Derivative at a point' },
+            { input: 'integrate sin(x) from 0 to pi', expected: 2, description: 'Definite integral' },
+            { input: 'integrate(x^2, x, 0, 1) * 3', expected: 1, description: 'Integral inside an expression' },
+            { input: 'limit(sin(x)/x, x, 0)', expected: 1, description: 'Limit' },
+            { input: 'limit of 1/x as x approaches infinity', expected: 0, description: 'Limit at infinity' },
+            
+            // Geometry
+            { input: 'area of a circle with radius 5', expected: 78.5398, description: 'Circle area' },
+            { input: 'volume of a box 2 x 3 x 4', expected: 24, description: 'Box volume' },
+            { input: 'area of a triangle with sides 3, 4 and 5', expected: 6, description: 'Triangle area from sides' },
+            { input: 'distance between (1, 2) and (4, 6)', expected: 5, description: 'Distance between points' },
+            { input: 'circle_area(2) / pi', expected: 4, description: 'Geometry functions in expressions' },
+            
             // Statistics
             { input: 'mean([1, 2, 3, 4, 5])', expected: 3, description: 'Mean calculation' },
             { input: 'What is the average of 10, 20, 30?', expected: 20, description: 'Natural language mean' },
+            { input: 'population standard deviation of 2, 4, 4, 4, 5, 5, 7, 9', expected: 2, description: 'Population standard deviation' },
+            { input: 'sum of squares of 1, 2, 3', expected: 14, description: 'Sum of squares is not a sum' },
+            { input: '90th percentile of 1, 2, 3, 4, 5', expected: 4.6, description: 'Percentile with interpolation' },
+            
+            // Probability and combinatorics
+            { input: 'how many ways to choose 5 cards from 52', expected: 2598960, description: 'Combinations in words' },
+            { input: '5!', expected: 120, description: 'Factorial symbol' },
+            { input: '3! + 1', expected: 7, description: 'Factorial symbol in an expression' },
+            { input: 'P(Z < 1.96)', expected: 0.975002, description: 'Standard normal probability' },
+            { input: 'binomial_pdf(3, 10, 0.5)', expected: 0.117188, description: 'Binomial probability in expressions' },
+            
+            // Correlation and regression
+            { input: 'correlation between x = 1, 2, 3, 4, 5 and y = 2, 4, 5, 4, 5', expected: 0.774597, description: 'Pearson correlation of x and y lists' },
+            { input: 'correlation between 1,2,3,4,5 and 2,4,5,4,5', expected: 0.774597, description: 'Two unlabeled lists are x and y' },
+            { input: 'predict([1, 2, 3, 4], [3, 5, 7, 9], 10)', expected: 21, description: 'Linear prediction in expressions' },
+            
+            // Chained instructions
+            { input: 'Add 5 and 7 then multiply by 3', expected: 36, description: 'Chained instructions' },
+            { input: 'add 5 and 7, then multiply by 3', expected: 36, description: 'Chained instructions with comma' },
+            { input: 'start with 80 then double it and then take 25% off', expected: 120, description: 'Chained verbs and percentage off' },
+            { input: 'add 5 and 7', expected: 12, description: 'Single add instruction' },
+            { input: 'multiply 3 by 4', expected: 12, description: 'Single multiply instruction' },
+            { input: 'subtract 2 from 10', expected: 8, description: 'Single subtract instruction' },
+            { input: 'divide 10 by 2', expected: 5, description: 'Single divide instruction' },
+            { input: 'multiply 3 by 4 then subtract 2 after that halve', expected: 5, description: 'Chain with "after that"' },
             
             // Complex expressions
             { input: '(2 + 3) * 4', expected: 20, description: 'Parentheses' },
@@ -39,6 +121,23 @@ class CalculatorTester {
             // Unit conversions
             { input: 'Convert 100 cm to meters', expected: 1, description: 'Length conversion' },
             { input: 'Convert 32 fahrenheit to celsius', expected: 0, description: 'Temperature conversion' },
+            { input: '100 km/h to mph', expected: 62.137119, description: 'Compound unit conversion' },
+            { input: 'how many feet in a mile', expected: 5280, description: 'How-many unit conversion' },
+            { input: 'convert 30 mpg to l/100km', expected: 7.840486, description: 'Fuel economy conversion' },
+            { input: '5 ft 3 in + 12 cm in meters', expected: 1.7202, description: 'Mixed-unit arithmetic with a target unit' },
+            { input: 'what is 60 mph times 2.5 hours', expected: 150, description: 'Natural language unit arithmetic' },
+            
+            // Programmer mode
+            { input: '0xff + 0b1010', expected: 265, description: 'Hex and binary literals' },
+            { input: '1 << 4 | 0b11', expected: 19, description: 'Shift and bitwise or' },
+            
+            // Finance
+            { input: 'monthly payment on a 300000 loan at 6.5% for 30 years', expected: 1896.20407, description: 'Loan payment in natural language' },
+            { input: 'npv(0.1, -1000, 300, 400, 500)', expected: -21.036814, description: 'NPV function in expressions' },
+            
+            // Date and time
+            { input: 'days between 2025-01-01 and 2025-03-15', expected: 73, description: 'Days between dates' },
+            { input: 'business days between 2025-03-03 and 2025-03-17', expected: 10, description: 'Business days between dates' },
             
             // Graphing (these will test parsing, not actual plotting)
             { input: 'plot x^2', expected: 'graphing', description: 'Function plot parsing' },
@@ -49,9 +148,744 @@ class CalculatorTester {
             await this.runTest(test);
         }
 
+        // Behaviour checks that go beyond a single calculate() call
+        const checks = [
+            {
+                description: 'History store keeps the most recent entries',
+                expected: ['c', 'b'],
+                run: async () => {
+                    const store = new MemoryHistoryStore({ maxEntries: 2 });
+                    ['a', 'b', 'c'].forEach(input => store.add({ input, timestamp: new Date().toISOString() }));
+                    return store.list(10).map(e => e.input);
+                }
+            },
+            {
+                description: 'History store drops entries older than maxAgeMs',
+                expected: ['new'],
+                run: async () => {
+                    const store = new MemoryHistoryStore({ maxAgeMs: 60 * 1000 });
+                    store.add({ input: 'old', timestamp: new Date(Date.now() - 120 * 1000).toISOString() });
+                    store.add({ input: 'new', timestamp: new Date().toISOString() });
+                    return store.list(10).map(e => e.input);
+                }
+            },
+            {
+                description: 'JSON history file persists history and ans across agents',
+                expected: [20, 2],
+                run: async () => {
+                    const filePath = path.join(os.tmpdir(), `calc-history-${process.pid}.json`);
+                    try {
+                        const first = new CalculatorAgent({ historyStore: new JsonFileHistoryStore({ filePath }) });
+                        await first.calculate('4 * 5');
+                        const second = new CalculatorAgent({ historyStore: new JsonFileHistoryStore({ filePath }) });
+                        const result = await second.calculate('ans / 10');
+                        return [second.getHistory(10)[1].result, result.result];
+                    } finally {
+                        fs.rmSync(filePath, { force: true });
+                    }
+                }
+            },
+            {
+                description: 'Sessions keep separate history and ans',
+                expected: [20, 101, 1, 1],
+                run: async () => {
+                    const alice = this.agent.createSession();
+                    const bob = this.agent.createSession();
+                    await alice.calculate('2 * 5');
+                    await bob.calculate('10 * 10');
+                    const [a, b] = await Promise.all([alice.calculate('ans * 2'), bob.calculate('ans + 1')]);
+                    alice.clearHistory();
+                    await alice.calculate('1 + 0');
+                    return [a.result, b.result, alice.getHistory(10).length, bob.getHistory(10).length - 1];
+                }
+            },
+            {
+                description: 'Variables and functions are usable in later inputs',
+                expected: [0.07, 28, 7, 8, 1],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    await session.calculate('rate = 0.07');
+                    await session.calculate('f(x) = x^2 + 3x');
+                    const results = [];
+                    for (const input of ['rate', 'f(4)', 'what is rate times 100']) {
+                        results.push((await session.calculate(input)).result);
+                    }
+                    const plot = await session.calculate('plot f(x) from 0 to 1');
+                    results.push(plot.result.points > 0 ? 8 : 0);
+                    session.deleteVariable('rate');
+                    results.push(session.listVariables().length);
+                    return results.map(r => parseFloat(r.toFixed(6)));
+                }
+            },
+            {
+                description: 'Definitions survive clear-history and are restored from the store',
+                expected: ['f'],
+                run: async () => {
+                    const store = new MemoryHistoryStore();
+                    const session = this.agent.createSession({ historyStore: store });
+                    await session.calculate('f(x) = 2x');
+                    session.clearHistory();
+                    const restored = this.agent.createSession({ historyStore: store });
+                    return restored.listVariables().map(v => v.name);
+                }
+            },
+            {
+                description: 'agent.use() plugins take part in dispatch by priority',
+                expected: ['dice', 6, true],
+                run: async () => {
+                    const agent = new CalculatorAgent().use({
+                        name: 'dice',
+                        priority: 200,
+                        detect: (input) => input.startsWith('roll'),
+                        parse: (input) => ({ expression: input, sides: Number(input.split(' ')[1]) }),
+                        evaluate: (parsed) => ({ result: parsed.sides }),
+                        info: { operations: ['dice'] }
+                    });
+                    const result = await agent.calculate('roll 6');
+                    return [result.operationType, result.result, agent.getInfo().supportedOperations.includes('dice')];
+                }
+            },
+            {
+                description: 'Built-in plugins are consulted in the documented priority order',
+                expected: ['datasets', 'probability', 'algebra', 'regression', 'finance', 'programmer', 'geometry', 'graphing',
+                    'calculus', 'chain', 'date and time', 'percentage', 'unit arithmetic', 'currency', 'unit conversion',
+                    'statistics', 'trigonometry'],
+                run: async () => new CalculatorAgent().plugins.list().map(plugin => plugin.name)
+            },
+            {
+                description: 'Plugins load from a directory',
+                expected: [42],
+                run: async () => {
+                    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calc-plugins-'));
+                    try {
+                        fs.writeFileSync(path.join(dir, 'answer.js'),
+                            "module.exports = { name: 'answer', priority: 90, detect: (input) => input.includes('meaning of life'), evaluate: () => ({ result: 42 }) };");
+                        const agent = new CalculatorAgent({ pluginsDir: dir });
+                        const result = await agent.calculate('What is the meaning of life?');
+                        return [result.result];
+                    } finally {
+                        fs.rmSync(dir, { recursive: true, force: true });
+                    }
+                }
+            },
+            {
+                description: 'Explain mode lists evaluation steps in precedence order',
+                expected: ['3 * 4 = 12', '2 + 12 = 14'],
+                run: async () => {
+                    const result = await this.agent.calculate('2 + 3 * 4', { explain: true });
+                    return result.steps.map(step => step.description);
+                }
+            },
+            {
+                description: 'Explain mode shows natural-language mapping and base-unit conversion',
+                expected: ['tokenize', 'map', 'parse', 'evaluate', 'parse', 'convert', 'convert'],
+                run: async () => {
+                    const session = this.agent.createSession({ settings: { explain: true } });
+                    const question = await session.calculate('What is 5 plus 3?');
+                    const conversion = await session.calculate('Convert 100 cm to m');
+                    return [...question.steps, ...conversion.steps].map(step => step.type);
+                }
+            },
+            {
+                description: 'Chained instructions report intermediate results',
+                expected: [12, 36, 72],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const chained = await session.calculate('add 5 and 7 then multiply by 3');
+                    const followUp = await session.calculate('double it');
+                    return [...chained.intermediateResults.map(s => s.result), followUp.result];
+                }
+            },
+            {
+                description: 'Number word parser handles ordinals, scales and fractions',
+                expected: [21, 103, 5e12, 0.5, 6, 24, null],
+                run: async () => ['twenty-first', 'one hundred third', 'five trillion', 'a half', 'half a dozen', 'two dozen', 'banana']
+                    .map(phrase => this.agent.numberWords.toNumber(phrase))
+            },
+            {
+                description: 'Input without a calculation fails instead of returning an empty result',
+                expected: [[false, 'Could not identify what to convert in "convert abc to def"'],
+                    [false, 'Could not identify what to convert in "convert 10 in to"'],
+                    [false, 'Could not find a calculation in "integrate x"'], [false, 'Could not find a calculation in "x"'],
+                    [false, 'Could not find a calculation in "mean of pw.root"']],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const inputs = ['convert abc to def', 'convert 10 in to', 'integrate x', 'x', 'mean of pw.root'];
+                    const outcomes = [];
+                    for (const input of inputs) {
+                        const outcome = await session.calculate(input);
+                        outcomes.push([outcome.success, outcome.error]);
+                    }
+                    return outcomes;
+                }
+            },
+            {
+                description: 'A fraction of a number is exact',
+                expected: [3, 30, 6],
+                run: async () => {
+                    const third = await this.agent.calculate('one third of 9');
+                    const article = await this.agent.calculate('a third of 90');
+                    const expression = await this.agent.calculate('two thirds of 9 + 0');
+                    return [third.result, article.result, expression.result];
+                }
+            },
+            {
+                description: 'Results are rounded the same way in every form of request',
+                expected: [0.45, 0.1, 0.03],
+                run: async () => {
+                    const expression = await this.agent.calculate('mean(0.1, 0.2) * 3');
+                    const std = await this.agent.calculate('std of 0.1, 0.2, 0.3');
+                    const percentage = await this.agent.calculate('what is 10% of 0.3');
+                    return [expression.result, std.result, percentage.result];
+                }
+            },
+            {
+                description: 'Number words in unit conversion',
+                expected: '5 ft to in',
+                run: async () => (await this.agent.calculate('convert five feet to inches')).expression
+            },
+            {
+                description: 'Unit conversions read prefixes and compound units and reject mismatched dimensions',
+                expected: ['kN·m', 'energy', 8, 'Mbit', 212, false, 'Cannot convert kg (mass) to m (length)'],
+                run: async () => {
+                    const torque = await this.agent.calculate('convert 1500 N*m to kN*m');
+                    const data = await this.agent.calculate('convert 1 MB to Mb');
+                    const temperature = await this.agent.calculate('100°C to °F');
+                    const mismatch = await this.agent.calculate('convert 1 kg to m');
+                    return [torque.toUnit, torque.category, data.result, data.toUnit, temperature.result, mismatch.success, mismatch.error];
+                }
+            },
+            {
+                description: 'Percentages have their own operation type and % formatting',
+                expected: ['percentage', true, '✅ Result: 25%', 'percentage', 'arithmetic'],
+                run: async () => {
+                    const result = await this.agent.calculate('what percent is 30 of 120');
+                    const expression = await this.agent.calculate('200 * 15%');
+                    const modulo = await this.agent.calculate('10 % 3');
+                    const formatted = this.agent.formatResult(result).replace(/\x1b\[[0-9;]*m/g, '');
+                    return [result.operationType, result.percent, formatted, expression.operationType, modulo.operationType];
+                }
+            },
+            {
+                description: 'Equation solver finds roots, solves systems and stores solutions',
+                expected: [[2, 3], 'quadratic formula', { x: 6, y: 4 }, 'LU decomposition', 10, 5, ['i', '-i']],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const quadratic = await session.calculate('solve x^2 - 5x + 6 = 0');
+                    const roots = await session.calculate('x1 + x2');
+                    const system = await session.calculate('solve x + y = 10, x - y = 2');
+                    const reuse = await session.calculate('x + y');
+                    const complex = await session.calculate('solve x^2 + 1 = 0 with complex roots');
+                    return [quadratic.result, quadratic.method, system.result, system.method,
+                        reuse.result, roots.result, complex.result];
+                }
+            },
+            {
+                description: 'Equation solver handles higher degrees, numeric roots and singular systems',
+                expected: [[-2, -1, 1, 2], [0.523598775598, 2.61799387799], 'The system has no unique solution'],
+                run: async () => {
+                    const quartic = await this.agent.calculate('solve x^4 - 5x^2 + 4 = 0');
+                    const numeric = await this.agent.calculate('solve sin(x) = 0.5 between 0 and 3', { angle: 'rad' });
+                    const singular = await this.agent.calculate('solve x + y = 1, 2x + 2y = 2');
+                    return [quartic.result, numeric.result, singular.error];
+                }
+            },
+            {
+                description: 'Trigonometric equations are solved in the session angle mode',
+                expected: [[30, 150], 0.5, [0.523598775598, 2.61799387799]],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const degrees = await session.calculate('solve sin(x) = 0.5 between 0 and 360');
+                    const check = await session.calculate('sin(x1)');
+                    session.setSetting('angle', 'rad');
+                    const radians = await session.calculate('solve sin(x) = 0.5 between 0 and 3');
+                    return [degrees.result, check.result, radians.result];
+                }
+            },
+            {
+                description: 'Stored solutions are not known values in later equations and never replace user variables',
+                expected: ['Need 2 equations to solve for x, y', [2, ['x'], []], 5],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    await session.calculate('solve 2x = 8');
+                    const leaked = await session.calculate('solve x + y = 10');
+                    const user = this.agent.createSession();
+                    await user.calculate('x = 5');
+                    const solved = await user.calculate('solve x + 1 = 3');
+                    const kept = await user.calculate('x');
+                    return [leaked.error, [solved.result, solved.kept, solved.stored], kept.result];
+                }
+            },
+            {
+                description: 'Periodic roots are given for one period and stored solutions replace the previous ones',
+                expected: [[360, 'x = 30 + 360k or x = 150 + 360k (k any integer)'], [[], 64], ['x1 = -2', 'x2 = 2'], 'Calculation error: Undefined symbol x1', 7],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const periodic = await session.calculate('solve sin(x) = 0.5 between -1000 and 1000');
+                    const many = await session.calculate('solve x*sin(x) = 1', { angle: 'rad' });
+                    const quadratic = await session.calculate('solve x^2 - 4 = 0');
+                    await session.calculate('x2 = 7');
+                    await session.calculate('solve 2x + 3 = 11');
+                    const cleared = await session.calculate('x1 + 1');
+                    const kept = await session.calculate('x2');
+                    return [[periodic.period, periodic.result], [many.stored, many.unstored], quadratic.stored, cleared.error, kept.result];
+                }
+            },
+            {
+                description: 'Calculus gives symbolic derivatives, one-sided limits and error estimates',
+                expected: ['3 * x ^ 2', '12 * x ^ 2', 'Infinity', 'does not exist', true, "adaptive Simpson's rule", [false, '3 * x ^ 2']],
+                run: async () => {
+                    const derivative = await this.agent.calculate('derivative(x^3, x)');
+                    const second = await this.agent.calculate('second derivative of x^4');
+                    const right = await this.agent.calculate('limit of 1/x as x approaches 0 from the right');
+                    const twoSided = await this.agent.calculate('limit(1/x, x, 0)');
+                    const integral = await this.agent.calculate('integral of exp(-x^2) from -5 to 5');
+                    return [derivative.result, second.result, right.result, twoSided.result,
+                        Math.abs(integral.result - Math.sqrt(Math.PI)) < 1e-9 && integral.errorEstimate < 1e-6, integral.method,
+                        ['node' in derivative.operations[0], derivative.operations[0].derivative]];
+                }
+            },
+            {
+                description: 'Function plots can include the derivative',
+                expected: ['3 * x ^ 2', true],
+                run: async () => {
+                    const result = await this.agent.calculate('plot x^3 with its derivative from -2 to 2');
+                    const html = require('fs').readFileSync(result.result.filepath, 'utf8');
+                    return [result.result.derivative, html.includes("y' = 3 * x ^ 2")];
+                }
+            },
+            {
+                description: 'Plots draw several functions with their own colors and styling',
+                expected: [['y = sin(x)', 'y = cos(x)', 'y = x/2'], ['#d62728', '#1f77b4', '#2ca02c'], 'Waves', 'Angle',
+                    'logarithmic', -2, false, true, 'A log x axis needs a range above 0 (e.g. from 0.1 to 100)', 'Unknown color "mauve" (use a name like blue, red, green, orange, purple or a hex code)',
+                    ['logarithmic', 'logarithmic']],
+                run: async () => {
+                    const chart = (result) => {
+                        const html = fs.readFileSync(result.result.filepath, 'utf8');
+                        return JSON.parse(html.match(/const chartConfig = ([\s\S]*?);\n/)[1]);
+                    };
+                    const styled = chart(await this.agent.calculate(
+                        'plot sin(x) in red, cos(x) in blue and x/2 from -pi to pi titled "Waves" with x label Angle, y on a log scale'));
+                    const options = chart(await this.agent.calculate('plot tan(x) from -3 to 3', {
+                        plot: { yMin: -2, yMax: '2', grid: false, theme: 'dark' }
+                    }));
+                    const logX = await this.agent.calculate('plot x^2 from -1 to 1 with a log x axis');
+                    const color = await this.agent.calculate('plot x', { plot: { colors: 'mauve' } });
+                    // The article is optional: "with log x axis" and "with a log x axis"
+                    const logAxes = [chart(await this.agent.calculate('plot x^2 from 1 to 10 with log x axis')),
+                        chart(await this.agent.calculate('plot x^2 from 1 to 10 with a log x axis'))];
+                    return [styled.data.datasets.map(set => set.label), styled.data.datasets.map(set => set.borderColor),
+                        styled.options.plugins.title.text, styled.options.scales.x.title.text, styled.options.scales.y.type,
+                        options.options.scales.y.min, options.options.scales.x.grid.display, options.options.plugins.title.color === '#e0e0e0',
+                        logX.error, color.error, logAxes.map(config => config.options.scales.x.type)];
+                }
+            },
+            {
+                description: 'Parametric, polar and implicit curves are sampled and drawn with equal axes',
+                expected: ['parametric', 'polar', 'implicit', 'function', true, true, 1, [-6, 6], 'No points where x^2 + y^2 = -1 for x from -10 to 10'],
+                run: async () => {
+                    const chart = (result) => JSON.parse(fs.readFileSync(result.result.filepath, 'utf8').match(/const chartConfig = ([\s\S]*?);\n/)[1]);
+                    const parametric = await this.agent.calculate('plot x = cos(t), y = sin(2t) for t from 0 to 2pi');
+                    const polar = await this.agent.calculate('polar plot of r = 2');
+                    const implicit = await this.agent.calculate('plot x^2 + y^2 = 25 from -6 to 6');
+                    const explicit = await this.agent.calculate('plot y = 2x + 3');
+                    const distance = (result, size) => chart(result).data.datasets[0].data
+                        .filter(point => point.x !== null)
+                        .every(point => Math.abs(Math.hypot(point.x, point.y) - size) < 0.01);
+                    const circle = chart(implicit);
+                    const empty = await this.agent.calculate('plot x^2 + y^2 = -1');
+                    return [parametric.graphType, polar.graphType, implicit.graphType, explicit.graphType,
+                        distance(polar, 2), distance(implicit, 5), circle.options.aspectRatio,
+                        [circle.options.scales.x.min, circle.options.scales.x.max], empty.error];
+                }
+            },
+            {
+                description: 'Functions of x and y become offline contour maps, heatmaps and surfaces with a CSV export',
+                expected: ['contour', 'heatmap', 'surface', 10, true, [20, -3, 3, -2, 2], true, false, ['x,y,z', 1601],
+                    'The resolution must be a whole number from 10 to 300', 'Undefined symbol w'],
+                run: async () => {
+                    const page = (result) => {
+                        const html = fs.readFileSync(result.result.filepath, 'utf8');
+                        return { html, plot: JSON.parse(html.match(/const plot = ([\s\S]*?);\n/)[1]) };
+                    };
+                    const contour = await this.agent.calculate('plot z = sin(x) * cos(y) for x from -3 to 3, y from -3 to 3');
+                    const heatmap = await this.agent.calculate('heatmap of sin(x) * cos(y) from -3 to 3, y from -2 to 2 with resolution 20');
+                    const surface = await this.agent.calculate('plot f(x, y) = x^2 - y^2 as a surface', { plot: { export: true } });
+                    const { plot: levels } = page(contour);
+                    const { plot: grid } = page(heatmap);
+                    const { html } = page(surface);
+                    const exact = grid.z.every((row, j) => row.every((value, i) => Math.abs(value - Math.sin(grid.xs[i]) * Math.cos(grid.ys[j])) < 1e-6));
+                    const csv = fs.readFileSync(surface.result.dataFile, 'utf8').split('\n');
+                    const coarse = await this.agent.calculate('contour plot of x*y on a 5x5 grid');
+                    const unknown = await this.agent.calculate('plot z = x * w');
+                    return [contour.graphType, heatmap.graphType, surface.graphType, levels.contours.length,
+                        levels.contours.every(level => level.segments.length > 0),
+                        [grid.xs.length, grid.xs[0], grid.xs[19], grid.ys[0], grid.ys[19]], exact,
+                        html.includes('<script src'), [csv[0], csv.length], coarse.error, unknown.error];
+                }
+            },
+            {
+                description: 'Geometry results carry units and convert through the unit system',
+                expected: ['cm²', 1, 'm²', 33510.3216383, 'liters', 1.23552690734],
+                run: async () => {
+                    const circle = await this.agent.calculate('area of a circle with radius 5 cm');
+                    const mixed = await this.agent.calculate('area of a rectangle with length 2 m and width 50 cm');
+                    const sphere = await this.agent.calculate('volume of a sphere with radius 2 m in liters');
+                    const acres = await this.agent.calculate('area of a rectangle 100 m by 50 m in acres');
+                    return [circle.unit, mixed.result, mixed.unit, sphere.result, sphere.unit, acres.result];
+                }
+            },
+            {
+                description: 'Triangle solving covers SAS and the ambiguous SSA case; lines through two points',
+                expected: ['SAS', 6.2449979984, 'SSA', 2, 'y = 2x + 1', 'x = 1'],
+                run: async () => {
+                    const sas = await this.agent.calculate('solve triangle with sides 5 and 7 and included angle 60');
+                    const ssa = await this.agent.calculate('solve triangle a = 6, b = 8, angle a = 30');
+                    const line = await this.agent.calculate('line through (1, 3) and (2, 5)');
+                    const vertical = await this.agent.calculate('line through (1, 1) and (1, 5)');
+                    return [sas.triangleCase, sas.result.a, ssa.triangleCase, ssa.solutions.length, line.result, vertical.result];
+                }
+            },
+            {
+                description: 'Triangle requests tell angles A, B, C from sides a, b, c by their case',
+                expected: [[5, 90], 2, 'SSA'],
+                run: async () => {
+                    const asa = await this.agent.calculate('solve triangle A=30, B=60, c=10');
+                    const ssa = await this.agent.calculate('triangle with a = 5, b = 7 and A = 30');
+                    return [[asa.result.a, asa.result.C], ssa.solutions.length, ssa.triangleCase];
+                }
+            },
+            {
+                description: 'Angle mode applies to expressions and natural language, per session and per request',
+                expected: [0.5, 0.5, 1, 1, 1, 0.5, 1, 'Unknown angle mode "turns" (use deg, rad or grad)'],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const expression = await session.calculate('cos(60)');
+                    const words = await session.calculate('cosine of 60 degrees');
+                    await session.calculate('f(t) = sin(t)');
+                    session.setSetting('angle', 'rad');
+                    const radians = await session.calculate('sin(pi/2)');
+                    const redefined = await session.calculate('f(pi/2)');
+                    const grad = await session.calculate('sin(100)', { angle: 'grad' });
+                    const unit = await session.calculate('sin(30 deg)');
+                    const inverse = await session.calculate('acos(0) / (pi/2)');
+                    const invalid = await session.calculate('sin(1)', { angle: 'turns' });
+                    return [expression.result, words.result, radians.result, redefined.result,
+                        grad.result, unit.result, inverse.result, invalid.error];
+                }
+            },
+            {
+                description: 'Unit arithmetic picks readable, mixed or preferred result units',
+                expected: ['1.2 m', '12 g/cm³', '8 ft 1 in', '2.4638 m', '241.4016 km', '1 ft 6 in', 'Cannot add mass and length'],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const small = await session.calculate('0.0012 km * 1');
+                    const density = await session.calculate('3 kg / 250 ml');
+                    const mixed = await session.calculate('5 feet 3 inches plus 2 feet 10 inches');
+                    const metric = await session.calculate('5 ft 3 in + 2 ft 10 in', { units: 'metric' });
+                    session.setSetting('units', 'metric');
+                    const distance = await session.calculate('60 mph * 2.5 hours');
+                    const split = await session.calculate('1.5 ft in feet and inches');
+                    const mismatch = await session.calculate('5 kg + 3 m');
+                    return [small.display, density.display, mixed.display, metric.display,
+                        distance.display, split.display, mismatch.error];
+                }
+            },
+            {
+                description: 'A bare quantity is shown in its most readable unit',
+                expected: ['1.2 m', '5 ft', '5 km', '3.10685596119 mi', 5000, 25],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const small = await session.calculate('0.0012 km');
+                    const feet = await session.calculate('5 ft');
+                    const km = await session.calculate('5 km');
+                    const imperial = await session.calculate('5 km', { units: 'imperial' });
+                    const converted = await session.calculate('5 km to m');
+                    const temperature = await session.calculate('25 c');
+                    return [small.display, feet.display, km.display, imperial.display, converted.result, temperature.result];
+                }
+            },
+            {
+                description: 'Programmer mode formats bases and wraps at the integer width',
+                expected: ['0b1111_1111', '0xFF', -56, true, 3, '0xFFFF', 'Unsupported integer width "12" (use 8, 16, 32 or 64)'],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const binary = await session.calculate('convert 255 to binary');
+                    const pattern = await session.calculate('-1 in hex as 8-bit');
+                    const signed = await session.calculate('200 as signed 8-bit');
+                    session.setSetting('programmer', true);
+                    session.setSetting('width', 16);
+                    session.setSetting('signed', 'unsigned');
+                    session.setSetting('base', 'hex');
+                    const division = await session.calculate('7 / 2');
+                    const wrapped = await session.calculate('0 - 1');
+                    let invalid;
+                    try {
+                        session.setSetting('width', 12);
+                    } catch (error) {
+                        invalid = error.message;
+                    }
+                    return [binary.display, pattern.display, signed.result, signed.overflow,
+                        division.result, wrapped.display, invalid];
+                }
+            },
+            {
+                description: 'Statistics return structured results for several values',
+                expected: [[2, 3], { q1: 2.75, q2: 4.5, q3: 6.25 }, { mean: 3.75, std: 1.258306 }, 0.387298, 6, 7.166667, null, 'Which percentile? (e.g. 90th percentile of 1, 2, 3)'],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const modes = await session.calculate('mode of 1, 2, 2, 3, 3');
+                    const quartiles = await session.calculate('quartiles of 1, 2, 3, 4, 5, 6, 7, 8');
+                    const both = await session.calculate('mean and standard deviation of [2, 4, 4, 5]');
+                    const score = await session.calculate('z-score of 7 in 3, 5, 7, 9');
+                    const summary = await session.calculate('summarize 3, 5, 7, 7, 9, 12');
+                    const short = await session.calculate('summarize 4, 4');
+                    const missing = await session.calculate('percentile of 1, 2, 3');
+                    const round = (value) => parseFloat(value.toFixed(6));
+                    return [modes.result, quartiles.result, { mean: both.result.mean, std: round(both.result.std) },
+                        round(score.result), summary.result.count, round(summary.result.mean), short.result.skewness, missing.error];
+                }
+            },
+            {
+                description: 'Results are rounded to 12 significant digits without floating-point noise',
+                expected: [1.66666666667, 3.228, 0.15],
+                run: async () => {
+                    const variance = await this.agent.calculate('variance of 1, 2, 3, 4');
+                    const kurtosis = await this.agent.calculate('kurtosis of 1,2,3,10');
+                    const mean = await this.agent.calculate('mean of 0.1, 0.2');
+                    return [variance.result, kurtosis.result, mean.result];
+                }
+            },
+            {
+                description: 'Probability handles trials, discrete bounds, quantiles and distribution plots',
+                expected: [0.945313, 0.42319, true, 2.228139, 0.252493, 'function', 'What is the probability of one success? (e.g. ... in 10 trials with p = 0.3)'],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const heads = await session.calculate('probability of at least 3 heads in 10 flips');
+                    const atMost = await session.calculate('P(X <= 2) for poisson with mean 3');
+                    const below = await session.calculate('P(X < 3) for poisson(3)');
+                    const quantile = await session.calculate('t quantile of 0.975 with 10 df');
+                    const tail = await session.calculate('P(X > 110) with mean 100 and sd 15');
+                    const plot = await session.calculate('plot the binomial distribution with n = 10 and p = 0.5');
+                    const missing = await session.calculate('probability of fewer than 2 successes in 10 trials');
+                    const round = (value) => parseFloat(value.toFixed(6));
+                    return [round(heads.result), round(atMost.result), below.result === atMost.result, round(quantile.result),
+                        round(tail.result), plot.graphType, missing.error];
+                }
+            },
+            {
+                description: 'Regression fits models, remembers the last fit and overlays it on scatter plots',
+                expected: ['y = 1.96x + 0.14', 0.997611, 23.66, 'y = x^2 - 2x + 1', [1, -2, 1], 3072, 0.8, 'y = 2 * x^2', 'Fit: y = 2.1x',
+                    'y = 2x', 'Two lists of different lengths (3 and 2); label them (x = 1, 2, 3 and y = 2, 4, 6) or give (x, y) points'],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const linear = await session.calculate('linear regression of x = 1, 2, 3, 4, 5 and y = 2.1, 3.9, 6.2, 8.1, 9.8');
+                    const predicted = await session.calculate('predict y at x = 12');
+                    const quadratic = await session.calculate('fit a quadratic to (0, 1), (1, 0), (2, 1), (3, 4)');
+                    const exponential = await session.calculate('predict y when x is 10 using an exponential fit of 0 3 1 6 2 12');
+                    const spearman = await session.calculate('spearman correlation of (1, 2), (2, 5), (3, 4), (4, 9)');
+                    const power = await session.calculate('fit a power curve to 1 2 2 8 3 18');
+                    const plot = await session.calculate('scatter 1,2 2,4 3,7 4,8 with a linear fit');
+                    const fit = this.agent.formatResult(plot).match(/Fit: [^(]+/);
+                    const unlabeled = await session.calculate('linear regression of 1,2,3,4,5 and 2,4,6,8,10');
+                    const uneven = await session.calculate('fit a line to 1,2,3 and 2,4');
+                    return [linear.result, parseFloat(linear.r2.toFixed(6)), predicted.result, quadratic.result, quadratic.coefficients,
+                        exponential.result, spearman.result, power.result, fit && fit[0].trim(), unlabeled.result, uneven.error];
+                }
+            },
+            {
+                description: 'Finance returns amortization tables, rates of return and compound interest',
+                expected: [60, ['Payment #', 'Payment', 'Interest', 'Principal', 'Balance'], [1, 377.42, 83.33, 294.09, 19705.91], 0, 5, 8.896339, '6470.09', 'IRR needs at least one negative and one positive cash flow'],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const schedule = await session.calculate('amortization schedule for a 20000 loan at 5% for 5 years');
+                    const yearly = await session.calculate('yearly amortization schedule for a 20000 loan at 5% for 5 years');
+                    const irr = await session.calculate('irr of -1000, 300, 400, 500');
+                    const compound = await session.calculate('compound interest on 10000 at 5% for 10 years compounded monthly');
+                    const invalid = await session.calculate('irr of 100, 200');
+                    const { columns, rows } = schedule.table;
+                    return [rows.length, columns, rows[0], rows[rows.length - 1][4], yearly.table.rows.length,
+                        parseFloat(irr.result.toFixed(6)), compound.display, invalid.error];
+                }
+            },
+            {
+                description: 'A prediction from the last fit reports that fit and refuses another model',
+                expected: [16, 'polynomial', 2, 'The last fit is a degree 2 polynomial fit; give the data for an exponential fit'],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    await session.calculate('fit a quadratic to (0, 1), (1, 0), (2, 1), (3, 4)');
+                    const predicted = await session.calculate('predict y at x = 5');
+                    const other = await session.calculate('predict y at x = 5 using an exponential fit');
+                    return [predicted.result, predicted.type, predicted.degree, other.error];
+                }
+            },
+            {
+                description: 'Rates of return are the same percentages in expressions and in words',
+                expected: [[25, 25], [8.896339, 8.896339], [14.869835, 14.869835]],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const pairs = [
+                        ['roi(1000, 1250)', 'roi of 1000 returning 1250'],
+                        ['irr(-1000, 300, 400, 500)', 'irr of -1000, 300, 400, 500'],
+                        ['cagr(1000, 2000, 5)', 'cagr from 1000 to 2000 over 5 years']
+                    ];
+                    const results = [];
+                    for (const pair of pairs) {
+                        const values = [];
+                        for (const input of pair) {
+                            values.push(parseFloat((await session.calculate(input)).result.toFixed(6)));
+                        }
+                        results.push(values);
+                    }
+                    return results;
+                }
+            },
+            {
+                description: 'Dates that are not on the calendar are rejected',
+                expected: ['Invalid date "2025-02-30"', 'Invalid date "2025-02-29"', '2024-03-01'],
+                run: async () => {
+                    const session = this.agent.createSession();
+                    const added = await session.calculate('2025-02-30 + 1 day');
+                    const weekday = await session.calculate('day of the week is 2025-02-29');
+                    const leap = await session.calculate('2024-02-29 + 1 day');
+                    return [added.error, weekday.error, leap.result];
+                }
+            },
+            {
+                description: 'Date arithmetic returns typed results that ans carries forward',
+                expected: ['2025-07-30', 'date', '2025-08-09', '4h 5m', '245 minutes', 490, 'Friday', '35 years, 0 months, 29 days', '2025-06-15 23:30 Asia/Tokyo'],
+                run: async () => {
+                    const session = new CalculatorAgent({ clock: () => new Date('2025-06-15T12:00:00Z') }).createSession();
+                    const later = await session.calculate('today + 45 days');
+                    const next = await session.calculate('ans + 10 days');
+                    const duration = await session.calculate('3h 20m + 45m');
+                    await session.calculate('ans * 2');
+                    const minutes = await session.calculate('ans in minutes');
+                    const weekday = await session.calculate('what day of the week is 2026-12-25');
+                    const age = await session.calculate('how old is someone born on 1990-05-17');
+                    const tokyo = await session.calculate('14:30 utc in tokyo');
+                    return [later.result, later.resultType, next.result, duration.result, duration.total,
+                        minutes.result, weekday.result, age.display, tokyo.result];
+                }
+            },
+            {
+                description: 'Currency conversion uses imported rates, cross rates and historical dates',
+                expected: [2, 219.3, '2025-06-02', 125.3, '2025-03-01', 'No exchange rates on or before 2024-12-31 (earliest is 2025-03-01)',
+                    'Unknown currency XYZ', 'Convert 5 USD to which currency? (e.g. 5 usd to eur)', 'Invalid date "2025-02-30" (use YYYY-MM-DD)'],
+                run: async () => {
+                    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calc-rates-'));
+                    try {
+                        const csv = path.join(dir, 'rates.csv');
+                        fs.writeFileSync(csv, [
+                            'date,currency,rate',
+                            '2025-03-01,USD,1.04', '2025-03-01,GBP,0.83',
+                            '2025-06-02,USD,1.14', '2025-06-02,GBP,0.84'
+                        ].join('\n'));
+                        const agent = new CalculatorAgent({ ratesFile: path.join(dir, 'rates.json') });
+                        const imported = agent.currency.import(csv, { base: 'EUR' });
+                        // A second agent reads the rates back from the file
+                        const session = new CalculatorAgent({ ratesFile: path.join(dir, 'rates.json') }).createSession();
+                        const latest = await session.calculate('$250 in euros');
+                        const historical = await session.calculate('100 gbp to usd on 2025-03-15');
+                        const early = await session.calculate('100 gbp to usd on 2024-12-31');
+                        const unknown = await session.calculate('100 usd to xyz');
+                        const bare = await session.calculate('5 usd');
+                        const impossible = await session.calculate('100 gbp to usd on 2025-02-30');
+                        return [imported.length, parseFloat(latest.result.toFixed(2)), latest.asOf,
+                            parseFloat(historical.result.toFixed(2)), historical.asOf, early.error, unknown.error, bare.error, impossible.error];
+                    } finally {
+                        fs.rmSync(dir, { recursive: true, force: true });
+                    }
+                }
+            },
+            {
+                description: 'Datasets load from files or uploads and their columns work in calculations',
+                expected: ['sales: 5 rows, 4 columns', 1290, 1600, 0.98835, 'Saved 2 of 5 rows of sales as west', 2, 15,
+                    'sales has no column "price" (columns: region, revenue, units, unit_price)',
+                    'Loading local files is turned off for this session; upload the data instead'],
+                run: async () => {
+                    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calc-datasets-'));
+                    try {
+                        const file = path.join(dir, 'sales.csv');
+                        fs.writeFileSync(file, [
+                            'Region,Revenue,Units,Unit Price',
+                            'West,1200,10,120', 'East,800,8,100', 'West,2000,18,111.1',
+                            'North,,5,', 'East,1160,11,105.5'
+                        ].join('\n'));
+                        const session = this.agent.createSession();
+                        const loaded = await session.calculate(`load ${file}`);
+                        const mean = await session.calculate('mean of sales.revenue');
+                        const west = await session.calculate('mean of sales.revenue where region = west and units > 5');
+                        const r = await session.calculate('correlation between sales.units and sales.revenue');
+                        const saved = await session.calculate('filter sales where region is west as west');
+                        const rows = session.dataset('west').rows.length;
+                        // Uploaded text, as the web API stores it
+                        session.setDataset('upload', { content: 'a,b\n5,1\n10,2', format: 'csv' });
+                        const sum = await session.calculate('sum(upload.a)');
+                        const unknown = await session.calculate('mean of sales.price');
+                        const web = this.agent.createSession({ settings: { datasetFiles: false } });
+                        const blocked = await web.calculate(`load ${file} as sales`);
+                        return [loaded.result, mean.result, parseFloat(west.result.toFixed(6)), parseFloat(r.result.toFixed(6)),
+                            saved.display, rows, sum.result, unknown.error, blocked.error];
+                    } finally {
+                        fs.rmSync(dir, { recursive: true, force: true });
+                    }
+                }
+            },
+            {
+                description: 'Session manager expires idle sessions',
+                expected: [true, false],
+                run: async () => {
+                    const manager = new SessionManager(this.agent, { idleTimeoutMs: 1000 });
+                    const session = manager.create();
+                    const found = manager.get(session.id) === session;
+                    manager.sweep(Date.now() + 5000);
+                    return [found, manager.get(session.id) !== null];
+                }
+            },
+            {
+                description: 'A blank session is neither kept nor written to disk',
+                expected: [0, [], null],
+                run: async () => {
+                    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calc-sessions-'));
+                    try {
+                        const manager = new SessionManager(this.agent, { historyDir: dir });
+                        const blank = manager.blank();
+                        blank.getHistory(10);
+                        blank.listVariables();
+                        return [manager.size, fs.readdirSync(dir), manager.get(blank.id)];
+                    } finally {
+                        fs.rmSync(dir, { recursive: true, force: true });
+                    }
+                }
+            }
+        ];
+
+        for (const check of checks) {
+            await this.runCheck(check);
+        }
+
         this.printResults();
     }
 
+    async runCheck(check) {
+        try {
+            const actual = await check.run();
+            const passed = JSON.stringify(actual) === JSON.stringify(check.expected);
+            this.testResults.push({ ...check, actual: JSON.stringify(actual), passed, error: null });
+
+            const status = passed ? chalk.green('✅ PASS') : chalk.red('❌ FAIL');
+            console.log(`${status} ${check.description}`);
+            if (!passed) {
+                console.log(chalk.gray(`   Expected: ${JSON.stringify(check.expected)}, Got: ${JSON.stringify(actual)}`));
+            }
+        } catch (error) {
+            this.testResults.push({ ...check, actual: null, passed: false, error: error.message });
+            console.log(chalk.red(`❌ FAIL ${check.description}`));
+            console.log(chalk.gray(`   Error: ${error.message}`));
+        }
+    }
+
     async runTest(test) {
         try {
             const result = await this.agent.calculate(test.input);
@@ -137,7 +971,9 @@ class CalculatorTester {
                 .filter(t => !t.passed)
                 .forEach(test => {
                     console.log(chalk.red(`  • ${test.description}`));
-                    console.log(chalk.gray(`    Input: "${test.input}"`));
+                    if (test.input !== undefined) {
+                        console.log(chalk.gray(`    Input: "${test.input}"`));
+                    }
                     if (test.error) {
                         console.log(chalk.gray(`    Error: ${test.error}`));
                     } else {